@@ -2,6 +2,9 @@
 const { PublicClientApplication } = require("@azure/msal-node");
 const fs = require("fs");
 const path = require("path");
+const { readSecret, writeSecret, readSecretJson, writeSecretJson, describeSecretStore } = require("./secret-store.js");
+const { hasBrowser, launchBrowser, startLoopbackLogin } = require("./loopback-auth.js");
+const { pruneSpillDir, retentionFromEnv } = require("./spill-retention.js");
 
 // Default configuration - can be overridden via environment variables
 const CONFIG = {
@@ -10,15 +13,38 @@ const CONFIG = {
   AGENT365_API: "ea9ffc3e-8a23-4a7d-836d-234d7c7565c1",
 };
 
+// ============================================================================
+// PROFILES
+// The default profile keeps the original ~/.agent365-mcp layout; named
+// profiles (--profile <name> or AGENT365_PROFILE) live in profiles/<name>/.
+// ============================================================================
+
+function getBaseDir() {
+  const home = process.env.HOME || process.env.USERPROFILE || "";
+  return path.join(home, ".agent365-mcp");
+}
+
+function getProfileName() {
+  return process.env.AGENT365_PROFILE || "default";
+}
+
+function getProfileDir(profile = getProfileName()) {
+  return profile === "default"
+    ? getBaseDir()
+    : path.join(getBaseDir(), "profiles", profile);
+}
+
 // Token storage location
 function getTokenPath() {
-  const home = process.env.HOME || process.env.USERPROFILE || "";
-  return path.join(home, ".agent365-mcp", "tokens.json");
+  return path.join(getProfileDir(), "tokens.json");
 }
 
 function getConfigPath() {
-  const home = process.env.HOME || process.env.USERPROFILE || "";
-  return path.join(home, ".agent365-mcp", "config.json");
+  return path.join(getProfileDir(), "config.json");
+}
+
+function getGraphTokenPath() {
+  return path.join(getProfileDir(), "graph-tokens.json");
 }
 
 function loadConfig() {
@@ -43,8 +69,59 @@ function saveConfig(config) {
 }
 
 function getMsalCachePath() {
-  const home = process.env.HOME || process.env.USERPROFILE || "";
-  return path.join(home, ".agent365-mcp", "msal-cache.json");
+  return path.join(getProfileDir(), "msal-cache.json");
+}
+
+function listProfiles() {
+  const profiles = [];
+  const baseDir = getBaseDir();
+  if (fs.existsSync(path.join(baseDir, "config.json")) || fs.existsSync(path.join(baseDir, "tokens.json"))) {
+    profiles.push("default");
+  }
+  const profilesDir = path.join(baseDir, "profiles");
+  if (fs.existsSync(profilesDir)) {
+    for (const entry of fs.readdirSync(profilesDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) profiles.push(entry.name);
+    }
+  }
+  return profiles;
+}
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+function showProfiles() {
+  const active = getProfileName();
+  const profiles = listProfiles();
+
+  console.log("\n👥 Agent 365 MCP Profiles\n");
+  if (profiles.length === 0) {
+    console.log("No profiles yet. Run 'agent365-mcp auth' (or 'auth --profile <name>') first.\n");
+    return;
+  }
+
+  for (const profile of profiles) {
+    const dir = getProfileDir(profile);
+    const config = readJsonFile(path.join(dir, "config.json")) || {};
+    const token = readSecretJson(path.join(dir, "tokens.json"));
+
+    let status = "not authenticated";
+    if (token?.expiresOn) {
+      status = new Date(token.expiresOn) > new Date() ? "authenticated" : "token expired (refreshes on next use)";
+    }
+
+    console.log(`${profile === active ? "*" : " "} ${profile}`);
+    console.log(`    Tenant ID: ${config.tenantId || token?.tenantId || "-"}`);
+    console.log(`    Client ID: ${config.clientId || token?.clientId || "-"}`);
+    console.log(`    Account:   ${token?.account?.username || "-"}`);
+    console.log(`    Status:    ${status}`);
+  }
+  console.log("\n* = active profile (select with --profile <name> or AGENT365_PROFILE)\n");
 }
 
 function createMsalCachePlugin() {
@@ -52,8 +129,9 @@ function createMsalCachePlugin() {
 
   const beforeCacheAccess = async (cacheContext) => {
     try {
-      if (fs.existsSync(cachePath)) {
-        cacheContext.tokenCache.deserialize(fs.readFileSync(cachePath, "utf8"));
+      const cache = readSecret(cachePath);
+      if (cache) {
+        cacheContext.tokenCache.deserialize(cache);
       }
     } catch (e) {
       // Ignore cache read errors
@@ -62,23 +140,49 @@ function createMsalCachePlugin() {
 
   const afterCacheAccess = async (cacheContext) => {
     if (cacheContext.cacheHasChanged) {
-      const dir = path.dirname(cachePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      fs.writeFileSync(cachePath, cacheContext.tokenCache.serialize());
+      writeSecret(cachePath, cacheContext.tokenCache.serialize());
     }
   };
 
   return { beforeCacheAccess, afterCacheAccess };
 }
 
-async function authenticate(tenantId, clientId) {
-  const tokenPath = getTokenPath();
-  const dir = path.dirname(tokenPath);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+/**
+ * Sign in through the browser (auth code + PKCE on a loopback redirect).
+ * Returns null when no browser is available so the caller uses device code.
+ */
+async function authenticateWithBrowser(pca, scopes) {
+  if (!hasBrowser()) {
+    console.log("⚠️  No browser available on this machine, using device code login instead.\n");
+    return null;
+  }
+
+  let login;
+  try {
+    login = await startLoopbackLogin(pca, scopes);
+  } catch (e) {
+    console.log(`⚠️  Could not start browser login (${e.message}), using device code login instead.\n`);
+    return null;
+  }
+
+  if (!(await launchBrowser(login.authUrl))) {
+    login.cancel();
+    console.log("⚠️  Could not open a browser, using device code login instead.\n");
+    return null;
+  }
+
+  console.log("🌐 Opened your browser to sign in. Waiting for you to finish...");
+  console.log(`   If it did not appear, visit: ${login.authUrl}\n`);
+  try {
+    return await login.tokenPromise;
+  } catch (e) {
+    console.log(`⚠️  Browser login failed (${e.message}), using device code login instead.\n`);
+    return null;
   }
+}
+
+async function authenticate(tenantId, clientId, method = process.env.AGENT365_AUTH_METHOD || "device") {
+  const tokenPath = getTokenPath();
 
   const pca = new PublicClientApplication({
     auth: {
@@ -90,7 +194,7 @@ async function authenticate(tenantId, clientId) {
     },
   });
 
-  console.log("\n🔐 Microsoft 365 Agent Authentication\n");
+  console.log(`\n🔐 Microsoft 365 Agent Authentication${getProfileName() === "default" ? "" : ` (profile: ${getProfileName()})`}\n`);
   console.log("This will authenticate you with your organization's Microsoft 365 account.");
   console.log("Your access will be limited to what your account has permission to view.\n");
 
@@ -100,10 +204,12 @@ async function authenticate(tenantId, clientId) {
   // Try silent auth first (uses refresh token if available)
   const accounts = await pca.getTokenCache().getAllAccounts();
   if (accounts.length > 0) {
+    // Prefer an account from the requested tenant
+    const account = accounts.find(a => a.tenantId === tenantId) || accounts[0];
     try {
-      console.log(`🔄 Found existing session for ${accounts[0].username}, refreshing...`);
+      console.log(`🔄 Found existing session for ${account.username}, refreshing...`);
       response = await pca.acquireTokenSilent({
-        account: accounts[0],
+        account: account,
         scopes: scopes,
       });
       console.log("✅ Token refreshed silently!\n");
@@ -113,7 +219,11 @@ async function authenticate(tenantId, clientId) {
     }
   }
 
-  // Fall back to device code if silent auth failed
+  if (!response && method === "browser") {
+    response = await authenticateWithBrowser(pca, scopes);
+  }
+
+  // Fall back to device code if silent/browser auth failed
   if (!response) {
     response = await pca.acquireTokenByDeviceCode({
       scopes: scopes,
@@ -133,13 +243,13 @@ async function authenticate(tenantId, clientId) {
   }
 
   // Save token info (access token for quick access, MSAL cache has refresh token)
-  fs.writeFileSync(tokenPath, JSON.stringify({
+  writeSecretJson(tokenPath, {
     accessToken: response.accessToken,
     expiresOn: response.expiresOn,
     account: response.account,
     tenantId: tenantId,
     clientId: clientId,
-  }));
+  });
 
   // Save config for future use
   saveConfig({ tenantId, clientId });
@@ -148,7 +258,8 @@ async function authenticate(tenantId, clientId) {
   console.log(`📧 Logged in as: ${response.account?.username || "Unknown"}`);
   console.log(`⏰ Access token expires: ${response.expiresOn}`);
   console.log(`🔄 Refresh token valid for ~90 days`);
-  console.log(`📁 Token saved to: ${tokenPath}\n`);
+  console.log(`📁 Token saved to: ${tokenPath}`);
+  console.log(`🔒 Encrypted with: ${describeSecretStore()}\n`);
   console.log("You can now use the Agent 365 MCP tools in your MCP client.\n");
 }
 
@@ -159,9 +270,30 @@ Agent 365 MCP - Microsoft 365 Integration for AI Coding Assistants
 USAGE:
   agent365-mcp setup             Interactive setup (recommended for first use)
   agent365-mcp auth              Authenticate with Microsoft 365
+  agent365-mcp auth --method browser
+                                 Sign in through the browser instead of a device code
+                                 (for tenants that block device code login)
   agent365-mcp serve             Start the MCP server (used by MCP clients)
+  agent365-mcp serve --http <port>
+                                 Serve over Streamable HTTP on localhost so several
+                                 clients can share one proxy (bearer secret required)
   agent365-mcp status            Check authentication status
   agent365-mcp logout            Remove saved authentication
+  agent365-mcp profiles list     List account profiles and their status
+  agent365-mcp audit [options]   Show the tool call audit log
+                                 --since <24h|7d|date>  --tool <glob>  --server <key>
+                                 --status <ok|error|denied|...>  --limit <n>  --all  --json
+  agent365-mcp cache prune [options]
+                                 Delete saved large responses (AGENT365_LARGE_FILE_DIR)
+                                 --dir <path>  --max-age <12h|7d>  --max-size <MB>
+                                 --all  --dry-run
+
+PROFILES:
+  Add --profile <name> to auth, status, logout, setup or serve to use a separate
+  account (own tenant/client IDs and token files), e.g. one per customer tenant:
+
+    agent365-mcp auth --profile contoso <tenant-id> <client-id>
+    agent365-mcp serve --profile contoso
 
 QUICK START:
   npx github:rapyuta-robotics/agent365-mcp setup
@@ -209,6 +341,19 @@ MCP CLIENT CONFIGURATION:
 ENVIRONMENT VARIABLES:
   AGENT365_TENANT_ID    Microsoft Entra tenant ID
   AGENT365_CLIENT_ID    Application (client) ID from Entra app registration
+  AGENT365_PROFILE      Account profile to use (same as --profile)
+  AGENT365_AUTH_METHOD  Interactive login: device (default) or browser
+  AGENT365_SECRET_STORE Token encryption key: auto, keychain, passphrase, file, plaintext
+  AGENT365_SECRET_PASSPHRASE
+                        Passphrase to derive the token encryption key from
+  AGENT365_LARGE_FILE_DIR
+                        Save large responses here instead of serving them as resources
+  AGENT365_LARGE_FILE_MAX_AGE_HOURS / AGENT365_LARGE_FILE_MAX_SIZE_MB
+                        Retention for saved responses (default: 24 hours, 500MB)
+  AGENT365_HTTP_PORT    Serve over Streamable HTTP on this port (same as --http)
+  AGENT365_HTTP_HOST    Bind address for HTTP mode (default: 127.0.0.1)
+  AGENT365_HTTP_SECRET  Bearer secret for HTTP mode (default: generated and
+                        stored in ~/.agent365-mcp/http-secret)
 
 AVAILABLE TOOLS (80+):
   sharepoint_*    SharePoint & OneDrive file operations
@@ -229,6 +374,7 @@ function showStatus() {
   const config = loadConfig();
 
   console.log("\n📊 Agent 365 MCP Status\n");
+  console.log(`👤 Profile: ${getProfileName()}`);
 
   if (config.tenantId) {
     console.log(`🏢 Tenant ID: ${config.tenantId}`);
@@ -239,7 +385,10 @@ function showStatus() {
 
   if (fs.existsSync(tokenPath)) {
     try {
-      const token = JSON.parse(fs.readFileSync(tokenPath, "utf8"));
+      const token = readSecretJson(tokenPath);
+      if (!token) {
+        throw new Error("unreadable token file");
+      }
       const expiresOn = new Date(token.expiresOn);
       const now = new Date();
 
@@ -252,25 +401,181 @@ function showStatus() {
         console.log("   Run 'agent365-mcp auth' to re-authenticate.");
       }
     } catch (e) {
-      console.log("\n❌ Token file corrupted. Run 'agent365-mcp auth' to fix.");
+      console.log("\n❌ Token file corrupted or cannot be decrypted. Run 'agent365-mcp auth' to fix.");
     }
   } else {
     console.log("\n❌ Not authenticated. Run 'agent365-mcp auth' first.");
   }
+  console.log(`🔒 Secret store: ${describeSecretStore()}`);
   console.log("");
 }
 
 function logout() {
-  const tokenPath = getTokenPath();
-  const msalCachePath = getMsalCachePath();
+  for (const filePath of [getTokenPath(), getMsalCachePath(), getGraphTokenPath()]) {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+  const profile = getProfileName();
+  console.log(`✅ Logged out successfully${profile === "default" ? "" : ` from profile "${profile}"`}. Tokens removed.`);
+}
 
-  if (fs.existsSync(tokenPath)) {
-    fs.unlinkSync(tokenPath);
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+function getAuditDir() {
+  const home = process.env.HOME || process.env.USERPROFILE || "";
+  return process.env.AGENT365_AUDIT_DIR || path.join(home, ".agent365-mcp", "audit");
+}
+
+// Parse --since values: ISO date/time, or a relative duration like 30m, 24h, 7d
+function parseSince(value) {
+  const relative = /^(\d+)([mhd])$/.exec(value);
+  if (relative) {
+    const unit = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 }[relative[2]];
+    return new Date(Date.now() - parseInt(relative[1]) * unit);
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value: ${value} (use e.g. 24h, 7d or 2025-01-31)`);
+  }
+  return date;
+}
+
+function parseAuditArgs(args) {
+  const options = { limit: 50, json: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case "--since": options.since = parseSince(args[++i]); break;
+      case "--tool": options.tool = args[++i]; break;
+      case "--server": options.server = args[++i]; break;
+      case "--status": options.status = args[++i]; break;
+      case "--limit": options.limit = parseInt(args[++i]) || 50; break;
+      case "--all": options.limit = Infinity; break;
+      case "--json": options.json = true; break;
+      default:
+        throw new Error(`Unknown audit option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function globMatches(glob, value) {
+  const pattern = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${pattern}$`, "i").test(value || "");
+}
+
+function showAudit(args) {
+  const options = parseAuditArgs(args);
+  const auditDir = getAuditDir();
+
+  if (!fs.existsSync(auditDir)) {
+    console.log(`No audit log found in ${auditDir}`);
+    return;
+  }
+
+  const sinceDay = options.since ? options.since.toISOString().slice(0, 10) : "";
+  const files = fs.readdirSync(auditDir)
+    .filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f) && f.slice(0, 10) >= sinceDay)
+    .sort();
+
+  const entries = [];
+  for (const file of files) {
+    const lines = fs.readFileSync(path.join(auditDir, file), "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue; // Skip partially written lines
+      }
+      if (options.since && new Date(entry.timestamp) < options.since) continue;
+      if (options.tool && !globMatches(options.tool, entry.tool)) continue;
+      if (options.server && entry.serverKey !== options.server) continue;
+      if (options.status && entry.status !== options.status) continue;
+      entries.push(entry);
+    }
+  }
+
+  const shown = entries.slice(-options.limit);
+  if (options.json) {
+    for (const entry of shown) console.log(JSON.stringify(entry));
+    return;
+  }
+
+  if (shown.length === 0) {
+    console.log("No matching audit entries.");
+    return;
+  }
+
+  for (const entry of shown) {
+    const policy = entry.policy && entry.policy !== "allowed" ? `  [${entry.policy}]` : "";
+    console.log(`${entry.timestamp}  ${String(entry.status).padEnd(20)} ${String(entry.durationMs).padStart(6)}ms  ${String(entry.resultSize).padStart(8)}B  ${entry.tool}${policy}`);
+    if (entry.args && Object.keys(entry.args).length > 0) {
+      console.log(`    ${JSON.stringify(entry.args)}`);
+    }
+  }
+  console.log(`\n${shown.length} of ${entries.length} matching entries (${auditDir})`);
+}
+
+// ============================================================================
+// LARGE RESPONSE CACHE
+// ============================================================================
+
+// Parse --max-age values: a duration like 30m, 24h, 7d
+function parseMaxAge(value) {
+  const match = /^(\d+(?:\.\d+)?)([mhd])$/.exec(value || "");
+  if (!match) {
+    throw new Error(`Invalid --max-age value: ${value} (use e.g. 12h or 7d)`);
+  }
+  const unit = { m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 }[match[2]];
+  return parseFloat(match[1]) * unit;
+}
+
+function parsePruneArgs(args) {
+  const { maxAgeHours, maxSizeMb } = retentionFromEnv();
+  const options = {
+    dir: process.env.AGENT365_LARGE_FILE_DIR,
+    maxAgeMs: maxAgeHours * 3600 * 1000,
+    maxBytes: maxSizeMb * 1024 * 1024,
+    dryRun: false,
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case "--dir": options.dir = args[++i]; break;
+      case "--max-age": options.maxAgeMs = parseMaxAge(args[++i]); break;
+      case "--max-size": options.maxBytes = (parseFloat(args[++i]) || 0) * 1024 * 1024; break;
+      case "--all": options.maxAgeMs = 1; options.maxBytes = 0; break;
+      case "--dry-run": options.dryRun = true; break;
+      default:
+        throw new Error(`Unknown cache prune option: ${arg}`);
+    }
   }
-  if (fs.existsSync(msalCachePath)) {
-    fs.unlinkSync(msalCachePath);
+  return options;
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+function pruneCache(args) {
+  const options = parsePruneArgs(args);
+  if (!options.dir) {
+    throw new Error("No large response directory - set AGENT365_LARGE_FILE_DIR or pass --dir <path>");
   }
-  console.log("✅ Logged out successfully. Tokens removed.");
+  if (!fs.existsSync(options.dir)) {
+    console.log(`Nothing to prune: ${options.dir} does not exist`);
+    return;
+  }
+
+  const result = pruneSpillDir(options.dir, options);
+  const verb = options.dryRun ? "Would remove" : "Removed";
+  console.log(`${verb} ${result.removedFiles} files (${formatMB(result.removedBytes)}) from ${path.resolve(options.dir)}`);
+  console.log(`Remaining: ${result.remainingFiles} files (${formatMB(result.remainingBytes)})`);
 }
 
 // ============================================================================
@@ -303,17 +608,26 @@ function getVSCodeConfigPath() {
 }
 
 function getMcpServerConfig(tenantId, clientId) {
+  const env = {
+    AGENT365_TENANT_ID: tenantId,
+    AGENT365_CLIENT_ID: clientId,
+  };
+  if (getProfileName() !== "default") {
+    env.AGENT365_PROFILE = getProfileName();
+  }
   return {
     type: "stdio",
     command: "npx",
     args: ["-y", "github:rapyuta-robotics/agent365-mcp", "serve"],
-    env: {
-      AGENT365_TENANT_ID: tenantId,
-      AGENT365_CLIENT_ID: clientId,
-    },
+    env,
   };
 }
 
+// MCP server entry name: "agent365", or "agent365-<profile>" for named profiles
+function getMcpServerName() {
+  return getProfileName() === "default" ? "agent365" : `agent365-${getProfileName()}`;
+}
+
 function configureClaudeCode(tenantId, clientId) {
   const configPath = getClaudeConfigPath();
   let config = {};
@@ -330,7 +644,7 @@ function configureClaudeCode(tenantId, clientId) {
     config.mcpServers = {};
   }
 
-  config.mcpServers.agent365 = getMcpServerConfig(tenantId, clientId);
+  config.mcpServers[getMcpServerName()] = getMcpServerConfig(tenantId, clientId);
 
   fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
   console.log(`✅ Claude Code configured: ${configPath}`);
@@ -358,7 +672,7 @@ function configureVSCode(tenantId, clientId) {
     config.servers = {};
   }
 
-  config.servers.agent365 = getMcpServerConfig(tenantId, clientId);
+  config.servers[getMcpServerName()] = getMcpServerConfig(tenantId, clientId);
 
   fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
   console.log(`✅ VS Code configured: ${configPath}`);
@@ -438,15 +752,42 @@ Your session is valid for ~90 days before re-authentication is needed.
 `);
 }
 
+// Extract the global --profile <name> option, exporting it for index.js
+function applyProfileOption(args) {
+  const index = args.indexOf("--profile");
+  if (index !== -1) {
+    const profile = args[index + 1];
+    if (!profile) {
+      throw new Error("--profile requires a name, e.g. --profile contoso");
+    }
+    process.env.AGENT365_PROFILE = profile;
+    args.splice(index, 2);
+  }
+  if (!/^[A-Za-z0-9_-]+$/.test(getProfileName())) {
+    throw new Error(`Invalid profile name "${getProfileName()}" (use letters, digits, - and _)`);
+  }
+  return args;
+}
+
 async function main() {
-  const args = process.argv.slice(2);
+  const args = applyProfileOption(process.argv.slice(2));
   const command = args[0];
 
   switch (command) {
     case "auth":
     case "login":
-      const tenantId = process.env.AGENT365_TENANT_ID || process.env.TENANT_ID || args[1];
-      const clientId = process.env.AGENT365_CLIENT_ID || process.env.CLIENT_ID || args[2];
+      // --method browser|device selects the interactive login flow
+      const methodIndex = args.indexOf("--method");
+      const method = methodIndex !== -1 ? args.splice(methodIndex, 2)[1] : undefined;
+      if (method !== undefined && !["browser", "device"].includes(method)) {
+        console.error("❌ Error: --method must be 'browser' or 'device'.");
+        process.exit(1);
+      }
+
+      // Fall back to the IDs saved for this profile by a previous auth/setup
+      const savedConfig = loadConfig();
+      const tenantId = process.env.AGENT365_TENANT_ID || process.env.TENANT_ID || args[1] || savedConfig.tenantId;
+      const clientId = process.env.AGENT365_CLIENT_ID || process.env.CLIENT_ID || args[2] || savedConfig.clientId;
 
       if (!tenantId || !clientId) {
         console.error("❌ Error: Tenant ID and Client ID are required.\n");
@@ -459,7 +800,7 @@ async function main() {
         process.exit(1);
       }
 
-      await authenticate(tenantId, clientId);
+      await authenticate(tenantId, clientId, method);
       break;
 
     case "serve":
@@ -470,7 +811,21 @@ async function main() {
         // Interactive mode - show help
         showHelp();
       } else {
-        // Non-interactive (piped) or explicit serve - run MCP server
+        // Non-interactive (piped) or explicit serve - run MCP server.
+        // `serve --http <port> [--host <host>]` shares one proxy over Streamable HTTP.
+        const httpIndex = args.indexOf("--http");
+        if (httpIndex !== -1) {
+          const port = parseInt(args[httpIndex + 1]);
+          if (!port) {
+            console.error("❌ Error: --http requires a port number, e.g. agent365-mcp serve --http 3365");
+            process.exit(1);
+          }
+          process.env.AGENT365_HTTP_PORT = String(port);
+        }
+        const hostIndex = args.indexOf("--host");
+        if (hostIndex !== -1 && args[hostIndex + 1]) {
+          process.env.AGENT365_HTTP_HOST = args[hostIndex + 1];
+        }
         require("./index.js");
       }
       break;
@@ -483,6 +838,26 @@ async function main() {
       logout();
       break;
 
+    case "audit":
+      showAudit(args.slice(1));
+      break;
+
+    case "cache":
+      if (args[1] !== "prune") {
+        console.error(`Unknown cache command: ${args[1] || "(none)"} (use: cache prune)`);
+        process.exit(1);
+      }
+      pruneCache(args.slice(2));
+      break;
+
+    case "profiles":
+      if (args[1] && args[1] !== "list") {
+        console.error(`Unknown profiles command: ${args[1]}`);
+        process.exit(1);
+      }
+      showProfiles();
+      break;
+
     case "setup":
     case "install":
     case "configure":
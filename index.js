@@ -11,38 +11,108 @@
  */
 const { Server } = require("@modelcontextprotocol/sdk/server/index.js");
 const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+const { StreamableHTTPServerTransport } = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
 const {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
 } = require("@modelcontextprotocol/sdk/types.js");
 const fs = require("fs");
 const path = require("path");
+const http = require("http");
 const https = require("https");
+const crypto = require("crypto");
+const { readSecret, writeSecret, readSecretJson, writeSecretJson, describeSecretStore } = require("./secret-store.js");
+const { hasBrowser, launchBrowser, startLoopbackLogin } = require("./loopback-auth.js");
+const { createSessionDir, pruneSpillDir, removeSessionDir, retentionFromEnv } = require("./spill-retention.js");
+const { parseTimestamp, formatTimestamp, renderTranscript } = require("./vtt-transcript.js");
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 const HOME = process.env.HOME || process.env.USERPROFILE || "";
+
+// Named account profiles (e.g. one per tenant). The default profile keeps
+// the original ~/.agent365-mcp layout; others live in profiles/<name>/.
+const PROFILE = process.env.AGENT365_PROFILE || "default";
+if (!/^[A-Za-z0-9_-]+$/.test(PROFILE)) {
+  throw new Error(`Invalid AGENT365_PROFILE "${PROFILE}" (use letters, digits, - and _)`);
+}
+const PROFILE_DIR = PROFILE === "default"
+  ? path.join(HOME, ".agent365-mcp")
+  : path.join(HOME, ".agent365-mcp", "profiles", PROFILE);
+
 const TOKEN_CACHE_PATH = process.env.AGENT365_TOKEN_PATH ||
-  path.join(HOME, ".agent365-mcp", "tokens.json");
-const LEGACY_TOKEN_PATH = path.join(HOME, ".claude", "agent365-tokens.json");
+  path.join(PROFILE_DIR, "tokens.json");
+// Pre-profile token location, only consulted for the default profile
+const LEGACY_TOKEN_PATH = PROFILE === "default" ? path.join(HOME, ".claude", "agent365-tokens.json") : null;
 
 // Response handling configuration
 const MAX_RESPONSE_SIZE = parseInt(process.env.AGENT365_MAX_RESPONSE_SIZE) || 50000;
 const MAX_BUFFER_SIZE = 10 * 1024 * 1024; // 10MB max buffer
 const REQUEST_TIMEOUT = parseInt(process.env.AGENT365_TIMEOUT) || 60000;
 
+// Retry policy for Agent 365 and Graph calls (AGENT365_RETRY_MAX_ATTEMPTS=1 disables retries)
+const RETRY_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.AGENT365_RETRY_MAX_ATTEMPTS) || 4);
+const RETRY_BASE_DELAY = parseInt(process.env.AGENT365_RETRY_BASE_DELAY) || 500;
+const RETRY_MAX_DELAY = parseInt(process.env.AGENT365_RETRY_MAX_DELAY) || 30000;
+
 // Large file handling - if set, saves large responses to this directory
 const LARGE_FILE_DIR = process.env.AGENT365_LARGE_FILE_DIR || "";
 const LARGE_FILE_THRESHOLD = parseInt(process.env.AGENT365_LARGE_FILE_THRESHOLD) || 100000;
+// Saved responses hold mail and chat contents - keep them briefly and bounded
+// (0 disables a limit)
+const { maxAgeHours: LARGE_FILE_MAX_AGE_HOURS, maxSizeMb: LARGE_FILE_MAX_SIZE_MB } = retentionFromEnv();
+const LARGE_FILE_CLEANUP_ON_EXIT = process.env.AGENT365_LARGE_FILE_CLEANUP_ON_EXIT === "true";
+const LARGE_FILE_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Oversized results are otherwise kept in memory and exposed as
+// agent365://results/<id> resources (AGENT365_RESULT_TTL_MINUTES=0 to truncate instead)
+const RESULT_TTL_MINUTES = process.env.AGENT365_RESULT_TTL_MINUTES !== undefined
+  ? parseFloat(process.env.AGENT365_RESULT_TTL_MINUTES) || 0
+  : 60;
+const RESULT_STORE_MAX_SIZE = parseInt(process.env.AGENT365_RESULT_STORE_MAX_SIZE) || 50 * 1000 * 1000;
 
 // Safety configuration
 const ALLOW_DANGEROUS_TOOLS = process.env.AGENT365_ALLOW_DANGEROUS === "true";
+const POLICY_PATH = process.env.AGENT365_POLICY_PATH ||
+  path.join(HOME, ".agent365-mcp", "policy.json");
+
+// Audit log - one JSON line per tool call, rotated daily
+// (AGENT365_AUDIT=false to disable)
+const AUDIT_ENABLED = process.env.AGENT365_AUDIT !== "false";
+const AUDIT_DIR = process.env.AGENT365_AUDIT_DIR || path.join(HOME, ".agent365-mcp", "audit");
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AGENT365_AUDIT_RETENTION_DAYS) || 30;
+
+// Upstream tool catalogs cached on disk per tenant, served at startup and
+// refreshed in the background (AGENT365_TOOL_CACHE_TTL_HOURS=0 to disable)
+const TOOL_CACHE_DIR = process.env.AGENT365_TOOL_CACHE_DIR || path.join(PROFILE_DIR, "tool-cache");
+const TOOL_CACHE_TTL_HOURS = process.env.AGENT365_TOOL_CACHE_TTL_HOURS !== undefined
+  ? parseFloat(process.env.AGENT365_TOOL_CACHE_TTL_HOURS) || 0
+  : 24;
+
+// Ask the user before sending mail, posting messages or changing events
+// (AGENT365_CONFIRM_OUTBOUND=false to disable)
+const CONFIRM_OUTBOUND = process.env.AGENT365_CONFIRM_OUTBOUND !== "false";
+
+// Interactive login: "device" (device code) or "browser" (auth code + PKCE via
+// a loopback redirect, falling back to device code when no browser is available)
+const AUTH_METHOD = (process.env.AGENT365_AUTH_METHOD || "device").toLowerCase();
+if (!["device", "browser"].includes(AUTH_METHOD)) {
+  throw new Error(`Invalid AGENT365_AUTH_METHOD "${AUTH_METHOD}" (use device or browser)`);
+}
 
 // Servers to disable (comma-separated list, e.g., "copilot,excel")
 const DISABLED_SERVERS = (process.env.AGENT365_DISABLED_SERVERS || "").split(",").filter(Boolean);
 
+// Streamable HTTP mode - if a port is set, serve over HTTP instead of stdio
+// so one long-running proxy can be shared by several MCP clients.
+const HTTP_PORT = parseInt(process.env.AGENT365_HTTP_PORT) || 0;
+const HTTP_HOST = process.env.AGENT365_HTTP_HOST || "127.0.0.1";
+const HTTP_SECRET_PATH = path.join(HOME, ".agent365-mcp", "http-secret");
+
 // ============================================================================
 // MCP SERVER DEFINITIONS
 // Each server requires Copilot for M365 license unless noted otherwise.
@@ -136,1283 +206,4856 @@ function isDangerousTool(toolName) {
 }
 
 // ============================================================================
-// LARGE CONTENT HANDLING
-// Responses exceeding thresholds can be saved to filesystem for access.
+// TOOL POLICY
+// Optional declarative policy file (AGENT365_POLICY_PATH, default
+// ~/.agent365-mcp/policy.json) evaluated when tools are listed and again at
+// call time. Format:
+//
+//   {
+//     "allow": ["mail_*", "sharepoint_*"],        // if set, only these tools
+//     "deny": ["teams_PostChannelMessage"],        // always blocked
+//     "readOnly": ["teams"],                       // servers limited to read tools
+//     "rules": [{
+//       "tool": "mail_Send*",                      // glob or list of globs
+//       "path": "$.to[*]",                         // JSON path into the arguments
+//       "pattern": "@example\\.com$",              // every value must match
+//       "reason": "Mail may only be sent to example.com"
+//     }]
+//   }
+//
+// Rules also support "notPattern" (no value may match), "enum" (values must
+// be listed) and "required" (the path must be present).
 // ============================================================================
 
+// Tools treated as read-only when a server is in readOnly mode
+const READ_ONLY_TOOL_PATTERN = /^(get|list|search|find|read|query|fetch)/i;
+
+let toolPolicyCache = null; // { key, policy, error }
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+function matchesAnyGlob(name, globs) {
+  return [].concat(globs || []).some(glob => globToRegExp(glob).test(name));
+}
+
 /**
- * Save large content to filesystem and return a reference.
- * Falls back to truncation if filesystem saving is not configured.
+ * Split a JSON path like $.to[*].address or $['odd key'][0] into segments.
+ * Throws on syntax it doesn't understand so bad policies fail loudly.
  */
-function handleLargeContent(text, toolName) {
-  if (!text || typeof text !== "string") return text;
+function parseJsonPath(jsonPath) {
+  if (typeof jsonPath !== "string" || !jsonPath.startsWith("$")) {
+    throw new Error(`Invalid JSON path "${jsonPath}" (must start with $)`);
+  }
 
-  const size = text.length;
-  if (size <= LARGE_FILE_THRESHOLD) return text;
+  const segments = [];
+  let rest = jsonPath.slice(1);
+  const segmentPattern = /^(?:\.([^.[\]]+)|\[(\d+|\*)\]|\[['"]([^'"]+)['"]\])/;
+  while (rest) {
+    const match = segmentPattern.exec(rest);
+    if (!match) {
+      throw new Error(`Invalid JSON path "${jsonPath}" near "${rest}"`);
+    }
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(match[2] === "*" ? "*" : Number(match[2]));
+    else segments.push(match[3]);
+    rest = rest.slice(match[0].length);
+  }
+  return segments;
+}
 
-  // If large file directory is configured, save to file
-  if (LARGE_FILE_DIR) {
-    try {
-      const dir = path.resolve(LARGE_FILE_DIR);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+/**
+ * Return every value at jsonPath within obj. Arrays found at the end of the
+ * path are flattened so "$.to" checks each recipient.
+ */
+function selectJsonPath(obj, jsonPath) {
+  let current = [obj];
+  for (const segment of parseJsonPath(jsonPath)) {
+    const next = [];
+    for (const value of current) {
+      if (value === null || typeof value !== "object") continue;
+      if (segment === "*") {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (value[segment] !== undefined) {
+        next.push(value[segment]);
       }
+    }
+    current = next;
+  }
+  return current.flatMap(value => (Array.isArray(value) ? value : [value]));
+}
 
-      const timestamp = Date.now();
-      const safeName = toolName.replace(/[^a-zA-Z0-9_-]/g, "_");
-      const filename = `agent365-${safeName}-${timestamp}.txt`;
-      const filepath = path.join(dir, filename);
+function validateToolPolicy(policy) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    throw new Error("policy must be a JSON object");
+  }
+  for (const key of ["allow", "deny", "readOnly"]) {
+    if (policy[key] !== undefined && !Array.isArray(policy[key])) {
+      throw new Error(`"${key}" must be an array`);
+    }
+  }
+  (policy.rules || []).forEach((rule, i) => {
+    if (!rule.tool) throw new Error(`rules[${i}] is missing "tool"`);
+    parseJsonPath(rule.path || "$");
+    if (rule.pattern) new RegExp(rule.pattern);
+    if (rule.notPattern) new RegExp(rule.notPattern);
+  });
+}
 
-      fs.writeFileSync(filepath, text, "utf8");
+/**
+ * Load the policy file, re-reading it when it changes on disk.
+ * Returns { policy, error }; policy is null when no file exists.
+ */
+function loadToolPolicy() {
+  let stats;
+  try {
+    stats = fs.statSync(POLICY_PATH);
+  } catch (e) {
+    toolPolicyCache = null;
+    return { policy: null, error: null };
+  }
 
-      return JSON.stringify({
-        message: `Response saved to file (${(size / 1024).toFixed(1)}KB)`,
-        filepath: filepath,
-        size: size,
-        hint: "Use the Read tool to access this file, or use more specific queries to reduce response size.",
-      });
-    } catch (err) {
-      console.error(`Failed to save large response to file: ${err.message}`);
-      // Fall through to truncation
-    }
+  const key = `${stats.mtimeMs}:${stats.size}`;
+  if (toolPolicyCache && toolPolicyCache.key === key) {
+    return toolPolicyCache;
   }
 
-  // Truncate with helpful message
-  if (size > MAX_RESPONSE_SIZE) {
-    const truncated = text.slice(0, MAX_RESPONSE_SIZE);
-    const remaining = size - MAX_RESPONSE_SIZE;
-    return `${truncated}\n\n... [Content truncated: ${remaining.toLocaleString()} more characters. Set AGENT365_LARGE_FILE_DIR to save large responses to disk, or use more specific queries.]`;
+  try {
+    const policy = JSON.parse(fs.readFileSync(POLICY_PATH, "utf8"));
+    validateToolPolicy(policy);
+    toolPolicyCache = { key, policy, error: null };
+  } catch (e) {
+    console.error(`Invalid tool policy ${POLICY_PATH}: ${e.message} - blocking all Microsoft 365 tools`);
+    toolPolicyCache = { key, policy: null, error: e.message };
   }
+  return toolPolicyCache;
+}
 
-  return text;
+function isReadOnlyTool(toolName, annotations) {
+  if (annotations?.readOnlyHint === true) return true;
+  const baseName = toolName.slice(toolName.indexOf("_") + 1);
+  return READ_ONLY_TOOL_PATTERN.test(baseName);
+}
+
+function checkPolicyRule(rule, args) {
+  const values = selectJsonPath(args || {}, rule.path || "$");
+  const reason = rule.reason || `argument ${rule.path || "$"} violates policy rule`;
+
+  if (values.length === 0) {
+    return rule.required ? `${reason} (${rule.path} is required)` : null;
+  }
+  for (const value of values) {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    if (rule.pattern && !new RegExp(rule.pattern, "i").test(text)) return `${reason} (got ${text})`;
+    if (rule.notPattern && new RegExp(rule.notPattern, "i").test(text)) return `${reason} (got ${text})`;
+    if (rule.enum && !rule.enum.includes(value)) return `${reason} (got ${text})`;
+  }
+  return null;
 }
 
 /**
- * Process MCP result content, handling large responses appropriately.
+ * Decide whether a (prefixed) tool may be listed or called.
+ * Pass args at call time; without args, argument rules are skipped.
+ * Returns { allowed: true } or { allowed: false, reason }.
  */
-function processResult(result, toolName = "unknown") {
-  if (!result) return result;
+function evaluateToolPolicy(toolName, { serverKey, originalName, args, annotations } = {}) {
+  const key = serverKey || toolName.split("_")[0];
+  const baseName = originalName || toolName.slice(toolName.indexOf("_") + 1);
 
-  // Handle content array (standard MCP format)
-  if (result.content && Array.isArray(result.content)) {
-    result.content = result.content.map(item => {
-      if (item.type === "text" && item.text) {
-        item.text = handleLargeContent(item.text, toolName);
-      }
-      return item;
-    });
+  if (isDangerousTool(baseName)) {
+    return { allowed: false, reason: "tool can permanently modify or delete data (set AGENT365_ALLOW_DANGEROUS=true to enable)" };
   }
 
-  // Handle raw text content
-  if (typeof result === "string") {
-    return handleLargeContent(result, toolName);
+  const { policy, error } = loadToolPolicy();
+  if (error) {
+    return { allowed: false, reason: `policy file ${POLICY_PATH} is invalid: ${error}` };
+  }
+  if (!policy) {
+    return { allowed: true };
   }
 
-  // Handle response field (Agent 365 format)
-  if (result.response && typeof result.response === "string") {
-    result.response = handleLargeContent(result.response, toolName);
+  if (matchesAnyGlob(toolName, policy.deny)) {
+    return { allowed: false, reason: `${toolName} is denied by policy` };
+  }
+  if ((policy.readOnly || []).includes(key) && !isReadOnlyTool(toolName, annotations)) {
+    return { allowed: false, reason: `${key} server is read-only by policy` };
+  }
+  if (policy.allow && !matchesAnyGlob(toolName, policy.allow)) {
+    return { allowed: false, reason: `${toolName} is not in the policy allow list` };
   }
 
-  // Handle message field
-  if (result.message && typeof result.message === "string" && result.message.length > LARGE_FILE_THRESHOLD) {
-    result.message = handleLargeContent(result.message, toolName);
+  if (args !== undefined) {
+    for (const rule of policy.rules || []) {
+      if (!matchesAnyGlob(toolName, rule.tool)) continue;
+      const violation = checkPolicyRule(rule, args);
+      if (violation) {
+        return { allowed: false, reason: violation };
+      }
+    }
   }
 
-  return result;
+  return { allowed: true };
 }
 
 // ============================================================================
-// TOKEN MANAGEMENT (with auto-refresh support)
+// OUTBOUND ACTION CONFIRMATION
+// Tools that send something on the user's behalf are held until the user
+// approves a rendered summary: via MCP elicitation when the client supports
+// it, otherwise via a preview token the agent must echo back.
 // ============================================================================
 
-const { PublicClientApplication } = require("@azure/msal-node");
-
-const MSAL_CACHE_PATH = path.join(HOME, ".agent365-mcp", "msal-cache.json");
-const AGENT365_API = "ea9ffc3e-8a23-4a7d-836d-234d7c7565c1";
-
-// In-memory token cache for the session
-let cachedToken = null;
-let cachedTokenExpiry = null;
-
-function createMsalCachePlugin() {
-  const beforeCacheAccess = async (cacheContext) => {
-    try {
-      if (fs.existsSync(MSAL_CACHE_PATH)) {
-        cacheContext.tokenCache.deserialize(fs.readFileSync(MSAL_CACHE_PATH, "utf8"));
-      }
-    } catch (e) {
-      // Ignore cache read errors
-    }
-  };
+const OUTBOUND_TOOL_PATTERNS = [
+  /^mail_(Send|Reply|Forward)/i,
+  /^teams_(Post|Send|Reply)/i,
+  /^calendar_(Create|Update|Cancel|Accept|Decline|TentativelyAccept|Forward)/i,
+  /^sharepoint_.*(share|invite)/i,
+];
 
-  const afterCacheAccess = async (cacheContext) => {
-    if (cacheContext.cacheHasChanged) {
-      const dir = path.dirname(MSAL_CACHE_PATH);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      fs.writeFileSync(MSAL_CACHE_PATH, cacheContext.tokenCache.serialize());
-    }
-  };
+const CONFIRMATION_TTL = 10 * 60 * 1000; // Preview tokens are valid for 10 minutes
+const pendingConfirmations = new Map(); // token -> { toolName, argsHash, expiresAt }
 
-  return { beforeCacheAccess, afterCacheAccess };
+function isOutboundTool(toolName) {
+  return OUTBOUND_TOOL_PATTERNS.some(pattern => pattern.test(toolName));
 }
 
-async function refreshTokenSilently() {
-  // Load config to get tenant/client IDs
-  const tokenData = loadTokenData();
-  if (!tokenData || !tokenData.tenantId || !tokenData.clientId) {
-    return null;
+// Argument names rendered in the summary, in display order
+const SUMMARY_FIELDS = [
+  ["To", ["to", "toRecipients", "recipients"]],
+  ["Cc", ["cc", "ccRecipients"]],
+  ["Bcc", ["bcc", "bccRecipients"]],
+  ["Attendees", ["attendees", "requiredAttendees", "optionalAttendees"]],
+  ["Subject", ["subject", "title", "meetingTitle"]],
+  ["Start", ["start", "startDateTime"]],
+  ["End", ["end", "endDateTime"]],
+  ["Team", ["teamId"]],
+  ["Channel", ["channelId"]],
+  ["Chat", ["chatId"]],
+  ["Attachments", ["directAttachmentFilePaths", "attachmentUris", "attachments"]],
+];
+const BODY_FIELDS = ["body", "content", "contentInHtml", "message", "comment"];
+const BODY_PREVIEW_LENGTH = 500;
+
+function formatSummaryValue(value) {
+  if (Array.isArray(value)) return value.map(formatSummaryValue).join(", ");
+  if (value && typeof value === "object") {
+    return value.emailAddress?.address || value.address || value.name ||
+      value.dateTime || value.content || JSON.stringify(value);
   }
+  return String(value);
+}
 
-  const pca = new PublicClientApplication({
-    auth: {
-      clientId: tokenData.clientId,
-      authority: `https://login.microsoftonline.com/${tokenData.tenantId}`,
-    },
-    cache: {
-      cachePlugin: createMsalCachePlugin(),
-    },
-  });
+/**
+ * Render a human-readable summary of an outbound action for approval.
+ */
+function summarizeOutboundAction(toolName, args) {
+  const lines = [`Action: ${toolName}`];
 
-  const accounts = await pca.getTokenCache().getAllAccounts();
-  if (accounts.length === 0) {
-    return null;
+  for (const [label, keys] of SUMMARY_FIELDS) {
+    const values = keys.filter(key => args[key] !== undefined && args[key] !== "").map(key => formatSummaryValue(args[key]));
+    if (values.length > 0) {
+      lines.push(`${label}: ${values.join(", ")}`);
+    }
   }
 
-  try {
-    const response = await pca.acquireTokenSilent({
-      account: accounts[0],
-      scopes: [`${AGENT365_API}/.default`],
-    });
+  const bodyKey = BODY_FIELDS.find(key => args[key] !== undefined);
+  if (bodyKey) {
+    const text = formatSummaryValue(args[bodyKey]).replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+    const preview = text.length > BODY_PREVIEW_LENGTH ? `${text.slice(0, BODY_PREVIEW_LENGTH)}…` : text;
+    lines.push(`Body: ${preview}`);
+  }
 
-    // Update the stored token
-    const tokenPath = TOKEN_CACHE_PATH;
-    fs.writeFileSync(tokenPath, JSON.stringify({
-      accessToken: response.accessToken,
-      expiresOn: response.expiresOn,
-      account: response.account,
-      tenantId: tokenData.tenantId,
-      clientId: tokenData.clientId,
-    }));
+  return lines.join("\n");
+}
 
-    console.error(`Token refreshed silently, expires: ${response.expiresOn}`);
-    return response.accessToken;
-  } catch (e) {
-    console.error(`Silent token refresh failed: ${e.message}`);
-    return null;
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
   }
+  return JSON.stringify(value);
 }
 
-function loadTokenData() {
-  const paths = [TOKEN_CACHE_PATH, LEGACY_TOKEN_PATH];
-  for (const tokenPath of paths) {
+function hashArgs(args) {
+  return crypto.createHash("sha256").update(stableStringify(args || {})).digest("hex");
+}
+
+/**
+ * Hold an outbound call until the user approves it.
+ * Returns { approved: true, args } with confirmationToken stripped, or
+ * { approved: false, result } with the tool result to return instead.
+ */
+async function confirmOutboundAction(toolName, args, srv) {
+  const { confirmationToken, ...actionArgs } = args || {};
+  const summary = summarizeOutboundAction(toolName, actionArgs);
+
+  if (srv?.getClientCapabilities?.()?.elicitation) {
     try {
-      if (fs.existsSync(tokenPath)) {
-        return JSON.parse(fs.readFileSync(tokenPath, "utf8"));
+      const response = await srv.elicitInput({
+        message: `The agent wants to perform this action on your behalf:\n\n${summary}`,
+        requestedSchema: {
+          type: "object",
+          properties: {
+            approve: { type: "boolean", title: "Approve", description: "Allow this action to be sent" },
+          },
+          required: ["approve"],
+        },
+      });
+      if (response.action === "accept" && response.content?.approve === true) {
+        return { approved: true, args: actionArgs };
       }
+      return {
+        approved: false,
+        result: {
+          content: [{ type: "text", text: `Not sent: the user did not approve this action.\n\n${summary}` }],
+          isError: true,
+        },
+      };
     } catch (e) {
-      // Try next path
+      console.error(`Elicitation failed for ${toolName}, falling back to preview token: ${e.message}`);
     }
   }
-  return null;
-}
 
-async function loadToken() {
-  // Check in-memory cache first
-  if (cachedToken && cachedTokenExpiry && new Date(cachedTokenExpiry) > new Date()) {
-    return cachedToken;
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt <= now) pendingConfirmations.delete(token);
   }
 
-  const paths = [TOKEN_CACHE_PATH, LEGACY_TOKEN_PATH];
-
-  for (const tokenPath of paths) {
-    try {
-      if (fs.existsSync(tokenPath)) {
-        const data = JSON.parse(fs.readFileSync(tokenPath, "utf8"));
-        if (data.expiresOn && new Date(data.expiresOn) > new Date()) {
-          cachedToken = data.accessToken;
-          cachedTokenExpiry = data.expiresOn;
-          return data.accessToken;
-        }
-      }
-    } catch (e) {
-      // Try next path
+  if (confirmationToken) {
+    const pending = pendingConfirmations.get(confirmationToken);
+    pendingConfirmations.delete(confirmationToken); // Single use
+    if (pending && pending.toolName === toolName && pending.argsHash === hashArgs(actionArgs)) {
+      return { approved: true, args: actionArgs };
     }
+    return {
+      approved: false,
+      result: {
+        content: [{
+          type: "text",
+          text: `Not sent: confirmationToken is invalid, expired, or the arguments differ from the approved preview. Call ${toolName} without confirmationToken to get a new preview.`,
+        }],
+        isError: true,
+      },
+    };
   }
 
-  // Token expired - try to refresh silently
-  console.error("Access token expired, attempting silent refresh...");
-  const refreshedToken = await refreshTokenSilently();
-  if (refreshedToken) {
-    cachedToken = refreshedToken;
-    cachedTokenExpiry = new Date(Date.now() + 3600 * 1000).toISOString(); // ~1 hour
-    return refreshedToken;
-  }
+  const token = crypto.randomBytes(12).toString("hex");
+  pendingConfirmations.set(token, { toolName, argsHash: hashArgs(actionArgs), expiresAt: now + CONFIRMATION_TTL });
 
-  console.error("No valid token found. Run: npx github:rapyuta-robotics/agent365-mcp auth");
-  return null;
+  return {
+    approved: false,
+    result: {
+      content: [{
+        type: "text",
+        text: `Confirmation required - nothing has been sent yet.\n\n${summary}\n\nFor agent: show this preview to the user. Only if they approve, call ${toolName} again with exactly the same arguments plus confirmationToken: "${token}". The token is single-use and expires in ${CONFIRMATION_TTL / 60000} minutes.`,
+      }],
+    },
+  };
+}
+
+/**
+ * Add the confirmationToken argument to an outbound tool's input schema.
+ */
+function withConfirmationTokenSchema(inputSchema) {
+  const schema = inputSchema || { type: "object", properties: {} };
+  return {
+    ...schema,
+    properties: {
+      ...(schema.properties || {}),
+      confirmationToken: {
+        type: "string",
+        description: "Token from the confirmation preview. Only set this after the user has approved the previewed action.",
+      },
+    },
+  };
 }
 
 // ============================================================================
-// GRAPH API TOKEN MANAGEMENT
-// Separate token for direct Microsoft Graph API calls (large file upload,
-// meeting transcripts). Uses same MSAL PCA pattern as Agent365 token.
+// AUDIT LOG
+// Appends one JSON line per tool call to AUDIT_DIR/YYYY-MM-DD.jsonl.
+// Argument values are redacted except identifiers, paths and recipients.
+// Read with: agent365-mcp audit
 // ============================================================================
 
-const GRAPH_SCOPES = ["Files.ReadWrite.All", "Sites.ReadWrite.All", "OnlineMeetings.Read", "OnlineMeetingTranscript.Read.All"];
-const GRAPH_TOKEN_PATH = path.join(HOME, ".agent365-mcp", "graph-tokens.json");
-let cachedGraphToken = null;
-let cachedGraphTokenExpiry = null;
+// Argument names whose values are kept in the audit log (everything else is redacted)
+const AUDIT_VISIBLE_ARG_PATTERN = /^(to|cc|bcc|toRecipients|ccRecipients|bccRecipients|recipients|attendees|filename|fileName|format)$|(Id|Ids|Path|Paths|Url|Uri|Uris)$/;
+const AUDIT_MAX_VALUE_LENGTH = 200;
+
+let lastAuditPruneDay = null;
+
+function summarizeArgsForAudit(args) {
+  const summary = {};
+  for (const [key, value] of Object.entries(args || {})) {
+    if (value === null || typeof value === "number" || typeof value === "boolean") {
+      summary[key] = value;
+    } else if (AUDIT_VISIBLE_ARG_PATTERN.test(key)) {
+      const text = typeof value === "string" ? value : JSON.stringify(value);
+      summary[key] = text.length > AUDIT_MAX_VALUE_LENGTH ? `${text.slice(0, AUDIT_MAX_VALUE_LENGTH)}…` : text;
+    } else if (Array.isArray(value)) {
+      summary[key] = `[redacted: ${value.length} items]`;
+    } else if (typeof value === "object") {
+      summary[key] = `[redacted: object with ${Object.keys(value).length} keys]`;
+    } else {
+      summary[key] = `[redacted: ${String(value).length} chars]`;
+    }
+  }
+  return summary;
+}
+
+function getResultSize(result) {
+  if (!result?.content) return 0;
+  return result.content.reduce((total, item) => total + (item.text ? item.text.length : JSON.stringify(item).length), 0);
+}
+
+/**
+ * Delete audit files older than AUDIT_RETENTION_DAYS.
+ */
+function pruneAuditLogs(now = new Date()) {
+  if (!fs.existsSync(AUDIT_DIR)) return 0;
+
+  const cutoff = new Date(now.getTime() - AUDIT_RETENTION_DAYS * 24 * 3600 * 1000).toISOString().slice(0, 10);
+  let removed = 0;
+  for (const file of fs.readdirSync(AUDIT_DIR)) {
+    const match = /^(\d{4}-\d{2}-\d{2})\.jsonl$/.exec(file);
+    if (match && match[1] < cutoff) {
+      try {
+        fs.unlinkSync(path.join(AUDIT_DIR, file));
+        removed++;
+      } catch (e) {
+        // Ignore - retried on next prune
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Append one audit entry. Never throws - auditing must not break tool calls.
+ */
+function recordAuditEntry(entry) {
+  if (!AUDIT_ENABLED) return;
 
-function loadGraphTokenData() {
   try {
-    if (fs.existsSync(GRAPH_TOKEN_PATH)) {
-      return JSON.parse(fs.readFileSync(GRAPH_TOKEN_PATH, "utf8"));
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+    if (!fs.existsSync(AUDIT_DIR)) {
+      fs.mkdirSync(AUDIT_DIR, { recursive: true, mode: 0o700 });
     }
+    if (lastAuditPruneDay !== day) {
+      lastAuditPruneDay = day;
+      pruneAuditLogs(now);
+    }
+
+    const line = JSON.stringify({ timestamp: now.toISOString(), ...entry });
+    fs.appendFileSync(path.join(AUDIT_DIR, `${day}.jsonl`), `${line}\n`, { mode: 0o600 });
   } catch (e) {
-    // Ignore
+    console.error(`Failed to write audit log: ${e.message}`);
   }
-  return null;
 }
 
-async function refreshGraphTokenSilently() {
-  const tokenData = loadTokenData();
-  if (!tokenData || !tokenData.tenantId || !tokenData.clientId) {
-    return null;
-  }
+// ============================================================================
+// RESULT RESOURCES
+// Oversized tool results kept in memory and readable via resources/read on
+// agent365://results/<id>?offset=<n>&length=<n>. Each result belongs to the
+// MCP session whose tool call produced it (extra.sessionId; undefined over
+// stdio), so HTTP clients sharing the proxy cannot list or read each
+// other's results. Evicted after RESULT_TTL_MINUTES, oldest first once
+// RESULT_STORE_MAX_SIZE characters are held.
+// ============================================================================
 
-  const pca = new PublicClientApplication({
-    auth: {
-      clientId: tokenData.clientId,
-      authority: `https://login.microsoftonline.com/${tokenData.tenantId}`,
-    },
-    cache: {
-      cachePlugin: createMsalCachePlugin(),
-    },
-  });
+const RESULT_URI_PREFIX = "agent365://results/";
+const resultStore = new Map();
+let resultStoreSize = 0;
 
-  const accounts = await pca.getTokenCache().getAllAccounts();
-  if (accounts.length === 0) {
-    return null;
+function pruneResultStore(now = Date.now()) {
+  for (const [id, entry] of resultStore) {
+    if (now - entry.createdAt <= RESULT_TTL_MINUTES * 60 * 1000 && resultStoreSize <= RESULT_STORE_MAX_SIZE) {
+      break; // Map iterates oldest first
+    }
+    resultStore.delete(id);
+    resultStoreSize -= entry.text.length;
   }
+}
 
-  try {
-    const response = await pca.acquireTokenSilent({
-      account: accounts[0],
-      scopes: GRAPH_SCOPES,
-    });
+/**
+ * Keep a result in the store for `sessionId`. Returns its resource
+ * description, or null when the store is disabled or the result alone
+ * exceeds its capacity.
+ */
+function storeResult(text, toolName, sessionId) {
+  if (RESULT_TTL_MINUTES <= 0 || text.length > RESULT_STORE_MAX_SIZE) return null;
 
-    const dir = path.dirname(GRAPH_TOKEN_PATH);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+  const id = crypto.randomBytes(8).toString("hex");
+  let mimeType = "text/plain";
+  try {
+    JSON.parse(text);
+    mimeType = "application/json";
+  } catch (e) {
+    // Not JSON
+  }
 
-    fs.writeFileSync(GRAPH_TOKEN_PATH, JSON.stringify({
-      accessToken: response.accessToken,
-      expiresOn: response.expiresOn,
-      account: response.account,
-      tenantId: tokenData.tenantId,
-      clientId: tokenData.clientId,
-    }));
+  resultStore.set(id, { text, toolName, mimeType, sessionId, createdAt: Date.now() });
+  resultStoreSize += text.length;
+  pruneResultStore();
 
-    console.error(`Graph token refreshed silently, expires: ${response.expiresOn}`);
-    return response.accessToken;
+  return {
+    uri: `${RESULT_URI_PREFIX}${id}`,
+    name: `${toolName} result`,
+    mimeType,
+    size: text.length,
+  };
+}
+
+function resourceNotFound(uri) {
+  const error = new Error(`Resource not found or expired: ${uri}`);
+  error.code = -32002;
+  return error;
+}
+
+async function handleListResources(request, extra) {
+  pruneResultStore();
+  const owned = Array.from(resultStore).filter(([, entry]) => entry.sessionId === extra?.sessionId);
+  return {
+    resources: owned.map(([id, entry]) => ({
+      uri: `${RESULT_URI_PREFIX}${id}`,
+      name: `${entry.toolName} result`,
+      description: `Full result of ${entry.toolName} (${entry.text.length.toLocaleString()} characters), stored ${new Date(entry.createdAt).toISOString()}`,
+      mimeType: entry.mimeType,
+      size: entry.text.length,
+    })),
+  };
+}
+
+/**
+ * Read one page of a stored result. `offset` and `length` are character
+ * counts given as URI query parameters; length defaults to MAX_RESPONSE_SIZE
+ * and is capped at LARGE_FILE_THRESHOLD.
+ */
+async function handleReadResource(request, extra) {
+  const { uri } = request.params;
+  let parsed;
+  try {
+    parsed = new URL(uri);
   } catch (e) {
-    console.error(`Silent Graph token refresh failed: ${e.message}`);
-    return null;
+    throw resourceNotFound(uri);
+  }
+  const id = parsed.pathname.replace(/^\//, "");
+  if (`${parsed.protocol}//${parsed.host}/` !== RESULT_URI_PREFIX) {
+    throw resourceNotFound(uri);
   }
+
+  pruneResultStore();
+  const entry = resultStore.get(id);
+  if (!entry || entry.sessionId !== extra?.sessionId) {
+    throw resourceNotFound(uri);
+  }
+
+  const total = entry.text.length;
+  const offset = Math.min(Math.max(0, parseInt(parsed.searchParams.get("offset")) || 0), total);
+  const length = Math.min(Math.max(1, parseInt(parsed.searchParams.get("length")) || MAX_RESPONSE_SIZE), LARGE_FILE_THRESHOLD);
+  const end = Math.min(offset + length, total);
+
+  return {
+    contents: [{
+      uri,
+      mimeType: entry.mimeType,
+      text: entry.text.slice(offset, end),
+    }],
+    _meta: {
+      offset,
+      length: end - offset,
+      total,
+      ...(end < total && { nextUri: `${RESULT_URI_PREFIX}${id}?offset=${end}&length=${length}` }),
+    },
+  };
 }
 
-async function loadGraphToken() {
-  // Check in-memory cache first
-  if (cachedGraphToken && cachedGraphTokenExpiry && new Date(cachedGraphTokenExpiry) > new Date()) {
-    return cachedGraphToken;
+// ============================================================================
+// LARGE CONTENT HANDLING
+// Responses exceeding thresholds are saved to the filesystem when
+// AGENT365_LARGE_FILE_DIR is set, otherwise exposed as result resources.
+// ============================================================================
+
+// This process's subdirectory of LARGE_FILE_DIR, created on first save
+let largeFileSessionDir = null;
+
+function getLargeFileSessionDir() {
+  if (!largeFileSessionDir || !fs.existsSync(largeFileSessionDir)) {
+    largeFileSessionDir = createSessionDir(LARGE_FILE_DIR);
   }
+  return largeFileSessionDir;
+}
 
-  // Check token file
+/**
+ * Apply the age and size limits to LARGE_FILE_DIR.
+ */
+function pruneLargeFiles() {
+  if (!LARGE_FILE_DIR) return null;
   try {
-    if (fs.existsSync(GRAPH_TOKEN_PATH)) {
-      const data = JSON.parse(fs.readFileSync(GRAPH_TOKEN_PATH, "utf8"));
-      if (data.expiresOn && new Date(data.expiresOn) > new Date()) {
-        cachedGraphToken = data.accessToken;
-        cachedGraphTokenExpiry = data.expiresOn;
-        return data.accessToken;
-      }
+    const result = pruneSpillDir(LARGE_FILE_DIR, {
+      maxAgeMs: LARGE_FILE_MAX_AGE_HOURS * 3600 * 1000,
+      maxBytes: LARGE_FILE_MAX_SIZE_MB * 1024 * 1024,
+      keepDir: largeFileSessionDir,
+    });
+    if (result.removedFiles > 0) {
+      console.error(`Pruned ${result.removedFiles} saved responses (${(result.removedBytes / 1024 / 1024).toFixed(1)}MB) from ${LARGE_FILE_DIR}`);
     }
+    return result;
   } catch (e) {
-    // Ignore
+    console.error(`Failed to prune ${LARGE_FILE_DIR}: ${e.message}`);
+    return null;
   }
+}
 
-  // Token expired or missing - try silent refresh
-  console.error("Graph token expired or missing, attempting silent refresh...");
-  const refreshedToken = await refreshGraphTokenSilently();
-  if (refreshedToken) {
-    cachedGraphToken = refreshedToken;
-    cachedGraphTokenExpiry = new Date(Date.now() + 3600 * 1000).toISOString();
-    return refreshedToken;
+// Fields dropped when shrinking JSON results: OData annotations (paging
+// links are kept), HTML bodies and inline base64 content
+const KEPT_ODATA_FIELDS = new Set(["@odata.nextLink", "@odata.deltaLink", "@odata.count"]);
+const BULKY_VALUE_MIN_LENGTH = 500;
+const HTML_VALUE_PATTERN = /^\s*<(!doctype|html|head|body|div|p|table|span|meta|style)\b/i;
+const BASE64_VALUE_PATTERN = /^[A-Za-z0-9+/\r\n]+={0,2}$/;
+// Room left in the budget for the footer appended after reduced content
+const REDUCTION_FOOTER_RESERVE = 600;
+
+function stripBulkyFields(value, stats) {
+  if (Array.isArray(value)) {
+    return value.map(item => stripBulkyFields(item, stats));
+  }
+  if (typeof value === "string" && value.length >= BULKY_VALUE_MIN_LENGTH) {
+    if (HTML_VALUE_PATTERN.test(value)) {
+      stats.html++;
+      return `[HTML omitted: ${value.length} chars]`;
+    }
+    if (BASE64_VALUE_PATTERN.test(value)) {
+      stats.base64++;
+      return `[base64 omitted: ${value.length} chars]`;
+    }
+    return value;
+  }
+  if (!value || typeof value !== "object") {
+    return value;
   }
 
-  return null;
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key.includes("@odata.") && !KEPT_ODATA_FIELDS.has(key)) {
+      stats.odata++;
+      continue;
+    }
+    result[key] = stripBulkyFields(child, stats);
+  }
+  return result;
 }
 
-async function acquireGraphToken() {
-  const config = loadServerConfig();
-  if (!config) {
-    return null;
+/**
+ * Locate the list of items in a result: the root array, or the largest
+ * array property (e.g. Graph's `value`). `rebuild` swaps in a subset.
+ */
+function findItemArray(root) {
+  if (Array.isArray(root)) {
+    return { items: root, rebuild: (kept) => kept };
   }
-
-  const pca = new PublicClientApplication({
-    auth: {
-      clientId: config.clientId,
-      authority: `https://login.microsoftonline.com/${config.tenantId}`,
-    },
-    cache: {
-      cachePlugin: createMsalCachePlugin(),
-    },
-  });
-
-  // Try silent first
-  const accounts = await pca.getTokenCache().getAllAccounts();
-  if (accounts.length > 0) {
-    try {
-      const response = await pca.acquireTokenSilent({
-        account: accounts[0],
-        scopes: GRAPH_SCOPES,
-      });
-      saveGraphToken(response, config);
-      return response.accessToken;
-    } catch (e) {
-      // Fall through to device code
+  if (!root || typeof root !== "object") return null;
+
+  let bestKey = null;
+  let bestSize = 0;
+  for (const [key, child] of Object.entries(root)) {
+    if (!Array.isArray(child)) continue;
+    const size = JSON.stringify(child).length;
+    if (size > bestSize) {
+      bestKey = key;
+      bestSize = size;
     }
   }
+  return bestKey === null ? null : { items: root[bestKey], rebuild: (kept) => ({ ...root, [bestKey]: kept }) };
+}
 
-  // Device code flow
-  return new Promise((resolve) => {
-    pca.acquireTokenByDeviceCode({
-      scopes: GRAPH_SCOPES,
-      deviceCodeCallback: (response) => {
-        const deviceCode = response.userCode;
-        const verificationUrl = response.verificationUriComplete || response.verificationUri;
+/**
+ * Shrink a JSON result to `budget` characters without cutting items in
+ * half: drop bulky fields, then keep whole items of the main array while
+ * they fit. Returns null when the text is not JSON or cannot be reduced
+ * that way (no item array, or the first item alone is too large).
+ */
+function reduceJsonContent(text, budget) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  if (!parsed || typeof parsed !== "object") return null;
 
-        saveDeviceCodeToFile(deviceCode, response.verificationUri);
-        copyToClipboard(deviceCode);
+  const stats = { html: 0, base64: 0, odata: 0 };
+  const stripped = stripBulkyFields(parsed, stats);
+  const target = findItemArray(stripped);
+  const nextLink = Array.isArray(stripped) ? undefined : stripped["@odata.nextLink"];
+  const total = target ? target.items.length : null;
 
-        // Store for the caller to use
-        resolve({
-          deviceCode,
-          verificationUrl,
-          authPromise: null, // Will be set below
-        });
-      },
-    }).then((response) => {
-      saveGraphToken(response, loadServerConfig());
-      console.error(`Graph API authentication completed for ${response.account?.username}`);
-    }).catch((e) => {
-      console.error(`Graph API authentication failed: ${e.message}`);
-    });
-  });
+  const full = JSON.stringify(stripped);
+  if (full.length <= budget) {
+    return { text: full, shown: total, total, nextLink, stats };
+  }
+  if (!target) return null;
+
+  const kept = [];
+  let used = JSON.stringify(target.rebuild([])).length;
+  for (const item of target.items) {
+    const itemSize = JSON.stringify(item).length + (kept.length > 0 ? 1 : 0);
+    if (used + itemSize > budget) break;
+    kept.push(item);
+    used += itemSize;
+  }
+  if (kept.length === 0) return null;
+
+  return { text: JSON.stringify(target.rebuild(kept)), shown: kept.length, total, nextLink, stats };
 }
 
-function saveGraphToken(response, config) {
-  const dir = path.dirname(GRAPH_TOKEN_PATH);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+function describeJsonReduction({ shown, total, nextLink, stats }) {
+  const parts = [];
+  if (total !== null) {
+    parts.push(shown < total
+      ? `Showing ${shown.toLocaleString()} of ${total.toLocaleString()} items (${(total - shown).toLocaleString()} left out)`
+      : `Showing all ${total.toLocaleString()} items`);
+  }
+  const dropped = [
+    stats.html && `${stats.html} HTML bodies`,
+    stats.base64 && `${stats.base64} base64 values`,
+    stats.odata && `${stats.odata} @odata fields`,
+  ].filter(Boolean);
+  if (dropped.length > 0) {
+    parts.push(`omitted ${dropped.join(", ")}`);
   }
 
-  fs.writeFileSync(GRAPH_TOKEN_PATH, JSON.stringify({
-    accessToken: response.accessToken,
-    expiresOn: response.expiresOn,
-    account: response.account,
-    tenantId: config.tenantId,
-    clientId: config.clientId,
-  }));
-
-  cachedGraphToken = response.accessToken;
-  cachedGraphTokenExpiry = response.expiresOn;
+  let summary = `${parts.join("; ")}.`;
+  if (nextLink) {
+    summary += " More results are available from Microsoft 365: follow the @odata.nextLink above.";
+  } else if (total !== null && shown < total) {
+    summary += " To see the rest, call the tool again with paging (e.g. top/skip) or narrower filters.";
+  }
+  return summary;
 }
 
 /**
- * Make an HTTPS request to Microsoft Graph API.
- * Returns parsed JSON response, or an error object { error: string } on failure.
+ * Save large content to filesystem or the result store (owned by
+ * `sessionId`) and return a reference. Resource links for stored results
+ * are pushed onto `links` when given. Falls back to truncation if neither
+ * is available.
  */
-async function makeGraphRequest(method, urlPath, body, extraHeaders) {
-  const token = await loadGraphToken();
-  if (!token) {
-    return { error: "No Graph API token available. Call the agent365_graph_auth tool to authenticate with Microsoft Graph API." };
-  }
+function handleLargeContent(text, toolName, links, sessionId) {
+  if (!text || typeof text !== "string") return text;
 
-  return new Promise((resolve, reject) => {
-    // encodeURI preserves URL structure ($, &, =, ?, /, :, ') but encodes spaces and other unsafe chars
-    const fullPath = encodeURI(`/v1.0${urlPath}`);
-    const bodyStr = body ? JSON.stringify(body) : null;
+  const size = text.length;
+  if (size <= LARGE_FILE_THRESHOLD) return text;
 
-    const options = {
-      hostname: "graph.microsoft.com",
-      path: fullPath,
-      method: method,
-      headers: {
-        "Authorization": `Bearer ${token}`,
-        "Content-Type": "application/json",
-        ...(extraHeaders || {}),
-      },
-    };
+  // If large file directory is configured, save to file
+  if (LARGE_FILE_DIR) {
+    try {
+      const dir = getLargeFileSessionDir();
 
-    if (bodyStr) {
-      options.headers["Content-Length"] = Buffer.byteLength(bodyStr);
-    }
+      const timestamp = Date.now();
+      const safeName = toolName.replace(/[^a-zA-Z0-9_-]/g, "_");
+      const filename = `agent365-${safeName}-${timestamp}.txt`;
+      const filepath = path.join(dir, filename);
 
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-      res.on("end", () => {
-        try {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            const contentType = res.headers["content-type"] || "";
-            if (contentType.includes("application/json") || (!contentType && data.startsWith("{"))) {
-              resolve(data ? JSON.parse(data) : {});
-            } else {
-              // Non-JSON response (VTT transcripts, plain text, etc.)
-              resolve(data);
-            }
-          } else {
-            resolve({ error: `Graph API error (${res.statusCode}): ${data.slice(0, 500)}` });
-          }
-        } catch (e) {
-          // JSON parse failed — return raw text
-          resolve(data);
-        }
-      });
-      res.on("error", (err) => {
-        resolve({ error: `Graph API response error: ${err.message}` });
-      });
-    });
+      fs.writeFileSync(filepath, text, { encoding: "utf8", mode: 0o600 });
 
-    req.on("error", (err) => {
-      resolve({ error: `Graph API request error: ${err.message}` });
-    });
+      return JSON.stringify({
+        message: `Response saved to file (${(size / 1024).toFixed(1)}KB)`,
+        filepath: filepath,
+        size: size,
+        hint: `Use the Read tool to access this file${LARGE_FILE_MAX_AGE_HOURS > 0 ? ` (deleted after ${LARGE_FILE_MAX_AGE_HOURS} hours)` : ""}, or use more specific queries to reduce response size.`,
+      });
+    } catch (err) {
+      console.error(`Failed to save large response to file: ${err.message}`);
+      // Fall through to truncation
+    }
+  }
 
-    req.setTimeout(REQUEST_TIMEOUT, () => {
-      req.destroy();
-      resolve({ error: `Graph API request timeout (${REQUEST_TIMEOUT / 1000}s)` });
-    });
+  // Keep the full result as a resource and return the first page inline
+  const resource = storeResult(text, toolName, sessionId);
+  if (resource) {
+    if (links) {
+      links.push({
+        type: "resource_link",
+        ...resource,
+        description: `Full ${toolName} result (${size.toLocaleString()} characters)`,
+      });
+    }
+    const reduced = reduceJsonContent(text, MAX_RESPONSE_SIZE - REDUCTION_FOOTER_RESERVE);
+    if (reduced) {
+      return `${reduced.text}\n\n... [${describeJsonReduction(reduced)} The full result is available with resources/read on ${resource.uri} for ${RESULT_TTL_MINUTES} minutes.]`;
+    }
+    const preview = text.slice(0, MAX_RESPONSE_SIZE);
+    return `${preview}\n\n... [Showing ${preview.length.toLocaleString()} of ${size.toLocaleString()} characters. Read the rest with resources/read on ${resource.uri}?offset=${preview.length} (add &length=<n> for the page size; available for ${RESULT_TTL_MINUTES} minutes), or use more specific queries.]`;
+  }
 
-    if (bodyStr) {
-      req.write(bodyStr);
+  // Truncate with helpful message
+  if (size > MAX_RESPONSE_SIZE) {
+    const reduced = reduceJsonContent(text, MAX_RESPONSE_SIZE - REDUCTION_FOOTER_RESERVE);
+    if (reduced) {
+      return `${reduced.text}\n\n... [Content reduced: ${describeJsonReduction(reduced)}]`;
     }
-    req.end();
-  });
+    const truncated = text.slice(0, MAX_RESPONSE_SIZE);
+    const remaining = size - MAX_RESPONSE_SIZE;
+    return `${truncated}\n\n... [Content truncated: ${remaining.toLocaleString()} more characters. Set AGENT365_LARGE_FILE_DIR to save large responses to disk, or use more specific queries.]`;
+  }
+
+  return text;
 }
 
 /**
- * Make a raw HTTPS request (for chunked uploads where we need to send binary data).
- * Returns { statusCode, data } or { error }.
+ * Process MCP result content, handling large responses appropriately.
+ * Stored results belong to `sessionId` (the calling MCP session).
  */
-async function makeGraphRawRequest(method, url, bodyBuffer, headers) {
-  const token = await loadGraphToken();
-  if (!token) {
-    return { error: "No Graph API token available." };
+function processResult(result, toolName = "unknown", sessionId) {
+  if (!result) return result;
+
+  // Handle content array (standard MCP format)
+  if (result.content && Array.isArray(result.content)) {
+    const links = [];
+    result.content = result.content.map(item => {
+      if (item.type === "text" && item.text) {
+        item.text = handleLargeContent(item.text, toolName, links, sessionId);
+      }
+      return item;
+    });
+    result.content.push(...links);
   }
 
-  return new Promise((resolve) => {
-    const parsedUrl = new URL(url);
-    const options = {
-      hostname: parsedUrl.hostname,
-      path: parsedUrl.pathname + parsedUrl.search,
-      method: method,
-      headers: {
-        "Authorization": `Bearer ${token}`,
-        ...headers,
-      },
-    };
-
-    if (bodyBuffer) {
-      options.headers["Content-Length"] = bodyBuffer.length;
-    }
-
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-      res.on("end", () => {
-        try {
-          resolve({
-            statusCode: res.statusCode,
-            data: data ? JSON.parse(data) : {},
-          });
-        } catch (e) {
-          resolve({ statusCode: res.statusCode, data: data });
-        }
-      });
-      res.on("error", (err) => {
-        resolve({ error: `Upload response error: ${err.message}` });
-      });
-    });
+  // Handle raw text content
+  if (typeof result === "string") {
+    return handleLargeContent(result, toolName, null, sessionId);
+  }
 
-    req.on("error", (err) => {
-      resolve({ error: `Upload request error: ${err.message}` });
-    });
+  // Handle response field (Agent 365 format)
+  if (result.response && typeof result.response === "string") {
+    result.response = handleLargeContent(result.response, toolName, null, sessionId);
+  }
 
-    req.setTimeout(120000, () => { // 2 min timeout for chunk uploads
-      req.destroy();
-      resolve({ error: "Upload chunk request timeout" });
-    });
+  // Handle message field
+  if (result.message && typeof result.message === "string" && result.message.length > LARGE_FILE_THRESHOLD) {
+    result.message = handleLargeContent(result.message, toolName, null, sessionId);
+  }
 
-    if (bodyBuffer) {
-      req.write(bodyBuffer);
-    }
-    req.end();
-  });
+  return result;
 }
 
 // ============================================================================
-// AGENT 365 API COMMUNICATION
+// TOKEN MANAGEMENT (with auto-refresh support)
 // ============================================================================
 
-async function makeAgent365Request(serverUrl, method, params, id) {
-  const token = await loadToken();
-  if (!token) {
-    throw new Error("No valid token. Run: npx github:rapyuta-robotics/agent365-mcp auth");
-  }
-
-  return new Promise((resolve, reject) => {
-
-    const url = new URL(serverUrl);
-    const body = JSON.stringify({ jsonrpc: "2.0", method, params, id });
-
-    const options = {
-      hostname: url.hostname,
-      path: url.pathname,
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${token}`,
-        "Content-Type": "application/json",
-        "Accept": "application/json, text/event-stream",
-        "Content-Length": Buffer.byteLength(body),
-      },
-    };
+const { PublicClientApplication } = require("@azure/msal-node");
 
-    const req = https.request(options, (res) => {
-      let data = "";
-      let bufferExceeded = false;
+const MSAL_CACHE_PATH = path.join(PROFILE_DIR, "msal-cache.json");
+const AGENT365_API = "ea9ffc3e-8a23-4a7d-836d-234d7c7565c1";
 
-      res.on("data", (chunk) => {
-        if (data.length + chunk.length > MAX_BUFFER_SIZE) {
-          if (!bufferExceeded) {
-            bufferExceeded = true;
-            console.error(`Response buffer exceeded ${MAX_BUFFER_SIZE} bytes for ${serverUrl}`);
-          }
-          return;
-        }
-        data += chunk;
-      });
+// In-memory token cache for the session
+let cachedToken = null;
+let cachedTokenExpiry = null;
 
-      res.on("end", () => {
-        // Parse SSE format
-        const lines = data.split("\n");
-        for (const line of lines) {
-          if (line.startsWith("data: ")) {
-            try {
-              const jsonData = JSON.parse(line.slice(6));
-              resolve(jsonData);
-              return;
-            } catch (e) {
-              // Continue
-            }
-          }
-        }
-        // Try plain JSON
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          if (bufferExceeded) {
-            reject(new Error(`Response too large (>${MAX_BUFFER_SIZE / 1024 / 1024}MB). Try a more specific query.`));
-          } else {
-            reject(new Error(`Invalid response from ${serverUrl}: ${data.slice(0, 200)}`));
-          }
-        }
-      });
+function createMsalCachePlugin() {
+  const beforeCacheAccess = async (cacheContext) => {
+    try {
+      const cache = readSecret(MSAL_CACHE_PATH);
+      if (cache) {
+        cacheContext.tokenCache.deserialize(cache);
+      }
+    } catch (e) {
+      // Ignore cache read errors
+    }
+  };
 
-      res.on("error", (err) => {
-        reject(new Error(`Response error from ${serverUrl}: ${err.message}`));
-      });
-    });
+  const afterCacheAccess = async (cacheContext) => {
+    if (cacheContext.cacheHasChanged) {
+      writeSecret(MSAL_CACHE_PATH, cacheContext.tokenCache.serialize());
+    }
+  };
 
-    req.on("error", reject);
-    req.setTimeout(REQUEST_TIMEOUT, () => {
-      req.destroy();
-      reject(new Error(`Request timeout (${REQUEST_TIMEOUT / 1000}s) for ${serverUrl}. Try a more specific query.`));
-    });
-    req.write(body);
-    req.end();
-  });
+  return { beforeCacheAccess, afterCacheAccess };
 }
 
-// ============================================================================
-// SERVER SESSION MANAGEMENT
-// Tracks initialization state and handles license/permission errors gracefully.
-// ============================================================================
-
-const serverSessions = {};
+/**
+ * Pick the MSAL account for this profile: the one recorded in the token
+ * file, else one from the saved tenant, else the first cached account.
+ */
+function selectAccount(accounts) {
+  const tokenData = loadTokenData();
+  const savedId = tokenData?.account?.homeAccountId;
+  return accounts.find(a => savedId && a.homeAccountId === savedId) ||
+    accounts.find(a => tokenData?.tenantId && a.tenantId === tokenData.tenantId) ||
+    accounts[0];
+}
 
-// Track servers that failed due to license issues
-const disabledServers = new Set(DISABLED_SERVERS);
+async function refreshTokenSilently() {
+  // Load config to get tenant/client IDs
+  const tokenData = loadTokenData();
+  if (!tokenData || !tokenData.tenantId || !tokenData.clientId) {
+    return null;
+  }
 
-async function initializeServer(serverKey) {
-  if (serverSessions[serverKey]?.initialized) return true;
-  if (disabledServers.has(serverKey)) return false;
+  const pca = new PublicClientApplication({
+    auth: {
+      clientId: tokenData.clientId,
+      authority: `https://login.microsoftonline.com/${tokenData.tenantId}`,
+    },
+    cache: {
+      cachePlugin: createMsalCachePlugin(),
+    },
+  });
 
-  const server = MCP_SERVERS[serverKey];
-  if (!server) throw new Error(`Unknown server: ${serverKey}`);
+  const accounts = await pca.getTokenCache().getAllAccounts();
+  if (accounts.length === 0) {
+    return null;
+  }
 
   try {
-    const result = await makeAgent365Request(server.url, "initialize", {
-      protocolVersion: "2024-11-05",
-      capabilities: {},
-      clientInfo: { name: "agent365-proxy", version: "1.4.0" },
-    }, 1);
+    const response = await pca.acquireTokenSilent({
+      account: selectAccount(accounts),
+      scopes: [`${AGENT365_API}/.default`],
+    });
 
-    if (result.error) {
-      // Check for license-related errors
-      const errorMsg = result.error.message || "";
-      if (errorMsg.includes("license") || errorMsg.includes("not entitled") ||
-          errorMsg.includes("Copilot") || errorMsg.includes("subscription")) {
-        console.error(`${serverKey}: License not available - disabling server. Error: ${errorMsg}`);
-        disabledServers.add(serverKey);
-        return false;
-      }
-      throw new Error(result.error.message);
-    }
+    // Update the stored token
+    writeSecretJson(TOKEN_CACHE_PATH, {
+      accessToken: response.accessToken,
+      expiresOn: response.expiresOn,
+      account: response.account,
+      tenantId: tokenData.tenantId,
+      clientId: tokenData.clientId,
+    });
 
-    serverSessions[serverKey] = { initialized: true, tools: null };
-    console.error(`Initialized ${serverKey} server`);
-    return true;
-  } catch (error) {
-    // Handle network/permission errors gracefully
-    const errorMsg = error.message || "";
-    if (errorMsg.includes("403") || errorMsg.includes("401") ||
-        errorMsg.includes("license") || errorMsg.includes("permission")) {
-      console.error(`${serverKey}: Access denied - disabling server. Error: ${errorMsg}`);
-      disabledServers.add(serverKey);
-      return false;
-    }
-    console.error(`Failed to initialize ${serverKey}: ${error.message}`);
-    throw error;
+    console.error(`Token refreshed silently, expires: ${response.expiresOn}`);
+    return response.accessToken;
+  } catch (e) {
+    console.error(`Silent token refresh failed: ${e.message}`);
+    return null;
   }
 }
 
-async function getServerTools(serverKey) {
-  const server = MCP_SERVERS[serverKey];
-  if (!server) return [];
-  if (disabledServers.has(serverKey)) return [];
-
-  if (serverSessions[serverKey]?.tools) {
-    return serverSessions[serverKey].tools;
+/**
+ * Move a plaintext token file from the legacy location into the secret
+ * store, unless the primary token file already exists.
+ */
+function migrateLegacyToken() {
+  if (!LEGACY_TOKEN_PATH || !fs.existsSync(LEGACY_TOKEN_PATH) || fs.existsSync(TOKEN_CACHE_PATH)) {
+    return;
   }
-
   try {
-    const initialized = await initializeServer(serverKey);
-    if (!initialized) return [];
-
-    const result = await makeAgent365Request(server.url, "tools/list", {}, 2);
-
-    if (result.error) {
-      console.error(`Error getting tools for ${serverKey}: ${result.error.message}`);
-      return [];
-    }
-
-    // Process tools: prefix names, filter dangerous, enhance descriptions
-    const tools = (result.result?.tools || [])
-      .filter(tool => !isDangerousTool(tool.name))
-      .map(tool => {
-        const hint = server.toolHints?.[tool.name] || "";
-        const enhancedDescription = hint
-          ? `[${server.description}] ${tool.description || ""}\n\nHint: ${hint}`
-          : `[${server.description}] ${tool.description || ""}`;
-
-        return {
-          ...tool,
-          name: `${server.prefix}_${tool.name}`,
-          description: enhancedDescription,
-          _serverKey: serverKey,
-          _originalName: tool.name,
-        };
-      });
-
-    serverSessions[serverKey].tools = tools;
-    return tools;
-  } catch (error) {
-    console.error(`Error connecting to ${serverKey}: ${error.message}`);
-    return [];
+    writeSecret(TOKEN_CACHE_PATH, fs.readFileSync(LEGACY_TOKEN_PATH, "utf8"));
+    fs.unlinkSync(LEGACY_TOKEN_PATH);
+    console.error(`Migrated ${LEGACY_TOKEN_PATH} to ${TOKEN_CACHE_PATH}`);
+  } catch (e) {
+    console.error(`Could not migrate legacy token file: ${e.message}`);
   }
 }
 
-async function callServerTool(serverKey, toolName, args) {
-  const server = MCP_SERVERS[serverKey];
-  if (!server) throw new Error(`Unknown server: ${serverKey}`);
+function loadTokenData() {
+  migrateLegacyToken();
+  return readSecretJson(TOKEN_CACHE_PATH);
+}
 
-  if (disabledServers.has(serverKey)) {
-    throw new Error(`${serverKey} server is disabled (license not available or access denied)`);
+async function loadToken() {
+  // Check in-memory cache first
+  if (cachedToken && cachedTokenExpiry && new Date(cachedTokenExpiry) > new Date()) {
+    return cachedToken;
   }
 
-  await initializeServer(serverKey);
-
-  const result = await makeAgent365Request(
-    server.url,
-    "tools/call",
-    { name: toolName, arguments: args },
-    Date.now()
-  );
+  const data = loadTokenData();
+  if (data?.expiresOn && new Date(data.expiresOn) > new Date()) {
+    cachedToken = data.accessToken;
+    cachedTokenExpiry = data.expiresOn;
+    return data.accessToken;
+  }
 
-  if (result.error) {
-    throw new Error(result.error.message);
+  // Token expired - try to refresh silently
+  console.error("Access token expired, attempting silent refresh...");
+  const refreshedToken = await refreshTokenSilently();
+  if (refreshedToken) {
+    cachedToken = refreshedToken;
+    cachedTokenExpiry = new Date(Date.now() + 3600 * 1000).toISOString(); // ~1 hour
+    return refreshedToken;
   }
 
-  // Process with tool name for better file naming
-  return processResult(result.result, `${serverKey}_${toolName}`);
+  console.error("No valid token found. Run: npx github:rapyuta-robotics/agent365-mcp auth");
+  return null;
 }
 
 // ============================================================================
-// MCP SERVER SETUP
+// RETRY POLICY
+// Shared by Agent 365 and Graph calls. Throttled (429) and refused
+// connections are always retried since the request was never processed;
+// 5xx, resets and timeouts are only retried for idempotent calls.
 // ============================================================================
 
-const server = new Server(
-  {
-    name: "agent365-mcp-proxy",
-    version: "1.4.0",
-  },
-  {
-    capabilities: {
-      tools: { listChanged: true },
-    },
-  }
-);
+const RETRYABLE_STATUS_CODES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENETUNREACH"]);
 
-const toolServerMap = {};
-let toolsLoadedPromise = null;
-let toolsLoaded = false;
+/**
+ * Create an error carrying the details the retry policy needs.
+ */
+function retryableError(message, { statusCode, retryAfter, code } = {}) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.retryAfterMs = parseRetryAfter(retryAfter);
+  return err;
+}
 
-// List tools handler
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  const allTools = [];
-  const serverKeys = Object.keys(MCP_SERVERS).filter(k => !disabledServers.has(k));
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
 
-  const results = await Promise.allSettled(
-    serverKeys.map(key => getServerTools(key))
-  );
+function isTransientError(err) {
+  return RETRYABLE_STATUS_CODES.has(err.statusCode) || RETRYABLE_NETWORK_CODES.has(err.code);
+}
 
-  for (let i = 0; i < results.length; i++) {
-    if (results[i].status === "fulfilled") {
-      const tools = results[i].value;
-      for (const tool of tools) {
-        toolServerMap[tool.name] = {
-          serverKey: serverKeys[i],
-          originalName: tool._originalName,
-        };
-        const { _serverKey, _originalName, ...cleanTool } = tool;
-        allTools.push(cleanTool);
+function isRetryableError(err, idempotent) {
+  if (err.statusCode === 429 || err.code === "ECONNREFUSED") return true;
+  return idempotent && isTransientError(err);
+}
+
+/**
+ * Delay before the next attempt: Retry-After if the server sent one,
+ * otherwise exponential backoff with jitter (between half and full delay).
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return Math.min(retryAfterMs, RETRY_MAX_DELAY);
+  }
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempt - 1), RETRY_MAX_DELAY);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Run attemptFn under the retry policy. attemptFn rejects with errors from
+ * retryableError() (or network errors with a code) to request a retry.
+ * The final error message reports how many attempts were made. Cancellation
+ * through `signal` stops the retries.
+ */
+async function withRetry(label, idempotent, attemptFn, signal) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      if (signal?.aborted) throw cancelledError();
+      return await attemptFn(attempt);
+    } catch (err) {
+      if (err.code === "ECANCELLED") throw err;
+      const retryable = isRetryableError(err, idempotent);
+      if (!retryable || attempt >= RETRY_MAX_ATTEMPTS) {
+        if (retryable || attempt > 1) {
+          err.message = `${err.message} (gave up after ${attempt} attempt${attempt === 1 ? "" : "s"})`;
+        } else if (isTransientError(err)) {
+          err.message = `${err.message} (1 attempt, not retried: call is not idempotent)`;
+        }
+        err.attempts = attempt;
+        throw err;
       }
+
+      const delay = getRetryDelay(attempt, err.retryAfterMs);
+      console.error(`${label}: ${err.message} - retrying in ${delay}ms (attempt ${attempt + 1}/${RETRY_MAX_ATTEMPTS})`);
+      await new Promise((resolve) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        }, delay);
+        signal?.addEventListener("abort", onAbort, { once: true });
+      });
     }
   }
+}
 
-  // Always include auth tool so users can authenticate/re-authenticate
-  allTools.unshift({
-    name: "agent365_authenticate",
-    description: "Start Microsoft 365 authentication. Call this if tools return auth errors. Returns a device code and URL for the user to authenticate in their browser. Call agent365_help for workflow guidance.",
-    inputSchema: { type: "object", properties: {} },
-  });
+// ============================================================================
+// CANCELLATION
+// notifications/cancelled from the client aborts the request's AbortSignal
+// (extra.signal). Request helpers take it as `signal` and destroy the
+// in-flight HTTPS request when it fires.
+// ============================================================================
 
-  // Built-in tool: upload local files to SharePoint/OneDrive
-  allTools.push({
-    name: "sharepoint_uploadLocalFile",
-    description: "[SharePoint & OneDrive files] Upload a local file from your machine to SharePoint or OneDrive. Supports any file type. Files up to 4MB use direct upload; 4-250MB use Graph API chunked upload (requires agent365_graph_auth). Call agent365_help for workflow guidance.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        localFilePath: {
-          type: "string",
-          description: "Absolute path to the local file to upload (e.g. /home/user/report.docx)",
-        },
-        documentLibraryId: {
-          type: "string",
-          description: "Document library (drive) ID. Use 'me' for user's OneDrive. Find via sharepoint_listDocumentLibrariesInSite.",
-        },
-        parentFolderId: {
-          type: "string",
-          description: "Target folder ID within the document library. Defaults to root. Find via sharepoint_getFolderChildren.",
-          default: "root",
-        },
-        filename: {
-          type: "string",
-          description: "Override filename for the upload. If omitted, uses the original filename from localFilePath.",
-        },
-      },
-      required: ["localFilePath", "documentLibraryId"],
-    },
-  });
+function cancelledError() {
+  const err = new Error("Request cancelled by the client");
+  err.code = "ECANCELLED";
+  return err;
+}
 
-  // Built-in tool: get meeting transcript via Graph API
-  allTools.push({
-    name: "teams_getMeetingTranscript",
-    description: "[Teams Meetings] Get the VTT transcript of a Teams meeting. Requires meetingUrl (get from calendar_ListCalendarView). Requires Graph API auth (agent365_graph_auth). Call agent365_help for workflow guidance.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        meetingUrl: {
-          type: "string",
-          description: "The Teams meeting join URL. Get this from calendar_ListCalendarView (look for onlineMeeting.joinUrl in the event response).",
-        },
-      },
-      required: ["meetingUrl"],
-    },
-  });
+/**
+ * Destroy `req` and reject with a cancellation error when `signal` aborts.
+ */
+function abortOnSignal(signal, req, reject) {
+  if (!signal) return;
+  const onAbort = () => {
+    req.destroy();
+    reject(cancelledError());
+  };
+  signal.addEventListener("abort", onAbort, { once: true });
+  req.once("close", () => signal.removeEventListener("abort", onAbort));
+}
 
-  // Built-in tool: authenticate with Microsoft Graph API for advanced features
-  allTools.push({
-    name: "agent365_graph_auth",
-    description: "Authenticate with Microsoft Graph API for advanced features (large file upload >4MB, meeting transcripts). Only needed if those tools report auth errors. Uses device code flow.",
-    inputSchema: { type: "object", properties: {} },
-  });
+// ============================================================================
+// GRAPH API TOKEN MANAGEMENT
+// Separate token for direct Microsoft Graph API calls (large file upload,
+// meeting transcripts). Uses same MSAL PCA pattern as Agent365 token.
+// ============================================================================
 
-  // Built-in tool: workflow guide (returns full instructions on demand to save context)
-  allTools.push({
-    name: "agent365_help",
-    description: "Get workflow guidance for Microsoft 365 tools. Call this FIRST when working with SharePoint, Teams, Mail, Calendar, Excel, or Word tools — returns step-by-step workflows, tool chaining patterns, and best practices. Low cost: only loads guidance when needed instead of bloating every tool description.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        topic: {
-          type: "string",
-          description: "Optional topic filter: sharepoint, upload, mail, calendar, teams, transcript, excel, word, or leave empty for all workflows.",
-        },
-      },
+const GRAPH_SCOPES = ["Files.ReadWrite.All", "Sites.ReadWrite.All", "OnlineMeetings.Read", "OnlineMeetingTranscript.Read.All"];
+// Needed only by some meeting tools. They are approved separately with
+// agent365_graph_auth({ scopes }), so sign-ins made with GRAPH_SCOPES alone
+// keep refreshing silently.
+const GRAPH_CALENDAR_SCOPES = ["Calendars.Read"];
+const GRAPH_ATTENDANCE_SCOPES = ["OnlineMeetingArtifact.Read.All"];
+const GRAPH_RECORDING_SCOPES = ["OnlineMeetingRecording.Read.All"];
+const GRAPH_OPTIONAL_SCOPES = [...GRAPH_CALENDAR_SCOPES, ...GRAPH_ATTENDANCE_SCOPES, ...GRAPH_RECORDING_SCOPES];
+const GRAPH_TOKEN_PATH = path.join(PROFILE_DIR, "graph-tokens.json");
+let cachedGraphToken = null;
+let cachedGraphTokenExpiry = null;
+// Tokens for GRAPH_SCOPES plus optional scopes, by the sorted optional scopes
+const scopedGraphTokens = new Map();
+
+function loadGraphTokenData() {
+  return readSecretJson(GRAPH_TOKEN_PATH);
+}
+
+async function refreshGraphTokenSilently() {
+  const tokenData = loadTokenData();
+  if (!tokenData || !tokenData.tenantId || !tokenData.clientId) {
+    return null;
+  }
+
+  const pca = new PublicClientApplication({
+    auth: {
+      clientId: tokenData.clientId,
+      authority: `https://login.microsoftonline.com/${tokenData.tenantId}`,
+    },
+    cache: {
+      cachePlugin: createMsalCachePlugin(),
     },
   });
 
-  if (allTools.length === 1) { // Only auth tool, no real tools loaded
-    const disabledList = Array.from(disabledServers).join(", ");
-    allTools.push({
-      name: "agent365_status",
-      description: `Authentication required. Call agent365_authenticate first to get login instructions.\n\nDisabled servers: ${disabledList || "none"}`,
-      inputSchema: { type: "object", properties: {} },
+  const accounts = await pca.getTokenCache().getAllAccounts();
+  if (accounts.length === 0) {
+    return null;
+  }
+
+  try {
+    const response = await pca.acquireTokenSilent({
+      account: selectAccount(accounts),
+      scopes: GRAPH_SCOPES,
+    });
+
+    writeSecretJson(GRAPH_TOKEN_PATH, {
+      accessToken: response.accessToken,
+      expiresOn: response.expiresOn,
+      account: response.account,
+      tenantId: tokenData.tenantId,
+      clientId: tokenData.clientId,
     });
+
+    console.error(`Graph token refreshed silently, expires: ${response.expiresOn}`);
+    return response.accessToken;
+  } catch (e) {
+    console.error(`Silent Graph token refresh failed: ${e.message}`);
+    return null;
   }
+}
 
-  const activeServers = serverKeys.filter(k => !disabledServers.has(k)).length;
-  const disabledCount = disabledServers.size;
-  console.error(`Loaded ${allTools.length} tools from ${activeServers} servers (${disabledCount} disabled)`);
+async function loadGraphToken() {
+  // Check in-memory cache first
+  if (cachedGraphToken && cachedGraphTokenExpiry && new Date(cachedGraphTokenExpiry) > new Date()) {
+    return cachedGraphToken;
+  }
 
-  toolsLoaded = true;
-  return { tools: allTools };
-});
+  // Check token file
+  const data = loadGraphTokenData();
+  if (data?.expiresOn && new Date(data.expiresOn) > new Date()) {
+    cachedGraphToken = data.accessToken;
+    cachedGraphTokenExpiry = data.expiresOn;
+    return data.accessToken;
+  }
 
-// Call tool handler
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+  // Token expired or missing - try silent refresh
+  console.error("Graph token expired or missing, attempting silent refresh...");
+  const refreshedToken = await refreshGraphTokenSilently();
+  if (refreshedToken) {
+    cachedGraphToken = refreshedToken;
+    cachedGraphTokenExpiry = new Date(Date.now() + 3600 * 1000).toISOString();
+    return refreshedToken;
+  }
 
-  // Wait for tools/list to complete at least once (avoids race condition)
-  if (!toolsLoaded) {
-    const maxWait = 15000;
-    const interval = 100;
-    let waited = 0;
-    while (!toolsLoaded && waited < maxWait) {
-      await new Promise(r => setTimeout(r, interval));
-      waited += interval;
-    }
+  return null;
+}
+
+/**
+ * Graph token for GRAPH_SCOPES plus `scopes` (from GRAPH_OPTIONAL_SCOPES),
+ * acquired silently from the MSAL cache and kept in memory. Returns null
+ * until the user has approved the scopes with agent365_graph_auth({ scopes }).
+ */
+async function loadScopedGraphToken(scopes) {
+  const key = [...scopes].sort().join(" ");
+  const cached = scopedGraphTokens.get(key);
+  if (cached && new Date(cached.expiresOn) > new Date()) {
+    return cached.accessToken;
   }
 
-  // Handle built-in auth tool
-  if (name === "agent365_authenticate") {
-    return await handleAuthenticate();
+  const config = loadServerConfig();
+  if (!config) {
+    return null;
   }
+  const pca = new PublicClientApplication({
+    auth: {
+      clientId: config.clientId,
+      authority: `https://login.microsoftonline.com/${config.tenantId}`,
+    },
+    cache: {
+      cachePlugin: createMsalCachePlugin(),
+    },
+  });
 
-  // Handle built-in upload tool
-  if (name === "sharepoint_uploadLocalFile") {
-    return await handleUploadLocalFile(args);
+  const accounts = await pca.getTokenCache().getAllAccounts();
+  if (accounts.length === 0) {
+    return null;
+  }
+  try {
+    const response = await pca.acquireTokenSilent({
+      account: selectAccount(accounts),
+      scopes: [...GRAPH_SCOPES, ...scopes],
+    });
+    scopedGraphTokens.set(key, { accessToken: response.accessToken, expiresOn: response.expiresOn });
+    return response.accessToken;
+  } catch (e) {
+    console.error(`Silent Graph token for ${key} failed: ${e.message}`);
+    return null;
   }
+}
 
-  // Handle built-in meeting transcript tool
-  if (name === "teams_getMeetingTranscript") {
-    return await handleGetMeetingTranscript(args);
+/**
+ * Error text for a tool whose optional Graph scopes are not approved yet.
+ */
+function graphScopesError(scopes) {
+  return `This needs the Microsoft Graph permission ${scopes.join(", ")}, which has not been approved yet. Call agent365_graph_auth with scopes: ${JSON.stringify(scopes)} to approve it.`;
+}
+
+async function acquireGraphToken() {
+  const config = loadServerConfig();
+  if (!config) {
+    return null;
   }
 
-  // Handle built-in Graph API auth tool
-  if (name === "agent365_graph_auth") {
-    return await handleGraphAuth();
+  const pca = new PublicClientApplication({
+    auth: {
+      clientId: config.clientId,
+      authority: `https://login.microsoftonline.com/${config.tenantId}`,
+    },
+    cache: {
+      cachePlugin: createMsalCachePlugin(),
+    },
+  });
+
+  // Try silent first
+  const accounts = await pca.getTokenCache().getAllAccounts();
+  if (accounts.length > 0) {
+    try {
+      const response = await pca.acquireTokenSilent({
+        account: selectAccount(accounts),
+        scopes: GRAPH_SCOPES,
+      });
+      saveGraphToken(response, config);
+      return response.accessToken;
+    } catch (e) {
+      // Fall through to device code
+    }
   }
 
-  if (name === "agent365_help") {
-    return handleHelp(args);
+  // Device code flow
+  return new Promise((resolve) => {
+    pca.acquireTokenByDeviceCode({
+      scopes: GRAPH_SCOPES,
+      deviceCodeCallback: (response) => {
+        const deviceCode = response.userCode;
+        const verificationUrl = response.verificationUriComplete || response.verificationUri;
+
+        saveDeviceCodeToFile(deviceCode, response.verificationUri);
+        copyToClipboard(deviceCode);
+
+        // Store for the caller to use
+        resolve({
+          deviceCode,
+          verificationUrl,
+          authPromise: null, // Will be set below
+        });
+      },
+    }).then((response) => {
+      saveGraphToken(response, loadServerConfig());
+      console.error(`Graph API authentication completed for ${response.account?.username}`);
+    }).catch((e) => {
+      console.error(`Graph API authentication failed: ${e.message}`);
+    });
+  });
+}
+
+function saveGraphToken(response, config) {
+  writeSecretJson(GRAPH_TOKEN_PATH, {
+    accessToken: response.accessToken,
+    expiresOn: response.expiresOn,
+    account: response.account,
+    tenantId: config.tenantId,
+    clientId: config.clientId,
+  });
+
+  cachedGraphToken = response.accessToken;
+  cachedGraphTokenExpiry = response.expiresOn;
+}
+
+/**
+ * Make an HTTPS request to Microsoft Graph API.
+ * Returns parsed JSON response, or an error object { error: string, statusCode }
+ * on failure (statusCode is absent when no response arrived).
+ * GET requests are retried on transient failures; 429s are always retried.
+ * urlPath is encoded with encodeURI unless `encoded` is set, for paths whose
+ * segments are already percent-encoded. `scopes` names optional scopes the
+ * call needs on top of GRAPH_SCOPES.
+ */
+async function makeGraphRequest(method, urlPath, body, extraHeaders, { signal, encoded = false, scopes } = {}) {
+  const token = scopes ? await loadScopedGraphToken(scopes) : await loadGraphToken();
+  if (!token) {
+    return { error: scopes ? graphScopesError(scopes) : "No Graph API token available. Call the agent365_graph_auth tool to authenticate with Microsoft Graph API." };
+  }
+
+  try {
+    return await withRetry(`Graph ${method} ${urlPath}`, method === "GET", () =>
+      sendGraphRequest(token, method, urlPath, body, extraHeaders, signal, encoded), signal);
+  } catch (err) {
+    return graphErrorResult(err);
+  }
+}
+
+/**
+ * An @odata.nextLink as a path for makeGraphRequest with `encoded` set. The
+ * link is already percent-encoded by Graph and is sent as-is.
+ */
+function graphNextLinkPath(nextLink) {
+  return nextLink.slice(nextLink.indexOf("/v1.0") + "/v1.0".length);
+}
+
+/**
+ * Single attempt for makeGraphRequest. Resolves with the parsed response or
+ * { error }, rejects with a retryable error on throttling/transient failures.
+ */
+function sendGraphRequest(token, method, urlPath, body, extraHeaders, signal, encoded = false) {
+  return new Promise((resolve, reject) => {
+    // encodeURI preserves URL structure ($, &, =, ?, /, :, ') but encodes spaces and other unsafe chars
+    const fullPath = encoded ? `/v1.0${urlPath}` : encodeURI(`/v1.0${urlPath}`);
+    const bodyStr = body ? JSON.stringify(body) : null;
+
+    const options = {
+      hostname: "graph.microsoft.com",
+      path: fullPath,
+      method: method,
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Content-Type": "application/json",
+        ...(extraHeaders || {}),
+      },
+    };
+
+    if (bodyStr) {
+      options.headers["Content-Length"] = Buffer.byteLength(bodyStr);
+    }
+
+    const req = https.request(options, (res) => {
+      let data = "";
+      res.on("data", (chunk) => {
+        data += chunk;
+      });
+      res.on("end", () => {
+        if (RETRYABLE_STATUS_CODES.has(res.statusCode)) {
+          reject(retryableError(`Graph API error (${res.statusCode}): ${data.slice(0, 500)}`, {
+            statusCode: res.statusCode,
+            retryAfter: res.headers["retry-after"],
+          }));
+          return;
+        }
+        try {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            const contentType = res.headers["content-type"] || "";
+            if (contentType.includes("application/json") || (!contentType && data.startsWith("{"))) {
+              resolve(data ? JSON.parse(data) : {});
+            } else {
+              // Non-JSON response (VTT transcripts, plain text, etc.)
+              resolve(data);
+            }
+          } else {
+            resolve({ error: `Graph API error (${res.statusCode}): ${data.slice(0, 500)}`, statusCode: res.statusCode });
+          }
+        } catch (e) {
+          // JSON parse failed — return raw text
+          resolve(data);
+        }
+      });
+      res.on("error", (err) => {
+        resolve({ error: `Graph API response error: ${err.message}` });
+      });
+    });
+
+    req.on("error", (err) => {
+      reject(retryableError(`Graph API request error: ${err.message}`, { code: err.code }));
+    });
+    abortOnSignal(signal, req, reject);
+
+    req.setTimeout(REQUEST_TIMEOUT, () => {
+      req.destroy();
+      reject(retryableError(`Graph API request timeout (${REQUEST_TIMEOUT / 1000}s)`, { code: "ETIMEDOUT" }));
+    });
+
+    if (bodyStr) {
+      req.write(bodyStr);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Make a raw HTTPS request (for chunked uploads where we need to send binary data).
+ * Returns { statusCode, data } or { error }, which keeps the statusCode when
+ * retries ran out on a throttled or failing response. GET and PUT (upload
+ * chunks carry a Content-Range, so resending one is safe) are retried on
+ * transient failures unless `idempotent: false` is passed; the upload loop
+ * does that so it can resynchronise with the session instead.
+ */
+async function makeGraphRawRequest(method, url, bodyBuffer, headers, { signal, idempotent = method === "GET" || method === "PUT" } = {}) {
+  const token = await loadGraphToken();
+  if (!token) {
+    return { error: "No Graph API token available." };
+  }
+
+  try {
+    return await withRetry(`Graph ${method} ${new URL(url).pathname}`, idempotent, () =>
+      sendGraphRawRequest(token, method, url, bodyBuffer, headers, signal), signal);
+  } catch (err) {
+    return graphErrorResult(err);
+  }
+}
+
+/**
+ * { error } for a Graph call that failed, keeping the HTTP status of the last
+ * attempt so callers can still branch on it after retries run out.
+ */
+function graphErrorResult(err) {
+  return err.statusCode ? { error: err.message, statusCode: err.statusCode } : { error: err.message };
+}
+
+function sendGraphRawRequest(token, method, url, bodyBuffer, headers, signal) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const options = {
+      hostname: parsedUrl.hostname,
+      path: parsedUrl.pathname + parsedUrl.search,
+      method: method,
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        ...headers,
+      },
+    };
+
+    if (bodyBuffer) {
+      options.headers["Content-Length"] = bodyBuffer.length;
+    }
+
+    const req = https.request(options, (res) => {
+      let data = "";
+      res.on("data", (chunk) => {
+        data += chunk;
+      });
+      res.on("end", () => {
+        if (RETRYABLE_STATUS_CODES.has(res.statusCode)) {
+          reject(retryableError(`HTTP ${res.statusCode} - ${data.slice(0, 500)}`, {
+            statusCode: res.statusCode,
+            retryAfter: res.headers["retry-after"],
+          }));
+          return;
+        }
+        try {
+          resolve({
+            statusCode: res.statusCode,
+            data: data ? JSON.parse(data) : {},
+          });
+        } catch (e) {
+          resolve({ statusCode: res.statusCode, data: data });
+        }
+      });
+      res.on("error", (err) => {
+        resolve({ error: `Upload response error: ${err.message}` });
+      });
+    });
+
+    req.on("error", (err) => {
+      reject(retryableError(`Upload request error: ${err.message}`, { code: err.code }));
+    });
+    abortOnSignal(signal, req, reject);
+
+    req.setTimeout(120000, () => { // 2 min timeout for chunk uploads
+      req.destroy();
+      reject(retryableError("Upload chunk request timeout", { code: "ETIMEDOUT" }));
+    });
+
+    if (bodyBuffer) {
+      req.write(bodyBuffer);
+    }
+    req.end();
+  });
+}
+
+// ============================================================================
+// SSE STREAM PARSING
+// Agent 365 servers answer with text/event-stream. Events are parsed as they
+// arrive so upstream notifications reach the client before the final result.
+// ============================================================================
+
+/**
+ * Incremental parser for a text/event-stream body.
+ * Calls onEvent({ event, id, data }) for each complete event. Multi-line
+ * data fields are joined with "\n". Throws if one event exceeds maxEventSize.
+ */
+function createSseParser(onEvent, maxEventSize = MAX_BUFFER_SIZE) {
+  let buffer = "";
+  let dataLines = [];
+  let dataSize = 0;
+  let eventType = "";
+  let lastEventId = "";
+
+  const tooLarge = () => new Error(`Response too large (>${maxEventSize / 1024 / 1024}MB). Try a more specific query.`);
+
+  function dispatch() {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventType || "message", id: lastEventId, data: dataLines.join("\n") });
+    }
+    dataLines = [];
+    dataSize = 0;
+    eventType = "";
+  }
+
+  function processLine(line) {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(":")) return; // Comment / keep-alive
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    switch (field) {
+      case "data":
+        dataSize += value.length + 1;
+        if (dataSize > maxEventSize) throw tooLarge();
+        dataLines.push(value);
+        break;
+      case "event":
+        eventType = value;
+        break;
+      case "id":
+        lastEventId = value;
+        break;
+      default:
+        // "retry" and unknown fields are ignored
+        break;
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      let start = 0;
+      for (let i = 0; i < buffer.length; i++) {
+        const ch = buffer[i];
+        if (ch !== "\n" && ch !== "\r") continue;
+        if (ch === "\r" && i === buffer.length - 1) break; // May be the first half of \r\n
+        processLine(buffer.slice(start, i));
+        if (ch === "\r" && buffer[i + 1] === "\n") i++;
+        start = i + 1;
+      }
+      buffer = buffer.slice(start);
+      if (buffer.length > maxEventSize) throw tooLarge();
+    },
+    end() {
+      if (buffer) {
+        processLine(buffer.replace(/\r$/, ""));
+        buffer = "";
+      }
+      dispatch();
+    },
+  };
+}
+
+// ============================================================================
+// AGENT 365 API COMMUNICATION
+// ============================================================================
+
+// JSON-RPC methods that are safe to resend after a transient failure
+const IDEMPOTENT_RPC_METHODS = new Set(["initialize", "tools/list"]);
+
+/**
+ * Send a JSON-RPC request to an Agent 365 server.
+ * Resolves with the JSON-RPC response message. Upstream notifications that
+ * arrive before it are passed to options.onNotification.
+ */
+async function makeAgent365Request(serverUrl, method, params, id, options = {}) {
+  const token = await loadToken();
+  if (!token) {
+    throw new Error("No valid token. Run: npx github:rapyuta-robotics/agent365-mcp auth");
+  }
+
+  return withRetry(`${method} ${serverUrl}`, IDEMPOTENT_RPC_METHODS.has(method), () =>
+    sendAgent365Request(token, serverUrl, method, params, id, options), options.signal);
+}
+
+/**
+ * Single attempt for makeAgent365Request. Rejects with a retryable error on
+ * throttling, 5xx responses and timeouts.
+ */
+function sendAgent365Request(token, serverUrl, method, params, id, options) {
+  const { onNotification, signal } = options;
+
+  return new Promise((resolve, reject) => {
+
+    const url = new URL(serverUrl);
+    const body = JSON.stringify({ jsonrpc: "2.0", method, params, id });
+
+    const requestOptions = {
+      hostname: url.hostname,
+      path: url.pathname,
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Content-Type": "application/json",
+        "Accept": "application/json, text/event-stream",
+        "Content-Length": Buffer.byteLength(body),
+      },
+    };
+
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      fn(value);
+    };
+
+    // Route one parsed JSON-RPC message from the stream
+    const handleMessage = (message) => {
+      if (message.method && message.id === undefined) {
+        if (onNotification) {
+          Promise.resolve(onNotification(message)).catch((err) => {
+            console.error(`Failed to forward ${message.method} from ${serverUrl}: ${err.message}`);
+          });
+        }
+        return false;
+      }
+      if (message.method) {
+        // Server-to-client requests (sampling, roots, ...) are not supported by the proxy
+        console.error(`Ignoring upstream request ${message.method} from ${serverUrl}`);
+        return false;
+      }
+      settle(resolve, message);
+      return true;
+    };
+
+    const req = https.request(requestOptions, (res) => {
+      res.setEncoding("utf8");
+      const contentType = res.headers["content-type"] || "";
+
+      if (RETRYABLE_STATUS_CODES.has(res.statusCode)) {
+        let data = "";
+        res.on("data", (chunk) => {
+          if (data.length < 1000) data += chunk;
+        });
+        res.on("end", () => {
+          settle(reject, retryableError(`HTTP ${res.statusCode} from ${serverUrl}: ${data.slice(0, 200)}`, {
+            statusCode: res.statusCode,
+            retryAfter: res.headers["retry-after"],
+          }));
+        });
+      } else if (contentType.includes("text/event-stream")) {
+        const parser = createSseParser((event) => {
+          let message;
+          try {
+            message = JSON.parse(event.data);
+          } catch (e) {
+            return; // Non-JSON event
+          }
+          if (handleMessage(message)) {
+            res.destroy(); // Final response received - don't wait for the stream to close
+          }
+        });
+
+        res.on("data", (chunk) => {
+          if (settled) return;
+          try {
+            parser.push(chunk);
+          } catch (err) {
+            console.error(`${err.message} (${serverUrl})`);
+            req.destroy();
+            settle(reject, err);
+          }
+        });
+
+        res.on("end", () => {
+          if (settled) return;
+          try {
+            parser.end();
+          } catch (err) {
+            settle(reject, err);
+            return;
+          }
+          settle(reject, new Error(`Stream from ${serverUrl} ended without a JSON-RPC response (HTTP ${res.statusCode})`));
+        });
+      } else {
+        let data = "";
+        let bufferExceeded = false;
+
+        res.on("data", (chunk) => {
+          if (data.length + chunk.length > MAX_BUFFER_SIZE) {
+            if (!bufferExceeded) {
+              bufferExceeded = true;
+              console.error(`Response buffer exceeded ${MAX_BUFFER_SIZE} bytes for ${serverUrl}`);
+            }
+            return;
+          }
+          data += chunk;
+        });
+
+        res.on("end", () => {
+          if (bufferExceeded) {
+            settle(reject, new Error(`Response too large (>${MAX_BUFFER_SIZE / 1024 / 1024}MB). Try a more specific query.`));
+            return;
+          }
+          try {
+            settle(resolve, JSON.parse(data));
+            return;
+          } catch (e) {
+            // Not plain JSON - may be an unlabelled SSE body
+          }
+          try {
+            const parser = createSseParser((event) => {
+              try {
+                handleMessage(JSON.parse(event.data));
+              } catch (e) {
+                // Non-JSON event
+              }
+            });
+            parser.push(data);
+            parser.end();
+          } catch (e) {
+            // Fall through to invalid response
+          }
+          settle(reject, new Error(`Invalid response from ${serverUrl}: ${data.slice(0, 200)}`));
+        });
+      }
+
+      res.on("error", (err) => {
+        settle(reject, new Error(`Response error from ${serverUrl}: ${err.message}`));
+      });
+    });
+
+    req.on("error", (err) => settle(reject, err));
+    abortOnSignal(signal, req, (err) => settle(reject, err));
+    req.setTimeout(REQUEST_TIMEOUT, () => {
+      req.destroy();
+      settle(reject, retryableError(`Request timeout (${REQUEST_TIMEOUT / 1000}s) for ${serverUrl}. Try a more specific query.`, {
+        code: "ETIMEDOUT",
+      }));
+    });
+    req.write(body);
+    req.end();
+  });
+}
+
+// ============================================================================
+// TOOL CATALOG CACHE
+// Raw upstream tools/list results per server, stored per tenant so a new
+// process can list tools without waiting on eight initialize + tools/list
+// round trips. Policy filtering and descriptions are applied on load, so
+// policy changes take effect without invalidating the cache.
+// ============================================================================
+
+const TOOL_CACHE_VERSION = 1;
+let toolCatalogCache = null;
+
+function getToolCachePath() {
+  const tenantId = loadServerConfig()?.tenantId;
+  if (!tenantId || TOOL_CACHE_TTL_HOURS <= 0) return null;
+  return path.join(TOOL_CACHE_DIR, `tools-${tenantId.replace(/[^A-Za-z0-9_.-]/g, "_")}.json`);
+}
+
+function hashToolCatalog(tools) {
+  return crypto.createHash("sha256").update(stableStringify(tools)).digest("hex");
+}
+
+function loadToolCatalogCache() {
+  const cachePath = getToolCachePath();
+  if (!cachePath) return null;
+  if (toolCatalogCache?.path === cachePath) return toolCatalogCache;
+
+  let servers = {};
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    if (data.version === TOOL_CACHE_VERSION && data.servers) {
+      servers = data.servers;
+    }
+  } catch (e) {
+    // Missing or unreadable cache - start empty
+  }
+  toolCatalogCache = { path: cachePath, servers };
+  return toolCatalogCache;
+}
+
+/**
+ * Cached raw tools for a server, or null when missing or older than the TTL.
+ */
+function getCachedServerTools(serverKey) {
+  const entry = loadToolCatalogCache()?.servers[serverKey];
+  if (!entry || !Array.isArray(entry.tools)) return null;
+  if (Date.now() - new Date(entry.fetchedAt).getTime() > TOOL_CACHE_TTL_HOURS * 3600 * 1000) return null;
+  return entry;
+}
+
+/**
+ * Store a server's raw tools, or drop its entry when `tools` is null.
+ * Returns true when the catalog differs from the previously cached one.
+ */
+function saveCachedServerTools(serverKey, tools) {
+  const cache = loadToolCatalogCache();
+  if (!cache) return false;
+
+  const hash = tools ? hashToolCatalog(tools) : null;
+  const changed = (cache.servers[serverKey]?.hash || null) !== hash;
+  if (tools) {
+    cache.servers[serverKey] = { fetchedAt: new Date().toISOString(), hash, tools };
+  } else {
+    delete cache.servers[serverKey];
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(cache.path), { recursive: true });
+    const tmpPath = `${cache.path}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: TOOL_CACHE_VERSION, servers: cache.servers }));
+    fs.renameSync(tmpPath, cache.path);
+  } catch (e) {
+    console.error(`Failed to write tool cache: ${e.message}`);
+  }
+  return changed;
+}
+
+// ============================================================================
+// SERVER SESSION MANAGEMENT
+// Tracks initialization state and handles license/permission errors gracefully.
+// ============================================================================
+
+const serverSessions = {};
+
+// Track servers that failed due to license issues
+const disabledServers = new Set(DISABLED_SERVERS);
+
+async function initializeServer(serverKey) {
+  if (serverSessions[serverKey]?.initialized) return true;
+  if (disabledServers.has(serverKey)) return false;
+
+  const server = MCP_SERVERS[serverKey];
+  if (!server) throw new Error(`Unknown server: ${serverKey}`);
+
+  try {
+    const result = await makeAgent365Request(server.url, "initialize", {
+      protocolVersion: "2024-11-05",
+      capabilities: {},
+      clientInfo: { name: "agent365-proxy", version: "1.4.0" },
+    }, 1);
+
+    if (result.error) {
+      // Check for license-related errors
+      const errorMsg = result.error.message || "";
+      if (errorMsg.includes("license") || errorMsg.includes("not entitled") ||
+          errorMsg.includes("Copilot") || errorMsg.includes("subscription")) {
+        console.error(`${serverKey}: License not available - disabling server. Error: ${errorMsg}`);
+        disabledServers.add(serverKey);
+        return false;
+      }
+      throw new Error(result.error.message);
+    }
+
+    // Keep tools already served from the disk cache
+    serverSessions[serverKey] = { tools: null, ...serverSessions[serverKey], initialized: true };
+    console.error(`Initialized ${serverKey} server`);
+    return true;
+  } catch (error) {
+    // Handle network/permission errors gracefully
+    const errorMsg = error.message || "";
+    if (errorMsg.includes("403") || errorMsg.includes("401") ||
+        errorMsg.includes("license") || errorMsg.includes("permission")) {
+      console.error(`${serverKey}: Access denied - disabling server. Error: ${errorMsg}`);
+      disabledServers.add(serverKey);
+      return false;
+    }
+    console.error(`Failed to initialize ${serverKey}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Apply tool policy, name prefixes, hints and confirmation notes to a
+ * server's raw tools/list result.
+ */
+function decorateServerTools(serverKey, rawTools) {
+  const server = MCP_SERVERS[serverKey];
+  return rawTools
+    .filter(tool => evaluateToolPolicy(`${server.prefix}_${tool.name}`, {
+      serverKey,
+      originalName: tool.name,
+      annotations: tool.annotations,
+    }).allowed)
+    .map(tool => {
+      const hint = server.toolHints?.[tool.name] || "";
+      const enhancedDescription = hint
+        ? `[${server.description}] ${tool.description || ""}\n\nHint: ${hint}`
+        : `[${server.description}] ${tool.description || ""}`;
+      const name = `${server.prefix}_${tool.name}`;
+      const needsConfirmation = CONFIRM_OUTBOUND && isOutboundTool(name);
+
+      return {
+        ...tool,
+        name,
+        description: needsConfirmation
+          ? `${enhancedDescription}\n\nRequires user confirmation before it is sent.`
+          : enhancedDescription,
+        inputSchema: needsConfirmation ? withConfirmationTokenSchema(tool.inputSchema) : tool.inputSchema,
+        _serverKey: serverKey,
+        _originalName: tool.name,
+      };
+    });
+}
+
+/**
+ * Fetch a server's raw tools from upstream. Returns null on failure.
+ */
+async function fetchServerTools(serverKey) {
+  const initialized = await initializeServer(serverKey);
+  if (!initialized) return null;
+
+  const result = await makeAgent365Request(MCP_SERVERS[serverKey].url, "tools/list", {}, 2);
+  if (result.error) {
+    console.error(`Error getting tools for ${serverKey}: ${result.error.message}`);
+    return null;
+  }
+  return result.result?.tools || [];
+}
+
+const pendingToolRefreshes = {};
+
+/**
+ * Re-fetch a server's catalog and update the disk cache. Notifies clients
+ * when the catalog changed. Returns true if it changed.
+ */
+function refreshServerTools(serverKey) {
+  if (!pendingToolRefreshes[serverKey]) {
+    pendingToolRefreshes[serverKey] = (async () => {
+      try {
+        const rawTools = await fetchServerTools(serverKey);
+        if (!rawTools) {
+          if (!disabledServers.has(serverKey)) return false;
+          // License or access lost since the catalog was cached
+          saveCachedServerTools(serverKey, null);
+          await notifyToolListChanged(`${serverKey} disabled`);
+          return true;
+        }
+
+        const changed = saveCachedServerTools(serverKey, rawTools);
+        serverSessions[serverKey] = { ...serverSessions[serverKey], tools: decorateServerTools(serverKey, rawTools) };
+        if (changed) {
+          await notifyToolListChanged(`${serverKey} tool catalog changed`);
+        }
+        return changed;
+      } catch (error) {
+        console.error(`Background tool refresh for ${serverKey} failed: ${error.message}`);
+        return false;
+      } finally {
+        delete pendingToolRefreshes[serverKey];
+      }
+    })();
+  }
+  return pendingToolRefreshes[serverKey];
+}
+
+async function getServerTools(serverKey) {
+  const server = MCP_SERVERS[serverKey];
+  if (!server) return [];
+  if (disabledServers.has(serverKey)) return [];
+
+  if (serverSessions[serverKey]?.tools) {
+    return serverSessions[serverKey].tools;
+  }
+
+  // Serve the cached catalog immediately (only once signed in, so a logged-out
+  // client still sees the authenticate prompt) and refresh it in the background
+  const cached = loadTokenData() ? getCachedServerTools(serverKey) : null;
+  if (cached) {
+    const tools = decorateServerTools(serverKey, cached.tools);
+    serverSessions[serverKey] = { initialized: false, ...serverSessions[serverKey], tools };
+    refreshServerTools(serverKey);
+    return tools;
+  }
+
+  try {
+    const rawTools = await fetchServerTools(serverKey);
+    if (!rawTools) return [];
+
+    saveCachedServerTools(serverKey, rawTools);
+    const tools = decorateServerTools(serverKey, rawTools);
+    serverSessions[serverKey].tools = tools;
+    return tools;
+  } catch (error) {
+    console.error(`Error connecting to ${serverKey}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Build a notification handler that relays upstream progress and log
+ * notifications to the MCP client that made the current request.
+ */
+function createNotificationForwarder(serverKey, extra) {
+  return async (message) => {
+    if (message.method === "notifications/progress" || message.method === "notifications/message") {
+      if (extra?.sendNotification) {
+        await extra.sendNotification({ method: message.method, params: message.params });
+      }
+      return;
+    }
+    console.error(`${serverKey}: ignoring upstream notification ${message.method}`);
+  };
+}
+
+/**
+ * Progress reporter for a built-in tool call. Sends notifications/progress
+ * when the client's request carried a progressToken, otherwise does nothing.
+ */
+function createProgressReporter(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined || !extra.sendNotification) {
+    return () => {};
+  }
+  return (progress, total, message) => {
+    extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress, total, message },
+    }).catch((err) => {
+      console.error(`Failed to send progress notification: ${err.message}`);
+    });
+  };
+}
+
+async function callServerTool(serverKey, toolName, args, extra) {
+  const server = MCP_SERVERS[serverKey];
+  if (!server) throw new Error(`Unknown server: ${serverKey}`);
+
+  if (disabledServers.has(serverKey)) {
+    throw new Error(`${serverKey} server is disabled (license not available or access denied)`);
+  }
+
+  await initializeServer(serverKey);
+
+  // Pass the client's progress token through so upstream progress maps back to this call
+  const params = { name: toolName, arguments: args };
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken !== undefined) {
+    params._meta = { progressToken };
+  }
+
+  const result = await makeAgent365Request(
+    server.url,
+    "tools/call",
+    params,
+    Date.now(),
+    { onNotification: createNotificationForwarder(serverKey, extra), signal: extra?.signal }
+  );
+
+  if (result.error) {
+    throw new Error(result.error.message);
+  }
+
+  // Process with tool name for better file naming
+  return processResult(result.result, `${serverKey}_${toolName}`, extra?.sessionId);
+}
+
+// ============================================================================
+// MCP SERVER SETUP
+// ============================================================================
+
+// Every connected Server instance (stdio, or one per HTTP session).
+// All of them share the module-level token cache, serverSessions and tool map.
+const connectedServers = new Set();
+
+/**
+ * Create an MCP Server wired to the proxy's request handlers.
+ * The SDK binds one transport per Server, so HTTP mode creates one per session.
+ */
+function createProxyServer() {
+  const srv = new Server(
+    {
+      name: "agent365-mcp-proxy",
+      version: "1.4.0",
+    },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+        resources: {},
+      },
+    }
+  );
+
+  srv.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  srv.setRequestHandler(CallToolRequestSchema, (request, extra) => handleCallTool(request, extra, srv));
+  srv.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  srv.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  return srv;
+}
+
+/**
+ * Tell every connected client to re-fetch the tool list.
+ * Errors are ignored - a client may not support notifications.
+ */
+async function notifyToolListChanged(reason) {
+  for (const srv of connectedServers) {
+    try {
+      await srv.sendToolListChanged();
+    } catch (e) {
+      console.error(`Could not notify client of tool list change: ${e.message}`);
+    }
+  }
+  console.error(`📢 Notified client to refresh tool list${reason ? ` (${reason})` : ""}`);
+}
+
+const server = createProxyServer();
+
+const toolServerMap = {};
+let toolsLoadedPromise = null;
+let toolsLoaded = false;
+
+// List tools handler
+async function handleListTools() {
+  const allTools = [];
+  const serverKeys = Object.keys(MCP_SERVERS).filter(k => !disabledServers.has(k));
+
+  const results = await Promise.allSettled(
+    serverKeys.map(key => getServerTools(key))
+  );
+
+  for (let i = 0; i < results.length; i++) {
+    if (results[i].status === "fulfilled") {
+      const tools = results[i].value;
+      for (const tool of tools) {
+        toolServerMap[tool.name] = {
+          serverKey: serverKeys[i],
+          originalName: tool._originalName,
+          annotations: tool.annotations,
+        };
+        const { _serverKey, _originalName, ...cleanTool } = tool;
+        allTools.push(cleanTool);
+      }
+    }
+  }
+
+  // Always include auth tool so users can authenticate/re-authenticate
+  allTools.unshift({
+    name: "agent365_authenticate",
+    description: "Start Microsoft 365 authentication. Call this if tools return auth errors. Returns a device code and URL for the user to authenticate in their browser, or opens a browser sign-in with method 'browser'. Call agent365_help for workflow guidance.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        method: AUTH_METHOD_SCHEMA,
+      },
+    },
+  });
+
+  // Built-in tool: upload local files to SharePoint/OneDrive
+  allTools.push({
+    name: "sharepoint_uploadLocalFile",
+    description: "[SharePoint & OneDrive files] Upload a local file from your machine to SharePoint or OneDrive. Supports any file type. Files up to 4MB use direct upload; 4MB-250GB use Graph API chunked upload (requires agent365_graph_auth). Call agent365_help for workflow guidance.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        localFilePath: {
+          type: "string",
+          description: "Absolute path to the local file to upload (e.g. /home/user/report.docx)",
+        },
+        documentLibraryId: {
+          type: "string",
+          description: "Document library (drive) ID. Use 'me' for user's OneDrive. Find via sharepoint_listDocumentLibrariesInSite.",
+        },
+        parentFolderId: {
+          type: "string",
+          description: "Target folder ID within the document library. Defaults to root. Find via sharepoint_getFolderChildren.",
+          default: "root",
+        },
+        filename: {
+          type: "string",
+          description: "Override filename for the upload. If omitted, uses the original filename from localFilePath.",
+        },
+        conflictBehavior: CONFLICT_BEHAVIOR_SCHEMA,
+        verify: {
+          type: "boolean",
+          description: "Compare the uploaded file's QuickXorHash with the local file and fail on a mismatch. Always done for files over 4MB unless set to false; set true to also check small files (requires agent365_graph_auth).",
+        },
+      },
+      required: ["localFilePath", "documentLibraryId"],
+    },
+  });
+
+  // Built-in tool: upload a local directory tree
+  allTools.push({
+    name: "sharepoint_uploadLocalFolder",
+    description: "[SharePoint & OneDrive files] Upload a local folder (e.g. build output, report bundle) to SharePoint or OneDrive in one call. Recreates the folder tree under a folder named after the local one and returns a per-file manifest with item IDs and failures. Requires agent365_graph_auth.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        localFolderPath: {
+          type: "string",
+          description: "Absolute path to the local folder to upload (e.g. /home/user/reports/q3)",
+        },
+        documentLibraryId: {
+          type: "string",
+          description: "Document library (drive) ID. Use 'me' for user's OneDrive. Find via sharepoint_listDocumentLibrariesInSite.",
+        },
+        parentFolderId: {
+          type: "string",
+          description: "Folder ID to create the uploaded folder in. Defaults to root.",
+          default: "root",
+        },
+        include: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only upload files matching these globs (e.g. ['*.pdf', 'charts/*']). '*' matches any characters including '/'; globs without '/' also match file names.",
+        },
+        exclude: {
+          type: "array",
+          items: { type: "string" },
+          description: "Skip files and folders matching these globs (e.g. ['node_modules', '.*', '*.tmp']).",
+        },
+        conflictBehavior: CONFLICT_BEHAVIOR_SCHEMA,
+      },
+      required: ["localFolderPath", "documentLibraryId"],
+    },
+  });
+
+  // Built-in tool: download a drive item to disk
+  allTools.push({
+    name: "sharepoint_downloadToLocalFile",
+    description: "[SharePoint & OneDrive files] Download a file from SharePoint or OneDrive straight to a local path, any size. Returns the local path, size and SHA-256 instead of the content; read or process the file locally afterwards. Interrupted downloads resume when called again. Requires agent365_graph_auth.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        itemId: {
+          type: "string",
+          description: "Drive item ID of the file (from sharepoint_getFolderChildren, search, etc.). Use with documentLibraryId.",
+        },
+        documentLibraryId: {
+          type: "string",
+          description: "Document library (drive) ID for itemId or itemPath. Defaults to 'me' (user's OneDrive).",
+        },
+        fileUrl: {
+          type: "string",
+          description: "Sharing link or web URL of the file, instead of itemId.",
+        },
+        itemPath: {
+          type: "string",
+          description: "Path of the file within the document library (e.g. 'Reports/2024/q3.xlsx'), instead of itemId.",
+        },
+        localPath: {
+          type: "string",
+          description: "Local file path to write, or an existing directory (or a path ending in '/') to keep the file's name.",
+        },
+        overwrite: {
+          type: "boolean",
+          description: "Replace the local file if it exists. Defaults to false.",
+          default: false,
+        },
+      },
+      required: ["localPath"],
+    },
+  });
+
+  // Built-in tools: continue interrupted large uploads
+  allTools.push({
+    name: "sharepoint_resumeUpload",
+    description: "[SharePoint & OneDrive files] Continue a large file upload that was interrupted (failed chunk, restart). Sends only the bytes Graph has not received yet. Requires agent365_graph_auth.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        uploadId: {
+          type: "string",
+          description: "Pending upload ID from sharepoint_listPendingUploads or the failed upload's error. Optional when only one upload is pending.",
+        },
+      },
+    },
+  });
+
+  allTools.push({
+    name: "sharepoint_listPendingUploads",
+    description: "[SharePoint & OneDrive files] List large file uploads that can be continued with sharepoint_resumeUpload, with bytes uploaded and session expiry.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  });
+
+  // Built-in tool: get meeting transcript via Graph API
+  allTools.push({
+    name: "teams_getMeetingTranscript",
+    description: "[Teams Meetings] Get the VTT transcript of a Teams meeting you organized; Microsoft Graph gives transcripts only to the organizer. Identify the meeting by meetingUrl (from calendar_ListCalendarView) or by meetingSubject and startDate. Returns the latest transcript unless transcriptId, occurrenceDate or select='all' is given. Requires Graph API auth (agent365_graph_auth). Call agent365_help for workflow guidance.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        meetingUrl: {
+          type: "string",
+          description: "The Teams meeting join URL. Get this from calendar_ListCalendarView (look for onlineMeeting.joinUrl in the event response).",
+        },
+        meetingSubject: MEETING_SUBJECT_SCHEMA,
+        startDate: MEETING_START_DATE_SCHEMA,
+        transcriptId: {
+          type: "string",
+          description: "ID of a specific transcript (from teams_listMeetingTranscripts).",
+        },
+        occurrenceDate: {
+          type: "string",
+          description: "Only transcripts created on this date (YYYY-MM-DD, local time), e.g. one occurrence of a recurring meeting.",
+        },
+        select: {
+          type: "string",
+          enum: MEETING_ARTIFACT_SELECTIONS,
+          description: "'latest' (default) returns the most recent matching transcript, 'all' returns every matching one.",
+        },
+        format: {
+          type: "string",
+          enum: TRANSCRIPT_FORMATS,
+          description: "'vtt' (default) returns the raw WebVTT. 'text' returns one line per speaker turn with its start time and is the most compact. 'markdown' adds a talk-time table per speaker. 'json' returns speaker stats and turns with start/end times.",
+        },
+        from: {
+          type: "string",
+          description: "Only speech after this offset into the transcript, e.g. '00:15:00' (text, markdown and json formats).",
+        },
+        to: {
+          type: "string",
+          description: "Only speech before this offset into the transcript, e.g. '00:30:00' (text, markdown and json formats).",
+        },
+      },
+    },
+  });
+
+  // Built-in tool: list all transcripts of a meeting
+  allTools.push({
+    name: "teams_listMeetingTranscripts",
+    description: "[Teams Meetings] List every transcript of a Teams meeting with its ID, created time and duration. Recurring meetings and meetings where transcription was restarted have several. Only the organizer can list them. Requires Graph API auth (agent365_graph_auth).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        meetingUrl: {
+          type: "string",
+          description: "The Teams meeting join URL (onlineMeeting.joinUrl from calendar_ListCalendarView).",
+        },
+        meetingSubject: MEETING_SUBJECT_SCHEMA,
+        startDate: MEETING_START_DATE_SCHEMA,
+      },
+    },
+  });
+
+  // Built-in tools: meeting attendance reports and recordings
+  allTools.push({
+    name: "teams_getMeetingAttendance",
+    description: "[Teams Meetings] Get the attendance report of a Teams meeting: each attendee's role, total time in the meeting and every join/leave interval. Identify the meeting like teams_getMeetingTranscript. Returns the latest report unless reportId, occurrenceDate or select='all' is given. Only the organizer can fetch attendance reports. Requires Graph API auth (agent365_graph_auth).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        meetingUrl: {
+          type: "string",
+          description: "The Teams meeting join URL (onlineMeeting.joinUrl from calendar_ListCalendarView).",
+        },
+        meetingSubject: MEETING_SUBJECT_SCHEMA,
+        startDate: MEETING_START_DATE_SCHEMA,
+        reportId: {
+          type: "string",
+          description: "ID of a specific attendance report (every report is listed when select='all').",
+        },
+        occurrenceDate: {
+          type: "string",
+          description: "Only the report of the occurrence held on this date (YYYY-MM-DD, local time).",
+        },
+        select: {
+          type: "string",
+          enum: MEETING_ARTIFACT_SELECTIONS,
+          description: "'latest' (default) returns the most recent matching report, 'all' returns every matching one.",
+        },
+      },
+    },
+  });
+
+  allTools.push({
+    name: "teams_getMeetingRecording",
+    description: "[Teams Meetings] List the recordings of a Teams meeting (ID, created time, duration) and optionally download one to local disk with localPath. The video is streamed to disk and never returned as content. Identify the meeting like teams_getMeetingTranscript. Only the organizer can fetch recordings. Requires Graph API auth (agent365_graph_auth).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        meetingUrl: {
+          type: "string",
+          description: "The Teams meeting join URL (onlineMeeting.joinUrl from calendar_ListCalendarView).",
+        },
+        meetingSubject: MEETING_SUBJECT_SCHEMA,
+        startDate: MEETING_START_DATE_SCHEMA,
+        recordingId: {
+          type: "string",
+          description: "ID of a specific recording (from an earlier call without localPath).",
+        },
+        occurrenceDate: {
+          type: "string",
+          description: "Only recordings created on this date (YYYY-MM-DD, local time).",
+        },
+        select: {
+          type: "string",
+          enum: MEETING_ARTIFACT_SELECTIONS,
+          description: "'latest' (default) picks the most recent matching recording, 'all' every matching one. Without localPath, every recording is listed regardless.",
+        },
+        localPath: {
+          type: "string",
+          description: "Download the selected recording here. A directory (existing, or ending in a slash) receives '<subject> <created>.mp4'; required to be a directory with select='all'.",
+        },
+        overwrite: {
+          type: "boolean",
+          description: "Replace local files that already exist. Defaults to false.",
+          default: false,
+        },
+      },
+    },
+  });
+
+  // Built-in tool: export the transcripts of many meetings to local files
+  allTools.push({
+    name: "teams_exportTranscripts",
+    description: "[Teams Meetings] Export the transcripts of every Teams meeting in a date range (optionally filtered by subject, e.g. all standups of a week) to a local directory: one file per meeting occurrence plus index.json. Reads the calendar itself and returns only a summary, not the transcripts. Files that already exist are skipped, so re-running picks up new meetings. Only meetings you organized can be exported; others are listed as errors. Requires Graph API auth (agent365_graph_auth).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        startDate: {
+          type: "string",
+          description: "First day of the range (YYYY-MM-DD, local time).",
+        },
+        endDate: {
+          type: "string",
+          description: `Last day of the range, inclusive (YYYY-MM-DD, local time). The range may span up to ${EXPORT_MAX_DAYS} days.`,
+        },
+        subject: {
+          type: "string",
+          description: "Only meetings whose subject contains this text (case-insensitive). Omit for every online meeting in the range.",
+        },
+        localPath: {
+          type: "string",
+          description: "Directory to write the transcript files and index.json to. Created if missing.",
+        },
+        format: {
+          type: "string",
+          enum: TRANSCRIPT_FORMATS,
+          description: "File format: 'vtt' (default, raw WebVTT), 'text' (one line per speaker turn), 'markdown' (with talk time per speaker) or 'json'.",
+        },
+        overwrite: {
+          type: "boolean",
+          description: "Export again over files that already exist. Defaults to false.",
+          default: false,
+        },
+      },
+      required: ["startDate", "endDate", "localPath"],
+    },
+  });
+
+  // Built-in tool: authenticate with Microsoft Graph API for advanced features
+  allTools.push({
+    name: "agent365_graph_auth",
+    description: "Authenticate with Microsoft Graph API for advanced features (large file upload >4MB, meeting transcripts). Only needed if those tools report auth errors. Uses device code flow, or a browser sign-in with method 'browser'. Pass scopes to approve a permission a meeting tool asked for.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        method: AUTH_METHOD_SCHEMA,
+        scopes: {
+          type: "array",
+          items: { type: "string", enum: GRAPH_OPTIONAL_SCOPES },
+          description: "Additional permissions to approve: Calendars.Read (find meetings by subject and date, teams_exportTranscripts), OnlineMeetingArtifact.Read.All (teams_getMeetingAttendance), OnlineMeetingRecording.Read.All (teams_getMeetingRecording).",
+        },
+      },
+    },
+  });
+
+  // Built-in tool: workflow guide (returns full instructions on demand to save context)
+  allTools.push({
+    name: "agent365_help",
+    description: "Get workflow guidance for Microsoft 365 tools. Call this FIRST when working with SharePoint, Teams, Mail, Calendar, Excel, or Word tools — returns step-by-step workflows, tool chaining patterns, and best practices. Low cost: only loads guidance when needed instead of bloating every tool description.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        topic: {
+          type: "string",
+          description: "Optional topic filter: sharepoint, upload, mail, calendar, teams, transcript, excel, word, or leave empty for all workflows.",
+        },
+      },
+    },
+  });
+
+  if (allTools.length === 1) { // Only auth tool, no real tools loaded
+    const disabledList = Array.from(disabledServers).join(", ");
+    allTools.push({
+      name: "agent365_status",
+      description: `Authentication required. Call agent365_authenticate first to get login instructions.\n\nDisabled servers: ${disabledList || "none"}`,
+      inputSchema: { type: "object", properties: {} },
+    });
+  }
+
+  const activeServers = serverKeys.filter(k => !disabledServers.has(k)).length;
+  const disabledCount = disabledServers.size;
+  console.error(`Loaded ${allTools.length} tools from ${activeServers} servers (${disabledCount} disabled)`);
+
+  toolsLoaded = true;
+  return { tools: allTools };
+}
+
+// Call tool handler
+async function handleCallTool(request, extra, srv) {
+  const { name, arguments: args } = request.params;
+  const startedAt = Date.now();
+  const audit = { serverKey: null, policy: null, status: null };
+  let result;
+
+  try {
+    result = await dispatchToolCall(request, extra, srv, audit);
+    return result;
+  } finally {
+    recordAuditEntry({
+      profile: PROFILE,
+      tool: name,
+      serverKey: audit.serverKey || toolServerMap[name]?.serverKey || (MCP_SERVERS[name.split("_")[0]] ? name.split("_")[0] : null),
+      args: summarizeArgsForAudit(args),
+      status: audit.status || (extra?.signal?.aborted ? "cancelled" : !result ? "exception" : result.isError ? "error" : "ok"),
+      resultSize: getResultSize(result),
+      durationMs: Date.now() - startedAt,
+      policy: audit.policy || "allowed",
+    });
+  }
+}
+
+/**
+ * Route a tool call to its built-in handler or upstream server.
+ * Records the policy decision and confirmation outcome on `audit`.
+ */
+async function dispatchToolCall(request, extra, srv, audit) {
+  const { name } = request.params;
+  let args = request.params.arguments;
+
+  // Build the tool map before routing if no tools/list has run yet
+  // (served from the disk cache when warm)
+  if (!toolsLoaded) {
+    toolsLoadedPromise = toolsLoadedPromise || handleListTools().finally(() => {
+      toolsLoadedPromise = null;
+    });
+    await toolsLoadedPromise;
+  }
+
+  // Enforce tool policy on every Microsoft 365 tool, including built-ins
+  // (agent365_* auth/help tools are always available)
+  if (!name.startsWith("agent365_")) {
+    const mapped = toolServerMap[name];
+    const decision = evaluateToolPolicy(name, {
+      serverKey: mapped?.serverKey,
+      originalName: mapped?.originalName,
+      args: args || {},
+      annotations: mapped?.annotations,
+    });
+    if (!decision.allowed) {
+      audit.policy = `denied: ${decision.reason}`;
+      audit.status = "denied";
+      return {
+        content: [{
+          type: "text",
+          text: `Blocked by policy: ${decision.reason}`,
+        }],
+        isError: true,
+      };
+    }
+  }
+
+  // Handle built-in auth tool
+  if (name === "agent365_authenticate") {
+    return await handleAuthenticate(args);
+  }
+
+  // Handle built-in upload tool
+  if (name === "sharepoint_uploadLocalFile") {
+    return await handleUploadLocalFile(args, extra);
+  }
+
+  if (name === "sharepoint_uploadLocalFolder") {
+    return await handleUploadLocalFolder(args, extra);
+  }
+
+  if (name === "sharepoint_downloadToLocalFile") {
+    return await handleDownloadToLocalFile(args, extra);
+  }
+
+  if (name === "sharepoint_resumeUpload") {
+    return await handleResumeUpload(args, extra);
+  }
+
+  if (name === "sharepoint_listPendingUploads") {
+    return handleListPendingUploads();
+  }
+
+  // Handle built-in meeting transcript tool
+  if (name === "teams_getMeetingTranscript") {
+    return await handleGetMeetingTranscript(args, extra);
+  }
+
+  if (name === "teams_listMeetingTranscripts") {
+    return await handleListMeetingTranscripts(args, extra);
+  }
+
+  if (name === "teams_getMeetingAttendance") {
+    return await handleGetMeetingAttendance(args, extra);
+  }
+
+  if (name === "teams_getMeetingRecording") {
+    return await handleGetMeetingRecording(args, extra);
+  }
+
+  if (name === "teams_exportTranscripts") {
+    return await handleExportTranscripts(args, extra);
+  }
+
+  // Handle built-in Graph API auth tool
+  if (name === "agent365_graph_auth") {
+    return await handleGraphAuth(args);
+  }
+
+  if (name === "agent365_help") {
+    return handleHelp(args);
+  }
+
+  if (name === "agent365_status") {
+    const token = await loadToken();
+    if (token) {
+      return {
+        content: [{
+          type: "text",
+          text: "✅ Authenticated and ready. Other agent365_* tools should now be available.",
+        }],
+      };
+    } else {
+      return {
+        content: [{
+          type: "text",
+          text: "❌ Not authenticated. Please call agent365_authenticate to get login instructions.",
+        }],
+      };
+    }
+  }
+
+  const mapping = toolServerMap[name];
+  if (!mapping) {
+    return {
+      content: [{
+        type: "text",
+        text: `Unknown tool: ${name}. Available tools may need to be refreshed.`,
+      }],
+      isError: true,
+    };
+  }
+
+  // Hold outbound actions (mail, posts, invites) until the user approves them
+  if (CONFIRM_OUTBOUND && isOutboundTool(name)) {
+    const confirmation = await confirmOutboundAction(name, args, srv);
+    if (!confirmation.approved) {
+      audit.status = confirmation.result.isError ? "not_confirmed" : "pending_confirmation";
+      return confirmation.result;
+    }
+    args = confirmation.args;
+  }
+
+  try {
+    const result = await callServerTool(mapping.serverKey, mapping.originalName, args, extra);
+    return result;
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error calling ${name}: ${error.message}\n\nIf authentication expired, run: npx github:rapyuta-robotics/agent365-mcp auth`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// ============================================================================
+// IN-CHAT AUTHENTICATION (returns device code in tool result)
+// ============================================================================
+
+let pendingAuthPromise = null;
+
+const AUTH_METHOD_SCHEMA = {
+  type: "string",
+  enum: ["device", "browser"],
+  description: "'device' returns a code to enter at microsoft.com/devicelogin. 'browser' opens a sign-in page on this machine (use when device code login is blocked by your organization). Defaults to AGENT365_AUTH_METHOD or 'device'.",
+};
+
+// Browser logins waiting for their redirect, by purpose ("agent365", "graph")
+const pendingBrowserLogins = new Map();
+
+/**
+ * Start a browser (auth code + PKCE) login and open the sign-in page.
+ * Returns the loopback login, or null when no browser can be opened so the
+ * caller falls back to device code. While a login for the same purpose and
+ * scopes is still waiting, it is returned again with `reused: true` (the
+ * caller already handles its token) instead of starting another listener;
+ * one for other scopes is cancelled first.
+ */
+async function openBrowserLogin(pca, scopes, purpose) {
+  const pending = pendingBrowserLogins.get(purpose);
+  if (pending) {
+    if (pending.scopes.join(" ") === scopes.join(" ")) {
+      return { ...pending, reused: true };
+    }
+    pending.cancel();
+    pendingBrowserLogins.delete(purpose);
+  }
+
+  if (!hasBrowser()) {
+    console.error("No browser available, using device code login");
+    return null;
+  }
+  try {
+    const login = await startLoopbackLogin(pca, scopes);
+    if (await launchBrowser(login.authUrl)) {
+      const entry = { ...login, scopes };
+      pendingBrowserLogins.set(purpose, entry);
+      const done = () => {
+        if (pendingBrowserLogins.get(purpose) === entry) pendingBrowserLogins.delete(purpose);
+      };
+      login.tokenPromise.then(done, done);
+      return entry;
+    }
+    login.cancel();
+    console.error("Could not open a browser, using device code login");
+  } catch (e) {
+    console.error(`Browser login unavailable (${e.message}), using device code login`);
+  }
+  return null;
+}
+
+async function handleAuthenticate(args) {
+  const config = loadServerConfig();
+
+  if (!config) {
+    return {
+      content: [{
+        type: "text",
+        text: `❌ **Configuration Missing**
+
+No Tenant ID or Client ID found. These must be set in your MCP config:
+
+\`\`\`json
+{
+  "mcpServers": {
+    "agent365": {
+      "command": "npx",
+      "args": ["-y", "github:rapyuta-robotics/agent365-mcp", "serve"],
+      "env": {
+        "AGENT365_TENANT_ID": "your-tenant-id",
+        "AGENT365_CLIENT_ID": "your-client-id"
+      }
+    }
+  }
+}
+\`\`\`
+
+Get these values from entra.microsoft.com (Tenant ID on Home, Client ID under Home > App Registrations > Agent 365 MCP). If you don't have Entra access, ask your IT administrator, then restart your coding assistant.`,
+      }],
+      isError: true,
+    };
+  }
+
+  // Check if already authenticated
+  const existingToken = await loadToken();
+  if (existingToken) {
+    const tokenData = loadTokenData();
+
+    // Clear cached sessions and notify client to re-fetch tools
+    // (handles the case where tools weren't loaded on initial startup)
+    Object.keys(serverSessions).forEach(key => delete serverSessions[key]);
+    Object.keys(toolServerMap).forEach(key => delete toolServerMap[key]);
+    await notifyToolListChanged("already authenticated");
+
+    return {
+      content: [{
+        type: "text",
+        text: `✅ **Already Authenticated**
+
+Account: ${tokenData?.account?.username || "Unknown"}
+Status: Valid token present
+
+Tool list has been refreshed. The agent365_* tools (SharePoint, Excel, Word, Teams, Mail, Calendar, Copilot) should now be available.`,
+      }],
+    };
+  }
+
+  // Start device code flow
+  const pca = new PublicClientApplication({
+    auth: {
+      clientId: config.clientId,
+      authority: `https://login.microsoftonline.com/${config.tenantId}`,
+    },
+    cache: {
+      cachePlugin: createMsalCachePlugin(),
+    },
+  });
+
+  const scopes = [`${AGENT365_API}/.default`];
+
+  // Try silent refresh first
+  const accounts = await pca.getTokenCache().getAllAccounts();
+  if (accounts.length > 0) {
+    try {
+      const response = await pca.acquireTokenSilent({
+        account: selectAccount(accounts),
+        scopes: scopes,
+      });
+      saveToken(response, config);
+
+      // Clear cached sessions and notify client to re-fetch tools
+      Object.keys(serverSessions).forEach(key => delete serverSessions[key]);
+      Object.keys(toolServerMap).forEach(key => delete toolServerMap[key]);
+      await notifyToolListChanged("token refreshed");
+
+      return {
+        content: [{
+          type: "text",
+          text: `✅ **Token Refreshed**
+
+Account: ${response.account?.username || "Unknown"}
+Expires: ${response.expiresOn}
+
+Tool list has been refreshed. The agent365_* tools (SharePoint, Excel, Word, Teams, Mail, Calendar, Copilot) should now be available.`,
+        }],
+      };
+    } catch (e) {
+      // Fall through to interactive login
+    }
+  }
+
+  const onAuthenticated = async (response) => {
+    saveToken(response, config);
+    console.error(`✅ Authentication completed for ${response.account?.username}`);
+
+    // Clear cached sessions so tools are re-fetched with the new token
+    Object.keys(serverSessions).forEach(key => delete serverSessions[key]);
+    Object.keys(toolServerMap).forEach(key => delete toolServerMap[key]);
+
+    // Notify client that tools have changed so it re-fetches the full tool list
+    await notifyToolListChanged();
+  };
+
+  const method = args?.method || AUTH_METHOD;
+  if (method === "browser") {
+    const login = await openBrowserLogin(pca, scopes, "agent365");
+    if (login) {
+      if (!login.reused) {
+        login.tokenPromise.then(onAuthenticated).catch((e) => {
+          console.error(`❌ Authentication failed: ${e.message}`);
+        });
+      }
+      return {
+        content: [{
+          type: "text",
+          text: `🔐 **Microsoft 365 Authentication Required**
+
+${login.reused ? "A browser sign-in is already in progress and still waiting to complete." : "A browser window has been opened to sign in."} If it did not appear, open this URL **on this machine**:
+${login.authUrl}
+
+**For agent:** After the user confirms they've signed in, call \`agent365_authenticate\` again to verify authentication succeeded.
+
+The sign-in page waits for 5 minutes.`,
+        }],
+      };
+    }
+  }
+  const fallbackNote = method === "browser"
+    ? "_No browser could be opened on this machine, so device code login is used instead._\n\n"
+    : "";
+
+  // Device code flow - return the code to the user via tool result
+  return new Promise((resolve) => {
+    let deviceCode = null;
+    let verificationUrl = null;
+
+    const authPromise = pca.acquireTokenByDeviceCode({
+      scopes: scopes,
+      deviceCodeCallback: (response) => {
+        deviceCode = response.userCode;
+        verificationUrl = response.verificationUriComplete || response.verificationUri;
+
+        // Save code to file as backup
+        saveDeviceCodeToFile(deviceCode, response.verificationUri);
+
+        // Copy to clipboard
+        copyToClipboard(deviceCode);
+
+        // Return immediately with the code - don't wait for auth to complete
+        resolve({
+          content: [{
+            type: "text",
+            text: `🔐 **Microsoft 365 Authentication Required**
+
+${fallbackNote}**Your code: \`${deviceCode}\`** (copied to clipboard)
+
+**Steps for user:**
+1. Go to: ${verificationUrl}
+2. Enter the code: **${deviceCode}**
+3. Sign in with your Microsoft account
+
+**For agent:** After the user confirms they've completed login, call \`agent365_authenticate\` again to verify authentication succeeded. The tool will return "Already Authenticated" or "Token Refreshed" when successful.
+
+The code expires in 15 minutes.`,
+          }],
+        });
+      },
+    });
+
+    // Handle auth completion in background
+    authPromise.then(onAuthenticated).catch((e) => {
+      console.error(`❌ Authentication failed: ${e.message}`);
+    });
+  });
+}
+
+// ============================================================================
+// LOCAL FILE UPLOAD TO SHAREPOINT/ONEDRIVE
+// Reads a local file and uploads via the upstream createSmallBinaryFile tool.
+// ============================================================================
+
+const UPLOAD_MAX_SIZE_SMALL = 4 * 1024 * 1024; // 4MB limit for Agent365 proxy upload
+const UPLOAD_MAX_SIZE_LARGE = 250 * 1024 * 1024 * 1024; // 250GB, the SharePoint/OneDrive file size limit
+const UPLOAD_CHUNK_UNIT = 320 * 1024; // Graph requires chunks in multiples of 320KB
+const UPLOAD_CHUNK_SIZE = 5 * UPLOAD_CHUNK_UNIT; // 1.6MB first chunk, then sized by throughput
+const UPLOAD_CHUNK_MAX = 180 * UPLOAD_CHUNK_UNIT; // 56.25MB, under Graph's 60MB per-request limit
+const UPLOAD_CHUNK_TARGET_MS = 10 * 1000; // Aim for chunks that take about 10 seconds
+const UPLOAD_STATE_DIR = process.env.AGENT365_UPLOAD_STATE_DIR || path.join(PROFILE_DIR, "uploads");
+const CONFLICT_BEHAVIORS = ["rename", "replace", "fail"];
+
+const CONFLICT_BEHAVIOR_SCHEMA = {
+  type: "string",
+  enum: CONFLICT_BEHAVIORS,
+  description: "What to do if a file with the same name exists: 'rename' (default, e.g. 'report 1.docx'), 'replace' (new version of the existing file; the version ID is returned) or 'fail'. Setting this uploads small files through Graph (requires agent365_graph_auth).",
+};
+
+async function handleUploadLocalFile(args, extra) {
+  const { localFilePath, documentLibraryId, parentFolderId, filename, conflictBehavior, verify } = args || {};
+
+  if (!localFilePath) {
+    return {
+      content: [{ type: "text", text: "Error: localFilePath is required." }],
+      isError: true,
+    };
+  }
+
+  if (!documentLibraryId) {
+    return {
+      content: [{ type: "text", text: "Error: documentLibraryId is required. Use 'me' for OneDrive, or find it via sharepoint_findSite + sharepoint_listDocumentLibrariesInSite." }],
+      isError: true,
+    };
+  }
+
+  if (conflictBehavior !== undefined && !CONFLICT_BEHAVIORS.includes(conflictBehavior)) {
+    return {
+      content: [{ type: "text", text: `Error: conflictBehavior must be one of ${CONFLICT_BEHAVIORS.join(", ")}.` }],
+      isError: true,
+    };
+  }
+
+  // Resolve and validate file path
+  const resolvedPath = path.resolve(localFilePath);
+  if (!fs.existsSync(resolvedPath)) {
+    return {
+      content: [{ type: "text", text: `Error: File not found: ${resolvedPath}` }],
+      isError: true,
+    };
+  }
+
+  const stats = fs.statSync(resolvedPath);
+  if (!stats.isFile()) {
+    return {
+      content: [{ type: "text", text: `Error: Path is not a file: ${resolvedPath}` }],
+      isError: true,
+    };
+  }
+
+  const uploadFilename = filename || path.basename(resolvedPath);
+
+  if (stats.size > UPLOAD_MAX_SIZE_LARGE) {
+    const sizeGB = (stats.size / (1024 * 1024 * 1024)).toFixed(1);
+    return {
+      content: [{ type: "text", text: `Error: File too large (${sizeGB}GB). Maximum upload size is ${UPLOAD_MAX_SIZE_LARGE / (1024 * 1024 * 1024)}GB.` }],
+      isError: true,
+    };
+  }
+
+  // Large files (>4MB) use Graph API chunked upload
+  if (stats.size > UPLOAD_MAX_SIZE_SMALL) {
+    return await uploadLargeFile(resolvedPath, uploadFilename, documentLibraryId, parentFolderId || "root", extra, { conflictBehavior, verify });
+  }
+
+  if (stats.size === 0) {
+    return {
+      content: [{ type: "text", text: "Error: File is empty (0 bytes)." }],
+      isError: true,
+    };
+  }
+
+  // The upstream createSmall* tools have no conflict option, so an explicit one goes through Graph
+  if (conflictBehavior) {
+    return await uploadSmallFileViaGraph(resolvedPath, uploadFilename, documentLibraryId, parentFolderId || "root", conflictBehavior, extra, verify);
+  }
+
+  // Verification reads the uploaded item through Graph, so check auth before uploading
+  if (verify && !(await loadGraphToken())) {
+    return {
+      content: [{
+        type: "text",
+        text: "Error: verify requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first, or omit verify.",
+      }],
+      isError: true,
+    };
+  }
+
+  // Determine if text or binary based on extension
+  const textExtensions = new Set([
+    ".txt", ".md", ".csv", ".json", ".xml", ".html", ".htm", ".css", ".js",
+    ".ts", ".py", ".sh", ".bash", ".yaml", ".yml", ".toml", ".ini", ".cfg",
+    ".log", ".sql", ".r", ".m", ".c", ".h", ".cpp", ".hpp", ".java",
+    ".rb", ".go", ".rs", ".swift", ".kt", ".scala", ".pl", ".lua",
+  ]);
+  const ext = path.extname(resolvedPath).toLowerCase();
+  const isText = textExtensions.has(ext);
+
+  try {
+    await initializeServer("sharepoint");
+    let uploadResult;
+
+    if (isText) {
+      const content = fs.readFileSync(resolvedPath, "utf8");
+      const result = await makeAgent365Request(
+        MCP_SERVERS.sharepoint.url,
+        "tools/call",
+        {
+          name: "createSmallTextFile",
+          arguments: {
+            filename: uploadFilename,
+            contentText: content,
+            documentLibraryId: documentLibraryId,
+            parentfolderId: parentFolderId || "root",
+          },
+        },
+        Date.now(),
+        { signal: extra?.signal }
+      );
+
+      if (result.error) {
+        throw new Error(result.error.message);
+      }
+
+      uploadResult = processResult(result.result, "sharepoint_uploadLocalFile", extra?.sessionId);
+    } else {
+      // Binary file: base64 encode and use createSmallBinaryFile
+      const content = fs.readFileSync(resolvedPath);
+      const base64Content = content.toString("base64");
+
+      const result = await makeAgent365Request(
+        MCP_SERVERS.sharepoint.url,
+        "tools/call",
+        {
+          name: "createSmallBinaryFile",
+          arguments: {
+            filename: uploadFilename,
+            base64Content: base64Content,
+            documentLibraryId: documentLibraryId,
+            parentfolderId: parentFolderId || "root",
+          },
+        },
+        Date.now(),
+        { signal: extra?.signal }
+      );
+
+      if (result.error) {
+        throw new Error(result.error.message);
+      }
+
+      uploadResult = processResult(result.result, "sharepoint_uploadLocalFile", extra?.sessionId);
+    }
+
+    if (verify && !uploadResult.isError) {
+      const driveId = documentLibraryId === "me" ? "me/drive" : `drives/${documentLibraryId}`;
+      const item = { id: extractUploadedItemId(uploadResult) };
+      return await addUploadVerification(uploadResult, resolvedPath, driveId, item, uploadFilename, extra?.signal);
+    }
+    return uploadResult;
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error uploading ${uploadFilename}: ${error.message}\n\nIf authentication expired, run agent365_authenticate.`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * ID of the newest version of a drive item, reported after a replace.
+ */
+async function getLatestVersionId(driveId, itemId, signal) {
+  const versions = await makeGraphRequest("GET", `/${driveId}/items/${itemId}/versions`, null, null, { signal });
+  return versions.value?.[0]?.id || null;
+}
+
+/**
+ * Upload a file of up to 4MB with a single Graph PUT, honouring conflictBehavior.
+ */
+async function uploadSmallFileViaGraph(resolvedPath, uploadFilename, documentLibraryId, parentFolderId, conflictBehavior, extra, verify) {
+  const signal = extra?.signal;
+  const graphToken = await loadGraphToken();
+  if (!graphToken) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error: conflictBehavior requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first, or omit conflictBehavior to upload with the default (rename).`,
+      }],
+      isError: true,
+    };
+  }
+
+  try {
+    const driveId = documentLibraryId === "me" ? "me/drive" : `drives/${documentLibraryId}`;
+    const url = `https://graph.microsoft.com/v1.0/${driveId}/items/${parentFolderId}:/${encodeURIComponent(uploadFilename)}:/content` +
+      `?@microsoft.graph.conflictBehavior=${conflictBehavior}`;
+    const result = await makeGraphRawRequest("PUT", url, fs.readFileSync(resolvedPath), {
+      "Content-Type": "application/octet-stream",
+    }, { signal });
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    if (result.statusCode === 409) {
+      return {
+        content: [{ type: "text", text: `Error: ${uploadFilename} already exists in the target folder (conflictBehavior: fail).` }],
+        isError: true,
+      };
+    }
+    if (result.statusCode >= 400) {
+      const errorData = typeof result.data === "string" ? result.data : JSON.stringify(result.data);
+      throw new Error(`HTTP ${result.statusCode} - ${errorData.slice(0, 500)}`);
+    }
+
+    const file = result.data;
+    const versionId = conflictBehavior === "replace" ? await getLatestVersionId(driveId, file.id, signal) : null;
+    const uploadResult = {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          message: `Successfully uploaded ${file.name || uploadFilename} via Graph API (conflictBehavior: ${conflictBehavior}).`,
+          file,
+          ...(versionId && { versionId }),
+        }, null, 2),
+      }],
+    };
+    return verify ? await addUploadVerification(uploadResult, resolvedPath, driveId, file, uploadFilename, signal) : uploadResult;
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error uploading ${uploadFilename}: ${error.message}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// ============================================================================
+// LARGE FILE UPLOAD VIA GRAPH API (>4MB, up to 250GB)
+// Uses resumable upload sessions with chunked PUT requests. Graph accepts
+// the chunks of a session only in order, so they are sent one at a time,
+// sized to the measured throughput. A failed chunk is retried from the
+// session's nextExpectedRanges. Progress is reported per chunk; cancelling
+// the tool call deletes the upload session.
+// Session state is kept in UPLOAD_STATE_DIR so an upload interrupted by a
+// restart or a failed chunk continues where it stopped.
+// ============================================================================
+
+/**
+ * Identify an upload by source file and destination, so uploading the same
+ * file to the same place again picks up its pending session.
+ */
+function getUploadId(resolvedPath, uploadFilename, documentLibraryId, parentFolderId) {
+  return crypto.createHash("sha256")
+    .update(JSON.stringify([resolvedPath, uploadFilename, documentLibraryId, parentFolderId]))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function getUploadStatePath(uploadId) {
+  return path.join(UPLOAD_STATE_DIR, `${uploadId}.json`);
+}
+
+/**
+ * Hash a file (SHA-256 hex by default) from a read stream, so large files are
+ * neither held in memory nor hashed in one blocking pass. Cancellation through
+ * `signal` stops the read.
+ */
+async function hashFile(filePath, { hash = crypto.createHash("sha256"), encoding = "hex", signal } = {}) {
+  if (signal?.aborted) throw cancelledError();
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 })) {
+    if (signal?.aborted) throw cancelledError();
+    hash.update(chunk);
+  }
+  return hash.digest(encoding);
+}
+
+/**
+ * QuickXorHash, the content hash SharePoint and OneDrive for Business report
+ * in file.hashes.quickXorHash. Byte n is XORed into a circular 160-bit value
+ * at bit (n * 11) mod 160, then the 64-bit length is XORed into the last 8
+ * bytes. Bytes whose index is equal mod 160 land on the same bits, so they
+ * are folded into 160 lanes first.
+ */
+function createQuickXorHash() {
+  const lanes = Buffer.alloc(160);
+  let length = 0;
+  return {
+    update(data) {
+      let lane = length % 160;
+      for (let i = 0; i < data.length; i++) {
+        lanes[lane] ^= data[i];
+        if (++lane === 160) lane = 0;
+      }
+      length += data.length;
+      return this;
+    },
+    digest(encoding) {
+      const hash = Buffer.alloc(20);
+      for (let lane = 0; lane < 160; lane++) {
+        const bit = (lane * 11) % 160;
+        const index = bit >> 3;
+        const shift = bit & 7;
+        hash[index] ^= (lanes[lane] << shift) & 0xff;
+        if (shift > 0) {
+          hash[(index + 1) % 20] ^= lanes[lane] >> (8 - shift);
+        }
+      }
+      const lengthBytes = Buffer.alloc(8);
+      lengthBytes.writeBigUInt64LE(BigInt(length));
+      for (let i = 0; i < 8; i++) {
+        hash[12 + i] ^= lengthBytes[i];
+      }
+      return encoding ? hash.toString(encoding) : hash;
+    },
+  };
+}
+
+function quickXorHashFile(filePath, signal) {
+  return hashFile(filePath, { hash: createQuickXorHash(), encoding: "base64", signal });
+}
+
+/**
+ * Compare an uploaded item's QuickXorHash with the local file and add the
+ * outcome to the tool result. The item is fetched when the upload response
+ * carried no hashes. A mismatch turns the result into an error.
+ */
+async function addUploadVerification(result, resolvedPath, driveId, item, uploadFilename, signal) {
+  let remoteHash = item?.file?.hashes?.quickXorHash;
+  let reason = item?.id ? "SharePoint did not report a QuickXorHash for the item" : "the upload result did not include an item ID";
+  if (!remoteHash && item?.id) {
+    const fetched = await makeGraphRequest("GET", `/${driveId}/items/${item.id}?$select=id,file`, null, null, { signal });
+    if (fetched.error) {
+      reason = `could not read the uploaded item (${fetched.error})`;
+    }
+    remoteHash = fetched.file?.hashes?.quickXorHash;
+  }
+  if (!remoteHash) {
+    result.content.push({ type: "text", text: `Integrity check skipped: ${reason}.` });
+    return result;
+  }
+
+  const localHash = await quickXorHashFile(resolvedPath, signal);
+  if (localHash !== remoteHash) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error: Integrity check failed for ${uploadFilename}: the local QuickXorHash is ${localHash} but SharePoint reports ${remoteHash}. The uploaded file does not match the local one; upload it again with conflictBehavior 'replace'.`,
+      }],
+      isError: true,
+    };
+  }
+  result.content.push({ type: "text", text: `Integrity check passed: QuickXorHash ${localHash} matches the local file.` });
+  return result;
+}
+
+// The upload URL grants write access without a token, so state goes through the secret store
+function saveUploadState(state) {
+  writeSecretJson(getUploadStatePath(state.id), state);
+}
+
+function loadUploadState(uploadId) {
+  if (!/^[0-9a-f]{16}$/.test(uploadId || "")) return null;
+  return readSecretJson(getUploadStatePath(uploadId));
+}
+
+function deleteUploadState(uploadId) {
+  try {
+    fs.unlinkSync(getUploadStatePath(uploadId));
+  } catch (e) {
+    // Already gone
+  }
+}
+
+/**
+ * Pending uploads, oldest first.
+ */
+function listUploadStates() {
+  let files;
+  try {
+    files = fs.readdirSync(UPLOAD_STATE_DIR);
+  } catch (e) {
+    return [];
+  }
+  return files
+    .filter(f => /^[0-9a-f]{16}\.json$/.test(f))
+    .map(f => loadUploadState(f.slice(0, 16)))
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function isUploadExpired(state) {
+  return Boolean(state.expirationDateTime) && Date.parse(state.expirationDateTime) <= Date.now();
+}
+
+/**
+ * Why a pending upload can no longer be resumed, or null if it can.
+ * The file is only hashed when its size and mtime still match.
+ */
+async function checkUploadResumable(state, signal) {
+  if (isUploadExpired(state)) {
+    return `The upload session expired at ${state.expirationDateTime}.`;
+  }
+  let stats;
+  try {
+    stats = fs.statSync(state.localPath);
+  } catch (e) {
+    return `${state.localPath} no longer exists.`;
+  }
+  if (stats.size !== state.size || stats.mtimeMs !== state.mtimeMs || await hashFile(state.localPath, { signal }) !== state.sha256) {
+    return `${state.localPath} changed since the upload started.`;
+  }
+  return null;
+}
+
+/**
+ * Start of the first missing range in an upload session response
+ * (nextExpectedRanges: ["26214400-"]), or null when it is not reported.
+ */
+function parseNextExpectedOffset(data) {
+  const offset = parseInt(String(data?.nextExpectedRanges?.[0] || "").split("-")[0]);
+  return Number.isNaN(offset) ? null : offset;
+}
+
+/**
+ * Size the next chunk so it takes about UPLOAD_CHUNK_TARGET_MS at the
+ * throughput of the last one: a multiple of 320KB, at most double the
+ * previous size and within UPLOAD_CHUNK_UNIT..UPLOAD_CHUNK_MAX.
+ */
+function nextChunkSize(previousSize, elapsedMs) {
+  const target = previousSize * UPLOAD_CHUNK_TARGET_MS / Math.max(elapsedMs, 1);
+  const size = Math.floor(target / UPLOAD_CHUNK_UNIT) * UPLOAD_CHUNK_UNIT;
+  return Math.min(Math.max(size, UPLOAD_CHUNK_UNIT), previousSize * 2, UPLOAD_CHUNK_MAX);
+}
+
+/**
+ * Ask Graph where to continue an upload session. Returns { offset } from
+ * the first of nextExpectedRanges, or { error, gone } when it cannot be used.
+ */
+async function getUploadSessionOffset(uploadUrl, signal) {
+  const status = await makeGraphRawRequest("GET", uploadUrl, null, {}, { signal });
+  if (status.error) {
+    return { error: status.error };
+  }
+  if (status.statusCode === 404) {
+    return { error: "The upload session no longer exists (expired or deleted).", gone: true };
+  }
+  if (status.statusCode >= 400) {
+    const errorData = typeof status.data === "string" ? status.data : JSON.stringify(status.data);
+    return { error: `HTTP ${status.statusCode} - ${errorData.slice(0, 500)}` };
+  }
+  const offset = parseNextExpectedOffset(status.data);
+  if (offset === null) {
+    return { error: "The upload session did not report nextExpectedRanges.", gone: true };
+  }
+  return { offset };
+}
+
+/**
+ * Delete an upload session and its saved state, so Graph discards the
+ * uploaded chunks instead of holding them until the session expires.
+ * Resolves with a sentence describing the outcome.
+ */
+async function deleteUploadSession(state) {
+  const deleteResult = await makeGraphRawRequest("DELETE", state.uploadUrl);
+  deleteUploadState(state.id);
+  return deleteResult.error || deleteResult.statusCode >= 400
+    ? `Deleting the upload session failed (${deleteResult.error || `HTTP ${deleteResult.statusCode}`}); it expires on its own.`
+    : "The upload session was deleted.";
+}
+
+/**
+ * Delete the upload session after the client cancelled.
+ */
+async function cancelUploadSession(state, offset) {
+  const sessionNote = await deleteUploadSession(state);
+  console.error(`Upload of ${state.uploadFilename} cancelled at ${offset}/${state.size} bytes`);
+  return {
+    content: [{
+      type: "text",
+      text: `Upload of ${state.uploadFilename} cancelled after ${(offset / (1024 * 1024)).toFixed(1)}MB of ${(state.size / (1024 * 1024)).toFixed(1)}MB. ${sessionNote}`,
+    }],
+    isError: true,
+  };
+}
+
+function uploadChunkError(state, offset, message) {
+  return {
+    content: [{
+      type: "text",
+      text: `Error uploading chunk at offset ${offset}: ${message}\n\nThe upload can be continued with sharepoint_resumeUpload(uploadId="${state.id}")${state.expirationDateTime ? ` until ${state.expirationDateTime}` : ""}.`,
+    }],
+    isError: true,
+  };
+}
+
+/**
+ * Send the file from `offset` to the end of the upload session, saving
+ * progress after each chunk. A chunk that fails with a network error, 5xx
+ * or 416 is retried (up to RETRY_MAX_ATTEMPTS times in a row) from the
+ * offset the session reports, with the chunk size halved. Completing the
+ * upload removes the saved state.
+ */
+async function sendUploadChunks(state, offset, extra) {
+  const signal = extra?.signal;
+  const reportProgress = createProgressReporter(extra);
+  const { uploadUrl, uploadFilename, size: fileSize } = state;
+  const resumedAt = offset;
+  let lastResponse = null;
+  let targetChunkSize = UPLOAD_CHUNK_SIZE;
+  let failures = 0;
+  reportProgress(offset, fileSize, `Uploading ${uploadFilename}`);
+
+  const fd = fs.openSync(state.localPath, "r");
+  try {
+    while (offset < fileSize) {
+      if (signal?.aborted) {
+        return await cancelUploadSession(state, offset);
+      }
+
+      const chunkSize = Math.min(targetChunkSize, fileSize - offset);
+      const chunk = Buffer.alloc(chunkSize);
+      fs.readSync(fd, chunk, 0, chunkSize, offset);
+
+      const rangeEnd = offset + chunkSize - 1;
+      const contentRange = `bytes ${offset}-${rangeEnd}/${fileSize}`;
+
+      console.error(`Uploading chunk: ${contentRange} (${(chunkSize / 1024).toFixed(0)}KB)`);
+
+      const startedAt = Date.now();
+      const chunkResult = await makeGraphRawRequest("PUT", uploadUrl, chunk, {
+        "Content-Range": contentRange,
+        "Content-Type": "application/octet-stream",
+      }, { signal, idempotent: false });
+
+      if (signal?.aborted) {
+        return await cancelUploadSession(state, offset);
+      }
+
+      if (chunkResult.error || chunkResult.statusCode >= 400) {
+        const errorData = typeof chunkResult.data === "string" ? chunkResult.data : JSON.stringify(chunkResult.data);
+        const message = chunkResult.error || `HTTP ${chunkResult.statusCode} - ${errorData.slice(0, 500)}`;
+        // Other 4xx (expired session, name conflict at commit) will not succeed on retry
+        const retryable = chunkResult.error || chunkResult.statusCode === 416;
+        if (!retryable || ++failures >= RETRY_MAX_ATTEMPTS) {
+          return uploadChunkError(state, offset, message);
+        }
+
+        // The chunk may have been partly received, so continue where the session says
+        const session = await getUploadSessionOffset(uploadUrl, signal);
+        if (signal?.aborted) {
+          return await cancelUploadSession(state, offset);
+        }
+        if (session.error) {
+          return uploadChunkError(state, offset, `${message}; checking the upload session failed: ${session.error}`);
+        }
+        targetChunkSize = Math.max(UPLOAD_CHUNK_UNIT, Math.floor(targetChunkSize / 2 / UPLOAD_CHUNK_UNIT) * UPLOAD_CHUNK_UNIT);
+        console.error(`Chunk at offset ${offset} failed (${message}); continuing at ${session.offset} with ${(targetChunkSize / 1024).toFixed(0)}KB chunks`);
+        offset = session.offset;
+        continue;
+      }
+
+      failures = 0;
+      if (chunkSize === targetChunkSize) {
+        targetChunkSize = nextChunkSize(chunkSize, Date.now() - startedAt);
+      }
+      lastResponse = chunkResult.data;
+      offset = parseNextExpectedOffset(chunkResult.data) ?? offset + chunkSize;
+      if (offset < fileSize) {
+        state.uploadedBytes = offset;
+        saveUploadState(state);
+      }
+      reportProgress(offset, fileSize, `Uploaded ${(offset / (1024 * 1024)).toFixed(1)}MB of ${(fileSize / (1024 * 1024)).toFixed(1)}MB`);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  deleteUploadState(state.id);
+
+  // Return the created file metadata, and the new version when an existing file was replaced
+  const driveId = state.documentLibraryId === "me" ? "me/drive" : `drives/${state.documentLibraryId}`;
+  const versionId = state.conflictBehavior === "replace" && lastResponse?.id
+    ? await getLatestVersionId(driveId, lastResponse.id, signal)
+    : null;
+  const sizeMB = (fileSize / (1024 * 1024)).toFixed(1);
+  const resumedNote = resumedAt > 0 ? `, resumed at ${(resumedAt / (1024 * 1024)).toFixed(1)}MB` : "";
+  const result = {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        message: `Successfully uploaded ${uploadFilename} (${sizeMB}MB) via Graph API chunked upload${resumedNote}.`,
+        file: lastResponse,
+        ...(versionId && { versionId }),
+      }, null, 2),
+    }],
+  };
+  // State saved before verification existed has no flag; verify those too
+  return state.verify === false ? result : await addUploadVerification(result, state.localPath, driveId, lastResponse, uploadFilename, signal);
+}
+
+async function uploadLargeFile(resolvedPath, uploadFilename, documentLibraryId, parentFolderId, extra, { conflictBehavior = "rename", verify = true } = {}) {
+  const signal = extra?.signal;
+
+  // Get Graph token
+  const graphToken = await loadGraphToken();
+  if (!graphToken) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error: Large file upload (>4MB) requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first to authenticate with Graph API permissions (Files.ReadWrite.All, Sites.ReadWrite.All).`,
+      }],
+      isError: true,
+    };
+  }
+
+  try {
+    // Continue a pending session for the same file and destination
+    const uploadId = getUploadId(resolvedPath, uploadFilename, documentLibraryId, parentFolderId);
+    const pending = loadUploadState(uploadId);
+    if (pending) {
+      // conflictBehavior is fixed when the session is created, so a session
+      // made with another one is deleted and started again; verify follows this call
+      if ((pending.conflictBehavior || "rename") !== conflictBehavior) {
+        const sessionNote = await deleteUploadSession(pending);
+        console.error(`Starting the upload of ${uploadFilename} again with conflictBehavior ${conflictBehavior}. ${sessionNote}`);
+      } else {
+        if (!await checkUploadResumable(pending, signal)) {
+          const session = await getUploadSessionOffset(pending.uploadUrl, signal);
+          if (!session.error) {
+            console.error(`Resuming upload of ${uploadFilename} at ${session.offset}/${pending.size} bytes`);
+            return await sendUploadChunks({ ...pending, verify: verify !== false }, session.offset, extra);
+          }
+        }
+        deleteUploadState(uploadId);
+      }
+    }
+
+    // Step 1: Create upload session
+    // Resolve folder path for correct placement (ID:path: syntax doesn't work reliably with createUploadSession)
+    const driveId = documentLibraryId === "me" ? "me/drive" : `drives/${documentLibraryId}`;
+    let sessionUrl;
+    if (parentFolderId === "root") {
+      sessionUrl = `/${driveId}/root:/${encodeURIComponent(uploadFilename)}:/createUploadSession`;
+    } else {
+      // Get the folder's path from Graph API, then use path-based upload
+      const folderInfo = await makeGraphRequest("GET", `/${driveId}/items/${parentFolderId}?$select=name,parentReference`, null, null, { signal });
+      if (folderInfo.error) {
+        return {
+          content: [{ type: "text", text: `Error resolving folder: ${folderInfo.error}` }],
+          isError: true,
+        };
+      }
+      const folderPath = folderInfo.parentReference?.path
+        ? `${folderInfo.parentReference.path}/${folderInfo.name}`
+        : `/${driveId}/root:/${folderInfo.name}`;
+      sessionUrl = `${folderPath}/${encodeURIComponent(uploadFilename)}:/createUploadSession`;
+    }
+
+    const sessionResult = await makeGraphRequest("POST", sessionUrl, {
+      item: {
+        "@microsoft.graph.conflictBehavior": conflictBehavior,
+      },
+    }, null, { signal });
+
+    if (sessionResult.statusCode === 409) {
+      return {
+        content: [{ type: "text", text: `Error: ${uploadFilename} already exists in the target folder (conflictBehavior: fail).` }],
+        isError: true,
+      };
+    }
+
+    if (sessionResult.error) {
+      return {
+        content: [{
+          type: "text",
+          text: `Error creating upload session: ${sessionResult.error}`,
+        }],
+        isError: true,
+      };
+    }
+
+    const uploadUrl = sessionResult.uploadUrl;
+    if (!uploadUrl) {
+      return {
+        content: [{
+          type: "text",
+          text: "Error: No upload URL returned from Graph API createUploadSession.",
+        }],
+        isError: true,
+      };
+    }
+
+    // Step 2: Save the session, then upload the file in chunks
+    const stats = fs.statSync(resolvedPath);
+    const state = {
+      id: uploadId,
+      localPath: resolvedPath,
+      uploadFilename,
+      documentLibraryId,
+      parentFolderId,
+      conflictBehavior,
+      verify: verify !== false,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      sha256: await hashFile(resolvedPath, { signal }),
+      uploadUrl,
+      expirationDateTime: sessionResult.expirationDateTime || null,
+      createdAt: new Date().toISOString(),
+      uploadedBytes: 0,
+    };
+    saveUploadState(state);
+
+    return await sendUploadChunks(state, 0, extra);
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error during large file upload of ${uploadFilename}: ${error.message}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Continue a pending upload from where Graph says it stopped. Without
+ * uploadId, resumes the only pending upload.
+ */
+async function handleResumeUpload(args, extra) {
+  const { uploadId } = args || {};
+  const pending = listUploadStates();
+  const state = uploadId ? loadUploadState(uploadId) : (pending.length === 1 ? pending[0] : null);
+
+  if (!state) {
+    const reason = uploadId
+      ? `No pending upload with id ${uploadId}.`
+      : pending.length === 0
+        ? "There are no pending uploads."
+        : `${pending.length} uploads are pending; pass uploadId.`;
+    return {
+      content: [{ type: "text", text: `${reason} Call sharepoint_listPendingUploads to see pending uploads.` }],
+      isError: true,
+    };
+  }
+
+  const graphToken = await loadGraphToken();
+  if (!graphToken) {
+    return {
+      content: [{
+        type: "text",
+        text: "Error: Resuming an upload requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first.",
+      }],
+      isError: true,
+    };
+  }
+
+  try {
+    const problem = await checkUploadResumable(state, extra?.signal);
+    const session = problem ? { error: problem, gone: true } : await getUploadSessionOffset(state.uploadUrl, extra?.signal);
+    if (session.error) {
+      if (session.gone) {
+        deleteUploadState(state.id);
+      }
+      return {
+        content: [{
+          type: "text",
+          text: `Cannot resume upload of ${state.uploadFilename}: ${session.error}${session.gone ? `\n\nStart it again with sharepoint_uploadLocalFile(localFilePath="${state.localPath}").` : ""}`,
+        }],
+        isError: true,
+      };
+    }
+
+    console.error(`Resuming upload of ${state.uploadFilename} at ${session.offset}/${state.size} bytes`);
+    return await sendUploadChunks(state, session.offset, extra);
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error resuming upload of ${state.uploadFilename}: ${error.message}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * List pending uploads. Expired sessions are removed as they cannot be resumed.
+ */
+function handleListPendingUploads() {
+  const uploads = [];
+  let expired = 0;
+  for (const state of listUploadStates()) {
+    if (isUploadExpired(state)) {
+      deleteUploadState(state.id);
+      expired++;
+      continue;
+    }
+    uploads.push({
+      uploadId: state.id,
+      localPath: state.localPath,
+      filename: state.uploadFilename,
+      documentLibraryId: state.documentLibraryId,
+      parentFolderId: state.parentFolderId,
+      size: state.size,
+      uploadedBytes: state.uploadedBytes,
+      percent: Math.floor((state.uploadedBytes / state.size) * 100),
+      startedAt: state.createdAt,
+      expiresAt: state.expirationDateTime,
+    });
+  }
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        uploads,
+        ...(expired > 0 && { expiredRemoved: expired }),
+        hint: uploads.length > 0
+          ? "Continue with sharepoint_resumeUpload(uploadId). Uploading the same file to the same folder again also resumes."
+          : "No pending uploads.",
+      }, null, 2),
+    }],
+  };
+}
+
+// ============================================================================
+// LOCAL FOLDER UPLOAD
+// Walks a local directory, recreates its folder tree with Graph, then
+// uploads the files a few at a time through the single-file upload paths.
+// ============================================================================
+
+const UPLOAD_FOLDER_MAX_FILES = 1000;
+const UPLOAD_FOLDER_CONCURRENCY = 4;
+
+/**
+ * Glob match for folder upload filters. `*` also matches `/`; globs
+ * without a `/` are matched against the file or folder name as well.
+ */
+function matchesPathGlob(relativePath, globs) {
+  const name = path.posix.basename(relativePath);
+  return [].concat(globs || []).some(glob =>
+    matchesAnyGlob(relativePath, glob) || (!glob.includes("/") && matchesAnyGlob(name, glob)));
+}
+
+/**
+ * List the files under rootDir (relative paths with `/`), skipping
+ * excluded directories and symlinks. Returns { files, folders }.
+ */
+function collectFolderFiles(rootDir, include, exclude) {
+  const files = [];
+  const folders = [];
+  const walk = (relativeDir) => {
+    const entries = fs.readdirSync(path.join(rootDir, relativeDir), { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (matchesPathGlob(relativePath, exclude)) continue;
+      if (entry.isDirectory()) {
+        folders.push(relativePath);
+        walk(relativePath);
+      } else if (entry.isFile() && (!include?.length || matchesPathGlob(relativePath, include))) {
+        files.push(relativePath);
+        if (files.length > UPLOAD_FOLDER_MAX_FILES) {
+          throw new Error(`More than ${UPLOAD_FOLDER_MAX_FILES} files match. Narrow the upload with include/exclude globs.`);
+        }
+      }
+    }
+  };
+  walk("");
+  return { files, folders };
+}
+
+/**
+ * Create a child folder, or return the existing one with that name.
+ * The existing item is addressed by path under the parent, so large
+ * folders need no paging.
+ */
+async function ensureDriveFolder(driveId, parentId, name, signal) {
+  const created = await makeGraphRequest("POST", `/${driveId}/items/${parentId}/children`, {
+    name,
+    folder: {},
+    "@microsoft.graph.conflictBehavior": "fail",
+  }, null, { signal });
+  if (!created.error) {
+    return created.id;
+  }
+  if (created.statusCode !== 409) {
+    throw new Error(`Could not create folder ${name}: ${created.error}`);
+  }
+
+  const existing = await makeGraphRequest(
+    "GET",
+    `/${encodeURI(driveId)}/items/${encodeURIComponent(parentId)}:/${encodeURIComponent(name)}?$select=id,name,folder`,
+    null,
+    null,
+    { signal, encoded: true },
+  );
+  if (existing.error || !existing.folder) {
+    throw new Error(`Could not create folder ${name}: ${existing.error || "a file with that name exists"}`);
+  }
+  return existing.id;
+}
+
+/**
+ * Pull the created item's ID out of a single-file upload result.
+ */
+function extractUploadedItemId(result) {
+  try {
+    const data = JSON.parse(result.content[0].text);
+    return data.file?.id || data.id || data.item?.id || data.driveItem?.id || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function handleUploadLocalFolder(args, extra) {
+  const { localFolderPath, documentLibraryId, parentFolderId, include, exclude, conflictBehavior } = args || {};
+  const signal = extra?.signal;
+  const reportProgress = createProgressReporter(extra);
+
+  if (!localFolderPath || !documentLibraryId) {
+    return {
+      content: [{ type: "text", text: "Error: localFolderPath and documentLibraryId are required. Use 'me' for OneDrive, or find the library via sharepoint_findSite + sharepoint_listDocumentLibrariesInSite." }],
+      isError: true,
+    };
+  }
+
+  if (conflictBehavior !== undefined && !CONFLICT_BEHAVIORS.includes(conflictBehavior)) {
+    return {
+      content: [{ type: "text", text: `Error: conflictBehavior must be one of ${CONFLICT_BEHAVIORS.join(", ")}.` }],
+      isError: true,
+    };
+  }
+
+  const rootDir = path.resolve(localFolderPath);
+  if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+    return {
+      content: [{ type: "text", text: `Error: Not a directory: ${rootDir}` }],
+      isError: true,
+    };
+  }
+
+  // Folders are created through Graph, so check auth before walking the tree
+  const graphToken = await loadGraphToken();
+  if (!graphToken) {
+    return {
+      content: [{
+        type: "text",
+        text: "Error: Folder upload requires Microsoft Graph API authentication to create folders. Call the agent365_graph_auth tool first.",
+      }],
+      isError: true,
+    };
+  }
+
+  let collected;
+  try {
+    collected = collectFolderFiles(rootDir, include, exclude);
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error reading ${rootDir}: ${error.message}` }],
+      isError: true,
+    };
+  }
+  const { files, folders } = collected;
+
+  // Step 1: Recreate the folder tree under a folder named after the local one
+  const driveId = documentLibraryId === "me" ? "me/drive" : `drives/${documentLibraryId}`;
+  const folderIds = new Map();
+  try {
+    folderIds.set("", await ensureDriveFolder(driveId, parentFolderId || "root", path.basename(rootDir), signal));
+    for (const folder of folders) {
+      const parentId = folderIds.get(path.posix.dirname(folder) === "." ? "" : path.posix.dirname(folder));
+      folderIds.set(folder, await ensureDriveFolder(driveId, parentId, path.posix.basename(folder), signal));
+    }
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error creating folders for ${rootDir}: ${error.message}` }],
+      isError: true,
+    };
+  }
+
+  // Step 2: Upload files with a small worker pool
+  const manifest = [];
+  let next = 0;
+  let done = 0;
+  reportProgress(0, files.length, `Uploading ${files.length} files`);
+
+  const worker = async () => {
+    while (next < files.length && !signal?.aborted) {
+      const relativePath = files[next++];
+      const relativeDir = path.posix.dirname(relativePath) === "." ? "" : path.posix.dirname(relativePath);
+      const entry = { path: relativePath };
+      // Only the signal is passed on: per-file progress would run backwards against the folder total
+      const result = await handleUploadLocalFile({
+        localFilePath: path.join(rootDir, relativePath),
+        documentLibraryId,
+        parentFolderId: folderIds.get(relativeDir),
+        conflictBehavior,
+      }, { signal });
+
+      if (result.isError) {
+        entry.status = "failed";
+        entry.error = result.content[0].text.split("\n")[0];
+      } else {
+        entry.status = "uploaded";
+        entry.itemId = extractUploadedItemId(result);
+      }
+      manifest.push(entry);
+      reportProgress(++done, files.length, relativePath);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(UPLOAD_FOLDER_CONCURRENCY, files.length) }, worker));
+
+  manifest.sort((a, b) => a.path.localeCompare(b.path));
+  const failed = manifest.filter(entry => entry.status === "failed").length;
+  const skipped = files.length - manifest.length;
+  const summary = `Uploaded ${manifest.length - failed} of ${files.length} files from ${rootDir}` +
+    `${failed > 0 ? `, ${failed} failed` : ""}${skipped > 0 ? `, ${skipped} not started (cancelled)` : ""}.`;
+
+  return processResult({
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        message: summary,
+        folderId: folderIds.get(""),
+        foldersCreated: folders.length + 1,
+        files: manifest,
+      }, null, 2),
+    }],
+    // Partial failures are listed in the manifest; only a total failure is an error
+    ...(failed > 0 && failed === manifest.length && { isError: true }),
+  }, "sharepoint_uploadLocalFolder", extra?.sessionId);
+}
+
+// ============================================================================
+// FILE DOWNLOAD TO LOCAL DISK
+// Streams a drive item to disk in ranged requests via its pre-authenticated
+// @microsoft.graph.downloadUrl, so the bytes never pass through the model.
+// An interrupted download keeps its partial file and the next call for the
+// same item and unchanged content continues from there.
+// ============================================================================
+
+const DOWNLOAD_CHUNK_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Encode a sharing or web URL for the /shares API.
+ */
+function encodeSharingUrl(url) {
+  return "u!" + Buffer.from(url, "utf8").toString("base64").replace(/=+$/, "").replace(/\//g, "_").replace(/\+/g, "-");
+}
+
+/**
+ * Look up a drive item by itemId, fileUrl or itemPath.
+ */
+async function resolveDriveItem({ itemId, fileUrl, itemPath, documentLibraryId }, signal) {
+  const driveId = !documentLibraryId || documentLibraryId === "me" ? "me/drive" : `drives/${encodeURIComponent(documentLibraryId)}`;
+  let urlPath;
+  if (itemId) {
+    urlPath = `/${driveId}/items/${encodeURIComponent(itemId)}`;
+  } else if (fileUrl) {
+    urlPath = `/shares/${encodeSharingUrl(fileUrl)}/driveItem`;
+  } else {
+    // Each segment is encoded on its own so '#' and '?' stay part of the name
+    const segments = itemPath.split("/").filter(Boolean).map(encodeURIComponent);
+    urlPath = `/${driveId}/root:/${segments.join("/")}`;
+  }
+  return makeGraphRequest("GET", urlPath, null, null, { signal, encoded: true });
+}
+
+/**
+ * Fetch bytes start-end of a download URL into fd (end null = to the end of
+ * the file). Resolves with the HTTP status, bytes written and Content-Length;
+ * a 200 means the server sent the whole file. A redirect resolves with
+ * { location } instead. Download URLs are pre-authenticated, so no
+ * Authorization header is sent unless given in `headers`.
+ */
+function sendDownloadRequest(url, start, end, fd, signal, { headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const req = https.request({
+      hostname: parsedUrl.hostname,
+      path: parsedUrl.pathname + parsedUrl.search,
+      method: "GET",
+      headers: { ...headers, Range: `bytes=${start}-${end === null ? "" : end}` },
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        resolve({ statusCode: res.statusCode, location: new URL(res.headers.location, url).toString() });
+        return;
+      }
+      if (res.statusCode !== 200 && res.statusCode !== 206) {
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          if (data.length < 1000) data += chunk;
+        });
+        res.on("end", () => {
+          const err = retryableError(`Download error (HTTP ${res.statusCode}): ${data.slice(0, 300)}`, {
+            statusCode: res.statusCode,
+            retryAfter: res.headers["retry-after"],
+          });
+          // 416 reports the full length as "bytes */<size>"
+          err.contentRange = res.headers["content-range"] || null;
+          reject(err);
+        });
+        return;
+      }
+
+      let position = res.statusCode === 206 ? start : 0;
+      let bytes = 0;
+      res.on("data", (chunk) => {
+        fs.writeSync(fd, chunk, 0, chunk.length, position);
+        position += chunk.length;
+        bytes += chunk.length;
+      });
+      res.on("end", () => resolve({
+        statusCode: res.statusCode,
+        bytes,
+        contentLength: res.headers["content-length"] === undefined ? null : Number(res.headers["content-length"]),
+      }));
+      res.on("error", (err) => {
+        reject(retryableError(`Download response error: ${err.message}`, { code: err.code || "ECONNRESET" }));
+      });
+    });
+
+    req.on("error", (err) => {
+      reject(retryableError(`Download request error: ${err.message}`, { code: err.code }));
+    });
+    abortOnSignal(signal, req, reject);
+
+    req.setTimeout(120000, () => { // 2 min timeout per range, as for upload chunks
+      req.destroy();
+      reject(retryableError("Download request timeout", { code: "ETIMEDOUT" }));
+    });
+    req.end();
+  });
+}
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+async function handleDownloadToLocalFile(args, extra) {
+  const { itemId, fileUrl, itemPath, localPath, overwrite } = args || {};
+  const signal = extra?.signal;
+  const reportProgress = createProgressReporter(extra);
+
+  if (!localPath || (!itemId && !fileUrl && !itemPath)) {
+    return {
+      content: [{ type: "text", text: "Error: localPath and one of itemId (with documentLibraryId), fileUrl or itemPath are required." }],
+      isError: true,
+    };
+  }
+
+  const graphToken = await loadGraphToken();
+  if (!graphToken) {
+    return {
+      content: [{
+        type: "text",
+        text: "Error: Downloading files requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first.",
+      }],
+      isError: true,
+    };
   }
 
-  if (name === "agent365_status") {
-    const token = await loadToken();
-    if (token) {
+  let partialPath;
+  let offset = 0;
+  try {
+    const item = await resolveDriveItem(args, signal);
+    if (item.error) {
       return {
-        content: [{
-          type: "text",
-          text: "✅ Authenticated and ready. Other agent365_* tools should now be available.",
-        }],
+        content: [{ type: "text", text: `Error finding file: ${item.error}` }],
+        isError: true,
       };
-    } else {
+    }
+    const downloadUrl = item["@microsoft.graph.downloadUrl"];
+    if (item.folder || !downloadUrl) {
       return {
-        content: [{
-          type: "text",
-          text: "❌ Not authenticated. Please call agent365_authenticate to get login instructions.",
-        }],
+        content: [{ type: "text", text: `Error: ${item.name || "The item"} is ${item.folder ? "a folder" : "not a downloadable file"}.` }],
+        isError: true,
       };
     }
-  }
 
-  // Check for dangerous operations in arguments (unless allowed)
-  if (!ALLOW_DANGEROUS_TOOLS) {
-    const argsStr = JSON.stringify(args || {}).toLowerCase();
-    if (argsStr.includes("delete") || argsStr.includes("remove")) {
+    // A directory (existing, or given with a trailing slash) receives the item's own name
+    let target = path.resolve(localPath);
+    if (/[\\/]$/.test(localPath) || (fs.existsSync(target) && fs.statSync(target).isDirectory())) {
+      target = path.join(target, item.name);
+    }
+    if (fs.existsSync(target) && !overwrite) {
       return {
-        content: [{
-          type: "text",
-          text: "This operation appears to involve deletion which is blocked for safety. Set AGENT365_ALLOW_DANGEROUS=true to enable, or perform deletions manually.",
-        }],
+        content: [{ type: "text", text: `Error: ${target} already exists. Pass overwrite: true to replace it.` }],
         isError: true,
       };
     }
-  }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    // Continue a partial download only if it is for the same item and content
+    partialPath = `${target}.agent365-partial`;
+    const markerPath = `${partialPath}.json`;
+    const version = item.cTag || item.eTag || null;
+    const marker = readJsonFile(markerPath);
+    if (marker && marker.id === item.id && marker.version === version && marker.size === item.size && fs.existsSync(partialPath)) {
+      offset = Math.min(fs.statSync(partialPath).size, item.size);
+    } else {
+      fs.rmSync(partialPath, { force: true });
+      fs.writeFileSync(markerPath, JSON.stringify({ id: item.id, version, size: item.size }));
+    }
+    const resumedAt = offset;
+
+    const fd = fs.openSync(partialPath, offset > 0 ? "r+" : "w");
+    try {
+      reportProgress(offset, item.size, `Downloading ${item.name}`);
+      while (offset < item.size) {
+        const start = offset;
+        const end = Math.min(start + DOWNLOAD_CHUNK_SIZE, item.size) - 1;
+        const range = await withRetry(`Download ${item.name} ${start}-${end}`, true, async () => {
+          const response = await sendDownloadRequest(downloadUrl, start, end, fd, signal);
+          if (response.statusCode === 206 && response.bytes !== end - start + 1) {
+            throw retryableError(`Download range ${start}-${end} ended after ${response.bytes} bytes`, { code: "ECONNRESET" });
+          }
+          return response;
+        }, signal);
+
+        if (range.statusCode === 200 && range.bytes !== item.size) {
+          throw new Error(`Expected ${item.size} bytes, received ${range.bytes}`);
+        }
+        offset = range.statusCode === 200 ? item.size : end + 1;
+        reportProgress(offset, item.size, `Downloaded ${(offset / (1024 * 1024)).toFixed(1)}MB of ${(item.size / (1024 * 1024)).toFixed(1)}MB`);
+      }
+      fs.ftruncateSync(fd, item.size);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // OneDrive personal reports sha256Hash; SharePoint and OneDrive for
+    // Business only report quickXorHash
+    const sha256 = await hashFile(partialPath, { signal });
+    const { sha256Hash, quickXorHash } = item.file?.hashes || {};
+    const mismatch = sha256Hash
+      ? sha256Hash.toLowerCase() !== sha256 && "SHA-256"
+      : quickXorHash && await quickXorHashFile(partialPath, signal) !== quickXorHash && "QuickXorHash";
+    if (mismatch) {
+      fs.rmSync(partialPath, { force: true });
+      fs.rmSync(markerPath, { force: true });
+      return {
+        content: [{ type: "text", text: `Error: Downloaded ${item.name} does not match the ${mismatch} reported by SharePoint. The partial file was deleted; try again.` }],
+        isError: true,
+      };
+    }
+    fs.renameSync(partialPath, target);
+    fs.rmSync(markerPath, { force: true });
 
-  const mapping = toolServerMap[name];
-  if (!mapping) {
     return {
       content: [{
         type: "text",
-        text: `Unknown tool: ${name}. Available tools may need to be refreshed.`,
+        text: JSON.stringify({
+          message: `Downloaded ${item.name} (${(item.size / (1024 * 1024)).toFixed(1)}MB)${resumedAt > 0 ? `, resumed at ${(resumedAt / (1024 * 1024)).toFixed(1)}MB` : ""}.`,
+          localPath: target,
+          size: item.size,
+          sha256,
+          itemId: item.id,
+          webUrl: item.webUrl,
+        }, null, 2),
       }],
-      isError: true,
     };
-  }
-
-  try {
-    const result = await callServerTool(mapping.serverKey, mapping.originalName, args);
-    return result;
   } catch (error) {
+    const partialNote = partialPath && offset > 0
+      ? `\n\n${(offset / (1024 * 1024)).toFixed(1)}MB were kept in ${partialPath}; call sharepoint_downloadToLocalFile again with the same arguments to resume.`
+      : "";
     return {
       content: [{
         type: "text",
-        text: `Error calling ${name}: ${error.message}\n\nIf authentication expired, run: npx github:rapyuta-robotics/agent365-mcp auth`,
+        text: `Error downloading file: ${error.message}${partialNote}`,
       }],
       isError: true,
     };
   }
-});
+}
 
 // ============================================================================
-// IN-CHAT AUTHENTICATION (returns device code in tool result)
+// MEETING TRANSCRIPT RETRIEVAL VIA GRAPH API
 // ============================================================================
 
-let pendingAuthPromise = null;
+function handleHelp(args) {
+  const topic = (args?.topic || "").toLowerCase().trim();
 
-async function handleAuthenticate() {
-  const config = loadServerConfig();
+  const sections = {
+    auth: `## Authentication (required once per session)
+- agent365_authenticate() → triggers device code login
+- agent365_graph_auth() → separate auth for advanced features (large uploads >4MB, meeting transcripts)`,
 
-  if (!config) {
-    return {
-      content: [{
-        type: "text",
-        text: `❌ **Configuration Missing**
+    sharepoint: `## SharePoint / OneDrive — Finding Files
+**Option A — Search directly:**
+  sharepoint_findFileOrFolder(searchQuery) → returns items with id, webUrl, driveId
 
-No Tenant ID or Client ID found. These must be set in your MCP config:
+**Option B — Browse by site:**
+  1. sharepoint_findSite(searchQuery) → get siteId
+  2. sharepoint_listDocumentLibrariesInSite(siteId) → get documentLibraryId (driveId)
+  3. sharepoint_getFolderChildren(documentLibraryId, parentFolderId) → browse files
 
-\`\`\`json
-{
-  "mcpServers": {
-    "agent365": {
-      "command": "npx",
-      "args": ["-y", "github:rapyuta-robotics/agent365-mcp", "serve"],
-      "env": {
-        "AGENT365_TENANT_ID": "your-tenant-id",
-        "AGENT365_CLIENT_ID": "your-client-id"
-      }
-    }
-  }
-}
-\`\`\`
+**Reading files:**
+  - .docx → word_GetDocumentContent(fileUrl)
+  - .xlsx → excel_GetDocumentContent(fileUrl)
+  - text files → sharepoint_readSmallTextFile(fileId, documentLibraryId)
+  - binary files → sharepoint_readSmallBinaryFile(fileId, documentLibraryId)
+  - large files, or files to process locally → sharepoint_downloadToLocalFile(itemId | fileUrl | itemPath, localPath)
+  - From URL → sharepoint_getFileOrFolderMetadataByUrl(url) to resolve ids first`,
 
-Get these values from entra.microsoft.com (Tenant ID on Home, Client ID under Home > App Registrations > Agent 365 MCP). If you don't have Entra access, ask your IT administrator, then restart your coding assistant.`,
-      }],
-      isError: true,
-    };
-  }
+    upload: `## Uploading and Downloading Files
+**Local file → SharePoint/OneDrive:**
+  1. Find destination: sharepoint_findSite → listDocumentLibrariesInSite → getFolderChildren
+  2. sharepoint_uploadLocalFile(localFilePath, documentLibraryId, parentFolderId)
+  - Files ≤4MB: direct upload via upstream API
+  - Files 4MB-250GB: Graph API chunked upload (requires agent365_graph_auth)
+  - For OneDrive: use documentLibraryId='me'
+  - Updating an existing file: conflictBehavior='replace' (new version, returns versionId); 'fail' refuses; default 'rename'
+  - Interrupted large upload: sharepoint_listPendingUploads → sharepoint_resumeUpload(uploadId)
 
-  // Check if already authenticated
-  const existingToken = await loadToken();
-  if (existingToken) {
-    const tokenData = loadTokenData();
+**Local folder → SharePoint/OneDrive:**
+  sharepoint_uploadLocalFolder(localFolderPath, documentLibraryId, parentFolderId, include?, exclude?)
+  - Recreates the folder tree, uploads 4 files at a time, returns a manifest with item IDs and failures
 
-    // Clear cached sessions and notify client to re-fetch tools
-    // (handles the case where tools weren't loaded on initial startup)
-    Object.keys(serverSessions).forEach(key => delete serverSessions[key]);
-    Object.keys(toolServerMap).forEach(key => delete toolServerMap[key]);
-    try {
-      await server.sendToolListChanged();
-      console.error("📢 Notified client to refresh tool list (already authenticated)");
-    } catch (e) {
-      // Ignore - client may not support notifications
-    }
+**SharePoint/OneDrive → local disk:**
+  sharepoint_downloadToLocalFile(itemId + documentLibraryId | fileUrl | itemPath, localPath)
+  - Streams to disk in 10MB ranges; returns localPath, size and sha256, not the content
+  - Call again with the same arguments to resume an interrupted download
 
-    return {
-      content: [{
-        type: "text",
-        text: `✅ **Already Authenticated**
+**Creating files to upload:**
+  Use docx, xlsx, pptx, or pdf skills to create files locally, then upload with sharepoint_uploadLocalFile.
 
-Account: ${tokenData?.account?.username || "Unknown"}
-Status: Valid token present
+**Other upload methods:**
+  - sharepoint_createSmallTextFile — upload text content directly (no local file needed)
+  - sharepoint_createSmallBinaryFile — upload base64-encoded binary content
+  - sharepoint_uploadFileFromUrl — copy from one SharePoint location to another`,
 
-Tool list has been refreshed. The agent365_* tools (SharePoint, Excel, Word, Teams, Mail, Calendar, Copilot) should now be available.`,
-      }],
-    };
-  }
+    mail: `## Email (Outlook)
+**Reading:**
+  mail_SearchMessages(query) → mail_GetMessage(id) → mail_GetAttachments(id) → mail_DownloadAttachment(id, attachmentId)
 
-  // Start device code flow
-  const pca = new PublicClientApplication({
-    auth: {
-      clientId: config.clientId,
-      authority: `https://login.microsoftonline.com/${config.tenantId}`,
-    },
-    cache: {
-      cachePlugin: createMsalCachePlugin(),
-    },
-  });
+**Sending:**
+  mail_SendEmailWithAttachments(to, subject, body, directAttachmentFilePaths=["/path/to/file"])
+  - Supports local files via directAttachmentFilePaths
+  - Supports SharePoint/OneDrive files via attachmentUris
+  - Create attachments locally with docx, xlsx, pptx, pdf skills first
+  - Sending, replying and forwarding require user confirmation: if the result is a preview,
+    show it to the user and call again with the returned confirmationToken only after they approve
 
-  const scopes = [`${AGENT365_API}/.default`];
+**Drafts:**
+  mail_CreateDraftMessage → mail_UpdateDraft (add attachments) → mail_SendDraftMessage
 
-  // Try silent refresh first
-  const accounts = await pca.getTokenCache().getAllAccounts();
-  if (accounts.length > 0) {
-    try {
-      const response = await pca.acquireTokenSilent({
-        account: accounts[0],
-        scopes: scopes,
-      });
-      saveToken(response, config);
+**Replying:**
+  mail_ReplyToMessage(id) — single recipient
+  mail_ReplyAllToMessage(id) — all recipients
+  mail_ForwardMessage(id) — forward to new recipients`,
 
-      // Clear cached sessions and notify client to re-fetch tools
-      Object.keys(serverSessions).forEach(key => delete serverSessions[key]);
-      Object.keys(toolServerMap).forEach(key => delete toolServerMap[key]);
-      try {
-        await server.sendToolListChanged();
-        console.error("📢 Notified client to refresh tool list (token refreshed)");
-      } catch (e) {
-        // Ignore
-      }
+    calendar: `## Calendar
+**Finding meetings (IMPORTANT: use ListCalendarView for recurring meetings):**
+  calendar_ListCalendarView(userIdentifier='me', startDateTime, endDateTime, subject)
+  - Expands recurring events (standups, syncs, scrums, 1:1s) into individual instances
+  - Use narrow date ranges (1-2 days) to avoid large responses
 
-      return {
-        content: [{
-          type: "text",
-          text: `✅ **Token Refreshed**
+  calendar_ListEvents(startDateTime, endDateTime, meetingTitle)
+  - Only returns master events — will MISS recurring meeting instances
+  - Use only for one-off meetings
 
-Account: ${response.account?.username || "Unknown"}
-Expires: ${response.expiresOn}
+**Creating/modifying:**
+  calendar_FindMeetingTimes → calendar_CreateEvent
+  calendar_UpdateEvent, calendar_CancelEvent
+  calendar_AcceptEvent, calendar_DeclineEvent, calendar_TentativelyAcceptEvent`,
 
-Tool list has been refreshed. The agent365_* tools (SharePoint, Excel, Word, Teams, Mail, Calendar, Copilot) should now be available.`,
-        }],
-      };
-    } catch (e) {
-      // Fall through to device code
-    }
-  }
+    transcript: `## Meeting Transcripts
+**Workflow:**
+  1. calendar_ListCalendarView(userIdentifier='me', startDateTime, endDateTime, subject) → find the meeting
+  2. Get onlineMeeting.joinUrl from the event response
+  3. teams_getMeetingTranscript(meetingUrl=joinUrl) → returns the latest VTT transcript
+  Or skip 1-2: teams_getMeetingTranscript(meetingSubject='Weekly sync', startDate='YYYY-MM-DD')
+
+**Several transcripts (recurring meetings, restarted transcription):**
+  teams_listMeetingTranscripts(meetingUrl) → IDs, created times, durations
+  teams_getMeetingTranscript(meetingUrl, transcriptId | occurrenceDate='YYYY-MM-DD' | select='all')
+
+**Output format:**
+  format='text' → "[00:01:05] Jane Doe: ..." per speaker turn (far fewer tokens than VTT)
+  format='markdown' → talk time per speaker + turns; format='json' → structured turns and stats
+  from='00:15:00', to='00:30:00' → only that part of the meeting
+
+**Attendance and recordings (same meeting arguments):**
+  teams_getMeetingAttendance(meetingUrl) → attendees with role, total time, join/leave intervals
+  teams_getMeetingRecording(meetingUrl) → recording IDs and durations
+  teams_getMeetingRecording(meetingUrl, localPath='~/Downloads/') → streams the .mp4 to disk (resumable)
+
+**Many meetings at once (e.g. a week of standups):**
+  teams_exportTranscripts(startDate, endDate, subject='standup', localPath='~/transcripts/', format='text')
+  → one file per occurrence + index.json; returns only a summary. Re-run to add new meetings.
+
+**Requirements:**
+  - Transcription must have been enabled during the meeting
+  - Only the meeting organizer can fetch transcripts, recordings and attendance reports (a Microsoft Graph rule); as an attendee, ask the organizer to share them
+  - Requires Graph API auth: call agent365_graph_auth if you get auth errors
+  - Use ListCalendarView (NOT ListEvents) — most meetings are recurring`,
+
+    teams: `## Teams
+**Browsing:**
+  teams_ListTeams → teams_ListChannels(teamId) → teams_ListChannelMessages(teamId, channelId)
+  teams_ListChats → teams_ListChatMessages(chatId)
+
+**Searching:**
+  teams_SearchTeamsMessages(searchQuery) — search across all Teams messages
+
+**Posting (requires user confirmation):**
+  teams_PostChannelMessage(teamId, channelId, message)
+  teams_PostMessage(chatId, message)`,
+
+    word: `## Word Documents
+**Reading:** word_GetDocumentContent(fileUrl) — extracts text, comments, structure
+  Find file first: sharepoint_findFileOrFolder(searchQuery) → use webUrl
+
+**Creating:**
+  word_CreateDocument(fileName, contentInHtml) — creates in OneDrive root, accepts HTML/plain text
+  For richer formatting (TOC, headers/footers, page numbers): create locally with docx skill, then sharepoint_uploadLocalFile`,
+
+    excel: `## Excel Spreadsheets
+**Reading:** excel_GetDocumentContent(fileUrl) — returns cell data as structured text
+  Find file first: sharepoint_findFileOrFolder(searchQuery='.xlsx') → use webUrl
+
+**Creating:**
+  excel_CreateWorkbook(fileName) — creates in OneDrive
+  For complex spreadsheets (formulas, charts, formatting): create locally with xlsx skill, then sharepoint_uploadLocalFile`,
+
+    me: `## User / Directory Lookup
+  me_GetMyDetails — current user's profile
+  me_GetUserDetails(identifier) — look up by name or email
+  me_GetMultipleUsersDetails — batch lookup
+  me_GetManagerDetails — current user's manager
+  me_GetDirectReportsDetails — direct reports`,
+
+    copilot: `## M365 Copilot (requires Copilot license)
+  copilot_copilot_chat(query) — semantic search across ALL M365 content
+  Use when you don't know exact file names or need to search across emails, chats, files, and meetings simultaneously.`,
+  };
 
-  // Device code flow - return the code to the user via tool result
-  return new Promise((resolve) => {
-    let deviceCode = null;
-    let verificationUrl = null;
+  let output;
+  if (topic && sections[topic]) {
+    output = sections[topic];
+  } else {
+    // Progressive disclosure: return compact overview, not all details
+    output = `# Agent 365 MCP — Workflow Guide
 
-    const authPromise = pca.acquireTokenByDeviceCode({
-      scopes: scopes,
-      deviceCodeCallback: (response) => {
-        deviceCode = response.userCode;
-        verificationUrl = response.verificationUriComplete || response.verificationUri;
+## Available capabilities (call agent365_help with a topic for details):
 
-        // Save code to file as backup
-        saveDeviceCodeToFile(deviceCode, response.verificationUri);
+- **auth** — Authentication setup (agent365_authenticate, agent365_graph_auth)
+- **sharepoint** — Find files/folders, browse sites, read documents
+- **upload** — Upload local files to SharePoint/OneDrive (supports docx, xlsx, pptx, pdf, etc up to 250GB)
+- **mail** — Search, read, send, reply, forward emails with attachments
+- **calendar** — Find meetings, create events, manage invitations
+- **transcript** — Get Teams meeting transcripts, attendance reports and recordings
+- **teams** — Browse/search chats, channels, post messages
+- **word** — Read/create Word documents
+- **excel** — Read/create Excel spreadsheets
+- **me** — User profiles, org chart, directory lookup
+- **copilot** — Semantic search across all M365 content (requires Copilot license)
 
-        // Copy to clipboard
-        copyToClipboard(deviceCode);
+## Quick tips:
+- Always authenticate first: agent365_authenticate()
+- For recurring meetings (standups, syncs, scrums): use calendar_ListCalendarView, NOT calendar_ListEvents
+- For reading .docx use word_GetDocumentContent, for .xlsx use excel_GetDocumentContent
+- To upload local files: sharepoint_uploadLocalFile (use docx/xlsx/pptx/pdf skills to create files first)
+- For meeting transcripts: calendar_ListCalendarView → get joinUrl → teams_getMeetingTranscript`;
+  }
 
-        // Return immediately with the code - don't wait for auth to complete
-        resolve({
-          content: [{
-            type: "text",
-            text: `🔐 **Microsoft 365 Authentication Required**
+  return {
+    content: [{ type: "text", text: output }],
+  };
+}
 
-**Your code: \`${deviceCode}\`** (copied to clipboard)
+const MEETING_ARTIFACT_SELECTIONS = ["latest", "all"];
+const TRANSCRIPT_FORMATS = ["vtt", "text", "json", "markdown"];
 
-**Steps for user:**
-1. Go to: ${verificationUrl}
-2. Enter the code: **${deviceCode}**
-3. Sign in with your Microsoft account
+// Meeting artifact collections: Graph path segment, name used in messages,
+// the timestamp occurrenceDate is matched against, and optional scopes
+const MEETING_TRANSCRIPTS = { collection: "transcripts", label: "transcript", timeField: "createdDateTime" };
+const MEETING_RECORDINGS = { collection: "recordings", label: "recording", timeField: "createdDateTime", scopes: GRAPH_RECORDING_SCOPES };
+const MEETING_ATTENDANCE_REPORTS = { collection: "attendanceReports", label: "attendance report", timeField: "meetingStartDateTime", scopes: GRAPH_ATTENDANCE_SCOPES };
 
-**For agent:** After the user confirms they've completed login, call \`agent365_authenticate\` again to verify authentication succeeded. The tool will return "Already Authenticated" or "Token Refreshed" when successful.
+const MEETING_SUBJECT_SCHEMA = {
+  type: "string",
+  description: "Meeting subject to look up in your calendar instead of meetingUrl (with startDate). An exact match wins, otherwise the first subject containing it.",
+};
 
-The code expires in 15 minutes.`,
-          }],
-        });
-      },
-    });
+const MEETING_START_DATE_SCHEMA = {
+  type: "string",
+  description: "Date of the meeting (YYYY-MM-DD, local time), used with meetingSubject.",
+};
 
-    // Handle auth completion in background
-    authPromise.then(async (response) => {
-      saveToken(response, config);
-      console.error(`✅ Authentication completed for ${response.account?.username}`);
+const ORGANIZER_ONLY_NOTE = "Microsoft Graph gives a meeting's transcripts, recordings and attendance reports only to its organizer; if someone else organized it, ask them to share what you need.";
 
-      // Clear cached sessions so tools are re-fetched with the new token
-      Object.keys(serverSessions).forEach(key => delete serverSessions[key]);
-      Object.keys(toolServerMap).forEach(key => delete toolServerMap[key]);
+/**
+ * Find the calendar event of an online meeting on startDate (YYYY-MM-DD,
+ * local time) by subject. Returns { event } or { error }.
+ */
+async function findMeetingEvent({ meetingSubject, startDate }, signal) {
+  const dayStart = new Date(`${startDate}T00:00:00`);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+  const result = await makeGraphRequest(
+    "GET",
+    `/me/calendarView?startDateTime=${dayStart.toISOString()}&endDateTime=${dayEnd.toISOString()}&$select=subject,start,organizer,isOrganizer,onlineMeeting&$top=100`,
+    null,
+    null,
+    { signal, scopes: GRAPH_CALENDAR_SCOPES },
+  );
+  if (result.error) {
+    const scopeNote = result.statusCode === 401 || result.statusCode === 403 ? " Calendar lookup needs the Calendars.Read permission; pass meetingUrl instead." : "";
+    return { error: `Error searching the calendar on ${startDate}: ${result.error}${scopeNote}` };
+  }
 
-      // Notify client that tools have changed so it re-fetches the full tool list
-      try {
-        await server.sendToolListChanged();
-        console.error("📢 Notified client to refresh tool list");
-      } catch (e) {
-        console.error(`Could not notify client of tool list change: ${e.message}`);
-      }
-    }).catch((e) => {
-      console.error(`❌ Authentication failed: ${e.message}`);
-    });
-  });
+  const events = (result.value || []).filter(event => event.onlineMeeting?.joinUrl);
+  const subject = meetingSubject.toLowerCase();
+  const event = events.find(e => (e.subject || "").toLowerCase() === subject) ||
+    events.find(e => (e.subject || "").toLowerCase().includes(subject));
+  if (!event) {
+    const subjects = events.map(e => `"${e.subject}"`).join(", ");
+    return {
+      error: `No Teams meeting matching "${meetingSubject}" on ${startDate}. ${subjects ? `Online meetings that day: ${subjects}` : "There are no online meetings in your calendar that day."}`,
+    };
+  }
+  return { event };
 }
 
-// ============================================================================
-// LOCAL FILE UPLOAD TO SHAREPOINT/ONEDRIVE
-// Reads a local file and uploads via the upstream createSmallBinaryFile tool.
-// ============================================================================
+/**
+ * Find an online meeting by join URL, or by subject and date through the
+ * calendar. /me/onlineMeetings only holds meetings the user organized, and
+ * Graph gives a meeting's artifacts only to its organizer, so meetings
+ * organized by someone else are reported as such. A calendar event already
+ * at hand can be passed as `event`; one the user does not organize is
+ * reported without querying Graph.
+ * Returns { meeting, meetingPath } or { error }.
+ */
+async function resolveMeeting({ meetingUrl, meetingSubject, startDate, event: knownEvent }, signal) {
+  let joinUrl = meetingUrl || knownEvent?.onlineMeeting?.joinUrl;
+  let event = knownEvent || null;
+  if (!joinUrl) {
+    const found = await findMeetingEvent({ meetingSubject, startDate }, signal);
+    if (found.error) return found;
+    event = found.event;
+    joinUrl = event.onlineMeeting.joinUrl;
+  }
 
-const UPLOAD_MAX_SIZE_SMALL = 4 * 1024 * 1024; // 4MB limit for Agent365 proxy upload
-const UPLOAD_MAX_SIZE_LARGE = 250 * 1024 * 1024; // 250MB limit for Graph API chunked upload
-const UPLOAD_CHUNK_SIZE = 5 * 320 * 1024; // 1.6MB chunks (must be multiple of 320KB)
+  if (event?.isOrganizer === false) {
+    const organizer = event.organizer?.emailAddress?.address;
+    return { error: `You are not the organizer of this meeting${organizer ? ` (${organizer} is)` : ""}. ${ORGANIZER_ONLY_NOTE}` };
+  }
 
-async function handleUploadLocalFile(args) {
-  const { localFilePath, documentLibraryId, parentFolderId, filename } = args || {};
+  const result = await makeGraphRequest(
+    "GET",
+    `/me/onlineMeetings?$filter=joinWebUrl eq '${joinUrl}'`,
+    null,
+    null,
+    { signal },
+  );
+  if (result.error) {
+    return { error: `Error finding meeting by URL: ${result.error}` };
+  }
+  if (!result.value?.length) {
+    return { error: `No meeting you organized has this join URL. ${ORGANIZER_ONLY_NOTE}` };
+  }
+  return { meeting: result.value[0], meetingPath: `/me/onlineMeetings/${result.value[0].id}` };
+}
 
-  if (!localFilePath) {
+/**
+ * List one of a meeting's artifact collections (MEETING_TRANSCRIPTS etc.),
+ * oldest first. Returns { items } or { error }.
+ */
+async function listMeetingArtifacts(meetingPath, meeting, artifact, signal) {
+  const result = await makeGraphRequest(
+    "GET",
+    `${meetingPath}/${artifact.collection}`,
+    null,
+    null,
+    { signal, scopes: artifact.scopes },
+  );
+  if (result.error) {
     return {
-      content: [{ type: "text", text: "Error: localFilePath is required." }],
-      isError: true,
+      error: result.statusCode === 401 || result.statusCode === 403
+        ? `No permission to read the ${artifact.label}s of meeting "${meeting.subject || meeting.id}". Only the organizer can read them; as an attendee, ask the organizer to share them. (${result.error})`
+        : `Error getting ${artifact.label}s for meeting "${meeting.subject || meeting.id}": ${result.error}`,
     };
   }
+  const items = (result.value || []).slice()
+    .sort((a, b) => String(a[artifact.timeField] || "").localeCompare(String(b[artifact.timeField] || "")));
+  return { items };
+}
 
-  if (!documentLibraryId) {
-    return {
-      content: [{ type: "text", text: "Error: documentLibraryId is required. Use 'me' for OneDrive, or find it via sharepoint_findSite + sharepoint_listDocumentLibrariesInSite." }],
-      isError: true,
-    };
+/**
+ * Check the meeting lookup arguments. Returns an error message or null.
+ */
+function validateMeetingArgs({ meetingUrl, meetingSubject, startDate }) {
+  if (!meetingUrl && !(meetingSubject && startDate)) {
+    return "Error: pass meetingUrl (onlineMeeting.joinUrl from calendar_ListCalendarView), or meetingSubject and startDate to find the meeting in your calendar.";
+  }
+  if (startDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+    return `Error: startDate must be a date in YYYY-MM-DD format, got "${startDate}".`;
   }
+  return null;
+}
 
-  // Resolve and validate file path
-  const resolvedPath = path.resolve(localFilePath);
-  if (!fs.existsSync(resolvedPath)) {
-    return {
-      content: [{ type: "text", text: `Error: File not found: ${resolvedPath}` }],
-      isError: true,
-    };
+/**
+ * Calendar date (YYYY-MM-DD, local time) of an ISO timestamp.
+ */
+function toLocalDate(isoTimestamp) {
+  const date = new Date(isoTimestamp);
+  if (Number.isNaN(date.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function describeTranscript(transcript) {
+  const start = Date.parse(transcript.createdDateTime);
+  const end = Date.parse(transcript.endDateTime);
+  const durationSeconds = Number.isNaN(start) || Number.isNaN(end) ? null : Math.max(0, Math.round((end - start) / 1000));
+  return {
+    id: transcript.id,
+    createdDateTime: transcript.createdDateTime || null,
+    endDateTime: transcript.endDateTime || null,
+    durationSeconds,
+    duration: durationSeconds === null ? null : formatTimestamp(durationSeconds),
+  };
+}
+
+/**
+ * Pick artifacts by ID, then occurrenceDate, then "latest" or "all".
+ * `items` is oldest first. Returns { selected } or { error }.
+ */
+function selectMeetingArtifacts(items, { id, occurrenceDate, select = "latest" }, artifact) {
+  if (id) {
+    const match = items.find(item => item.id === id);
+    return match
+      ? { selected: [match] }
+      : { error: `No ${artifact.label} with ID "${id}". Available: ${items.map(item => item.id).join(", ")}` };
   }
 
-  const stats = fs.statSync(resolvedPath);
-  if (!stats.isFile()) {
-    return {
-      content: [{ type: "text", text: `Error: Path is not a file: ${resolvedPath}` }],
-      isError: true,
-    };
+  let candidates = items;
+  if (occurrenceDate) {
+    candidates = items.filter(item => toLocalDate(item[artifact.timeField]) === occurrenceDate);
+    if (candidates.length === 0) {
+      const dates = [...new Set(items.map(item => toLocalDate(item[artifact.timeField])).filter(Boolean))];
+      const plural = `${artifact.label[0].toUpperCase()}${artifact.label.slice(1)}s`;
+      return { error: `No ${artifact.label} dated ${occurrenceDate}. ${plural} exist for: ${dates.join(", ") || "unknown dates"}` };
+    }
   }
+  return { selected: select === "all" ? candidates : [candidates[candidates.length - 1]] };
+}
 
-  const uploadFilename = filename || path.basename(resolvedPath);
+/**
+ * Check occurrenceDate and select. Returns an error message or null.
+ */
+function validateArtifactSelector({ occurrenceDate, select }) {
+  if (occurrenceDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(occurrenceDate)) {
+    return `Error: occurrenceDate must be a date in YYYY-MM-DD format, got "${occurrenceDate}".`;
+  }
+  if (select !== undefined && !MEETING_ARTIFACT_SELECTIONS.includes(select)) {
+    return `Error: select must be one of ${MEETING_ARTIFACT_SELECTIONS.join(", ")}.`;
+  }
+  return null;
+}
 
-  if (stats.size > UPLOAD_MAX_SIZE_LARGE) {
-    const sizeMB = (stats.size / (1024 * 1024)).toFixed(1);
-    return {
-      content: [{ type: "text", text: `Error: File too large (${sizeMB}MB). Maximum upload size is ${UPLOAD_MAX_SIZE_LARGE / (1024 * 1024)}MB.` }],
-      isError: true,
-    };
+/**
+ * Check the transcript selector and output arguments. Returns an error
+ * message or null.
+ */
+function validateTranscriptArgs({ occurrenceDate, select, format, from, to }) {
+  const selectorError = validateArtifactSelector({ occurrenceDate, select });
+  if (selectorError) {
+    return selectorError;
+  }
+  if (format !== undefined && !TRANSCRIPT_FORMATS.includes(format)) {
+    return `Error: format must be one of ${TRANSCRIPT_FORMATS.join(", ")}.`;
+  }
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value !== undefined && parseTimestamp(value) === null) {
+      return `Error: ${name} must be an offset into the meeting like "00:15:00" or "15:00", got "${value}".`;
+    }
+  }
+  if (from !== undefined && to !== undefined && parseTimestamp(from) >= parseTimestamp(to)) {
+    return `Error: from must be before to, got from "${from}" and to "${to}".`;
   }
+  if ((from !== undefined || to !== undefined) && (format || "vtt") === "vtt") {
+    return "Error: from and to need a parsed format. Pass format 'text', 'markdown' or 'json'.";
+  }
+  return null;
+}
 
-  // Large files (>4MB) use Graph API chunked upload
-  if (stats.size > UPLOAD_MAX_SIZE_SMALL) {
-    return await uploadLargeFile(resolvedPath, uploadFilename, documentLibraryId, parentFolderId || "root");
+/**
+ * Download a transcript as VTT text. Returns the text or { error }.
+ */
+async function fetchTranscriptContent(meetingPath, transcriptId, signal) {
+  const result = await makeGraphRequest(
+    "GET",
+    `${meetingPath}/transcripts/${transcriptId}/content?$format=text/vtt`,
+    null,
+    null,
+    { signal },
+  );
+  if (result.error) {
+    return result;
   }
+  return typeof result === "string" ? result : JSON.stringify(result, null, 2);
+}
 
-  if (stats.size === 0) {
+async function handleGetMeetingTranscript(args, extra) {
+  const { meetingUrl, meetingSubject, startDate, transcriptId, occurrenceDate, select, format = "vtt", from, to } = args || {};
+  const signal = extra?.signal;
+  const reportProgress = createProgressReporter(extra);
+
+  const argsError = validateMeetingArgs({ meetingUrl, meetingSubject, startDate }) ||
+    validateTranscriptArgs({ occurrenceDate, select, format, from, to });
+  if (argsError) {
+    return { content: [{ type: "text", text: argsError }], isError: true };
+  }
+
+  // Get Graph token
+  const graphToken = await loadGraphToken();
+  if (!graphToken) {
     return {
-      content: [{ type: "text", text: "Error: File is empty (0 bytes)." }],
+      content: [{
+        type: "text",
+        text: `Error: Meeting transcript retrieval requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first.`,
+      }],
       isError: true,
     };
   }
 
-  // Determine if text or binary based on extension
-  const textExtensions = new Set([
-    ".txt", ".md", ".csv", ".json", ".xml", ".html", ".htm", ".css", ".js",
-    ".ts", ".py", ".sh", ".bash", ".yaml", ".yml", ".toml", ".ini", ".cfg",
-    ".log", ".sql", ".r", ".m", ".c", ".h", ".cpp", ".hpp", ".java",
-    ".rb", ".go", ".rs", ".swift", ".kt", ".scala", ".pl", ".lua",
-  ]);
-  const ext = path.extname(resolvedPath).toLowerCase();
-  const isText = textExtensions.has(ext);
-
   try {
-    await initializeServer("sharepoint");
+    // Find the meeting among those the user organized
+    reportProgress(0, 3, "Finding meeting");
+    const found = await resolveMeeting({ meetingUrl, meetingSubject, startDate }, signal);
+    if (found.error) {
+      return { content: [{ type: "text", text: found.error }], isError: true };
+    }
+    const meetingInfo = found.meeting;
 
-    if (isText) {
-      const content = fs.readFileSync(resolvedPath, "utf8");
-      const result = await makeAgent365Request(
-        MCP_SERVERS.sharepoint.url,
-        "tools/call",
-        {
-          name: "createSmallTextFile",
-          arguments: {
-            filename: uploadFilename,
-            contentText: content,
-            documentLibraryId: documentLibraryId,
-            parentfolderId: parentFolderId || "root",
-          },
-        },
-        Date.now()
-      );
+    // Get transcripts for the meeting
+    reportProgress(1, 3, "Listing transcripts");
+    const listed = await listMeetingArtifacts(found.meetingPath, meetingInfo, MEETING_TRANSCRIPTS, signal);
+    if (listed.error) {
+      return { content: [{ type: "text", text: listed.error }], isError: true };
+    }
 
-      if (result.error) {
-        throw new Error(result.error.message);
+    const transcripts = listed.items;
+    if (transcripts.length === 0) {
+      return {
+        content: [{
+          type: "text",
+          text: `No transcripts found for meeting "${meetingInfo.subject || "Unknown"}". The meeting was found and you have access to it, but transcription was not turned on (or the transcript is still being processed).`,
+        }],
+        isError: true,
+      };
+    }
+
+    const selection = selectMeetingArtifacts(transcripts, { id: transcriptId, occurrenceDate, select }, MEETING_TRANSCRIPTS);
+    if (selection.error) {
+      return {
+        content: [{ type: "text", text: `${selection.error}\n\nCall teams_listMeetingTranscripts to see every transcript of this meeting.` }],
+        isError: true,
+      };
+    }
+
+    // Download each selected transcript; progress total grows with the number selected
+    const selected = selection.selected;
+    const total = 2 + selected.length;
+    const window = {
+      from: from === undefined ? null : parseTimestamp(from),
+      to: to === undefined ? null : parseTimestamp(to),
+    };
+    const downloaded = [];
+    for (const [index, transcript] of selected.entries()) {
+      reportProgress(2 + index, total, selected.length === 1 ? "Downloading transcript" : `Downloading transcript ${index + 1} of ${selected.length}`);
+      const transcriptText = await fetchTranscriptContent(found.meetingPath, transcript.id, signal);
+      if (transcriptText.error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error getting transcript content: ${transcriptText.error}`,
+          }],
+          isError: true,
+        };
       }
 
-      return processResult(result.result, "sharepoint_uploadLocalFile");
-    } else {
-      // Binary file: base64 encode and use createSmallBinaryFile
-      const content = fs.readFileSync(resolvedPath);
-      const base64Content = content.toString("base64");
+      downloaded.push({
+        ...describeTranscript(transcript),
+        position: transcripts.indexOf(transcript) + 1,
+        content: format === "vtt" ? transcriptText : renderTranscript(transcriptText, format, window),
+      });
+    }
+
+    // Format the response
+    reportProgress(total, total, selected.length === 1 ? "Transcript downloaded" : "Transcripts downloaded");
+    const otherNote = transcripts.length > selected.length
+      ? `This meeting has ${transcripts.length} transcripts; pass transcriptId, occurrenceDate or select='all' for the others (see teams_listMeetingTranscripts).`
+      : null;
+
+    if (format === "json") {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            meeting: {
+              subject: meetingInfo.subject || null,
+              startDateTime: meetingInfo.startDateTime || null,
+              organizer: meetingInfo.participants?.organizer?.upn || null,
+            },
+            ...(otherNote && { note: otherNote }),
+            transcripts: downloaded.map(({ content, ...info }) => ({ ...info, ...content })),
+          }, null, 2),
+        }],
+      };
+    }
+
+    const sections = downloaded.map((item) => {
+      const heading = transcripts.length === 1
+        ? "--- Transcript ---"
+        : `--- Transcript ${item.position} of ${transcripts.length} (id: ${item.id}, created: ${item.createdDateTime || "unknown"}${item.duration ? `, duration: ${item.duration}` : ""}) ---`;
+      return `${heading}\n\n${item.content}`;
+    });
+
+    return {
+      content: [{
+        type: "text",
+        text: `Meeting: ${meetingInfo.subject || "Unknown"}\nDate: ${meetingInfo.startDateTime || "Unknown"}\nOrganizer: ${meetingInfo.participants?.organizer?.upn || "Unknown"}${otherNote ? `\n${otherNote}` : ""}\n\n${sections.join("\n\n")}`,
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error retrieving meeting transcript: ${error.message}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
+      }],
+      isError: true,
+    };
+  }
+}
 
-      const result = await makeAgent365Request(
-        MCP_SERVERS.sharepoint.url,
-        "tools/call",
-        {
-          name: "createSmallBinaryFile",
-          arguments: {
-            filename: uploadFilename,
-            base64Content: base64Content,
-            documentLibraryId: documentLibraryId,
-            parentfolderId: parentFolderId || "root",
-          },
-        },
-        Date.now()
-      );
+/**
+ * List every transcript of a meeting with its created time and duration,
+ * so a specific one can be fetched by transcriptId or occurrenceDate.
+ */
+async function handleListMeetingTranscripts(args, extra) {
+  const { meetingUrl, meetingSubject, startDate } = args || {};
+  const signal = extra?.signal;
 
-      if (result.error) {
-        throw new Error(result.error.message);
-      }
+  const argsError = validateMeetingArgs({ meetingUrl, meetingSubject, startDate });
+  if (argsError) {
+    return { content: [{ type: "text", text: argsError }], isError: true };
+  }
+
+  const graphToken = await loadGraphToken();
+  if (!graphToken) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error: Meeting transcript retrieval requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first.`,
+      }],
+      isError: true,
+    };
+  }
 
-      return processResult(result.result, "sharepoint_uploadLocalFile");
+  try {
+    const found = await resolveMeeting({ meetingUrl, meetingSubject, startDate }, signal);
+    if (found.error) {
+      return { content: [{ type: "text", text: found.error }], isError: true };
+    }
+    const listed = await listMeetingArtifacts(found.meetingPath, found.meeting, MEETING_TRANSCRIPTS, signal);
+    if (listed.error) {
+      return { content: [{ type: "text", text: listed.error }], isError: true };
     }
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          meeting: {
+            subject: found.meeting.subject || null,
+            startDateTime: found.meeting.startDateTime || null,
+          },
+          count: listed.items.length,
+          transcripts: listed.items.map(describeTranscript),
+        }, null, 2),
+      }],
+    };
   } catch (error) {
     return {
       content: [{
         type: "text",
-        text: `Error uploading ${uploadFilename}: ${error.message}\n\nIf authentication expired, run agent365_authenticate.`,
+        text: `Error listing meeting transcripts: ${error.message}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
       }],
       isError: true,
     };
@@ -1420,130 +5063,130 @@ async function handleUploadLocalFile(args) {
 }
 
 // ============================================================================
-// LARGE FILE UPLOAD VIA GRAPH API (>4MB, up to 250MB)
-// Uses resumable upload sessions with chunked PUT requests.
+// MEETING ATTENDANCE AND RECORDINGS VIA GRAPH API
+// Same meeting lookup and selection as transcripts (resolveMeeting,
+// selectMeetingArtifacts). Recordings are streamed to disk like
+// sharepoint_downloadToLocalFile and never returned as content.
 // ============================================================================
 
-async function uploadLargeFile(resolvedPath, uploadFilename, documentLibraryId, parentFolderId) {
-  // Get Graph token
+/**
+ * Attendee entry of an attendance report: role, total time and every
+ * join/leave interval.
+ */
+function describeAttendanceRecord(record) {
+  const totalAttendanceSeconds = record.totalAttendanceInSeconds ?? null;
+  return {
+    name: record.identity?.displayName || null,
+    email: record.emailAddress || null,
+    role: record.role || null,
+    totalAttendanceSeconds,
+    totalAttendance: totalAttendanceSeconds === null ? null : formatTimestamp(totalAttendanceSeconds),
+    intervals: (record.attendanceIntervals || []).map(interval => ({
+      joinDateTime: interval.joinDateTime || null,
+      leaveDateTime: interval.leaveDateTime || null,
+      durationSeconds: interval.durationInSeconds ?? null,
+    })),
+  };
+}
+
+async function handleGetMeetingAttendance(args, extra) {
+  const { meetingUrl, meetingSubject, startDate, reportId, occurrenceDate, select } = args || {};
+  const signal = extra?.signal;
+
+  const argsError = validateMeetingArgs({ meetingUrl, meetingSubject, startDate }) ||
+    validateArtifactSelector({ occurrenceDate, select });
+  if (argsError) {
+    return { content: [{ type: "text", text: argsError }], isError: true };
+  }
+
   const graphToken = await loadGraphToken();
   if (!graphToken) {
     return {
       content: [{
         type: "text",
-        text: `Error: Large file upload (>4MB) requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first to authenticate with Graph API permissions (Files.ReadWrite.All, Sites.ReadWrite.All).`,
+        text: `Error: Meeting attendance reports require Microsoft Graph API authentication. Call the agent365_graph_auth tool first.`,
       }],
       isError: true,
     };
   }
 
   try {
-    // Step 1: Create upload session
-    // Resolve folder path for correct placement (ID:path: syntax doesn't work reliably with createUploadSession)
-    const driveId = documentLibraryId === "me" ? "me/drive" : `drives/${documentLibraryId}`;
-    let sessionUrl;
-    if (parentFolderId === "root") {
-      sessionUrl = `/${driveId}/root:/${encodeURIComponent(uploadFilename)}:/createUploadSession`;
-    } else {
-      // Get the folder's path from Graph API, then use path-based upload
-      const folderInfo = await makeGraphRequest("GET", `/${driveId}/items/${parentFolderId}?$select=name,parentReference`);
-      if (folderInfo.error) {
-        return {
-          content: [{ type: "text", text: `Error resolving folder: ${folderInfo.error}` }],
-          isError: true,
-        };
-      }
-      const folderPath = folderInfo.parentReference?.path
-        ? `${folderInfo.parentReference.path}/${folderInfo.name}`
-        : `/${driveId}/root:/${folderInfo.name}`;
-      sessionUrl = `${folderPath}/${encodeURIComponent(uploadFilename)}:/createUploadSession`;
+    const found = await resolveMeeting({ meetingUrl, meetingSubject, startDate }, signal);
+    if (found.error) {
+      return { content: [{ type: "text", text: found.error }], isError: true };
     }
+    const meetingInfo = found.meeting;
 
-    const sessionResult = await makeGraphRequest("POST", sessionUrl, {
-      item: {
-        "@microsoft.graph.conflictBehavior": "rename",
-      },
-    });
-
-    if (sessionResult.error) {
-      return {
-        content: [{
-          type: "text",
-          text: `Error creating upload session: ${sessionResult.error}`,
-        }],
-        isError: true,
-      };
+    const listed = await listMeetingArtifacts(found.meetingPath, meetingInfo, MEETING_ATTENDANCE_REPORTS, signal);
+    if (listed.error) {
+      return { content: [{ type: "text", text: listed.error }], isError: true };
     }
-
-    const uploadUrl = sessionResult.uploadUrl;
-    if (!uploadUrl) {
+    const reports = listed.items;
+    if (reports.length === 0) {
       return {
         content: [{
           type: "text",
-          text: "Error: No upload URL returned from Graph API createUploadSession.",
+          text: `No attendance reports found for meeting "${meetingInfo.subject || "Unknown"}". Reports appear a few minutes after a meeting ends, and only if the organizer has not turned attendance reports off.`,
         }],
         isError: true,
       };
     }
 
-    // Step 2: Read and upload file in chunks
-    const fileSize = fs.statSync(resolvedPath).size;
-    const fd = fs.openSync(resolvedPath, "r");
-    let offset = 0;
-    let lastResponse = null;
-
-    try {
-      while (offset < fileSize) {
-        const chunkSize = Math.min(UPLOAD_CHUNK_SIZE, fileSize - offset);
-        const chunk = Buffer.alloc(chunkSize);
-        fs.readSync(fd, chunk, 0, chunkSize, offset);
-
-        const rangeEnd = offset + chunkSize - 1;
-        const contentRange = `bytes ${offset}-${rangeEnd}/${fileSize}`;
-
-        console.error(`Uploading chunk: ${contentRange} (${(chunkSize / 1024).toFixed(0)}KB)`);
-
-        const chunkResult = await makeGraphRawRequest("PUT", uploadUrl, chunk, {
-          "Content-Range": contentRange,
-          "Content-Type": "application/octet-stream",
-        });
-
-        if (chunkResult.error) {
-          return {
-            content: [{
-              type: "text",
-              text: `Error uploading chunk at offset ${offset}: ${chunkResult.error}`,
-            }],
-            isError: true,
-          };
-        }
-
-        if (chunkResult.statusCode >= 400) {
-          const errorData = typeof chunkResult.data === "string" ? chunkResult.data : JSON.stringify(chunkResult.data);
-          return {
-            content: [{
-              type: "text",
-              text: `Error uploading chunk at offset ${offset}: HTTP ${chunkResult.statusCode} - ${errorData.slice(0, 500)}`,
-            }],
-            isError: true,
-          };
-        }
+    const selection = selectMeetingArtifacts(reports, { id: reportId, occurrenceDate, select }, MEETING_ATTENDANCE_REPORTS);
+    if (selection.error) {
+      return { content: [{ type: "text", text: `${selection.error}\n\nPass select='all' to see every attendance report of this meeting.` }], isError: true };
+    }
 
-        lastResponse = chunkResult.data;
-        offset += chunkSize;
+    const detailed = [];
+    for (const report of selection.selected) {
+      const result = await makeGraphRequest(
+        "GET",
+        `${found.meetingPath}/attendanceReports/${report.id}?$expand=attendanceRecords`,
+        null,
+        null,
+        { signal, scopes: GRAPH_ATTENDANCE_SCOPES },
+      );
+      // The expanded records are paged on their own
+      const records = result.attendanceRecords || [];
+      let nextLink = result["attendanceRecords@odata.nextLink"];
+      let error = result.error;
+      while (!error && nextLink) {
+        const page = await makeGraphRequest("GET", graphNextLinkPath(nextLink), null, null, { signal, encoded: true, scopes: GRAPH_ATTENDANCE_SCOPES });
+        error = page.error;
+        records.push(...(page.value || []));
+        nextLink = page["@odata.nextLink"];
       }
-    } finally {
-      fs.closeSync(fd);
+      if (error) {
+        return {
+          content: [{ type: "text", text: `Error getting attendance report ${report.id}: ${error}` }],
+          isError: true,
+        };
+      }
+      detailed.push({
+        id: report.id,
+        meetingStartDateTime: result.meetingStartDateTime || report.meetingStartDateTime || null,
+        meetingEndDateTime: result.meetingEndDateTime || report.meetingEndDateTime || null,
+        totalParticipantCount: result.totalParticipantCount ?? report.totalParticipantCount ?? null,
+        attendees: records
+          .map(describeAttendanceRecord)
+          .sort((a, b) => (b.totalAttendanceSeconds || 0) - (a.totalAttendanceSeconds || 0)),
+      });
     }
 
-    // Step 3: Return the created file metadata
-    const sizeMB = (fileSize / (1024 * 1024)).toFixed(1);
+    const otherNote = reports.length > detailed.length
+      ? `This meeting has ${reports.length} attendance reports; pass reportId, occurrenceDate or select='all' for the others.`
+      : null;
     return {
       content: [{
         type: "text",
         text: JSON.stringify({
-          message: `Successfully uploaded ${uploadFilename} (${sizeMB}MB) via Graph API chunked upload.`,
-          file: lastResponse,
+          meeting: {
+            subject: meetingInfo.subject || null,
+            startDateTime: meetingInfo.startDateTime || null,
+            organizer: meetingInfo.participants?.organizer?.upn || null,
+          },
+          ...(otherNote && { note: otherNote }),
+          reports: detailed,
         }, null, 2),
       }],
     };
@@ -1551,291 +5194,475 @@ async function uploadLargeFile(resolvedPath, uploadFilename, documentLibraryId,
     return {
       content: [{
         type: "text",
-        text: `Error during large file upload of ${uploadFilename}: ${error.message}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
+        text: `Error retrieving meeting attendance: ${error.message}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
       }],
       isError: true,
     };
   }
 }
 
-// ============================================================================
-// MEETING TRANSCRIPT RETRIEVAL VIA GRAPH API
-// ============================================================================
-
-function handleHelp(args) {
-  const topic = (args?.topic || "").toLowerCase().trim();
-
-  const sections = {
-    auth: `## Authentication (required once per session)
-- agent365_authenticate() → triggers device code login
-- agent365_graph_auth() → separate auth for advanced features (large uploads >4MB, meeting transcripts)`,
-
-    sharepoint: `## SharePoint / OneDrive — Finding Files
-**Option A — Search directly:**
-  sharepoint_findFileOrFolder(searchQuery) → returns items with id, webUrl, driveId
-
-**Option B — Browse by site:**
-  1. sharepoint_findSite(searchQuery) → get siteId
-  2. sharepoint_listDocumentLibrariesInSite(siteId) → get documentLibraryId (driveId)
-  3. sharepoint_getFolderChildren(documentLibraryId, parentFolderId) → browse files
-
-**Reading files:**
-  - .docx → word_GetDocumentContent(fileUrl)
-  - .xlsx → excel_GetDocumentContent(fileUrl)
-  - text files → sharepoint_readSmallTextFile(fileId, documentLibraryId)
-  - binary files → sharepoint_readSmallBinaryFile(fileId, documentLibraryId)
-  - From URL → sharepoint_getFileOrFolderMetadataByUrl(url) to resolve ids first`,
-
-    upload: `## Uploading Files
-**Local file → SharePoint/OneDrive:**
-  1. Find destination: sharepoint_findSite → listDocumentLibrariesInSite → getFolderChildren
-  2. sharepoint_uploadLocalFile(localFilePath, documentLibraryId, parentFolderId)
-  - Files ≤4MB: direct upload via upstream API
-  - Files 4-250MB: Graph API chunked upload (requires agent365_graph_auth)
-  - For OneDrive: use documentLibraryId='me'
-
-**Creating files to upload:**
-  Use docx, xlsx, pptx, or pdf skills to create files locally, then upload with sharepoint_uploadLocalFile.
-
-**Other upload methods:**
-  - sharepoint_createSmallTextFile — upload text content directly (no local file needed)
-  - sharepoint_createSmallBinaryFile — upload base64-encoded binary content
-  - sharepoint_uploadFileFromUrl — copy from one SharePoint location to another`,
-
-    mail: `## Email (Outlook)
-**Reading:**
-  mail_SearchMessages(query) → mail_GetMessage(id) → mail_GetAttachments(id) → mail_DownloadAttachment(id, attachmentId)
-
-**Sending:**
-  mail_SendEmailWithAttachments(to, subject, body, directAttachmentFilePaths=["/path/to/file"])
-  - Supports local files via directAttachmentFilePaths
-  - Supports SharePoint/OneDrive files via attachmentUris
-  - Create attachments locally with docx, xlsx, pptx, pdf skills first
-
-**Drafts:**
-  mail_CreateDraftMessage → mail_UpdateDraft (add attachments) → mail_SendDraftMessage
-
-**Replying:**
-  mail_ReplyToMessage(id) — single recipient
-  mail_ReplyAllToMessage(id) — all recipients
-  mail_ForwardMessage(id) — forward to new recipients`,
-
-    calendar: `## Calendar
-**Finding meetings (IMPORTANT: use ListCalendarView for recurring meetings):**
-  calendar_ListCalendarView(userIdentifier='me', startDateTime, endDateTime, subject)
-  - Expands recurring events (standups, syncs, scrums, 1:1s) into individual instances
-  - Use narrow date ranges (1-2 days) to avoid large responses
-
-  calendar_ListEvents(startDateTime, endDateTime, meetingTitle)
-  - Only returns master events — will MISS recurring meeting instances
-  - Use only for one-off meetings
-
-**Creating/modifying:**
-  calendar_FindMeetingTimes → calendar_CreateEvent
-  calendar_UpdateEvent, calendar_CancelEvent
-  calendar_AcceptEvent, calendar_DeclineEvent, calendar_TentativelyAcceptEvent`,
-
-    transcript: `## Meeting Transcripts
-**Workflow:**
-  1. calendar_ListCalendarView(userIdentifier='me', startDateTime, endDateTime, subject) → find the meeting
-  2. Get onlineMeeting.joinUrl from the event response
-  3. teams_getMeetingTranscript(meetingUrl=joinUrl) → returns VTT transcript
-
-**Requirements:**
-  - Transcription must have been enabled during the meeting
-  - Requires Graph API auth: call agent365_graph_auth if you get auth errors
-  - Use ListCalendarView (NOT ListEvents) — most meetings are recurring`,
-
-    teams: `## Teams
-**Browsing:**
-  teams_ListTeams → teams_ListChannels(teamId) → teams_ListChannelMessages(teamId, channelId)
-  teams_ListChats → teams_ListChatMessages(chatId)
-
-**Searching:**
-  teams_SearchTeamsMessages(searchQuery) — search across all Teams messages
-
-**Posting (requires user confirmation):**
-  teams_PostChannelMessage(teamId, channelId, message)
-  teams_PostMessage(chatId, message)`,
-
-    word: `## Word Documents
-**Reading:** word_GetDocumentContent(fileUrl) — extracts text, comments, structure
-  Find file first: sharepoint_findFileOrFolder(searchQuery) → use webUrl
-
-**Creating:**
-  word_CreateDocument(fileName, contentInHtml) — creates in OneDrive root, accepts HTML/plain text
-  For richer formatting (TOC, headers/footers, page numbers): create locally with docx skill, then sharepoint_uploadLocalFile`,
-
-    excel: `## Excel Spreadsheets
-**Reading:** excel_GetDocumentContent(fileUrl) — returns cell data as structured text
-  Find file first: sharepoint_findFileOrFolder(searchQuery='.xlsx') → use webUrl
-
-**Creating:**
-  excel_CreateWorkbook(fileName) — creates in OneDrive
-  For complex spreadsheets (formulas, charts, formatting): create locally with xlsx skill, then sharepoint_uploadLocalFile`,
-
-    me: `## User / Directory Lookup
-  me_GetMyDetails — current user's profile
-  me_GetUserDetails(identifier) — look up by name or email
-  me_GetMultipleUsersDetails — batch lookup
-  me_GetManagerDetails — current user's manager
-  me_GetDirectReportsDetails — direct reports`,
-
-    copilot: `## M365 Copilot (requires Copilot license)
-  copilot_copilot_chat(query) — semantic search across ALL M365 content
-  Use when you don't know exact file names or need to search across emails, chats, files, and meetings simultaneously.`,
-  };
+/**
+ * Local file name for a recording: "<subject> <YYYY-MM-DD HHMM>.mp4", with
+ * characters that are not allowed in file names replaced.
+ */
+function recordingFileName(meeting, recording, number) {
+  const created = (recording.createdDateTime || "").slice(0, 16).replace("T", " ").replace(":", "");
+  return safeFileName(`${meeting.subject || "Meeting recording"}${created ? ` ${created}` : ` ${recording.id}`}${number ? ` (${number})` : ""}.mp4`);
+}
 
-  let output;
-  if (topic && sections[topic]) {
-    output = sections[topic];
-  } else {
-    // Progressive disclosure: return compact overview, not all details
-    output = `# Agent 365 MCP — Workflow Guide
+/**
+ * Replace characters that are not allowed in file names on Windows or Unix.
+ */
+function safeFileName(name) {
+  return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_");
+}
 
-## Available capabilities (call agent365_help with a topic for details):
+/**
+ * Stream a recording's content to `target` via `<target>.agent365-partial`.
+ * A partial file of the same recording is continued with an open-ended
+ * Range request. Graph redirects to the media store; the token is not
+ * forwarded there. Returns { size, resumedAt, sha256 }.
+ */
+async function downloadRecordingContent(contentUrl, recordingId, target, signal) {
+  const partialPath = `${target}.agent365-partial`;
+  const markerPath = `${partialPath}.json`;
+  const marker = readJsonFile(markerPath);
+  if (!marker || marker.id !== recordingId || !fs.existsSync(partialPath)) {
+    fs.rmSync(partialPath, { force: true });
+    fs.writeFileSync(markerPath, JSON.stringify({ id: recordingId }));
+  }
+  const resumedAt = fs.existsSync(partialPath) ? fs.statSync(partialPath).size : 0;
 
-- **auth** — Authentication setup (agent365_authenticate, agent365_graph_auth)
-- **sharepoint** — Find files/folders, browse sites, read documents
-- **upload** — Upload local files to SharePoint/OneDrive (supports docx, xlsx, pptx, pdf, etc up to 250MB)
-- **mail** — Search, read, send, reply, forward emails with attachments
-- **calendar** — Find meetings, create events, manage invitations
-- **transcript** — Get Teams meeting transcripts (VTT)
-- **teams** — Browse/search chats, channels, post messages
-- **word** — Read/create Word documents
-- **excel** — Read/create Excel spreadsheets
-- **me** — User profiles, org chart, directory lookup
-- **copilot** — Semantic search across all M365 content (requires Copilot license)
+  const fd = fs.openSync(partialPath, resumedAt > 0 ? "r+" : "w");
+  let size;
+  try {
+    size = await withRetry(`Download recording ${recordingId}`, true, async () => {
+      const start = fs.fstatSync(fd).size;
+      let url = contentUrl;
+      const token = await loadScopedGraphToken(GRAPH_RECORDING_SCOPES);
+      if (!token) {
+        throw new Error(graphScopesError(GRAPH_RECORDING_SCOPES));
+      }
+      let headers = { Authorization: `Bearer ${token}` };
+      let response;
+      try {
+        response = await sendDownloadRequest(url, start, null, fd, signal, { headers });
+        for (let redirects = 0; response.location; redirects++) {
+          if (redirects === 5) {
+            throw new Error("Too many redirects downloading the recording");
+          }
+          url = response.location;
+          headers = {};
+          response = await sendDownloadRequest(url, start, null, fd, signal, { headers });
+        }
+      } catch (err) {
+        // bytes=<size>- is unsatisfiable once the partial file is complete
+        const completeLength = err.contentRange?.match(/^bytes \*\/(\d+)$/)?.[1];
+        if (err.statusCode === 416 && start > 0 && (!err.contentRange || Number(completeLength) === start)) {
+          return start;
+        }
+        throw err;
+      }
 
-## Quick tips:
-- Always authenticate first: agent365_authenticate()
-- For recurring meetings (standups, syncs, scrums): use calendar_ListCalendarView, NOT calendar_ListEvents
-- For reading .docx use word_GetDocumentContent, for .xlsx use excel_GetDocumentContent
-- To upload local files: sharepoint_uploadLocalFile (use docx/xlsx/pptx/pdf skills to create files first)
-- For meeting transcripts: calendar_ListCalendarView → get joinUrl → teams_getMeetingTranscript`;
+      const end = (response.statusCode === 206 ? start : 0) + response.bytes;
+      if (response.contentLength !== null && response.bytes !== response.contentLength) {
+        throw retryableError(`Recording download ended after ${response.bytes} of ${response.contentLength} bytes`, { code: "ECONNRESET" });
+      }
+      fs.ftruncateSync(fd, end);
+      return end;
+    }, signal);
+  } finally {
+    fs.closeSync(fd);
   }
 
-  return {
-    content: [{ type: "text", text: output }],
-  };
+  // Hashed before the rename so a cancelled hash leaves the partial to resume
+  const sha256 = await hashFile(partialPath, { signal });
+  fs.renameSync(partialPath, target);
+  fs.rmSync(markerPath, { force: true });
+  return { size, resumedAt, sha256 };
 }
 
-async function handleGetMeetingTranscript(args) {
-  const { meetingUrl } = args || {};
+async function handleGetMeetingRecording(args, extra) {
+  const { meetingUrl, meetingSubject, startDate, recordingId, occurrenceDate, select, localPath, overwrite } = args || {};
+  const signal = extra?.signal;
+  const reportProgress = createProgressReporter(extra);
 
-  if (!meetingUrl) {
-    return {
-      content: [{
-        type: "text",
-        text: "Error: meetingUrl is required. Use calendar_ListEvents or calendar_ListCalendarView to find the meeting first, then pass its onlineMeeting.joinUrl here.",
-      }],
-      isError: true,
-    };
+  const argsError = validateMeetingArgs({ meetingUrl, meetingSubject, startDate }) ||
+    validateArtifactSelector({ occurrenceDate, select });
+  if (argsError) {
+    return { content: [{ type: "text", text: argsError }], isError: true };
   }
 
-  // Get Graph token
   const graphToken = await loadGraphToken();
   if (!graphToken) {
     return {
       content: [{
         type: "text",
-        text: `Error: Meeting transcript retrieval requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first.`,
+        text: `Error: Meeting recordings require Microsoft Graph API authentication. Call the agent365_graph_auth tool first.`,
       }],
       isError: true,
     };
   }
 
+  let partialPath;
   try {
-    // Find meeting by join URL
-    const result = await makeGraphRequest(
-      "GET",
-      `/me/onlineMeetings?$filter=joinWebUrl eq '${meetingUrl}'`,
-    );
+    const found = await resolveMeeting({ meetingUrl, meetingSubject, startDate }, signal);
+    if (found.error) {
+      return { content: [{ type: "text", text: found.error }], isError: true };
+    }
+    const meetingInfo = found.meeting;
 
-    if (result.error) {
+    const listed = await listMeetingArtifacts(found.meetingPath, meetingInfo, MEETING_RECORDINGS, signal);
+    if (listed.error) {
+      return { content: [{ type: "text", text: listed.error }], isError: true };
+    }
+    const recordings = listed.items;
+    const meeting = {
+      subject: meetingInfo.subject || null,
+      startDateTime: meetingInfo.startDateTime || null,
+    };
+
+    if (!localPath) {
       return {
         content: [{
           type: "text",
-          text: `Error finding meeting by URL: ${result.error}`,
+          text: JSON.stringify({
+            meeting,
+            count: recordings.length,
+            recordings: recordings.map(recording => ({
+              ...describeTranscript(recording),
+              contentCorrelationId: recording.contentCorrelationId || null,
+            })),
+            ...(recordings.length > 0 && { note: "Pass localPath (and recordingId, occurrenceDate or select='all') to download." }),
+          }, null, 2),
         }],
-        isError: true,
       };
     }
 
-    const meetings = result.value || [];
-    if (meetings.length === 0) {
+    if (recordings.length === 0) {
       return {
         content: [{
           type: "text",
-          text: `No meeting found with the provided join URL. Make sure you are the organizer or a participant.`,
+          text: `No recordings found for meeting "${meetingInfo.subject || "Unknown"}". The meeting was not recorded, or the recording is still being processed.`,
         }],
         isError: true,
       };
     }
+    const selection = selectMeetingArtifacts(recordings, { id: recordingId, occurrenceDate, select }, MEETING_RECORDINGS);
+    if (selection.error) {
+      return { content: [{ type: "text", text: `${selection.error}\n\nCall teams_getMeetingRecording without localPath to list every recording.` }], isError: true };
+    }
 
-    const meetingInfo = meetings[0];
-    const meetingId = meetingInfo.id;
-
-    // Get transcripts for the meeting
-    const transcriptsResult = await makeGraphRequest(
-      "GET",
-      `/me/onlineMeetings/${meetingId}/transcripts`,
-    );
-
-    if (transcriptsResult.error) {
+    // A directory (existing, or given with a trailing slash) receives one file per recording
+    const resolvedPath = path.resolve(localPath);
+    const isDirectory = /[\\/]$/.test(localPath) || (fs.existsSync(resolvedPath) && fs.statSync(resolvedPath).isDirectory());
+    if (selection.selected.length > 1 && !isDirectory) {
       return {
-        content: [{
-          type: "text",
-          text: `Error getting transcripts for meeting "${meetingInfo.subject || meetingId}": ${transcriptsResult.error}`,
-        }],
+        content: [{ type: "text", text: `Error: ${selection.selected.length} recordings are selected; localPath must be a directory (end it with a slash to create one).` }],
         isError: true,
       };
     }
-
-    const transcripts = transcriptsResult.value || [];
-    if (transcripts.length === 0) {
+    // Recordings started in the same minute get numbered file names
+    const usedNames = new Set();
+    const targets = selection.selected.map((recording) => {
+      if (!isDirectory) return resolvedPath;
+      let fileName = recordingFileName(meetingInfo, recording);
+      for (let n = 2; usedNames.has(fileName.toLowerCase()); n++) {
+        fileName = recordingFileName(meetingInfo, recording, n);
+      }
+      usedNames.add(fileName.toLowerCase());
+      return path.join(resolvedPath, fileName);
+    });
+    const existing = targets.filter(target => fs.existsSync(target));
+    if (existing.length > 0 && !overwrite) {
       return {
-        content: [{
-          type: "text",
-          text: `No transcripts found for meeting "${meetingInfo.subject || "Unknown"}". Make sure transcription was enabled during the meeting.`,
-        }],
+        content: [{ type: "text", text: `Error: ${existing.join(", ")} already exist${existing.length === 1 ? "s" : ""}. Pass overwrite: true to replace.` }],
         isError: true,
       };
     }
 
-    // Get the content of the first (most recent) transcript
-    const transcriptId = transcripts[0].id;
-    const contentResult = await makeGraphRequest(
-      "GET",
-      `/me/onlineMeetings/${meetingId}/transcripts/${transcriptId}/content?$format=text/vtt`,
-    );
+    const downloaded = [];
+    for (const [index, recording] of selection.selected.entries()) {
+      const target = targets[index];
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      partialPath = `${target}.agent365-partial`;
+      reportProgress(index, selection.selected.length, `Downloading recording ${index + 1} of ${selection.selected.length}`);
+
+      const contentUrl = `https://graph.microsoft.com/v1.0${encodeURI(`${found.meetingPath}/recordings/${recording.id}/content`)}`;
+      const { size, resumedAt, sha256 } = await downloadRecordingContent(contentUrl, recording.id, target, signal);
+      downloaded.push({
+        ...describeTranscript(recording),
+        localPath: target,
+        size,
+        sha256,
+        ...(resumedAt > 0 && { resumedAt }),
+      });
+      partialPath = null;
+    }
+    reportProgress(downloaded.length, downloaded.length, "Recordings downloaded");
 
-    if (contentResult.error) {
-      return {
-        content: [{
-          type: "text",
-          text: `Error getting transcript content: ${contentResult.error}`,
-        }],
-        isError: true,
-      };
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          meeting,
+          message: `Downloaded ${downloaded.length} recording${downloaded.length === 1 ? "" : "s"} (${(downloaded.reduce((sum, item) => sum + item.size, 0) / (1024 * 1024)).toFixed(1)}MB).`,
+          recordings: downloaded,
+        }, null, 2),
+      }],
+    };
+  } catch (error) {
+    const partialNote = partialPath && fs.existsSync(partialPath) && fs.statSync(partialPath).size > 0
+      ? `\n\n${(fs.statSync(partialPath).size / (1024 * 1024)).toFixed(1)}MB were kept in ${partialPath}; call teams_getMeetingRecording again with the same arguments to resume.`
+      : "";
+    return {
+      content: [{
+        type: "text",
+        text: `Error retrieving meeting recording: ${error.message}${partialNote}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// ============================================================================
+// BULK TRANSCRIPT EXPORT
+// Expands the calendar over a date range, fetches the transcripts of every
+// matching online meeting and writes one file per occurrence plus
+// index.json, so a week of standups takes one call instead of a
+// calendar → transcript chain per meeting. Only a summary is returned.
+// ============================================================================
+
+const EXPORT_MAX_DAYS = 31;
+const TRANSCRIPT_FILE_EXTENSIONS = { vtt: "vtt", text: "txt", markdown: "md", json: "json" };
+
+/**
+ * Online meetings in the calendar from startDate to endDate (inclusive,
+ * local days) whose subject contains `subject`, grouped by join URL: the
+ * occurrences of a recurring meeting share one online meeting and its
+ * transcripts. Returns { meetings: [{ event, occurrences: [event] }] } or { error }.
+ */
+async function listCalendarMeetings({ startDate, endDate, subject }, signal) {
+  const rangeStart = new Date(`${startDate}T00:00:00`);
+  const rangeEnd = new Date(new Date(`${endDate}T00:00:00`).getTime() + 24 * 60 * 60 * 1000);
+  const events = [];
+  let urlPath = `/me/calendarView?startDateTime=${rangeStart.toISOString()}&endDateTime=${rangeEnd.toISOString()}&$select=subject,start,end,organizer,isOrganizer,onlineMeeting&$top=100`;
+  let encoded = false;
+  while (urlPath) {
+    const result = await makeGraphRequest("GET", urlPath, null, { Prefer: "outlook.timezone=\"UTC\"" }, { signal, encoded, scopes: GRAPH_CALENDAR_SCOPES });
+    if (result.error) {
+      return { error: `Error reading the calendar from ${startDate} to ${endDate}: ${result.error}` };
     }
+    events.push(...(result.value || []));
+    const nextLink = result["@odata.nextLink"];
+    urlPath = nextLink ? graphNextLinkPath(nextLink) : null;
+    encoded = true;
+  }
 
-    // Format the response
-    const transcriptText = typeof contentResult === "string"
-      ? contentResult
-      : JSON.stringify(contentResult, null, 2);
+  const filter = (subject || "").toLowerCase();
+  const meetings = new Map();
+  for (const event of events) {
+    if (!event.onlineMeeting?.joinUrl || !(event.subject || "").toLowerCase().includes(filter)) continue;
+    const meeting = meetings.get(event.onlineMeeting.joinUrl) || { event, occurrences: [] };
+    meeting.occurrences.push(event);
+    meetings.set(event.onlineMeeting.joinUrl, meeting);
+  }
+  return { meetings: [...meetings.values()] };
+}
+
+/**
+ * ISO timestamp of a calendar event's start or end read with
+ * outlook.timezone="UTC", or null.
+ */
+function eventDateTime(time) {
+  const dateTime = time?.dateTime;
+  return dateTime ? (/[zZ]|[+-]\d{2}:\d{2}$/.test(dateTime) ? dateTime : `${dateTime}Z`) : null;
+}
+
+/**
+ * Local date (YYYY-MM-DD) of a calendar event read with outlook.timezone="UTC".
+ */
+function eventLocalDate(event) {
+  const dateTime = eventDateTime(event.start);
+  return dateTime ? toLocalDate(dateTime) : null;
+}
+
+/**
+ * Whether a transcript was started between an occurrence's start and end,
+ * so a meeting that runs past midnight keeps its transcript.
+ */
+function startedDuring(transcript, occurrence) {
+  const created = Date.parse(transcript.createdDateTime);
+  return created >= Date.parse(eventDateTime(occurrence.start)) && created < Date.parse(eventDateTime(occurrence.end));
+}
+
+/**
+ * File content for one occurrence's transcripts; several (transcription was
+ * restarted) get a heading each, as in teams_getMeetingTranscript.
+ */
+function renderExportedTranscripts(downloaded, format) {
+  if (format === "json") {
+    return JSON.stringify({ transcripts: downloaded.map(({ content, ...info }) => ({ ...info, ...content })) }, null, 2);
+  }
+  if (downloaded.length === 1) {
+    return downloaded[0].content;
+  }
+  return downloaded.map((item, index) =>
+    `--- Transcript ${index + 1} of ${downloaded.length} (id: ${item.id}, created: ${item.createdDateTime || "unknown"}${item.duration ? `, duration: ${item.duration}` : ""}) ---\n\n${item.content}`,
+  ).join("\n\n");
+}
+
+/**
+ * Check the export arguments. Returns an error message or null.
+ */
+function validateExportArgs({ startDate, endDate, localPath, format }) {
+  if (!startDate || !endDate || !localPath) {
+    return "Error: startDate, endDate and localPath are required.";
+  }
+  for (const [name, value] of [["startDate", startDate], ["endDate", endDate]]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+      return `Error: ${name} must be a date in YYYY-MM-DD format, got "${value}".`;
+    }
+  }
+  const days = (Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000) + 1;
+  if (days < 1) {
+    return "Error: endDate must not be before startDate.";
+  }
+  if (days > EXPORT_MAX_DAYS) {
+    return `Error: the date range spans ${days} days; export at most ${EXPORT_MAX_DAYS} days per call.`;
+  }
+  if (format !== undefined && !TRANSCRIPT_FORMATS.includes(format)) {
+    return `Error: format must be one of ${TRANSCRIPT_FORMATS.join(", ")}.`;
+  }
+  return null;
+}
+
+async function handleExportTranscripts(args, extra) {
+  const { startDate, endDate, subject, localPath, format = "vtt", overwrite } = args || {};
+  const signal = extra?.signal;
+  const reportProgress = createProgressReporter(extra);
+
+  const argsError = validateExportArgs({ startDate, endDate, localPath, format });
+  if (argsError) {
+    return { content: [{ type: "text", text: argsError }], isError: true };
+  }
+
+  const graphToken = await loadGraphToken();
+  if (!graphToken) {
+    return {
+      content: [{
+        type: "text",
+        text: `Error: Exporting meeting transcripts requires Microsoft Graph API authentication. Call the agent365_graph_auth tool first.`,
+      }],
+      isError: true,
+    };
+  }
+
+  try {
+    const outputDir = path.resolve(localPath);
+    if (fs.existsSync(outputDir) && !fs.statSync(outputDir).isDirectory()) {
+      return { content: [{ type: "text", text: `Error: ${outputDir} is a file; localPath must be a directory.` }], isError: true };
+    }
+
+    // The calendar read is step 0; each meeting is one step after it
+    reportProgress(0, undefined, "Reading calendar");
+    const listed = await listCalendarMeetings({ startDate, endDate, subject }, signal);
+    if (listed.error) {
+      return { content: [{ type: "text", text: listed.error }], isError: true };
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+    const total = listed.meetings.length + 1;
+
+    // One index entry per occurrence; status is exported, exists, no transcript or error
+    const entries = [];
+    const usedNames = new Set();
+    for (const [index, { event, occurrences }] of listed.meetings.entries()) {
+      reportProgress(index + 1, total, `Exporting "${event.subject || "Untitled"}" (${index + 1} of ${listed.meetings.length})`);
+      const dated = occurrences.map(occurrence => ({ occurrence, date: eventLocalDate(occurrence) }))
+        .filter(({ date }) => date)
+        .sort((a, b) => eventDateTime(a.occurrence.start).localeCompare(eventDateTime(b.occurrence.start)));
+      const base = { subject: event.subject || null, organizer: event.organizer?.emailAddress?.address || null };
+
+      const found = await resolveMeeting({ event }, signal);
+      const transcriptList = found.error ? found : await listMeetingArtifacts(found.meetingPath, found.meeting, MEETING_TRANSCRIPTS, signal);
+      if (transcriptList.error) {
+        entries.push(...dated.map(({ date }) => ({ date, ...base, status: "error", error: transcriptList.error })));
+        continue;
+      }
+
+      for (const { occurrence, date } of dated) {
+        const transcripts = transcriptList.items.filter(t => startedDuring(t, occurrence));
+        if (transcripts.length === 0) {
+          entries.push({ date, ...base, status: "no transcript" });
+          continue;
+        }
+
+        // Meetings with the same subject on one day get numbered file names
+        let fileName = safeFileName(`${date} ${event.subject || "Untitled meeting"}`);
+        for (let n = 2; usedNames.has(fileName.toLowerCase()); n++) {
+          fileName = safeFileName(`${date} ${event.subject || "Untitled meeting"} (${n})`);
+        }
+        usedNames.add(fileName.toLowerCase());
+        const file = `${fileName}.${TRANSCRIPT_FILE_EXTENSIONS[format]}`;
+        const entry = { date, ...base, file, transcriptIds: transcripts.map(t => t.id) };
+
+        if (fs.existsSync(path.join(outputDir, file)) && !overwrite) {
+          entries.push({ ...entry, status: "exists" });
+          continue;
+        }
+
+        const downloaded = [];
+        let contentError = null;
+        for (const transcript of transcripts) {
+          const vtt = await fetchTranscriptContent(found.meetingPath, transcript.id, signal);
+          if (vtt.error) {
+            contentError = vtt.error;
+            break;
+          }
+          downloaded.push({ ...describeTranscript(transcript), content: format === "vtt" ? vtt : renderTranscript(vtt, format) });
+        }
+        if (contentError) {
+          entries.push({ ...entry, status: "error", error: `Error getting transcript content: ${contentError}` });
+          continue;
+        }
+        fs.writeFileSync(path.join(outputDir, file), renderExportedTranscripts(downloaded, format));
+        entries.push({ ...entry, status: "exported" });
+      }
+    }
 
+    entries.sort((a, b) => a.date.localeCompare(b.date) || String(a.subject).localeCompare(String(b.subject)));
+    const indexPath = path.join(outputDir, "index.json");
+    fs.writeFileSync(indexPath, JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      startDate,
+      endDate,
+      subject: subject || null,
+      format,
+      occurrences: entries,
+    }, null, 2));
+    reportProgress(total, total, "Export finished");
+
+    const count = (status) => entries.filter(entry => entry.status === status).length;
     return {
       content: [{
         type: "text",
-        text: `Meeting: ${meetingInfo.subject || "Unknown"}\nDate: ${meetingInfo.startDateTime || "Unknown"}\nOrganizer: ${meetingInfo.participants?.organizer?.upn || "Unknown"}\n\n--- Transcript ---\n\n${transcriptText}`,
+        text: JSON.stringify({
+          message: `Exported ${count("exported")} transcript file${count("exported") === 1 ? "" : "s"} for ${listed.meetings.length} meeting${listed.meetings.length === 1 ? "" : "s"} from ${startDate} to ${endDate}.`,
+          localPath: outputDir,
+          index: indexPath,
+          occurrences: entries.length,
+          exported: count("exported"),
+          alreadyExported: count("exists"),
+          withoutTranscript: count("no transcript"),
+          errors: entries.filter(entry => entry.status === "error").map(({ date, subject: name, error }) => ({ date, subject: name, error })),
+        }, null, 2),
       }],
     };
   } catch (error) {
     return {
       content: [{
         type: "text",
-        text: `Error retrieving meeting transcript: ${error.message}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
+        text: `Error exporting meeting transcripts: ${error.message}\n\nIf Graph API authentication expired, call agent365_graph_auth.`,
       }],
       isError: true,
     };
@@ -1846,7 +5673,7 @@ async function handleGetMeetingTranscript(args) {
 // GRAPH API AUTHENTICATION HANDLER
 // ============================================================================
 
-async function handleGraphAuth() {
+async function handleGraphAuth(args) {
   const config = loadServerConfig();
   if (!config) {
     return {
@@ -1858,14 +5685,24 @@ async function handleGraphAuth() {
     };
   }
 
+  const extraScopes = args?.scopes || [];
+  const unknownScopes = extraScopes.filter(scope => !GRAPH_OPTIONAL_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    return {
+      content: [{ type: "text", text: `Error: Unknown scopes ${unknownScopes.join(", ")}. Allowed: ${GRAPH_OPTIONAL_SCOPES.join(", ")}.` }],
+      isError: true,
+    };
+  }
+  const scopes = [...GRAPH_SCOPES, ...extraScopes];
+
   // Check if already authenticated with Graph
-  const existingToken = await loadGraphToken();
+  const existingToken = extraScopes.length > 0 ? await loadScopedGraphToken(extraScopes) : await loadGraphToken();
   if (existingToken) {
     const tokenData = loadGraphTokenData();
     return {
       content: [{
         type: "text",
-        text: `Already authenticated with Microsoft Graph API.\n\nAccount: ${tokenData?.account?.username || "Unknown"}\nScopes: ${GRAPH_SCOPES.join(", ")}\n\nGraph API features (large file upload >4MB, meeting transcripts) are ready to use.`,
+        text: `Already authenticated with Microsoft Graph API.\n\nAccount: ${tokenData?.account?.username || "Unknown"}\nScopes: ${scopes.join(", ")}\n\nGraph API features (large file upload >4MB, meeting transcripts) are ready to use.`,
       }],
     };
   }
@@ -1886,18 +5723,39 @@ async function handleGraphAuth() {
   if (accounts.length > 0) {
     try {
       const response = await pca.acquireTokenSilent({
-        account: accounts[0],
-        scopes: GRAPH_SCOPES,
+        account: selectAccount(accounts),
+        scopes,
       });
       saveGraphToken(response, config);
       return {
         content: [{
           type: "text",
-          text: `Graph API token refreshed successfully.\n\nAccount: ${response.account?.username || "Unknown"}\nExpires: ${response.expiresOn}\nScopes: ${GRAPH_SCOPES.join(", ")}\n\nGraph API features (large file upload >4MB, meeting transcripts) are ready to use.`,
+          text: `Graph API token refreshed successfully.\n\nAccount: ${response.account?.username || "Unknown"}\nExpires: ${response.expiresOn}\nScopes: ${scopes.join(", ")}\n\nGraph API features (large file upload >4MB, meeting transcripts) are ready to use.`,
         }],
       };
     } catch (e) {
-      // Fall through to device code
+      // Fall through to interactive login
+    }
+  }
+
+  const method = args?.method || AUTH_METHOD;
+  if (method === "browser") {
+    const login = await openBrowserLogin(pca, scopes, "graph");
+    if (login) {
+      if (!login.reused) {
+        login.tokenPromise.then((response) => {
+          saveGraphToken(response, loadServerConfig());
+          console.error(`Graph API authentication completed for ${response.account?.username}`);
+        }).catch((e) => {
+          console.error(`Graph API authentication failed: ${e.message}`);
+        });
+      }
+      return {
+        content: [{
+          type: "text",
+          text: `Microsoft Graph API Authentication Required\n\n${login.reused ? "A browser sign-in started earlier is still waiting" : "A browser window has been opened"} to sign in and approve the additional permissions (${scopes.join(", ")}). If it did not appear, open this URL on this machine:\n${login.authUrl}\n\nFor agent: After the user confirms login, call agent365_graph_auth again${extraScopes.length > 0 ? " with the same scopes" : ""} to verify.\n\nThe sign-in page waits for 5 minutes.`,
+        }],
+      };
     }
   }
 
@@ -1906,7 +5764,7 @@ async function handleGraphAuth() {
     let resolved = false;
 
     const authPromise = pca.acquireTokenByDeviceCode({
-      scopes: GRAPH_SCOPES,
+      scopes,
       deviceCodeCallback: (response) => {
         const deviceCode = response.userCode;
         const verificationUrl = response.verificationUriComplete || response.verificationUri;
@@ -1918,7 +5776,7 @@ async function handleGraphAuth() {
         resolve({
           content: [{
             type: "text",
-            text: `Microsoft Graph API Authentication Required\n\nYour code: ${deviceCode} (copied to clipboard)\n\nSteps for user:\n1. Go to: ${verificationUrl}\n2. Enter the code: ${deviceCode}\n3. Sign in with your Microsoft account\n4. Approve the additional permissions (Files.ReadWrite.All, Sites.ReadWrite.All, OnlineMeetings.Read, OnlineMeetingTranscript.Read.All)\n\nFor agent: After the user confirms login, call agent365_graph_auth again to verify. This enables large file upload (>4MB) and meeting transcript retrieval.\n\nThe code expires in 15 minutes.`,
+            text: `Microsoft Graph API Authentication Required\n\nYour code: ${deviceCode} (copied to clipboard)\n\nSteps for user:\n1. Go to: ${verificationUrl}\n2. Enter the code: ${deviceCode}\n3. Sign in with your Microsoft account\n4. Approve the additional permissions (${scopes.join(", ")})\n\nFor agent: After the user confirms login, call agent365_graph_auth again${extraScopes.length > 0 ? " with the same scopes" : ""} to verify. This enables large file upload (>4MB) and meeting transcript retrieval.\n\nThe code expires in 15 minutes.`,
           }],
         });
       },
@@ -1956,7 +5814,7 @@ async function handleGraphAuth() {
 // ============================================================================
 
 function getConfigPath() {
-  return path.join(HOME, ".agent365-mcp", "config.json");
+  return path.join(PROFILE_DIR, "config.json");
 }
 
 function loadServerConfig() {
@@ -2027,7 +5885,7 @@ function copyToClipboard(text) {
 }
 
 function saveDeviceCodeToFile(code, url) {
-  const codePath = path.join(HOME, ".agent365-mcp", "device-code.txt");
+  const codePath = path.join(PROFILE_DIR, "device-code.txt");
   const content = `
 ═══════════════════════════════════════════════════════════════
   MICROSOFT 365 AUTHENTICATION - DEVICE CODE
@@ -2043,6 +5901,7 @@ function saveDeviceCodeToFile(code, url) {
 ═══════════════════════════════════════════════════════════════
 `;
   try {
+    fs.mkdirSync(PROFILE_DIR, { recursive: true });
     fs.writeFileSync(codePath, content);
   } catch (e) {
     // Ignore
@@ -2068,10 +5927,11 @@ async function autoAuthenticate(config) {
   // Try silent auth first (if we have cached refresh token)
   const accounts = await pca.getTokenCache().getAllAccounts();
   if (accounts.length > 0) {
+    const account = selectAccount(accounts);
     try {
-      console.error(`Found existing session for ${accounts[0].username}, refreshing...`);
+      console.error(`Found existing session for ${account.username}, refreshing...`);
       const response = await pca.acquireTokenSilent({
-        account: accounts[0],
+        account: account,
         scopes: scopes,
       });
 
@@ -2084,6 +5944,24 @@ async function autoAuthenticate(config) {
     }
   }
 
+  if (AUTH_METHOD === "browser") {
+    const login = await openBrowserLogin(pca, scopes, "agent365");
+    if (login) {
+      console.error("🌐 Opened your browser to sign in to Microsoft 365.");
+      console.error(`   If it did not appear, visit: ${login.authUrl}\n`);
+      try {
+        const response = await login.tokenPromise;
+        saveToken(response, config);
+        console.error("\n✅ Authentication successful!");
+        console.error(`📧 Logged in as: ${response.account?.username || "Unknown"}`);
+        console.error(`🔄 Session valid for ~90 days\n`);
+        return true;
+      } catch (e) {
+        console.error(`Browser login failed (${e.message}), falling back to device code...\n`);
+      }
+    }
+  }
+
   // Device code flow with auto-browser open
   try {
     const response = await pca.acquireTokenByDeviceCode({
@@ -2128,23 +6006,17 @@ async function autoAuthenticate(config) {
 }
 
 function saveToken(response, config) {
-  const tokenPath = TOKEN_CACHE_PATH;
-  const dir = path.dirname(tokenPath);
-
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-
-  fs.writeFileSync(tokenPath, JSON.stringify({
+  writeSecretJson(TOKEN_CACHE_PATH, {
     accessToken: response.accessToken,
     expiresOn: response.expiresOn,
     account: response.account,
     tenantId: config.tenantId,
     clientId: config.clientId,
-  }));
+  });
 
   // Also save config separately
   const configPath = getConfigPath();
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
   fs.writeFileSync(configPath, JSON.stringify({
     tenantId: config.tenantId,
     clientId: config.clientId,
@@ -2189,6 +6061,144 @@ Option 2: Run setup first:
   return await autoAuthenticate(config);
 }
 
+// ============================================================================
+// STREAMABLE HTTP TRANSPORT (shared local proxy)
+// Lets several MCP clients share one proxy process, token cache and tool
+// catalog. Binds to localhost and requires a locally generated bearer secret.
+// ============================================================================
+
+const httpSessions = new Map(); // sessionId -> { transport, server }
+
+/**
+ * Load the bearer secret for HTTP mode, generating one on first use.
+ * AGENT365_HTTP_SECRET overrides the stored secret.
+ */
+function loadOrCreateHttpSecret() {
+  if (process.env.AGENT365_HTTP_SECRET) {
+    return process.env.AGENT365_HTTP_SECRET;
+  }
+
+  try {
+    if (fs.existsSync(HTTP_SECRET_PATH)) {
+      const existing = fs.readFileSync(HTTP_SECRET_PATH, "utf8").trim();
+      if (existing) return existing;
+    }
+  } catch (e) {
+    // Regenerate below
+  }
+
+  const dir = path.dirname(HTTP_SECRET_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.writeFileSync(HTTP_SECRET_PATH, secret, { mode: 0o600 });
+  return secret;
+}
+
+function isAuthorizedHttpRequest(req, secret) {
+  const header = req.headers["authorization"] || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) return false;
+
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(secret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function sendHttpError(res, statusCode, message, headers) {
+  res.writeHead(statusCode, { "Content-Type": "application/json", ...(headers || {}) });
+  res.end(JSON.stringify({
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  }));
+}
+
+async function handleHttpRequest(req, res, secret, allowedHosts) {
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname !== "/mcp") {
+    sendHttpError(res, 404, "Not found. The MCP endpoint is /mcp.");
+    return;
+  }
+
+  if (!isAuthorizedHttpRequest(req, secret)) {
+    sendHttpError(res, 401, `Unauthorized. Send "Authorization: Bearer <secret>" (secret is stored in ${HTTP_SECRET_PATH}).`, {
+      "WWW-Authenticate": "Bearer",
+    });
+    return;
+  }
+
+  const sessionId = req.headers["mcp-session-id"];
+  if (sessionId) {
+    const session = httpSessions.get(sessionId);
+    if (!session) {
+      sendHttpError(res, 404, "Session not found. Re-initialize the MCP connection.");
+      return;
+    }
+    await session.transport.handleRequest(req, res);
+    return;
+  }
+
+  if (req.method !== "POST") {
+    sendHttpError(res, 400, "No session ID. Send an initialize request first.");
+    return;
+  }
+
+  // New session - the transport rejects anything other than initialize
+  const sessionServer = createProxyServer();
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => crypto.randomUUID(),
+    enableDnsRebindingProtection: true,
+    allowedHosts,
+    onsessioninitialized: (id) => {
+      httpSessions.set(id, { transport, server: sessionServer });
+      console.error(`HTTP session opened: ${id} (${httpSessions.size} active)`);
+    },
+  });
+  transport.onclose = () => {
+    connectedServers.delete(sessionServer);
+    if (transport.sessionId && httpSessions.delete(transport.sessionId)) {
+      console.error(`HTTP session closed: ${transport.sessionId} (${httpSessions.size} active)`);
+    }
+  };
+
+  await sessionServer.connect(transport);
+  connectedServers.add(sessionServer);
+  await transport.handleRequest(req, res);
+
+  if (!transport.sessionId) {
+    await sessionServer.close();
+  }
+}
+
+/**
+ * Start the Streamable HTTP listener. Resolves with the http.Server once listening.
+ */
+function startHttpServer(port, host) {
+  const secret = loadOrCreateHttpSecret();
+
+  return new Promise((resolve, reject) => {
+    const httpServer = http.createServer((req, res) => {
+      const boundPort = httpServer.address().port;
+      const allowedHosts = [`${host}:${boundPort}`, `localhost:${boundPort}`, `127.0.0.1:${boundPort}`];
+      handleHttpRequest(req, res, secret, allowedHosts).catch((error) => {
+        console.error(`HTTP request failed: ${error.message}`);
+        if (!res.headersSent) {
+          sendHttpError(res, 500, "Internal server error");
+        }
+      });
+    });
+
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve(httpServer);
+    });
+  });
+}
+
 // ============================================================================
 // STARTUP
 // ============================================================================
@@ -2197,10 +6207,40 @@ async function main() {
   // Log configuration on startup
   console.error("Agent 365 MCP Proxy v1.3.2");
   console.error(`Configuration:`);
+  console.error(`  PROFILE: ${PROFILE}${PROFILE === "default" ? "" : ` (${PROFILE_DIR})`}`);
+  console.error(`  SECRET_STORE: ${describeSecretStore()}`);
+  console.error(`  AUTH_METHOD: ${AUTH_METHOD}`);
   console.error(`  MAX_RESPONSE_SIZE: ${MAX_RESPONSE_SIZE}`);
   console.error(`  REQUEST_TIMEOUT: ${REQUEST_TIMEOUT}ms`);
+  console.error(`  RETRY_MAX_ATTEMPTS: ${RETRY_MAX_ATTEMPTS}`);
   console.error(`  ALLOW_DANGEROUS_TOOLS: ${ALLOW_DANGEROUS_TOOLS}`);
-  console.error(`  LARGE_FILE_DIR: ${LARGE_FILE_DIR || "(not set - will truncate)"}`);
+  console.error(`  POLICY: ${fs.existsSync(POLICY_PATH) ? POLICY_PATH : "(none)"}`);
+  console.error(`  CONFIRM_OUTBOUND: ${CONFIRM_OUTBOUND}`);
+  console.error(`  AUDIT: ${AUDIT_ENABLED ? `${AUDIT_DIR} (${AUDIT_RETENTION_DAYS} days)` : "disabled"}`);
+  console.error(`  RESULT_STORE: ${RESULT_TTL_MINUTES > 0 ? `${RESULT_TTL_MINUTES} minutes, ${RESULT_STORE_MAX_SIZE.toLocaleString()} chars` : "disabled"}`);
+  console.error(`  TOOL_CACHE: ${TOOL_CACHE_TTL_HOURS > 0 ? `${TOOL_CACHE_DIR} (${TOOL_CACHE_TTL_HOURS}h)` : "disabled"}`);
+  if (AUDIT_ENABLED) {
+    try {
+      pruneAuditLogs();
+    } catch (e) {
+      console.error(`Failed to prune audit logs: ${e.message}`);
+    }
+  }
+  console.error(`  LARGE_FILE_DIR: ${LARGE_FILE_DIR ? `${LARGE_FILE_DIR} (keep ${LARGE_FILE_MAX_AGE_HOURS > 0 ? `${LARGE_FILE_MAX_AGE_HOURS}h` : "without age limit"}, max ${LARGE_FILE_MAX_SIZE_MB > 0 ? `${LARGE_FILE_MAX_SIZE_MB}MB` : "unlimited"}${LARGE_FILE_CLEANUP_ON_EXIT ? ", cleaned on exit" : ""})` : "(not set - large results become resources)"}`);
+  if (LARGE_FILE_DIR) {
+    pruneLargeFiles();
+    setInterval(pruneLargeFiles, LARGE_FILE_PRUNE_INTERVAL).unref();
+    if (LARGE_FILE_CLEANUP_ON_EXIT) {
+      process.on("exit", () => {
+        if (largeFileSessionDir) removeSessionDir(largeFileSessionDir);
+      });
+      // Run the exit handler on signals too
+      for (const signal of ["SIGINT", "SIGTERM", "SIGHUP"]) {
+        process.once(signal, () => process.exit(0));
+      }
+    }
+  }
+
   if (DISABLED_SERVERS.length > 0) {
     console.error(`  DISABLED_SERVERS: ${DISABLED_SERVERS.join(", ")}`);
   }
@@ -2213,8 +6253,17 @@ async function main() {
     console.error("⚠️  Not authenticated - use agent365_authenticate tool to login");
   }
 
+  if (HTTP_PORT) {
+    const httpServer = await startHttpServer(HTTP_PORT, HTTP_HOST);
+    const { port } = httpServer.address();
+    console.error(`MCP server ready (Streamable HTTP): http://${HTTP_HOST}:${port}/mcp`);
+    console.error(`  Bearer secret: ${process.env.AGENT365_HTTP_SECRET ? "(from AGENT365_HTTP_SECRET)" : HTTP_SECRET_PATH}`);
+    return;
+  }
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
+  connectedServers.add(server);
   console.error("MCP server ready.");
 }
 
@@ -2226,28 +6275,81 @@ main().catch(console.error);
 
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
+    // Profiles
+    selectAccount,
     // Graph token management
     GRAPH_SCOPES,
+    GRAPH_OPTIONAL_SCOPES,
     GRAPH_TOKEN_PATH,
     loadGraphToken,
     makeGraphRequest,
+    // Retry policy
+    parseRetryAfter,
+    getRetryDelay,
+    withRetry,
+    makeGraphRawRequest,
+    // Tool policy
+    selectJsonPath,
+    evaluateToolPolicy,
+    // Outbound confirmation
+    isOutboundTool,
+    summarizeOutboundAction,
+    confirmOutboundAction,
+    // Audit log
+    summarizeArgsForAudit,
+    pruneAuditLogs,
+    // Agent 365 communication
+    createSseParser,
+    makeAgent365Request,
+    // Result resources
+    processResult,
+    handleListResources,
+    handleReadResource,
+    reduceJsonContent,
+    getServerTools,
+    refreshServerTools,
+    callServerTool,
     // Upload constants
     UPLOAD_MAX_SIZE_SMALL,
     UPLOAD_MAX_SIZE_LARGE,
     UPLOAD_CHUNK_SIZE,
+    UPLOAD_CHUNK_UNIT,
+    UPLOAD_CHUNK_MAX,
+    nextChunkSize,
     // Feature handlers
     handleUploadLocalFile,
     uploadLargeFile,
+    createQuickXorHash,
+    handleResumeUpload,
+    handleUploadLocalFolder,
+    handleDownloadToLocalFile,
+    handleListPendingUploads,
     handleGetMeetingTranscript,
+    handleListMeetingTranscripts,
+    handleGetMeetingAttendance,
+    handleGetMeetingRecording,
+    handleExportTranscripts,
     handleGraphAuth,
+    // HTTP transport
+    startHttpServer,
+    isAuthorizedHttpRequest,
     // Test helpers
+    _resetServerSessions: () => {
+      Object.keys(serverSessions).forEach(key => delete serverSessions[key]);
+      toolCatalogCache = null;
+    },
     _resetGraphTokenCache: () => {
       cachedGraphToken = null;
       cachedGraphTokenExpiry = null;
+      scopedGraphTokens.clear();
     },
     _setGraphTokenCache: (token, expiry) => {
       cachedGraphToken = token;
       cachedGraphTokenExpiry = expiry;
     },
+    _setTokenCache: (token, expiry) => {
+      cachedToken = token;
+      cachedTokenExpiry = expiry;
+    },
   };
 }
@@ -3,9 +3,36 @@
  *
  * Tests cover:
  * 1. Graph token management (load, refresh, acquire)
- * 2. Large file upload (>4MB chunked upload via Graph API)
- * 3. Meeting transcript retrieval
- * 4. Graph auth tool registration
+ * 2. makeGraphRequest
+ * 3. Large file upload (>4MB chunked upload via Graph API)
+ * 4. Meeting transcript retrieval
+ * 5. Graph auth tool registration
+ * 6. Call tool handler routing
+ * 7. Upload description update
+ * 8. Streamable HTTP transport
+ * 9. Upstream SSE streaming
+ * 10. Retry policy
+ * 11. Tool policy
+ * 12. Outbound action confirmation
+ * 13. Audit log
+ * 14. Account profiles
+ * 15. Secret store
+ * 16. Browser login
+ * 17. Tool catalog cache
+ * 18. Result resources
+ * 19. JSON-aware truncation
+ * 20. Spill directory retention
+ * 21. Progress notifications and cancellation
+ * 22. Resumable uploads
+ * 23. Local folder upload
+ * 24. Download to local file
+ * 25. Upload conflict behavior
+ * 26. Upload integrity verification
+ * 27. Meeting transcript selection
+ * 28. Transcript formats
+ * 29. Meetings organized by others
+ * 30. Meeting attendance and recordings
+ * 31. Bulk transcript export
  */
 
 // We need to mock modules BEFORE requiring index.js
@@ -13,9 +40,11 @@
 const mockAcquireTokenSilent = jest.fn();
 const mockAcquireTokenByDeviceCode = jest.fn();
 const mockGetAllAccounts = jest.fn().mockResolvedValue([]);
+const mockGetAuthCodeUrl = jest.fn(async (request) => `https://login.example/authorize?state=${request.state}`);
 const mockPCA = {
   acquireTokenSilent: mockAcquireTokenSilent,
   acquireTokenByDeviceCode: mockAcquireTokenByDeviceCode,
+  getAuthCodeUrl: mockGetAuthCodeUrl,
   getTokenCache: () => ({ getAllAccounts: mockGetAllAccounts }),
 };
 jest.mock("@azure/msal-node", () => ({
@@ -36,9 +65,23 @@ jest.mock("@modelcontextprotocol/sdk/server/index.js", () => ({
 jest.mock("@modelcontextprotocol/sdk/server/stdio.js", () => ({
   StdioServerTransport: jest.fn(),
 }));
+jest.mock("@modelcontextprotocol/sdk/server/streamableHttp.js", () => ({
+  StreamableHTTPServerTransport: jest.fn(),
+}));
+// Browser detection and launching, for tests of the in-chat browser login
+const mockHasBrowser = jest.fn(() => false);
+const mockLaunchBrowser = jest.fn(async () => false);
+jest.mock("./loopback-auth.js", () => ({
+  ...jest.requireActual("./loopback-auth.js"),
+  hasBrowser: () => mockHasBrowser(),
+  launchBrowser: (url) => mockLaunchBrowser(url),
+}));
+
 jest.mock("@modelcontextprotocol/sdk/types.js", () => ({
   CallToolRequestSchema: "CallToolRequestSchema",
   ListToolsRequestSchema: "ListToolsRequestSchema",
+  ListResourcesRequestSchema: "ListResourcesRequestSchema",
+  ReadResourceRequestSchema: "ReadResourceRequestSchema",
 }));
 
 const fs = require("fs");
@@ -66,6 +109,14 @@ beforeAll(async () => {
   // Set env vars for config
   process.env.AGENT365_TENANT_ID = "test-tenant-id";
   process.env.AGENT365_CLIENT_ID = "test-client-id";
+  process.env.AGENT365_RETRY_BASE_DELAY = "1";
+  process.env.AGENT365_POLICY_PATH = path.join("/tmp", "agent365-test-policy.json");
+  process.env.AGENT365_AUDIT_DIR = path.join("/tmp", "agent365-test-audit");
+  process.env.AGENT365_TOKEN_PATH = path.join("/tmp", "agent365-test-tokens.json");
+  process.env.AGENT365_SECRET_STORE = "file";
+  process.env.AGENT365_SECRET_KEY_PATH = path.join("/tmp", "agent365-test-secret.key");
+  process.env.AGENT365_TOOL_CACHE_DIR = path.join("/tmp", "agent365-test-tool-cache");
+  process.env.AGENT365_UPLOAD_STATE_DIR = path.join("/tmp", "agent365-test-upload-state");
 
   // Require the module - main() will run but connect is mocked
   graphExports = require("./index.js");
@@ -74,6 +125,74 @@ beforeAll(async () => {
   await new Promise((resolve) => setTimeout(resolve, 100));
 });
 
+// Stub https.request. Routes are tried in order: [pattern, statusCode, body,
+// headers] matches the decoded request path; a function gets the request and
+// returns [statusCode, body, headers], null to leave the request hanging
+// until it is destroyed, or undefined to try the next route. Unmatched
+// requests get a 404. Bodies other than strings and Buffers are sent as JSON.
+// Returns the requests made: { method, hostname, path, headers, body }, with
+// path exactly as sent.
+function mockHttps(routes) {
+  const requests = [];
+  https.request = jest.fn((options, callback) => {
+    const req = new EventEmitter();
+    const chunks = [];
+    req.setTimeout = jest.fn();
+    req.write = jest.fn((chunk) => chunks.push(Buffer.from(chunk)));
+    req.destroy = jest.fn(() => req.emit("close"));
+    req.end = jest.fn(() => {
+      const request = { method: options.method, hostname: options.hostname, path: options.path, headers: options.headers || {}, body: Buffer.concat(chunks) };
+      requests.push(request);
+      const reply = replyTo(routes, request);
+      if (!reply) return;
+      const [statusCode, body = {}, headers] = reply;
+      const raw = typeof body === "string" || Buffer.isBuffer(body);
+      const res = new PassThrough();
+      res.statusCode = statusCode;
+      res.headers = headers || { "content-type": raw ? "text/plain" : "application/json" };
+      process.nextTick(() => {
+        callback(res);
+        res.end(raw ? body : JSON.stringify(body));
+        req.emit("close");
+      });
+    });
+    return req;
+  });
+  return requests;
+}
+
+function replyTo(routes, request) {
+  for (const route of routes) {
+    if (typeof route === "function") {
+      const reply = route(request);
+      if (reply !== undefined) return reply;
+    } else if (route[0].test(decodeURI(request.path))) {
+      return route.slice(1);
+    }
+  }
+  return [404, { error: { code: "itemNotFound" } }];
+}
+
+const originalHttpsRequest = https.request;
+afterEach(() => {
+  https.request = originalHttpsRequest;
+});
+
+// Optional Graph scopes (GRAPH_OPTIONAL_SCOPES) are acquired silently from the
+// MSAL cache; this signs in a test account that has approved them
+function grantOptionalGraphScopes() {
+  mockGetAllAccounts.mockResolvedValue([{ homeAccountId: "test-account" }]);
+  mockAcquireTokenSilent.mockImplementation(async () => ({
+    accessToken: "test-graph-token",
+    expiresOn: new Date(Date.now() + 3600 * 1000),
+  }));
+}
+
+function revokeOptionalGraphScopes() {
+  mockGetAllAccounts.mockResolvedValue([]);
+  mockAcquireTokenSilent.mockReset();
+}
+
 // ============================================================================
 // 1. GRAPH TOKEN MANAGEMENT TESTS
 // ============================================================================
@@ -87,6 +206,11 @@ describe("Graph Token Constants", () => {
     expect(graphExports.GRAPH_SCOPES).toContain("OnlineMeetingTranscript.Read.All");
   });
 
+  test("meeting tool scopes are optional so existing sign-ins keep refreshing", () => {
+    expect(graphExports.GRAPH_SCOPES).toHaveLength(4);
+    expect(graphExports.GRAPH_OPTIONAL_SCOPES).toEqual(["Calendars.Read", "OnlineMeetingArtifact.Read.All", "OnlineMeetingRecording.Read.All"]);
+  });
+
   test("GRAPH_TOKEN_PATH points to graph-tokens.json in .agent365-mcp dir", () => {
     expect(graphExports.GRAPH_TOKEN_PATH).toBeDefined();
     expect(graphExports.GRAPH_TOKEN_PATH).toContain(".agent365-mcp");
@@ -252,14 +376,27 @@ describe("Upload size constants", () => {
     expect(graphExports.UPLOAD_MAX_SIZE_SMALL).toBe(4 * 1024 * 1024);
   });
 
-  test("UPLOAD_MAX_SIZE_LARGE is 250MB", () => {
-    expect(graphExports.UPLOAD_MAX_SIZE_LARGE).toBe(250 * 1024 * 1024);
+  test("UPLOAD_MAX_SIZE_LARGE is 250GB", () => {
+    expect(graphExports.UPLOAD_MAX_SIZE_LARGE).toBe(250 * 1024 * 1024 * 1024);
   });
 
   test("UPLOAD_CHUNK_SIZE is a multiple of 320KB", () => {
     expect(graphExports.UPLOAD_CHUNK_SIZE).toBeDefined();
     expect(graphExports.UPLOAD_CHUNK_SIZE % (320 * 1024)).toBe(0);
   });
+
+  test("chunk size follows throughput in multiples of 320KB", () => {
+    const { nextChunkSize, UPLOAD_CHUNK_UNIT, UPLOAD_CHUNK_MAX } = graphExports;
+
+    // 1.6MB in 20s: half the size for a 10s chunk, rounded down to 640KB
+    expect(nextChunkSize(5 * UPLOAD_CHUNK_UNIT, 20000)).toBe(2 * UPLOAD_CHUNK_UNIT);
+    // Fast links grow at most twofold per chunk, up to the cap
+    expect(nextChunkSize(5 * UPLOAD_CHUNK_UNIT, 100)).toBe(10 * UPLOAD_CHUNK_UNIT);
+    expect(nextChunkSize(UPLOAD_CHUNK_MAX, 100)).toBe(UPLOAD_CHUNK_MAX);
+    expect(UPLOAD_CHUNK_MAX).toBeLessThan(60 * 1024 * 1024);
+    // Very slow links never go below 320KB
+    expect(nextChunkSize(UPLOAD_CHUNK_UNIT, 120000)).toBe(UPLOAD_CHUNK_UNIT);
+  });
 });
 
 describe("handleUploadLocalFile - large file support", () => {
@@ -287,7 +424,7 @@ describe("handleUploadLocalFile - large file support", () => {
     }
   });
 
-  test("rejects files larger than 250MB", async () => {
+  test("rejects files larger than 250GB", async () => {
     // Create a test file that's "too large" by mocking fs.statSync
     const testFile = path.join(testDir, "huge-file.bin");
     fs.writeFileSync(testFile, "x"); // Create the file so it exists
@@ -295,7 +432,7 @@ describe("handleUploadLocalFile - large file support", () => {
     const originalStatSync = fs.statSync;
     fs.statSync = jest.fn((p) => {
       if (p === testFile) {
-        return { isFile: () => true, size: 260 * 1024 * 1024 }; // 260MB
+        return { isFile: () => true, size: 260 * 1024 * 1024 * 1024 }; // 260GB
       }
       return originalStatSync(p);
     });
@@ -308,13 +445,13 @@ describe("handleUploadLocalFile - large file support", () => {
       });
 
       expect(result.isError).toBe(true);
-      expect(result.content[0].text).toMatch(/250/);
+      expect(result.content[0].text).toMatch(/250GB/);
     } finally {
       fs.statSync = originalStatSync;
     }
   });
 
-  test("files between 4MB and 250MB attempt Graph API upload", async () => {
+  test("files between 4MB and 250GB attempt Graph API upload", async () => {
     // Create a 5MB test file
     const testFile = path.join(testDir, "medium-file.bin");
     fs.writeFileSync(testFile, "x"); // Create so it exists
@@ -403,12 +540,22 @@ describe("handleGetMeetingTranscript", () => {
     try { fs.unlinkSync(graphTokenPath); } catch (e) { /* ignore */ }
     mockGetAllAccounts.mockResolvedValue([]);
 
-    const result = await graphExports.handleGetMeetingTranscript({});
+    const result = await graphExports.handleGetMeetingTranscript({ meetingUrl: "https://teams.microsoft.com/l/meetup-join/test" });
 
     expect(result.isError).toBe(true);
     expect(result.content[0].text).toMatch(/[Gg]raph/);
     expect(result.content[0].text).toMatch(/agent365_graph_auth/);
   });
+
+  test("names a missing meeting argument before checking the Graph token", async () => {
+    graphExports._resetGraphTokenCache();
+    mockGetAllAccounts.mockResolvedValue([]);
+
+    const result = await graphExports.handleGetMeetingTranscript({});
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/pass meetingUrl/);
+  });
 });
 
 // ============================================================================
@@ -497,7 +644,7 @@ describe("Call Tool Handler Routing", () => {
     mockGetAllAccounts.mockResolvedValue([]);
 
     const result = await callToolHandler({
-      params: { name: "teams_getMeetingTranscript", arguments: {} },
+      params: { name: "teams_getMeetingTranscript", arguments: { meetingUrl: "https://teams.microsoft.com/l/meetup-join/test" } },
     });
 
     // Should reach the handler (not "Unknown tool")
@@ -533,3 +680,2458 @@ describe("Upload tool description", () => {
     expect(tool.description).toMatch(/250/);
   });
 });
+
+// ============================================================================
+// 8. STREAMABLE HTTP TRANSPORT
+// ============================================================================
+
+describe("isAuthorizedHttpRequest", () => {
+  test("accepts the matching bearer secret", () => {
+    const req = { headers: { authorization: "Bearer s3cret" } };
+    expect(graphExports.isAuthorizedHttpRequest(req, "s3cret")).toBe(true);
+  });
+
+  test("rejects a missing, malformed or wrong secret", () => {
+    expect(graphExports.isAuthorizedHttpRequest({ headers: {} }, "s3cret")).toBe(false);
+    expect(graphExports.isAuthorizedHttpRequest({ headers: { authorization: "s3cret" } }, "s3cret")).toBe(false);
+    expect(graphExports.isAuthorizedHttpRequest({ headers: { authorization: "Bearer s3creX" } }, "s3cret")).toBe(false);
+    expect(graphExports.isAuthorizedHttpRequest({ headers: { authorization: "Bearer s3" } }, "s3cret")).toBe(false);
+  });
+});
+
+describe("startHttpServer", () => {
+  const http = require("http");
+  let httpServer;
+  let port;
+
+  function request(method, urlPath, headers) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ hostname: "127.0.0.1", port, path: urlPath, method, headers }, (res) => {
+        let data = "";
+        res.on("data", (chunk) => { data += chunk; });
+        res.on("end", () => resolve({ statusCode: res.statusCode, headers: res.headers, body: data }));
+      });
+      req.on("error", reject);
+      req.end();
+    });
+  }
+
+  beforeAll(async () => {
+    process.env.AGENT365_HTTP_SECRET = "test-http-secret";
+    httpServer = await graphExports.startHttpServer(0, "127.0.0.1");
+    port = httpServer.address().port;
+  });
+
+  afterAll(async () => {
+    delete process.env.AGENT365_HTTP_SECRET;
+    await new Promise((resolve) => httpServer.close(resolve));
+  });
+
+  test("binds to the requested host", () => {
+    expect(httpServer.address().address).toBe("127.0.0.1");
+  });
+
+  test("rejects requests without the bearer secret", async () => {
+    const res = await request("POST", "/mcp", {});
+    expect(res.statusCode).toBe(401);
+    expect(res.headers["www-authenticate"]).toBe("Bearer");
+  });
+
+  test("returns 404 for paths other than /mcp", async () => {
+    const res = await request("GET", "/other", { Authorization: "Bearer test-http-secret" });
+    expect(res.statusCode).toBe(404);
+  });
+
+  test("returns 404 for unknown session IDs", async () => {
+    const res = await request("POST", "/mcp", {
+      "Authorization": "Bearer test-http-secret",
+      "Mcp-Session-Id": "no-such-session",
+    });
+    expect(res.statusCode).toBe(404);
+    expect(JSON.parse(res.body).error.message).toMatch(/Session not found/);
+  });
+});
+
+// ============================================================================
+// 9. UPSTREAM SSE STREAMING
+// ============================================================================
+
+describe("createSseParser", () => {
+  function parseAll(chunks) {
+    const events = [];
+    const parser = graphExports.createSseParser((event) => events.push(event));
+    for (const chunk of chunks) parser.push(chunk);
+    parser.end();
+    return events;
+  }
+
+  test("joins multi-line data fields and reads event/id fields", () => {
+    const events = parseAll(["event: message\nid: 7\ndata: {\"a\":\ndata: 1}\n\n"]);
+    expect(events).toEqual([{ event: "message", id: "7", data: "{\"a\":\n1}" }]);
+  });
+
+  test("handles CRLF line endings split across chunks", () => {
+    const events = parseAll(["data: one\r", "\n\r\n: keep-alive\r\nda", "ta: two\r\n\r\n"]);
+    expect(events.map((e) => e.data)).toEqual(["one", "two"]);
+  });
+
+  test("dispatches a trailing event without a blank line at end of stream", () => {
+    const events = parseAll(["data: last"]);
+    expect(events.map((e) => e.data)).toEqual(["last"]);
+  });
+
+  test("throws when a single event exceeds the size limit", () => {
+    const parser = graphExports.createSseParser(() => {}, 10);
+    expect(() => parser.push("data: 0123456789abcdef\n")).toThrow(/too large/);
+  });
+});
+
+describe("makeAgent365Request streaming", () => {
+  let originalHttpsRequest;
+
+  beforeEach(() => {
+    originalHttpsRequest = https.request;
+    graphExports._setTokenCache("test-agent365-token", new Date(Date.now() + 3600 * 1000).toISOString());
+  });
+
+  afterEach(() => {
+    https.request = originalHttpsRequest;
+    graphExports._setTokenCache(null, null);
+  });
+
+  function mockSseResponse(chunks) {
+    https.request = jest.fn((options, callback) => {
+      const res = new PassThrough();
+      res.statusCode = 200;
+      res.headers = { "content-type": "text/event-stream" };
+      callback(res);
+      process.nextTick(() => {
+        for (const chunk of chunks) res.write(chunk);
+        res.end();
+      });
+
+      const req = new EventEmitter();
+      req.setTimeout = jest.fn();
+      req.write = jest.fn();
+      req.end = jest.fn();
+      req.destroy = jest.fn();
+      return req;
+    });
+  }
+
+  test("forwards notifications before resolving with the final response", async () => {
+    mockSseResponse([
+      "event: message\ndata: {\"jsonrpc\":\"2.0\",\"method\":\"notifications/progress\",",
+      "\"params\":{\"progressToken\":\"t1\",\"progress\":1}}\n\n",
+      "data: {\"jsonrpc\":\"2.0\",\"id\":5,\"result\":{\"ok\":true}}\n\n",
+    ]);
+
+    const notifications = [];
+    const result = await graphExports.makeAgent365Request("https://example.test/mcp", "tools/call", {}, 5, {
+      onNotification: (message) => notifications.push(message),
+    });
+
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].method).toBe("notifications/progress");
+    expect(result.result).toEqual({ ok: true });
+  });
+
+  test("rejects when the stream ends without a response", async () => {
+    mockSseResponse(["data: {\"jsonrpc\":\"2.0\",\"method\":\"notifications/message\",\"params\":{}}\n\n"]);
+
+    await expect(
+      graphExports.makeAgent365Request("https://example.test/mcp", "tools/list", {}, 2)
+    ).rejects.toThrow(/without a JSON-RPC response/);
+  });
+});
+
+// ============================================================================
+// 10. RETRY POLICY
+// ============================================================================
+
+describe("Retry policy", () => {
+  test("parseRetryAfter handles delta-seconds and HTTP dates", () => {
+    expect(graphExports.parseRetryAfter("3")).toBe(3000);
+    expect(graphExports.parseRetryAfter(undefined)).toBeNull();
+    const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+    const ms = graphExports.parseRetryAfter(inFiveSeconds);
+    expect(ms).toBeGreaterThan(3000);
+    expect(ms).toBeLessThanOrEqual(5000);
+  });
+
+  test("getRetryDelay prefers Retry-After and otherwise backs off exponentially", () => {
+    expect(graphExports.getRetryDelay(1, 1234)).toBe(1234);
+    const third = graphExports.getRetryDelay(3, null);
+    expect(third).toBeGreaterThanOrEqual(2);
+    expect(third).toBeLessThanOrEqual(4);
+  });
+
+  test("retries throttled calls and reports attempts when giving up", async () => {
+    const attempt = jest.fn(() => {
+      const err = new Error("Throttled");
+      err.statusCode = 429;
+      err.retryAfterMs = 0;
+      return Promise.reject(err);
+    });
+
+    await expect(graphExports.withRetry("test", false, attempt)).rejects.toThrow(/gave up after 4 attempts/);
+    expect(attempt).toHaveBeenCalledTimes(4);
+  });
+
+  test("removes its abort listener after each retry delay", async () => {
+    const { getEventListeners } = require("events");
+    const controller = new AbortController();
+    const attempt = jest.fn(() => {
+      const err = new Error("Throttled");
+      err.statusCode = 429;
+      err.retryAfterMs = 0;
+      return Promise.reject(err);
+    });
+
+    await expect(graphExports.withRetry("test", true, attempt, controller.signal)).rejects.toThrow(/gave up/);
+    expect(attempt).toHaveBeenCalledTimes(4);
+    expect(getEventListeners(controller.signal, "abort")).toHaveLength(0);
+  });
+
+  test("does not retry connection resets for non-idempotent calls", async () => {
+    const attempt = jest.fn(() => {
+      const err = new Error("socket hang up");
+      err.code = "ECONNRESET";
+      return Promise.reject(err);
+    });
+
+    await expect(graphExports.withRetry("test", false, attempt)).rejects.toThrow(/not idempotent/);
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+
+  test("retries idempotent calls on 503 until they succeed", async () => {
+    let calls = 0;
+    const result = await graphExports.withRetry("test", true, () => {
+      calls++;
+      if (calls < 3) {
+        const err = new Error("Service unavailable");
+        err.statusCode = 503;
+        return Promise.reject(err);
+      }
+      return Promise.resolve("ok");
+    });
+
+    expect(result).toBe("ok");
+    expect(calls).toBe(3);
+  });
+});
+
+describe("makeGraphRawRequest retries", () => {
+  beforeEach(() => {
+    graphExports._setGraphTokenCache("test-graph-token", new Date(Date.now() + 3600 * 1000).toISOString());
+  });
+
+  afterEach(() => {
+    graphExports._resetGraphTokenCache();
+  });
+
+  test("resends an upload chunk after a 429 with Retry-After", async () => {
+    const statuses = [429, 202];
+    const requests = mockHttps([() => {
+      const statusCode = statuses.shift();
+      return [statusCode, { nextExpectedRanges: ["100-"] }, statusCode === 429 ? { "retry-after": "0" } : {}];
+    }]);
+
+    const result = await graphExports.makeGraphRawRequest("PUT", "https://upload.example.test/session", Buffer.from("x"), {
+      "Content-Range": "bytes 0-0/1",
+    });
+
+    expect(requests).toHaveLength(2);
+    expect(result.statusCode).toBe(202);
+  });
+
+  test("keeps the status code when a 5xx outlasts the retries", async () => {
+    mockHttps([[/./, 503, { error: { code: "serviceNotAvailable" } }, { "retry-after": "0" }]]);
+
+    const result = await graphExports.makeGraphRawRequest("GET", "https://upload.example.test/session");
+
+    expect(result.error).toMatch(/HTTP 503/);
+    expect(result.statusCode).toBe(503);
+  });
+});
+
+// ============================================================================
+// 11. TOOL POLICY
+// ============================================================================
+
+describe("selectJsonPath", () => {
+  const args = { to: ["a@example.com", "b@other.com"], message: { attachments: [{ name: "x.pdf" }] } };
+
+  test("selects array elements and nested fields", () => {
+    expect(graphExports.selectJsonPath(args, "$.to")).toEqual(["a@example.com", "b@other.com"]);
+    expect(graphExports.selectJsonPath(args, "$.to[1]")).toEqual(["b@other.com"]);
+    expect(graphExports.selectJsonPath(args, "$.message.attachments[*].name")).toEqual(["x.pdf"]);
+    expect(graphExports.selectJsonPath(args, "$['message'].missing")).toEqual([]);
+  });
+
+  test("rejects unsupported syntax", () => {
+    expect(() => graphExports.selectJsonPath(args, "to")).toThrow(/Invalid JSON path/);
+  });
+});
+
+describe("evaluateToolPolicy", () => {
+  const policyPath = path.join("/tmp", "agent365-test-policy.json");
+
+  function writePolicy(policy) {
+    fs.writeFileSync(policyPath, typeof policy === "string" ? policy : JSON.stringify(policy));
+  }
+
+  afterEach(() => {
+    try { fs.unlinkSync(policyPath); } catch (e) { /* ignore */ }
+  });
+
+  test("allows everything except dangerous tools when no policy file exists", () => {
+    expect(graphExports.evaluateToolPolicy("mail_SendEmailWithAttachments").allowed).toBe(true);
+    expect(graphExports.evaluateToolPolicy("sharepoint_deleteFile").allowed).toBe(false);
+  });
+
+  test("does not block tools because an argument mentions 'remove'", () => {
+    const decision = graphExports.evaluateToolPolicy("mail_SendEmailWithAttachments", {
+      args: { body: "Please remove me from the list" },
+    });
+    expect(decision.allowed).toBe(true);
+  });
+
+  test("applies deny and allow globs", () => {
+    writePolicy({ allow: ["mail_*", "sharepoint_*"], deny: ["mail_Send*"] });
+    expect(graphExports.evaluateToolPolicy("mail_SearchMessages").allowed).toBe(true);
+    expect(graphExports.evaluateToolPolicy("mail_SendEmailWithAttachments").reason).toMatch(/denied/);
+    expect(graphExports.evaluateToolPolicy("teams_ListChats").reason).toMatch(/allow list/);
+  });
+
+  test("limits read-only servers to read tools", () => {
+    writePolicy({ readOnly: ["teams"] });
+    expect(graphExports.evaluateToolPolicy("teams_ListChats").allowed).toBe(true);
+    expect(graphExports.evaluateToolPolicy("teams_getMeetingTranscript").allowed).toBe(true);
+    expect(graphExports.evaluateToolPolicy("teams_PostChannelMessage").reason).toMatch(/read-only/);
+  });
+
+  test("enforces argument rules at call time only", () => {
+    writePolicy({
+      rules: [{ tool: "mail_Send*", path: "$.to", pattern: "@example\\.com$", reason: "Mail only to example.com" }],
+    });
+    expect(graphExports.evaluateToolPolicy("mail_SendEmailWithAttachments").allowed).toBe(true);
+    expect(graphExports.evaluateToolPolicy("mail_SendEmailWithAttachments", { args: { to: ["a@example.com"] } }).allowed).toBe(true);
+
+    const denied = graphExports.evaluateToolPolicy("mail_SendEmailWithAttachments", {
+      args: { to: ["a@example.com", "b@other.com"] },
+    });
+    expect(denied.allowed).toBe(false);
+    expect(denied.reason).toMatch(/Mail only to example.com.*b@other.com/);
+  });
+
+  test("fails closed on an invalid policy file", () => {
+    writePolicy("{ not json");
+    const decision = graphExports.evaluateToolPolicy("mail_SearchMessages");
+    expect(decision.allowed).toBe(false);
+    expect(decision.reason).toMatch(/invalid/);
+  });
+
+  test("call handler returns the denial reason for built-in tools", async () => {
+    writePolicy({ deny: ["sharepoint_uploadLocalFile"] });
+    const callToolCall = mockSetRequestHandler.mock.calls.find((call) => call[0] === "CallToolRequestSchema");
+    const result = await callToolCall[1]({
+      params: { name: "sharepoint_uploadLocalFile", arguments: { localFilePath: "/tmp/x", documentLibraryId: "me" } },
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/Blocked by policy: sharepoint_uploadLocalFile is denied/);
+  });
+});
+
+// ============================================================================
+// 12. OUTBOUND ACTION CONFIRMATION
+// ============================================================================
+
+describe("Outbound action confirmation", () => {
+  const sendArgs = {
+    to: ["alice@example.com"],
+    subject: "Quarterly report",
+    body: "<p>Hi Alice,</p><p>Report attached.</p>",
+    directAttachmentFilePaths: ["/tmp/report.pdf"],
+  };
+
+  test("classifies sending tools as outbound and read tools as not", () => {
+    expect(graphExports.isOutboundTool("mail_SendEmailWithAttachments")).toBe(true);
+    expect(graphExports.isOutboundTool("teams_PostChannelMessage")).toBe(true);
+    expect(graphExports.isOutboundTool("calendar_CreateEvent")).toBe(true);
+    expect(graphExports.isOutboundTool("mail_SearchMessages")).toBe(false);
+    expect(graphExports.isOutboundTool("calendar_ListCalendarView")).toBe(false);
+  });
+
+  test("summary shows recipients, subject, body preview and attachments", () => {
+    const summary = graphExports.summarizeOutboundAction("mail_SendEmailWithAttachments", sendArgs);
+    expect(summary).toMatch(/To: alice@example.com/);
+    expect(summary).toMatch(/Subject: Quarterly report/);
+    expect(summary).toMatch(/Body: Hi Alice, Report attached./);
+    expect(summary).toMatch(/Attachments: \/tmp\/report.pdf/);
+  });
+
+  test("without elicitation, issues a preview token that approves exactly one identical call", async () => {
+    const preview = await graphExports.confirmOutboundAction("mail_SendEmailWithAttachments", sendArgs, undefined);
+    expect(preview.approved).toBe(false);
+    expect(preview.result.isError).toBeUndefined();
+    const token = /confirmationToken: "([0-9a-f]+)"/.exec(preview.result.content[0].text)[1];
+
+    const changed = await graphExports.confirmOutboundAction("mail_SendEmailWithAttachments", {
+      ...sendArgs, to: ["mallory@evil.test"], confirmationToken: token,
+    });
+    expect(changed.approved).toBe(false);
+
+    const second = await graphExports.confirmOutboundAction("mail_SendEmailWithAttachments", sendArgs);
+    const token2 = /confirmationToken: "([0-9a-f]+)"/.exec(second.result.content[0].text)[1];
+    const confirmed = await graphExports.confirmOutboundAction("mail_SendEmailWithAttachments", { ...sendArgs, confirmationToken: token2 });
+    expect(confirmed.approved).toBe(true);
+    expect(confirmed.args.confirmationToken).toBeUndefined();
+
+    const reused = await graphExports.confirmOutboundAction("mail_SendEmailWithAttachments", { ...sendArgs, confirmationToken: token2 });
+    expect(reused.approved).toBe(false);
+  });
+
+  test("uses elicitation when the client supports it", async () => {
+    const srv = {
+      getClientCapabilities: () => ({ elicitation: {} }),
+      elicitInput: jest.fn()
+        .mockResolvedValueOnce({ action: "accept", content: { approve: true } })
+        .mockResolvedValueOnce({ action: "decline" }),
+    };
+
+    const approved = await graphExports.confirmOutboundAction("teams_PostChannelMessage", { teamId: "t", channelId: "c", message: "hi" }, srv);
+    expect(approved.approved).toBe(true);
+    expect(srv.elicitInput.mock.calls[0][0].message).toMatch(/Team: t/);
+
+    const declined = await graphExports.confirmOutboundAction("teams_PostChannelMessage", { teamId: "t", channelId: "c", message: "hi" }, srv);
+    expect(declined.approved).toBe(false);
+    expect(declined.result.isError).toBe(true);
+  });
+});
+
+// ============================================================================
+// 13. AUDIT LOG
+// ============================================================================
+
+describe("Audit log", () => {
+  const auditDir = path.join("/tmp", "agent365-test-audit");
+
+  afterEach(() => {
+    fs.rmSync(auditDir, { recursive: true, force: true });
+  });
+
+  function readAuditEntries() {
+    const file = path.join(auditDir, `${new Date().toISOString().slice(0, 10)}.jsonl`);
+    return fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  }
+
+  test("redacts content but keeps identifiers, paths and recipients", () => {
+    const summary = graphExports.summarizeArgsForAudit({
+      to: ["alice@example.com"],
+      body: "secret body",
+      localFilePath: "/tmp/report.pdf",
+      attachments: [{}, {}],
+      verify: true,
+    });
+
+    expect(summary.to).toBe("[\"alice@example.com\"]");
+    expect(summary.body).toBe("[redacted: 11 chars]");
+    expect(summary.localFilePath).toBe("/tmp/report.pdf");
+    expect(summary.attachments).toBe("[redacted: 2 items]");
+    expect(summary.verify).toBe(true);
+  });
+
+  test("records built-in tool calls with status, duration and size", async () => {
+    const callToolCall = mockSetRequestHandler.mock.calls.find((call) => call[0] === "CallToolRequestSchema");
+    await callToolCall[1]({ params: { name: "sharepoint_uploadLocalFile", arguments: { localFilePath: "/nonexistent/file.txt" } } });
+
+    const [entry] = readAuditEntries();
+    expect(entry.tool).toBe("sharepoint_uploadLocalFile");
+    expect(entry.serverKey).toBe("sharepoint");
+    expect(entry.status).toBe("error");
+    expect(entry.policy).toBe("allowed");
+    expect(entry.args.localFilePath).toBe("/nonexistent/file.txt");
+    expect(entry.resultSize).toBeGreaterThan(0);
+    expect(typeof entry.durationMs).toBe("number");
+  });
+
+  test("prunes files older than the retention period", () => {
+    fs.mkdirSync(auditDir, { recursive: true });
+    fs.writeFileSync(path.join(auditDir, "2000-01-01.jsonl"), "{}\n");
+    const today = `${new Date().toISOString().slice(0, 10)}.jsonl`;
+    fs.writeFileSync(path.join(auditDir, today), "{}\n");
+
+    expect(graphExports.pruneAuditLogs()).toBe(1);
+    expect(fs.readdirSync(auditDir)).toEqual([today]);
+  });
+});
+
+// ============================================================================
+// 14. ACCOUNT PROFILES
+// ============================================================================
+
+describe("Account profiles", () => {
+  const tokenPath = path.join("/tmp", "agent365-test-tokens.json");
+  const accounts = [
+    { homeAccountId: "a.tenant-a", tenantId: "tenant-a", username: "a@example.com" },
+    { homeAccountId: "b.tenant-b", tenantId: "tenant-b", username: "b@example.com" },
+    { homeAccountId: "c.tenant-b", tenantId: "tenant-b", username: "c@example.com" },
+  ];
+
+  afterEach(() => {
+    fs.rmSync(tokenPath, { force: true });
+  });
+
+  test("default profile keeps the original token directory", () => {
+    expect(path.dirname(graphExports.GRAPH_TOKEN_PATH)).toMatch(/\.agent365-mcp$/);
+  });
+
+  test("selects the account recorded in the profile's token file", () => {
+    fs.writeFileSync(tokenPath, JSON.stringify({ tenantId: "tenant-b", account: { homeAccountId: "c.tenant-b" } }));
+    expect(graphExports.selectAccount(accounts).username).toBe("c@example.com");
+  });
+
+  test("falls back to an account from the saved tenant, then the first account", () => {
+    fs.writeFileSync(tokenPath, JSON.stringify({ tenantId: "tenant-b", account: { homeAccountId: "gone" } }));
+    expect(graphExports.selectAccount(accounts).username).toBe("b@example.com");
+
+    fs.rmSync(tokenPath);
+    expect(graphExports.selectAccount(accounts).username).toBe("a@example.com");
+  });
+});
+
+// ============================================================================
+// 15. SECRET STORE
+// ============================================================================
+
+describe("Secret store", () => {
+  const secretStore = require("./secret-store.js");
+  const secretPath = path.join("/tmp", "agent365-test-secret.json");
+  const tokenPath = path.join("/tmp", "agent365-test-tokens.json");
+
+  afterEach(() => {
+    fs.rmSync(secretPath, { force: true });
+    fs.rmSync(tokenPath, { force: true });
+    delete process.env.AGENT365_SECRET_PASSPHRASE;
+    process.env.AGENT365_SECRET_STORE = "file";
+  });
+
+  test("writes encrypted files with mode 0600 and reads them back", () => {
+    secretStore.writeSecretJson(secretPath, { accessToken: "secret-token" });
+
+    const raw = fs.readFileSync(secretPath, "utf8");
+    expect(raw).not.toContain("secret-token");
+    expect(JSON.parse(raw).keySource).toBe("file");
+    expect(fs.statSync(secretPath).mode & 0o777).toBe(0o600);
+    expect(secretStore.readSecretJson(secretPath)).toEqual({ accessToken: "secret-token" });
+  });
+
+  test("migrates plaintext token files on first read", () => {
+    fs.writeFileSync(tokenPath, JSON.stringify({ tenantId: "tenant-a", account: { homeAccountId: "a.tenant-a" } }), { mode: 0o644 });
+
+    graphExports.selectAccount([{ homeAccountId: "a.tenant-a", tenantId: "tenant-a" }]);
+
+    expect(fs.readFileSync(tokenPath, "utf8")).not.toContain("tenant-a");
+    expect(fs.statSync(tokenPath).mode & 0o777).toBe(0o600);
+    expect(secretStore.readSecretJson(tokenPath).tenantId).toBe("tenant-a");
+  });
+
+  test("passphrase-encrypted files need the same passphrase", () => {
+    process.env.AGENT365_SECRET_STORE = "passphrase";
+    process.env.AGENT365_SECRET_PASSPHRASE = "correct horse";
+    secretStore.writeSecret(secretPath, "refresh-token-cache");
+    expect(secretStore.readSecret(secretPath)).toBe("refresh-token-cache");
+
+    process.env.AGENT365_SECRET_PASSPHRASE = "wrong";
+    expect(secretStore.readSecret(secretPath)).toBeNull();
+  });
+});
+
+// ============================================================================
+// 16. BROWSER LOGIN (AUTH CODE + PKCE)
+// ============================================================================
+
+describe("Browser login", () => {
+  const { startLoopbackLogin } = require("./loopback-auth.js");
+
+  function createPca() {
+    return {
+      getAuthCodeUrl: jest.fn(async (request) => `https://login.example/authorize?state=${request.state}`),
+      acquireTokenByCode: jest.fn(async () => ({ accessToken: "browser-token", account: { username: "user@example.com" } })),
+    };
+  }
+
+  function visit(url) {
+    return new Promise((resolve, reject) => {
+      require("http").get(url, (res) => {
+        res.resume();
+        res.on("end", () => resolve(res.statusCode));
+      }).on("error", reject);
+    });
+  }
+
+  test("redeems the code from the loopback redirect with the PKCE verifier", async () => {
+    const pca = createPca();
+    const login = await startLoopbackLogin(pca, ["scope-a"]);
+    const request = pca.getAuthCodeUrl.mock.calls[0][0];
+
+    expect(login.redirectUri).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+    expect(request.codeChallengeMethod).toBe("S256");
+
+    const port = new URL(login.redirectUri).port;
+    expect(await visit(`http://127.0.0.1:${port}/?code=auth-code&state=${request.state}`)).toBe(200);
+
+    const response = await login.tokenPromise;
+    expect(response.accessToken).toBe("browser-token");
+    const redeem = pca.acquireTokenByCode.mock.calls[0][0];
+    expect(redeem.code).toBe("auth-code");
+    expect(redeem.redirectUri).toBe(login.redirectUri);
+    const crypto = require("crypto");
+    const challenge = crypto.createHash("sha256").update(redeem.codeVerifier).digest("base64url");
+    expect(challenge).toBe(request.codeChallenge);
+  });
+
+  test("ignores redirects with the wrong state and reports sign-in errors", async () => {
+    const pca = createPca();
+    const login = await startLoopbackLogin(pca, ["scope-a"]);
+    const { state } = pca.getAuthCodeUrl.mock.calls[0][0];
+    const port = new URL(login.redirectUri).port;
+
+    expect(await visit(`http://127.0.0.1:${port}/?code=stolen&state=other`)).toBe(404);
+    expect(await visit(`http://127.0.0.1:${port}/?error=access_denied&error_description=Blocked&state=${state}`)).toBe(400);
+
+    await expect(login.tokenPromise).rejects.toThrow("Blocked");
+    expect(pca.acquireTokenByCode).not.toHaveBeenCalled();
+  });
+
+  test("cancel stops waiting for the redirect", async () => {
+    const login = await startLoopbackLogin(createPca(), ["scope-a"]);
+    login.cancel();
+    await expect(login.tokenPromise).rejects.toThrow("cancelled");
+  });
+
+  test("a repeated auth call reuses the sign-in that is still waiting", async () => {
+    mockHasBrowser.mockReturnValue(true);
+    mockLaunchBrowser.mockResolvedValue(true);
+    mockGetAuthCodeUrl.mockClear();
+    try {
+      const first = await graphExports.handleGraphAuth({ method: "browser" });
+      const second = await graphExports.handleGraphAuth({ method: "browser" });
+
+      expect(first.content[0].text).toMatch(/browser window has been opened/);
+      expect(second.content[0].text).toMatch(/started earlier is still waiting/);
+      expect(mockGetAuthCodeUrl).toHaveBeenCalledTimes(1);
+      expect(mockLaunchBrowser).toHaveBeenCalledTimes(1);
+
+      // Finish the pending sign-in so its listener closes
+      const { redirectUri, state } = mockGetAuthCodeUrl.mock.calls[0][0];
+      const port = new URL(redirectUri).port;
+      expect(await visit(`http://127.0.0.1:${port}/?error=access_denied&state=${state}`)).toBe(400);
+    } finally {
+      mockHasBrowser.mockReturnValue(false);
+      mockLaunchBrowser.mockReset();
+      mockLaunchBrowser.mockResolvedValue(false);
+    }
+  });
+
+  test("optional scopes are requested on top of GRAPH_SCOPES only when asked for", async () => {
+    const unknown = await graphExports.handleGraphAuth({ scopes: ["Mail.Send"] });
+    expect(unknown.isError).toBe(true);
+    expect(unknown.content[0].text).toMatch(/Unknown scopes Mail.Send/);
+
+    mockHasBrowser.mockReturnValue(true);
+    mockLaunchBrowser.mockResolvedValue(true);
+    mockGetAuthCodeUrl.mockClear();
+    try {
+      const result = await graphExports.handleGraphAuth({ method: "browser", scopes: ["OnlineMeetingRecording.Read.All"] });
+
+      expect(mockGetAuthCodeUrl.mock.calls[0][0].scopes).toEqual([...graphExports.GRAPH_SCOPES, "OnlineMeetingRecording.Read.All"]);
+      expect(result.content[0].text).toMatch(/OnlineMeetingRecording.Read.All[\s\S]*call agent365_graph_auth again with the same scopes/);
+
+      const { redirectUri, state } = mockGetAuthCodeUrl.mock.calls[0][0];
+      const port = new URL(redirectUri).port;
+      expect(await visit(`http://127.0.0.1:${port}/?error=access_denied&state=${state}`)).toBe(400);
+    } finally {
+      mockHasBrowser.mockReturnValue(false);
+      mockLaunchBrowser.mockReset();
+      mockLaunchBrowser.mockResolvedValue(false);
+    }
+  });
+});
+
+// ============================================================================
+// 17. TOOL CATALOG CACHE
+// ============================================================================
+
+describe("Tool catalog cache", () => {
+  const secretStore = require("./secret-store.js");
+  const cacheDir = path.join("/tmp", "agent365-test-tool-cache");
+  const cachePath = path.join(cacheDir, "tools-test-tenant-id.json");
+  const tokenPath = path.join("/tmp", "agent365-test-tokens.json");
+  const future = new Date(Date.now() + 3600 * 1000).toISOString();
+
+  beforeEach(() => {
+    graphExports._resetServerSessions();
+    graphExports._setTokenCache("test-agent365-token", future);
+    secretStore.writeSecretJson(tokenPath, { accessToken: "test-agent365-token", expiresOn: future, tenantId: "test-tenant-id", clientId: "test-client-id" });
+    mockSendToolListChanged.mockClear();
+  });
+
+  afterEach(() => {
+    graphExports._setTokenCache(null, null);
+    graphExports._resetServerSessions();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    fs.rmSync(tokenPath, { force: true });
+  });
+
+  function writeCache(serverKey, tools, fetchedAt) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify({
+      version: 1,
+      servers: { [serverKey]: { fetchedAt, hash: "old-hash", tools } },
+    }));
+  }
+
+  function mockUpstreamTools(tools) {
+    mockHttps([(request) => {
+      const { id, method } = JSON.parse(request.body);
+      return [200, { jsonrpc: "2.0", id, result: method === "tools/list" ? { tools } : {} }];
+    }]);
+  }
+
+  const tool = (name) => ({ name, description: `${name} tool`, inputSchema: { type: "object", properties: {} } });
+
+  test("serves a fresh cached catalog and notifies when the refresh differs", async () => {
+    writeCache("word", [tool("CachedTool")], new Date().toISOString());
+    mockUpstreamTools([tool("NewTool")]);
+
+    const tools = await graphExports.getServerTools("word");
+    expect(tools.map((t) => t.name)).toEqual(["word_CachedTool"]);
+
+    expect(await graphExports.refreshServerTools("word")).toBe(true);
+    expect(mockSendToolListChanged).toHaveBeenCalled();
+
+    const refreshed = await graphExports.getServerTools("word");
+    expect(refreshed.map((t) => t.name)).toEqual(["word_NewTool"]);
+    const cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    expect(cache.servers.word.tools[0].name).toBe("NewTool");
+    expect(cache.servers.word.hash).not.toBe("old-hash");
+  });
+
+  test("fetches upstream when the cached catalog is past its TTL", async () => {
+    writeCache("excel", [tool("StaleTool")], new Date(Date.now() - 48 * 3600 * 1000).toISOString());
+    mockUpstreamTools([tool("FreshTool")]);
+
+    const tools = await graphExports.getServerTools("excel");
+    expect(tools.map((t) => t.name)).toEqual(["excel_FreshTool"]);
+
+    // An unchanged catalog does not notify clients
+    expect(await graphExports.refreshServerTools("excel")).toBe(false);
+    expect(mockSendToolListChanged).not.toHaveBeenCalled();
+  });
+
+  test("does not serve the cache before the user has signed in", async () => {
+    writeCache("word", [tool("CachedTool")], new Date().toISOString());
+    fs.rmSync(tokenPath);
+    mockUpstreamTools([tool("NewTool")]);
+
+    const tools = await graphExports.getServerTools("word");
+    expect(tools.map((t) => t.name)).toEqual(["word_NewTool"]);
+  });
+});
+
+// ============================================================================
+// 18. RESULT RESOURCES
+// ============================================================================
+
+describe("Result resources", () => {
+  const bigText = "x".repeat(120000) + "END";
+
+  test("stores oversized results and returns a preview with a resource link", () => {
+    const result = graphExports.processResult({ content: [{ type: "text", text: bigText }] }, "mail_SearchMessages");
+
+    expect(result.content).toHaveLength(2);
+    expect(result.content[0].text.length).toBeLessThan(bigText.length);
+    expect(result.content[0].text).toMatch(/Showing 50,000 of 120,003 characters/);
+
+    const link = result.content[1];
+    expect(link.type).toBe("resource_link");
+    expect(link.uri).toMatch(/^agent365:\/\/results\/[0-9a-f]{16}$/);
+    expect(link.size).toBe(bigText.length);
+  });
+
+  test("reads stored results in pages", async () => {
+    const result = graphExports.processResult({ content: [{ type: "text", text: bigText }] }, "mail_SearchMessages");
+    const { uri } = result.content[1];
+
+    const first = await graphExports.handleReadResource({ params: { uri } });
+    expect(first.contents[0].text).toHaveLength(50000);
+    expect(first._meta).toMatchObject({ offset: 0, length: 50000, total: 120003 });
+
+    const last = await graphExports.handleReadResource({ params: { uri: `${uri}?offset=100000&length=90000` } });
+    expect(last.contents[0].text.endsWith("END")).toBe(true);
+    expect(last._meta.length).toBe(20003);
+    expect(last._meta.nextUri).toBeUndefined();
+
+    // Registered on the MCP server
+    const readCall = mockSetRequestHandler.mock.calls.find((call) => call[0] === "ReadResourceRequestSchema");
+    const viaHandler = await readCall[1]({ params: { uri: first._meta.nextUri } });
+    expect(viaHandler._meta.offset).toBe(50000);
+  });
+
+  test("results are only listed and readable in the session that produced them", async () => {
+    const result = graphExports.processResult({ content: [{ type: "text", text: bigText }] }, "mail_GetMessage", "session-a");
+    const { uri } = result.content[1];
+
+    const mine = await graphExports.handleListResources({}, { sessionId: "session-a" });
+    const theirs = await graphExports.handleListResources({}, { sessionId: "session-b" });
+    expect(mine.resources.map(r => r.uri)).toContain(uri);
+    expect(theirs.resources.map(r => r.uri)).not.toContain(uri);
+
+    await expect(graphExports.handleReadResource({ params: { uri } }, { sessionId: "session-b" }))
+      .rejects.toMatchObject({ code: -32002 });
+    const read = await graphExports.handleReadResource({ params: { uri } }, { sessionId: "session-a" });
+    expect(read._meta.total).toBe(bigText.length);
+  });
+
+  test("unknown result URIs fail with resource-not-found", async () => {
+    await expect(graphExports.handleReadResource({ params: { uri: "agent365://results/0000000000000000" } }))
+      .rejects.toMatchObject({ code: -32002 });
+    await expect(graphExports.handleReadResource({ params: { uri: "file:///etc/passwd" } }))
+      .rejects.toMatchObject({ code: -32002 });
+  });
+});
+
+// ============================================================================
+// 19. JSON-AWARE TRUNCATION
+// ============================================================================
+
+describe("JSON-aware truncation", () => {
+  const messages = Array.from({ length: 400 }, (_, i) => ({
+    "@odata.etag": `W/"etag-${i}"`,
+    id: `message-${i}`,
+    subject: `Subject ${i} ${"s".repeat(200)}`,
+    body: { contentType: "html", content: `<html><body>${"<p>hello</p>".repeat(100)}</body></html>` },
+    attachment: { contentBytes: "QUJD".repeat(200) },
+  }));
+  const payload = JSON.stringify({
+    "@odata.context": "https://graph.microsoft.com/v1.0/$metadata#messages",
+    "@odata.nextLink": "https://graph.microsoft.com/v1.0/me/messages?$skip=400",
+    value: messages,
+  });
+
+  test("keeps whole items and drops bulky fields", () => {
+    const reduced = graphExports.reduceJsonContent(payload, 20000);
+    const parsed = JSON.parse(reduced.text);
+
+    expect(parsed.value.length).toBe(reduced.shown);
+    expect(reduced.shown).toBeGreaterThan(0);
+    expect(reduced.shown).toBeLessThan(400);
+    expect(reduced.total).toBe(400);
+    expect(reduced.text.length).toBeLessThanOrEqual(20000);
+    expect(parsed.value[0].body.content).toMatch(/^\[HTML omitted/);
+    expect(parsed.value[0].attachment.contentBytes).toMatch(/^\[base64 omitted/);
+    expect(parsed.value[0]["@odata.etag"]).toBeUndefined();
+    expect(parsed["@odata.context"]).toBeUndefined();
+    expect(parsed["@odata.nextLink"]).toMatch(/skip=400/);
+  });
+
+  test("returns null for non-JSON text and items too large for the budget", () => {
+    expect(graphExports.reduceJsonContent("plain text ".repeat(100), 100)).toBeNull();
+    expect(graphExports.reduceJsonContent(JSON.stringify([{ text: "word ".repeat(200) }]), 100)).toBeNull();
+  });
+
+  test("tool results keep parseable JSON with a footer about left-out items", () => {
+    const result = graphExports.processResult({ content: [{ type: "text", text: payload }] }, "mail_SearchMessages");
+    const [json, footer] = result.content[0].text.split("\n\n... [");
+
+    expect(JSON.parse(json).value.length).toBeGreaterThan(0);
+    expect(footer).toMatch(/of 400 items \(\d+ left out\)/);
+    expect(footer).toMatch(/@odata.nextLink/);
+    expect(footer).toMatch(/agent365:\/\/results\//);
+  });
+});
+
+// ============================================================================
+// 20. SPILL DIRECTORY RETENTION
+// ============================================================================
+
+describe("Spill directory retention", () => {
+  const retention = require("./spill-retention.js");
+  const spillDir = path.join("/tmp", "agent365-test-spill");
+  const now = Date.now();
+  const hour = 3600 * 1000;
+
+  function writeSpill(relativePath, size, ageMs) {
+    const filePath = path.join(spillDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, "x".repeat(size));
+    const mtime = new Date(now - ageMs);
+    fs.utimesSync(filePath, mtime, mtime);
+    return filePath;
+  }
+
+  beforeEach(() => {
+    fs.rmSync(spillDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(spillDir, { recursive: true, force: true });
+  });
+
+  test("reads limits from the environment, where 0 disables a limit", () => {
+    expect(retention.retentionFromEnv({})).toEqual({ maxAgeHours: 24, maxSizeMb: 500 });
+    expect(retention.retentionFromEnv({
+      AGENT365_LARGE_FILE_MAX_AGE_HOURS: "0",
+      AGENT365_LARGE_FILE_MAX_SIZE_MB: "0",
+    })).toEqual({ maxAgeHours: 0, maxSizeMb: 0 });
+    expect(retention.retentionFromEnv({
+      AGENT365_LARGE_FILE_MAX_AGE_HOURS: "soon",
+      AGENT365_LARGE_FILE_MAX_SIZE_MB: "1.5",
+    })).toEqual({ maxAgeHours: 24, maxSizeMb: 1.5 });
+  });
+
+  test("creates private per-session directories", () => {
+    const sessionDir = retention.createSessionDir(spillDir);
+
+    expect(path.basename(sessionDir)).toMatch(new RegExp(`^session-\\d+-${process.pid}$`));
+    expect(fs.statSync(sessionDir).mode & 0o777).toBe(0o700);
+  });
+
+  test("removes expired files and emptied session directories", () => {
+    const old = writeSpill("session-1-100/agent365-mail-1.txt", 10, 48 * hour);
+    const legacy = writeSpill("agent365-teams-2.txt", 10, 30 * hour);
+    const recent = writeSpill("session-2-200/agent365-mail-3.txt", 10, hour);
+
+    const result = retention.pruneSpillDir(spillDir, { maxAgeMs: 24 * hour, now });
+
+    expect(result).toEqual({ removedFiles: 2, removedBytes: 20, remainingFiles: 1, remainingBytes: 10 });
+    expect(fs.existsSync(old)).toBe(false);
+    expect(fs.existsSync(legacy)).toBe(false);
+    expect(fs.existsSync(recent)).toBe(true);
+    expect(fs.existsSync(path.join(spillDir, "session-1-100"))).toBe(false);
+  });
+
+  test("deletes oldest files first to stay under the size cap", () => {
+    const oldest = writeSpill("session-1-100/agent365-a-1.txt", 100, 3 * hour);
+    const middle = writeSpill("session-1-100/agent365-b-2.txt", 100, 2 * hour);
+    const newest = writeSpill("session-1-100/agent365-c-3.txt", 100, hour);
+
+    const result = retention.pruneSpillDir(spillDir, { maxBytes: 250, now });
+
+    expect(result.removedFiles).toBe(1);
+    expect(fs.existsSync(oldest)).toBe(false);
+    expect(fs.existsSync(middle)).toBe(true);
+    expect(fs.existsSync(newest)).toBe(true);
+  });
+
+  test("leaves other files, the current session directory and dry runs alone", () => {
+    const foreign = writeSpill("notes.txt", 10, 48 * hour);
+    const expired = writeSpill("session-1-100/agent365-a-1.txt", 10, 48 * hour);
+    const current = path.join(spillDir, "session-2-200");
+    fs.mkdirSync(current);
+
+    const dryRun = retention.pruneSpillDir(spillDir, { maxAgeMs: hour, dryRun: true, now });
+    expect(dryRun.removedFiles).toBe(1);
+    expect(fs.existsSync(expired)).toBe(true);
+
+    retention.pruneSpillDir(spillDir, { maxAgeMs: hour, keepDir: current, now });
+    expect(fs.existsSync(expired)).toBe(false);
+    expect(fs.existsSync(foreign)).toBe(true);
+    expect(fs.existsSync(current)).toBe(true);
+  });
+});
+
+// ============================================================================
+// 21. PROGRESS NOTIFICATIONS AND CANCELLATION
+// ============================================================================
+
+describe("Progress notifications and cancellation", () => {
+  const testFile = path.join("/tmp", "agent365-test-progress.bin");
+  const uploadUrl = "https://upload.example.test/session-1";
+
+  beforeEach(() => {
+    fs.writeFileSync(testFile, Buffer.alloc(5 * 1024 * 1024));
+    graphExports._setGraphTokenCache("test-graph-token", new Date(Date.now() + 3600 * 1000).toISOString());
+  });
+
+  afterEach(() => {
+    fs.rmSync(testFile, { force: true });
+    graphExports._resetGraphTokenCache();
+  });
+
+  test("reports upload progress per chunk when the request has a progressToken", async () => {
+    mockHttps([(request) => {
+      if (request.method === "POST") return [200, { uploadUrl }];
+      const done = request.headers["Content-Range"].endsWith(`-${5 * 1024 * 1024 - 1}/${5 * 1024 * 1024}`);
+      return done ? [201, { id: "item-1" }] : [202];
+    }]);
+    const sendNotification = jest.fn().mockResolvedValue();
+
+    const result = await graphExports.uploadLargeFile(testFile, "progress.bin", "me", "root", {
+      _meta: { progressToken: "upload-1" },
+      sendNotification,
+    });
+
+    expect(result.isError).toBeUndefined();
+    const updates = sendNotification.mock.calls.map(([n]) => n.params);
+    expect(sendNotification.mock.calls[0][0].method).toBe("notifications/progress");
+    expect(updates.map(u => u.progress)).toEqual([0, 1638400, 4915200, 5242880]);
+    expect(updates.every(u => u.progressToken === "upload-1" && u.total === 5242880)).toBe(true);
+  });
+
+  test("sends no progress without a progressToken", async () => {
+    mockHttps([(request) => request.method === "POST" ? [200, { uploadUrl }] : [202]]);
+    const sendNotification = jest.fn().mockResolvedValue();
+
+    await graphExports.uploadLargeFile(testFile, "progress.bin", "me", "root", { sendNotification });
+
+    expect(sendNotification).not.toHaveBeenCalled();
+  });
+
+  test("cancellation aborts the in-flight chunk and deletes the upload session", async () => {
+    const controller = new AbortController();
+    let puts = 0;
+    const requests = mockHttps([(request) => {
+      if (request.method === "POST") return [200, { uploadUrl }];
+      if (request.method === "DELETE") return [204];
+      if (++puts === 2) {
+        setImmediate(() => controller.abort());
+        return null; // Hangs until destroyed
+      }
+      return [202];
+    }]);
+
+    const result = await graphExports.uploadLargeFile(testFile, "progress.bin", "me", "root", { signal: controller.signal });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/cancelled after 1\.6MB of 5\.0MB.*session was deleted/);
+    const hung = https.request.mock.results[2].value;
+    expect(hung.destroy).toHaveBeenCalled();
+    expect(requests.map(r => r.method)).toEqual(["POST", "PUT", "PUT", "DELETE"]);
+    expect(requests[3].hostname).toBe("upload.example.test");
+  });
+
+  test("a cancelled Graph request is not retried", async () => {
+    const controller = new AbortController();
+    mockHttps([() => {
+      setImmediate(() => controller.abort());
+      return null;
+    }]);
+
+    const result = await graphExports.makeGraphRequest("GET", "/me/onlineMeetings", null, null, { signal: controller.signal });
+
+    expect(result.error).toMatch(/cancelled/);
+    expect(https.request).toHaveBeenCalledTimes(1);
+  });
+
+  test("reports each transcript retrieval phase", async () => {
+    mockHttps([
+      [/\/content/, 200, { text: "WEBVTT" }],
+      [/\/transcripts/, 200, { value: [{ id: "t1" }] }],
+      [/./, 200, { value: [{ id: "m1", subject: "Standup" }] }],
+    ]);
+    const sendNotification = jest.fn().mockResolvedValue();
+
+    await graphExports.handleGetMeetingTranscript({ meetingUrl: "https://teams.microsoft.com/l/meetup-join/x" }, {
+      _meta: { progressToken: 7 },
+      sendNotification,
+    });
+
+    const messages = sendNotification.mock.calls.map(([n]) => n.params.message);
+    expect(messages).toEqual(["Finding meeting", "Listing transcripts", "Downloading transcript", "Transcript downloaded"]);
+  });
+});
+
+// ============================================================================
+// 22. RESUMABLE UPLOADS
+// ============================================================================
+
+describe("Resumable uploads", () => {
+  const testFile = path.join("/tmp", "agent365-test-resume.bin");
+  const stateDir = path.join("/tmp", "agent365-test-upload-state");
+  const uploadUrl = "https://upload.example.test/session-2";
+  const fileSize = 5 * 1024 * 1024;
+  let requests;
+
+  // Graph upload session: accepts chunks in order, fails `failures` PUTs
+  // from the one numbered failAt (by default all 4 attempts at that offset)
+  function mockUploadSession({ failAt = 0, failures = 4 } = {}) {
+    let received = 0;
+    let puts = 0;
+    requests = mockHttps([(request) => {
+      if (request.method === "POST") {
+        return [200, { uploadUrl, expirationDateTime: new Date(Date.now() + 3600 * 1000).toISOString() }];
+      }
+      if (request.method === "GET") {
+        return [200, { nextExpectedRanges: [`${received}-`] }];
+      }
+      if (failAt && ++puts >= failAt && puts < failAt + failures) {
+        return [416, { error: { code: "invalidRange" } }];
+      }
+      const [start, end] = request.headers["Content-Range"].match(/bytes (\d+)-(\d+)/).slice(1).map(Number);
+      expect(start).toBe(received);
+      received = end + 1;
+      return received === fileSize ? [201, { id: "item-1" }] : [202];
+    }]);
+  }
+
+  const putRanges = () => requests.filter(r => r.method === "PUT").map(r => r.headers["Content-Range"].split(" ")[1].split("-")[0]);
+
+  beforeEach(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+    fs.writeFileSync(testFile, Buffer.alloc(fileSize, 1));
+    graphExports._setGraphTokenCache("test-graph-token", new Date(Date.now() + 3600 * 1000).toISOString());
+  });
+
+  afterEach(() => {
+    fs.rmSync(testFile, { force: true });
+    fs.rmSync(stateDir, { recursive: true, force: true });
+    graphExports._resetGraphTokenCache();
+  });
+
+  function listPending() {
+    return JSON.parse(graphExports.handleListPendingUploads().content[0].text).uploads;
+  }
+
+  test("a failed chunk leaves a pending upload that resumes from nextExpectedRanges", async () => {
+    mockUploadSession({ failAt: 2 });
+
+    const failed = await graphExports.uploadLargeFile(testFile, "resume.bin", "me", "root");
+    expect(failed.isError).toBe(true);
+
+    const [pending] = listPending();
+    expect(failed.content[0].text).toContain(`sharepoint_resumeUpload(uploadId="${pending.uploadId}")`);
+    expect(pending).toMatchObject({ localPath: testFile, size: fileSize, uploadedBytes: 1638400, percent: 31 });
+    const raw = fs.readFileSync(path.join(stateDir, `${pending.uploadId}.json`), "utf8");
+    expect(raw).not.toContain(uploadUrl);
+
+    requests.length = 0;
+    const resumed = await graphExports.handleResumeUpload({ uploadId: pending.uploadId });
+
+    expect(resumed.isError).toBeUndefined();
+    expect(resumed.content[0].text).toMatch(/resumed at 1\.6MB/);
+    expect(requests[0].method).toBe("GET");
+    expect(putRanges()).toEqual(["1638400", "3276800"]);
+    expect(listPending()).toEqual([]);
+  });
+
+  test("uploading the same file to the same folder again continues the pending session", async () => {
+    mockUploadSession({ failAt: 2 });
+    await graphExports.uploadLargeFile(testFile, "resume.bin", "me", "root");
+
+    requests.length = 0;
+    const result = await graphExports.uploadLargeFile(testFile, "resume.bin", "me", "root");
+
+    expect(result.isError).toBeUndefined();
+    expect(requests.some(r => r.method === "POST")).toBe(false);
+    expect(putRanges()).toEqual(["1638400", "3276800"]);
+  });
+
+  test("a failed chunk is retried from nextExpectedRanges with a smaller chunk", async () => {
+    mockUploadSession({ failAt: 2, failures: 1 });
+
+    const result = await graphExports.uploadLargeFile(testFile, "resume.bin", "me", "root");
+
+    expect(result.isError).toBeUndefined();
+    expect(requests.filter(r => r.method === "GET" && r.hostname === "upload.example.test")).toHaveLength(1);
+    // 1.6MB, then doubled to 3.2MB, halved to 1.6MB after the failure and doubled again
+    expect(putRanges()).toEqual(["0", "1638400", "1638400", "3276800"]);
+    expect(listPending()).toEqual([]);
+  });
+
+  test("refuses to resume when the local file changed", async () => {
+    mockUploadSession({ failAt: 2 });
+    await graphExports.uploadLargeFile(testFile, "resume.bin", "me", "root");
+    fs.writeFileSync(testFile, Buffer.alloc(fileSize, 2));
+
+    requests.length = 0;
+    const result = await graphExports.handleResumeUpload({});
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/changed since the upload started/);
+    expect(requests).toEqual([]);
+    expect(listPending()).toEqual([]);
+  });
+
+  test("cancelling while the file is hashed keeps the pending upload", async () => {
+    mockUploadSession({ failAt: 2 });
+    await graphExports.uploadLargeFile(testFile, "resume.bin", "me", "root");
+    const controller = new AbortController();
+    controller.abort();
+
+    requests.length = 0;
+    const result = await graphExports.handleResumeUpload({}, { signal: controller.signal });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/cancelled by the client/);
+    expect(requests).toEqual([]);
+    expect(listPending()).toHaveLength(1);
+  });
+
+  test("drops uploads whose session is gone", async () => {
+    mockUploadSession({ failAt: 2 });
+    await graphExports.uploadLargeFile(testFile, "resume.bin", "me", "root");
+    mockHttps([]);
+
+    const result = await graphExports.handleResumeUpload({});
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/no longer exists[\s\S]*sharepoint_uploadLocalFile/);
+    expect(listPending()).toEqual([]);
+  });
+
+  test("asks for an uploadId when several uploads are pending", async () => {
+    const other = path.join("/tmp", "agent365-test-resume-2.bin");
+    fs.writeFileSync(other, Buffer.alloc(fileSize, 3));
+    try {
+      mockUploadSession({ failAt: 2 });
+      await graphExports.uploadLargeFile(testFile, "resume.bin", "me", "root");
+      mockUploadSession({ failAt: 2 });
+      await graphExports.uploadLargeFile(other, "resume-2.bin", "me", "root");
+
+      const result = await graphExports.handleResumeUpload({});
+
+      expect(listPending()).toHaveLength(2);
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toMatch(/2 uploads are pending; pass uploadId/);
+    } finally {
+      fs.rmSync(other, { force: true });
+    }
+  });
+});
+
+// ============================================================================
+// 23. LOCAL FOLDER UPLOAD
+// ============================================================================
+
+describe("sharepoint_uploadLocalFolder", () => {
+  const secretStore = require("./secret-store.js");
+  const rootDir = path.join("/tmp", "agent365-test-folder");
+  const tokenPath = path.join("/tmp", "agent365-test-tokens.json");
+  const future = new Date(Date.now() + 3600 * 1000).toISOString();
+  let graphCalls;
+  let uploads;
+
+  // Graph creates folders as folder-<name>; upstream createSmall* uploads
+  // return item-<filename>, except names listed in failNames
+  function mockServices({ existingFolders = [], failNames = [] } = {}) {
+    graphCalls = [];
+    uploads = [];
+    mockHttps([(request) => {
+      if (request.hostname === "graph.microsoft.com") {
+        const body = request.body.length ? JSON.parse(request.body) : null;
+        graphCalls.push({ method: request.method, path: request.path, body });
+        if (request.method === "POST") {
+          return existingFolders.includes(body.name) ? [409, { error: { code: "nameAlreadyExists" } }] : [200, { id: `folder-${body.name}` }];
+        }
+        // Existing folders are looked up by path: /items/{parent}:/{name}
+        const name = decodeURIComponent(request.path.match(/:\/([^?]+)\?/)[1]);
+        return [200, { id: `existing-${name}`, name, folder: {} }];
+      }
+      const { id, method, params } = JSON.parse(request.body);
+      let result = {};
+      if (method === "tools/call") {
+        const { filename, parentfolderId } = params.arguments;
+        uploads.push({ tool: params.name, filename, parentfolderId });
+        result = failNames.includes(filename)
+          ? { content: [{ type: "text", text: "Upload rejected" }], isError: true }
+          : { content: [{ type: "text", text: JSON.stringify({ id: `item-${filename}` }) }] };
+      }
+      return [200, { jsonrpc: "2.0", id, result }];
+    }]);
+  }
+
+  function writeTree(files) {
+    for (const [relativePath, content] of Object.entries(files)) {
+      const filePath = path.join(rootDir, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    }
+  }
+
+  beforeEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    graphExports._resetServerSessions();
+    graphExports._setTokenCache("test-agent365-token", future);
+    graphExports._setGraphTokenCache("test-graph-token", future);
+    secretStore.writeSecretJson(tokenPath, { accessToken: "test-agent365-token", expiresOn: future, tenantId: "test-tenant-id", clientId: "test-client-id" });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    fs.rmSync(tokenPath, { force: true });
+    graphExports._setTokenCache(null, null);
+    graphExports._resetGraphTokenCache();
+    graphExports._resetServerSessions();
+  });
+
+  test("recreates the folder tree and returns a manifest", async () => {
+    writeTree({
+      "a.txt": "alpha",
+      "b.png": Buffer.from([1, 2, 3]),
+      "sub/c.md": "# c",
+      "sub/skip.tmp": "tmp",
+      "node_modules/x.js": "x",
+    });
+    mockServices({ failNames: ["b.png"] });
+
+    const result = await graphExports.handleUploadLocalFolder({
+      localFolderPath: rootDir,
+      documentLibraryId: "drive-1",
+      exclude: ["node_modules", "*.tmp"],
+    });
+    const report = JSON.parse(result.content[0].text);
+
+    expect(result.isError).toBeUndefined();
+    expect(graphCalls.map(c => [c.path, c.body.name])).toEqual([
+      ["/v1.0/drives/drive-1/items/root/children", "agent365-test-folder"],
+      ["/v1.0/drives/drive-1/items/folder-agent365-test-folder/children", "sub"],
+    ]);
+    expect(report.folderId).toBe("folder-agent365-test-folder");
+    expect(report.message).toMatch(/Uploaded 2 of 3 files.*1 failed/);
+    expect(report.files).toEqual([
+      { path: "a.txt", status: "uploaded", itemId: "item-a.txt" },
+      { path: "b.png", status: "failed", error: "Upload rejected" },
+      { path: "sub/c.md", status: "uploaded", itemId: "item-c.md" },
+    ]);
+    expect(uploads).toContainEqual({ tool: "createSmallTextFile", filename: "c.md", parentfolderId: "folder-sub" });
+    expect(uploads).toContainEqual({ tool: "createSmallBinaryFile", filename: "b.png", parentfolderId: "folder-agent365-test-folder" });
+  });
+
+  test("reuses existing folders and applies include globs", async () => {
+    writeTree({ "report.pdf": "pdf", "notes.txt": "notes", "charts/q3.pdf": "chart" });
+    mockServices({ existingFolders: ["agent365-test-folder"] });
+
+    const result = await graphExports.handleUploadLocalFolder({
+      localFolderPath: rootDir,
+      documentLibraryId: "me",
+      include: ["*.pdf"],
+    });
+    const report = JSON.parse(result.content[0].text);
+
+    expect(graphCalls[1]).toMatchObject({ method: "GET", path: "/v1.0/me/drive/items/root:/agent365-test-folder?$select=id,name,folder" });
+    expect(report.folderId).toBe("existing-agent365-test-folder");
+    expect(report.files.map(f => f.path)).toEqual(["charts/q3.pdf", "report.pdf"]);
+    expect(uploads.find(u => u.filename === "q3.pdf").parentfolderId).toBe("folder-charts");
+  });
+
+  test("looks up an existing folder by its encoded path on a 409", async () => {
+    writeTree({ "Q3 #1/plan.txt": "plan" });
+    mockServices({ existingFolders: ["Q3 #1"] });
+
+    const result = await graphExports.handleUploadLocalFolder({ localFolderPath: rootDir, documentLibraryId: "drive-1" });
+
+    expect(graphCalls[2]).toMatchObject({ method: "GET", path: "/v1.0/drives/drive-1/items/folder-agent365-test-folder:/Q3%20%231?$select=id,name,folder" });
+    expect(JSON.parse(result.content[0].text).files).toEqual([{ path: "Q3 #1/plan.txt", status: "uploaded", itemId: "item-plan.txt" }]);
+    expect(uploads[0].parentfolderId).toBe("existing-Q3 #1");
+  });
+
+  test("is an error when every file fails or the path is not a folder", async () => {
+    writeTree({ "a.txt": "alpha" });
+    mockServices({ failNames: ["a.txt"] });
+
+    const failed = await graphExports.handleUploadLocalFolder({ localFolderPath: rootDir, documentLibraryId: "me" });
+    expect(failed.isError).toBe(true);
+
+    const notDir = await graphExports.handleUploadLocalFolder({ localFolderPath: path.join(rootDir, "a.txt"), documentLibraryId: "me" });
+    expect(notDir.isError).toBe(true);
+    expect(notDir.content[0].text).toMatch(/Not a directory/);
+  });
+});
+
+// ============================================================================
+// 24. DOWNLOAD TO LOCAL FILE
+// ============================================================================
+
+describe("sharepoint_downloadToLocalFile", () => {
+  const crypto = require("crypto");
+  const downloadDir = path.join("/tmp", "agent365-test-downloads");
+  const content = crypto.randomBytes(12 * 1024 * 1024);
+  const item = {
+    id: "item-1",
+    name: "big.bin",
+    size: content.length,
+    cTag: "ctag-1",
+    webUrl: "https://contoso.sharepoint.com/big.bin",
+    file: { hashes: {} },
+    "@microsoft.graph.downloadUrl": "https://download.example.test/big.bin?token=abc",
+  };
+  let graphPaths;
+  let ranges;
+
+  // failRange: HTTP status returned for the download request with this index
+  function mockServices({ failRange = -1, failStatus = 403 } = {}) {
+    graphPaths = [];
+    ranges = [];
+    mockHttps([(request) => {
+      if (request.hostname === "graph.microsoft.com") {
+        graphPaths.push(request.path);
+        return [200, item];
+      }
+      expect(request.headers.Authorization).toBeUndefined();
+      const [start, end] = request.headers.Range.match(/bytes=(\d+)-(\d+)/).slice(1).map(Number);
+      return ranges.push([start, end]) - 1 === failRange
+        ? [failStatus, "denied", {}]
+        : [206, content.subarray(start, end + 1), {}];
+    }]);
+  }
+
+  beforeEach(() => {
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+    fs.mkdirSync(downloadDir, { recursive: true });
+    graphExports._setGraphTokenCache("test-graph-token", new Date(Date.now() + 3600 * 1000).toISOString());
+  });
+
+  afterEach(() => {
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+    graphExports._resetGraphTokenCache();
+  });
+
+  test("streams the item into a directory in ranges and returns path, size and hash", async () => {
+    mockServices();
+    const sendNotification = jest.fn().mockResolvedValue();
+
+    const result = await graphExports.handleDownloadToLocalFile(
+      { itemId: "item-1", documentLibraryId: "drive-1", localPath: downloadDir },
+      { _meta: { progressToken: "dl" }, sendNotification }
+    );
+    const report = JSON.parse(result.content[0].text);
+
+    expect(graphPaths).toEqual(["/v1.0/drives/drive-1/items/item-1"]);
+    expect(ranges).toEqual([[0, 10485759], [10485760, content.length - 1]]);
+    expect(report.localPath).toBe(path.join(downloadDir, "big.bin"));
+    expect(report.size).toBe(content.length);
+    expect(report.sha256).toBe(crypto.createHash("sha256").update(content).digest("hex"));
+    expect(fs.readFileSync(report.localPath).equals(content)).toBe(true);
+    expect(fs.readdirSync(downloadDir)).toEqual(["big.bin"]);
+    expect(sendNotification.mock.calls.map(([n]) => n.params.progress)).toEqual([0, 10485760, content.length]);
+  });
+
+  test("keeps the partial file after a failed range and resumes from it", async () => {
+    const target = path.join(downloadDir, "copy.bin");
+    mockServices({ failRange: 1 });
+
+    const failed = await graphExports.handleDownloadToLocalFile({ fileUrl: item.webUrl, localPath: target });
+
+    expect(failed.isError).toBe(true);
+    expect(failed.content[0].text).toMatch(/HTTP 403[\s\S]*10\.0MB were kept[\s\S]*resume/);
+    expect(graphPaths[0]).toMatch(/^\/v1.0\/shares\/u!aHR0cHM6Ly9jb250b3NvLnNoYXJlcG9pbnQuY29tL2JpZy5iaW4\/driveItem$/);
+
+    mockServices();
+    const resumed = await graphExports.handleDownloadToLocalFile({ fileUrl: item.webUrl, localPath: target });
+
+    expect(resumed.isError).toBeUndefined();
+    expect(JSON.parse(resumed.content[0].text).message).toMatch(/resumed at 10\.0MB/);
+    expect(ranges).toEqual([[10485760, content.length - 1]]);
+    expect(fs.readFileSync(target).equals(content)).toBe(true);
+  });
+
+  test("checks the QuickXorHash when SharePoint reports no SHA-256", async () => {
+    const quickXorHash = graphExports.createQuickXorHash().update(content).digest("base64");
+    mockServices();
+    try {
+      item.file.hashes = { quickXorHash };
+      const matched = await graphExports.handleDownloadToLocalFile({ itemId: "item-1", documentLibraryId: "drive-1", localPath: downloadDir });
+      expect(matched.isError).toBeUndefined();
+
+      item.file.hashes = { quickXorHash: "AAAAAAAAAAAAAAAAAAAAAAAAAAA=" };
+      const mismatched = await graphExports.handleDownloadToLocalFile({ itemId: "item-1", documentLibraryId: "drive-1", localPath: path.join(downloadDir, "copy.bin") });
+      expect(mismatched.isError).toBe(true);
+      expect(mismatched.content[0].text).toMatch(/does not match the QuickXorHash reported by SharePoint/);
+      expect(fs.readdirSync(downloadDir)).toEqual(["big.bin"]);
+    } finally {
+      item.file.hashes = {};
+    }
+  });
+
+  test("does not overwrite an existing file unless asked", async () => {
+    const target = path.join(downloadDir, "big.bin");
+    fs.writeFileSync(target, "old");
+    mockServices();
+
+    const refused = await graphExports.handleDownloadToLocalFile({ itemPath: "/Reports/big.bin", localPath: target });
+    expect(refused.isError).toBe(true);
+    expect(refused.content[0].text).toMatch(/already exists/);
+    expect(graphPaths).toEqual(["/v1.0/me/drive/root:/Reports/big.bin"]);
+
+    const replaced = await graphExports.handleDownloadToLocalFile({ itemPath: "Reports/big.bin", localPath: target, overwrite: true });
+    expect(replaced.isError).toBeUndefined();
+    expect(fs.statSync(target).size).toBe(content.length);
+  });
+
+  test("encodes each segment of itemPath", async () => {
+    mockServices();
+
+    await graphExports.handleDownloadToLocalFile({ itemPath: "/Reports/Q1 #2?.bin", documentLibraryId: "b!drive", localPath: downloadDir });
+
+    expect(graphPaths[0]).toBe("/v1.0/drives/b!drive/root:/Reports/Q1%20%232%3F.bin");
+  });
+
+  test("rejects folders and missing arguments", async () => {
+    const missing = await graphExports.handleDownloadToLocalFile({ localPath: downloadDir });
+    expect(missing.isError).toBe(true);
+
+    mockHttps([[/./, 200, { id: "folder-1", name: "Reports", folder: { childCount: 2 } }]]);
+    const folder = await graphExports.handleDownloadToLocalFile({ itemId: "folder-1", localPath: downloadDir });
+    expect(folder.content[0].text).toMatch(/Reports is a folder/);
+  });
+});
+
+// ============================================================================
+// 25. UPLOAD CONFLICT BEHAVIOR
+// ============================================================================
+
+describe("Upload conflictBehavior", () => {
+  const testDir = path.join("/tmp", "agent365-test-conflict");
+  let calls;
+
+  // Graph stub: PUT content / upload session; respond(request) answers every request
+  function mockGraph(respond) {
+    calls = mockHttps([respond]);
+  }
+
+  const versions = (request) => request.path.endsWith("/versions")
+    ? [200, { value: [{ id: "3.0" }, { id: "2.0" }, { id: "1.0" }] }]
+    : null;
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+    fs.writeFileSync(path.join(testDir, "report.docx"), "small report");
+    graphExports._setGraphTokenCache("test-graph-token", new Date(Date.now() + 3600 * 1000).toISOString());
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+    fs.rmSync(path.join("/tmp", "agent365-test-upload-state"), { recursive: true, force: true });
+    graphExports._resetGraphTokenCache();
+  });
+
+  test("replace uploads small files through Graph and reports the new version", async () => {
+    mockGraph((request) => versions(request) || [200, { id: "item-9", name: "report.docx" }]);
+
+    const result = await graphExports.handleUploadLocalFile({
+      localFilePath: path.join(testDir, "report.docx"),
+      documentLibraryId: "drive-1",
+      parentFolderId: "folder-1",
+      conflictBehavior: "replace",
+    });
+    const report = JSON.parse(result.content[0].text);
+
+    expect(calls[0]).toMatchObject({
+      method: "PUT",
+      hostname: "graph.microsoft.com",
+      path: "/v1.0/drives/drive-1/items/folder-1:/report.docx:/content?@microsoft.graph.conflictBehavior=replace",
+    });
+    expect(calls[0].body.toString()).toBe("small report");
+    expect(calls[1].path).toBe("/v1.0/drives/drive-1/items/item-9/versions");
+    expect(report.file.id).toBe("item-9");
+    expect(report.versionId).toBe("3.0");
+  });
+
+  test("fail reports an existing file", async () => {
+    mockGraph(() => [409, { error: { code: "nameAlreadyExists" } }]);
+
+    const result = await graphExports.handleUploadLocalFile({
+      localFilePath: path.join(testDir, "report.docx"),
+      documentLibraryId: "me",
+      conflictBehavior: "fail",
+    });
+
+    expect(calls[0].path).toMatch(/^\/v1.0\/me\/drive\/items\/root:\/report.docx:\/content\?@microsoft.graph.conflictBehavior=fail$/);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/already exists.*conflictBehavior: fail/);
+  });
+
+  test("large uploads pass the behavior to the upload session", async () => {
+    const bigFile = path.join(testDir, "big.bin");
+    fs.writeFileSync(bigFile, Buffer.alloc(5 * 1024 * 1024));
+    mockGraph((request) => {
+      if (versions(request)) return versions(request);
+      if (request.method === "POST") return [200, { uploadUrl: "https://upload.example.test/s" }];
+      const done = request.headers["Content-Range"].endsWith(`-${5 * 1024 * 1024 - 1}/${5 * 1024 * 1024}`);
+      return done ? [200, { id: "item-big", name: "big.bin" }] : [202, {}];
+    });
+
+    const result = await graphExports.handleUploadLocalFile({
+      localFilePath: bigFile,
+      documentLibraryId: "me",
+      conflictBehavior: "replace",
+    });
+
+    expect(JSON.parse(calls[0].body.toString()).item["@microsoft.graph.conflictBehavior"]).toBe("replace");
+    expect(JSON.parse(result.content[0].text).versionId).toBe("3.0");
+  });
+
+  test("fail reports an existing file when creating the upload session", async () => {
+    const bigFile = path.join(testDir, "big.bin");
+    fs.writeFileSync(bigFile, Buffer.alloc(5 * 1024 * 1024));
+    mockGraph(() => [409, { error: { code: "nameAlreadyExists" } }]);
+
+    const result = await graphExports.handleUploadLocalFile({ localFilePath: bigFile, documentLibraryId: "me", conflictBehavior: "fail" });
+
+    expect(calls).toHaveLength(1);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/big\.bin already exists.*conflictBehavior: fail/);
+  });
+
+  test("a pending upload made with another behavior is started again", async () => {
+    const bigFile = path.join(testDir, "big.bin");
+    fs.writeFileSync(bigFile, Buffer.alloc(5 * 1024 * 1024));
+    mockGraph((request) => request.method === "POST"
+      ? [200, { uploadUrl: "https://upload.example.test/s" }]
+      : [416, { error: { code: "invalidRange" } }]);
+    const failed = await graphExports.handleUploadLocalFile({ localFilePath: bigFile, documentLibraryId: "me" });
+    expect(failed.isError).toBe(true);
+
+    mockGraph((request) => {
+      if (versions(request)) return versions(request);
+      if (request.method === "DELETE") return [204, ""];
+      if (request.method === "POST") return [200, { uploadUrl: "https://upload.example.test/s2" }];
+      const done = request.headers["Content-Range"].endsWith(`-${5 * 1024 * 1024 - 1}/${5 * 1024 * 1024}`);
+      return done ? [200, { id: "item-big", name: "big.bin" }] : [202, {}];
+    });
+    const result = await graphExports.handleUploadLocalFile({ localFilePath: bigFile, documentLibraryId: "me", conflictBehavior: "replace" });
+
+    expect(calls[0]).toMatchObject({ method: "DELETE", hostname: "upload.example.test", path: "/s" });
+    expect(calls[1].method).toBe("POST");
+    expect(JSON.parse(calls[1].body.toString()).item["@microsoft.graph.conflictBehavior"]).toBe("replace");
+    expect(calls.some(c => c.hostname === "upload.example.test" && c.method === "GET")).toBe(false);
+    expect(JSON.parse(result.content[0].text).versionId).toBe("3.0");
+  });
+
+  test("rejects unknown values", async () => {
+    const result = await graphExports.handleUploadLocalFile({
+      localFilePath: path.join(testDir, "report.docx"),
+      documentLibraryId: "me",
+      conflictBehavior: "overwrite",
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/rename, replace, fail/);
+  });
+});
+
+// ============================================================================
+// 26. UPLOAD INTEGRITY VERIFICATION
+// ============================================================================
+
+describe("Upload integrity verification", () => {
+  const crypto = require("crypto");
+  const secretStore = require("./secret-store.js");
+  const testDir = path.join("/tmp", "agent365-test-verify");
+  const tokenPath = path.join("/tmp", "agent365-test-tokens.json");
+  const future = new Date(Date.now() + 3600 * 1000).toISOString();
+  let calls;
+
+  // Bit-by-bit reference: bit b of byte n goes to bit (n * 11 + b) mod 160
+  function referenceQuickXorHash(data) {
+    const bits = new Array(160).fill(0);
+    data.forEach((byte, n) => {
+      for (let b = 0; b < 8; b++) {
+        bits[(n * 11 + b) % 160] ^= (byte >> b) & 1;
+      }
+    });
+    const hash = Buffer.alloc(20);
+    bits.forEach((bit, i) => { hash[i >> 3] |= bit << (i & 7); });
+    const length = Buffer.alloc(8);
+    length.writeBigUInt64LE(BigInt(data.length));
+    for (let i = 0; i < 8; i++) hash[12 + i] ^= length[i];
+    return hash.toString("base64");
+  }
+
+  function quickXorHash(data) {
+    return graphExports.createQuickXorHash().update(data).digest("base64");
+  }
+
+  // Graph and upload session stub in front of an upstream that accepts every
+  // upload; respond(request) returns [statusCode, reply]
+  function mockServices(respond) {
+    calls = mockHttps([
+      (request) => (request.hostname === "graph.microsoft.com" || request.hostname === "upload.example.test" ? respond(request) : undefined),
+      (request) => {
+        const { id, method } = JSON.parse(request.body);
+        const result = method === "tools/call" ? { content: [{ type: "text", text: JSON.stringify({ id: "item-up" }) }] } : {};
+        return [200, { jsonrpc: "2.0", id, result }];
+      },
+    ]);
+  }
+
+  beforeEach(() => {
+    fs.mkdirSync(testDir, { recursive: true });
+    graphExports._resetServerSessions();
+    graphExports._setTokenCache("test-agent365-token", future);
+    graphExports._setGraphTokenCache("test-graph-token", future);
+    secretStore.writeSecretJson(tokenPath, { accessToken: "test-agent365-token", expiresOn: future, tenantId: "test-tenant-id", clientId: "test-client-id" });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+    fs.rmSync(tokenPath, { force: true });
+    fs.rmSync(path.join("/tmp", "agent365-test-upload-state"), { recursive: true, force: true });
+    graphExports._setTokenCache(null, null);
+    graphExports._resetGraphTokenCache();
+    graphExports._resetServerSessions();
+  });
+
+  test("QuickXorHash matches known values and the bit-by-bit definition", () => {
+    expect(quickXorHash(Buffer.alloc(0))).toBe("AAAAAAAAAAAAAAAAAAAAAAAAAAA=");
+    expect(quickXorHash(Buffer.from("J"))).toBe("SgAAAAAAAAAAAAAAAQAAAAAAAAA=");
+
+    const data = crypto.randomBytes(1000);
+    expect(quickXorHash(data)).toBe(referenceQuickXorHash(data));
+
+    // Incremental updates that do not line up with the 160-byte cycle
+    const hash = graphExports.createQuickXorHash();
+    hash.update(data.subarray(0, 7)).update(data.subarray(7, 333)).update(data.subarray(333));
+    expect(hash.digest("base64")).toBe(quickXorHash(data));
+  });
+
+  function largeUpload(remoteHash) {
+    const bigFile = path.join(testDir, "big.bin");
+    fs.writeFileSync(bigFile, crypto.randomBytes(5 * 1024 * 1024));
+    mockServices((request) => {
+      if (request.method === "POST") return [200, { uploadUrl: "https://upload.example.test/s" }];
+      const done = request.headers["Content-Range"].endsWith(`-${5 * 1024 * 1024 - 1}/${5 * 1024 * 1024}`);
+      const item = { id: "item-big", name: "big.bin", file: { hashes: { quickXorHash: remoteHash(fs.readFileSync(bigFile)) } } };
+      return done ? [201, item] : [202, {}];
+    });
+    return graphExports.handleUploadLocalFile({ localFilePath: bigFile, documentLibraryId: "me" });
+  }
+
+  test("large uploads pass when the hashes match", async () => {
+    const result = await largeUpload(quickXorHash);
+
+    expect(result.isError).toBeUndefined();
+    expect(result.content[1].text).toMatch(/Integrity check passed/);
+  });
+
+  test("large uploads report a mismatch as an error", async () => {
+    const result = await largeUpload(() => "AAAAAAAAAAAAAAAAAAAAAAAAAAA=");
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/Integrity check failed for big\.bin/);
+    expect(result.content[0].text).toMatch(/conflictBehavior 'replace'/);
+  });
+
+  test("verify looks up the hash of small upstream uploads", async () => {
+    const filePath = path.join(testDir, "notes.txt");
+    fs.writeFileSync(filePath, "meeting notes");
+    mockServices((request) => [200, { id: "item-up", file: { hashes: { quickXorHash: quickXorHash(Buffer.from("meeting notes")) } } }]);
+
+    const result = await graphExports.handleUploadLocalFile({
+      localFilePath: filePath,
+      documentLibraryId: "drive-1",
+      verify: true,
+    });
+
+    expect(calls.filter(call => call.hostname === "graph.microsoft.com").map(call => call.path))
+      .toEqual(["/v1.0/drives/drive-1/items/item-up?$select=id,file"]);
+    expect(result.isError).toBeUndefined();
+    expect(result.content[result.content.length - 1].text).toMatch(/Integrity check passed/);
+  });
+
+  test("verify uses the hash returned by small Graph uploads", async () => {
+    const filePath = path.join(testDir, "notes.txt");
+    fs.writeFileSync(filePath, "meeting notes");
+    mockServices(() => [201, { id: "item-9", file: { hashes: { quickXorHash: quickXorHash(Buffer.from("other notes")) } } }]);
+
+    const result = await graphExports.handleUploadLocalFile({
+      localFilePath: filePath,
+      documentLibraryId: "me",
+      conflictBehavior: "replace",
+      verify: true,
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/Integrity check failed for notes\.txt/);
+  });
+});
+
+// ============================================================================
+// 27. MEETING TRANSCRIPT SELECTION
+// ============================================================================
+
+describe("Meeting transcript selection", () => {
+  const meetingUrl = "https://teams.microsoft.com/l/meetup-join/weekly";
+  const future = new Date(Date.now() + 3600 * 1000).toISOString();
+  let contentPaths;
+
+  // Three occurrences of a recurring meeting, returned out of order; the
+  // content of each transcript is "VTT <id>"
+  const transcripts = [
+    { id: "t-may-07", createdDateTime: "2026-05-07T12:00:00Z", endDateTime: "2026-05-07T12:30:05Z" },
+    { id: "t-apr-30", createdDateTime: "2026-04-30T12:00:00Z", endDateTime: "2026-04-30T12:45:00Z" },
+    { id: "t-may-07-restart", createdDateTime: "2026-05-07T12:40:00Z", endDateTime: "2026-05-07T13:10:00Z" },
+  ];
+
+  function mockGraph() {
+    contentPaths = [];
+    mockHttps([
+      (request) => {
+        const content = request.path.match(/transcripts\/([^/]+)\/content/);
+        if (!content) return undefined;
+        contentPaths.push(request.path);
+        return [200, `VTT ${content[1]}`, { "content-type": "text/vtt" }];
+      },
+      [/\/transcripts/, 200, { value: transcripts }],
+      [/./, 200, { value: [{ id: "m1", subject: "Weekly sync", startDateTime: "2026-04-30T12:00:00Z" }] }],
+    ]);
+  }
+
+  beforeEach(() => {
+    graphExports._setGraphTokenCache("test-graph-token", future);
+    mockGraph();
+  });
+
+  afterEach(() => {
+    graphExports._resetGraphTokenCache();
+  });
+
+  test("teams_listMeetingTranscripts lists every transcript oldest first with durations", async () => {
+    const result = await graphExports.handleListMeetingTranscripts({ meetingUrl });
+    const listing = JSON.parse(result.content[0].text);
+
+    expect(listing.meeting.subject).toBe("Weekly sync");
+    expect(listing.count).toBe(3);
+    expect(listing.transcripts.map(t => t.id)).toEqual(["t-apr-30", "t-may-07", "t-may-07-restart"]);
+    expect(listing.transcripts[1]).toMatchObject({
+      createdDateTime: "2026-05-07T12:00:00Z",
+      durationSeconds: 1805,
+      duration: "00:30:05",
+    });
+  });
+
+  test("returns the latest transcript by default and mentions the others", async () => {
+    const result = await graphExports.handleGetMeetingTranscript({ meetingUrl });
+
+    expect(contentPaths).toHaveLength(1);
+    expect(result.content[0].text).toMatch(/VTT t-may-07-restart$/);
+    expect(result.content[0].text).toMatch(/has 3 transcripts/);
+    expect(result.content[0].text).toMatch(/Transcript 3 of 3 \(id: t-may-07-restart/);
+  });
+
+  test("picks a transcript by ID and reports unknown IDs", async () => {
+    const picked = await graphExports.handleGetMeetingTranscript({ meetingUrl, transcriptId: "t-apr-30" });
+    expect(picked.content[0].text).toMatch(/VTT t-apr-30$/);
+
+    const missing = await graphExports.handleGetMeetingTranscript({ meetingUrl, transcriptId: "t-nope" });
+    expect(missing.isError).toBe(true);
+    expect(missing.content[0].text).toMatch(/Available: t-apr-30, t-may-07, t-may-07-restart/);
+  });
+
+  test("filters by occurrence date, returning all of that day's transcripts on request", async () => {
+    const latest = await graphExports.handleGetMeetingTranscript({ meetingUrl, occurrenceDate: "2026-04-30" });
+    expect(latest.content[0].text).toMatch(/VTT t-apr-30$/);
+
+    const all = await graphExports.handleGetMeetingTranscript({ meetingUrl, occurrenceDate: "2026-05-07", select: "all" });
+    expect(all.content[0].text).toMatch(/Transcript 2 of 3[\s\S]*VTT t-may-07\n\n--- Transcript 3 of 3[\s\S]*VTT t-may-07-restart$/);
+
+    const none = await graphExports.handleGetMeetingTranscript({ meetingUrl, occurrenceDate: "2026-05-14" });
+    expect(none.isError).toBe(true);
+    expect(none.content[0].text).toMatch(/Transcripts exist for: 2026-04-30, 2026-05-07/);
+  });
+
+  test("rejects malformed selectors before calling Graph", async () => {
+    const badDate = await graphExports.handleGetMeetingTranscript({ meetingUrl, occurrenceDate: "May 7" });
+    const badSelect = await graphExports.handleGetMeetingTranscript({ meetingUrl, select: "first" });
+
+    expect(badDate.content[0].text).toMatch(/YYYY-MM-DD/);
+    expect(badSelect.content[0].text).toMatch(/latest, all/);
+    expect(https.request).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================================
+// 28. TRANSCRIPT FORMATS
+// ============================================================================
+
+describe("Transcript formats", () => {
+  const vtt = require("./vtt-transcript.js");
+  const meetingUrl = "https://teams.microsoft.com/l/meetup-join/review";
+  const future = new Date(Date.now() + 3600 * 1000).toISOString();
+  const sample = [
+    "WEBVTT",
+    "",
+    "NOTE generated by Teams",
+    "",
+    "0f1a2b3c-1/10-0",
+    "00:00:01.000 --> 00:00:04.500",
+    "<v Jane Doe>Morning, everyone.</v>",
+    "",
+    "0f1a2b3c-1/11-0",
+    "00:00:04.500 --> 00:00:09.000",
+    "<v Jane Doe>Let&apos;s start with the release.</v>",
+    "",
+    "0f1a2b3c-1/12-0",
+    "00:00:10.000 --> 00:00:20.000",
+    "<v Raj Patel>Build 42 passed QA &amp; is</v>",
+    "<v Raj Patel>ready to ship.</v>",
+    "",
+    "00:15:00.000 --> 00:15:03.000",
+    "<v Jane Doe>Anything else?</v>",
+    "",
+  ].join("\r\n");
+
+  beforeEach(() => {
+    graphExports._setGraphTokenCache("test-graph-token", future);
+    mockHttps([
+      [/\/content/, 200, sample, { "content-type": "text/vtt" }],
+      [/\/transcripts/, 200, { value: [{ id: "t1", createdDateTime: "2026-05-07T09:00:00Z", endDateTime: "2026-05-07T09:16:00Z" }] }],
+      [/./, 200, { value: [{ id: "m1", subject: "Release review", startDateTime: "2026-05-07T09:00:00Z" }] }],
+    ]);
+  });
+
+  afterEach(() => {
+    graphExports._resetGraphTokenCache();
+  });
+
+  test("parses cues with speakers, skipping notes and cue identifiers", () => {
+    const cues = vtt.parseVtt(sample);
+
+    expect(cues).toHaveLength(4);
+    expect(cues[1]).toEqual({ start: 4.5, end: 9, speaker: "Jane Doe", text: "Let's start with the release." });
+    expect(cues[2]).toEqual({ start: 10, end: 20, speaker: "Raj Patel", text: "Build 42 passed QA & is ready to ship." });
+    expect(vtt.parseTimestamp("15:00")).toBe(900);
+    expect(vtt.parseTimestamp("1:02:03.5")).toBe(3723.5);
+    expect(vtt.parseTimestamp("soon")).toBeNull();
+    expect(vtt.parseTimestamp("00:75:99")).toBeNull();
+    expect(vtt.parseTimestamp("00:15:60")).toBeNull();
+  });
+
+  test("merges turns and computes talk time per speaker", () => {
+    const cues = vtt.parseVtt(sample);
+    const turns = vtt.mergeTurns(cues);
+
+    expect(turns.map(t => [t.speaker, t.start, t.end])).toEqual([
+      ["Jane Doe", 1, 9],
+      ["Raj Patel", 10, 20],
+      ["Jane Doe", 900, 903],
+    ]);
+    expect(vtt.speakerStats(cues)).toEqual([
+      { speaker: "Jane Doe", talkSeconds: 11, talkTime: "00:00:11", share: 52.4, turns: 2, words: 9 },
+      { speaker: "Raj Patel", talkSeconds: 10, talkTime: "00:00:10", share: 47.6, turns: 1, words: 9 },
+    ]);
+  });
+
+  test("text format returns one line per speaker turn", async () => {
+    const result = await graphExports.handleGetMeetingTranscript({ meetingUrl, format: "text" });
+
+    expect(result.content[0].text).toBe([
+      "Meeting: Release review",
+      "Date: 2026-05-07T09:00:00Z",
+      "Organizer: Unknown",
+      "",
+      "--- Transcript ---",
+      "",
+      "[00:00:01] Jane Doe: Morning, everyone. Let's start with the release.",
+      "[00:00:10] Raj Patel: Build 42 passed QA & is ready to ship.",
+      "[00:15:00] Jane Doe: Anything else?",
+    ].join("\n"));
+  });
+
+  test("json format filtered to a time window", async () => {
+    const result = await graphExports.handleGetMeetingTranscript({ meetingUrl, format: "json", from: "00:00:05", to: "10:00" });
+    const report = JSON.parse(result.content[0].text);
+
+    expect(report.meeting.subject).toBe("Release review");
+    expect(report.transcripts[0]).toMatchObject({ id: "t1", duration: "00:16:00" });
+    expect(report.transcripts[0].turns).toEqual([
+      { speaker: "Jane Doe", start: "00:00:04", end: "00:00:09", startSeconds: 4.5, endSeconds: 9, text: "Let's start with the release." },
+      { speaker: "Raj Patel", start: "00:00:10", end: "00:00:20", startSeconds: 10, endSeconds: 20, text: "Build 42 passed QA & is ready to ship." },
+    ]);
+    expect(report.transcripts[0].speakers.map(s => s.speaker)).toEqual(["Raj Patel", "Jane Doe"]);
+  });
+
+  test("markdown format includes a speaker table", async () => {
+    const result = await graphExports.handleGetMeetingTranscript({ meetingUrl, format: "markdown" });
+
+    expect(result.content[0].text).toMatch(/\| Jane Doe \| 00:00:11 \| 52.4% \| 2 \|/);
+    expect(result.content[0].text).toMatch(/\*\*Raj Patel\*\* \(00:00:10–00:00:20\)\nBuild 42/);
+  });
+
+  test("rejects a time window with the raw VTT format", async () => {
+    const result = await graphExports.handleGetMeetingTranscript({ meetingUrl, from: "00:05:00" });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/format 'text', 'markdown' or 'json'/);
+    expect(https.request).not.toHaveBeenCalled();
+  });
+
+  test("rejects out-of-range offsets and an empty or inverted window", async () => {
+    const outOfRange = await graphExports.handleGetMeetingTranscript({ meetingUrl, format: "text", from: "00:75:99" });
+    expect(outOfRange.content[0].text).toMatch(/from must be an offset into the meeting/);
+
+    const inverted = await graphExports.handleGetMeetingTranscript({ meetingUrl, format: "text", from: "00:20:00", to: "00:05:00" });
+    expect(inverted.isError).toBe(true);
+    expect(inverted.content[0].text).toMatch(/from must be before to/);
+
+    const empty = await graphExports.handleGetMeetingTranscript({ meetingUrl, format: "text", from: "10:00", to: "00:10:00" });
+    expect(empty.content[0].text).toMatch(/from must be before to/);
+    expect(https.request).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================================
+// 29. MEETINGS ORGANIZED BY OTHERS
+// ============================================================================
+
+describe("Meetings organized by others", () => {
+  const future = new Date(Date.now() + 3600 * 1000).toISOString();
+  const joinUrl = "https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc%40thread.v2/0";
+  let paths;
+
+  // routes: mockHttps routes; paths collects the decoded paths requested
+  function mockGraph(routes) {
+    paths = [];
+    mockHttps([(request) => { paths.push(decodeURI(request.path)); }, ...routes]);
+  }
+
+  const meeting = { id: "m-own", subject: "Vendor sync", startDateTime: "2026-05-07T14:00:00Z" };
+  const event = (isOrganizer) => ({
+    subject: "Vendor sync",
+    isOrganizer,
+    organizer: { emailAddress: { address: isOrganizer ? "me@contoso.example" : "lee@vendor-team.example" } },
+    onlineMeeting: { joinUrl: "https://teams.microsoft.com/l/meetup-join/plain" },
+  });
+
+  beforeEach(() => {
+    graphExports._setGraphTokenCache("test-graph-token", future);
+    grantOptionalGraphScopes();
+  });
+
+  afterEach(() => {
+    graphExports._resetGraphTokenCache();
+    revokeOptionalGraphScopes();
+  });
+
+  test("says only the organizer can fetch a meeting that is not among the user's", async () => {
+    mockGraph([[/^\/v1.0\/me\/onlineMeetings\?/, 200, { value: [] }]]);
+
+    const result = await graphExports.handleGetMeetingTranscript({ meetingUrl: joinUrl });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/No meeting you organized has this join URL/);
+    expect(result.content[0].text).toMatch(/only to its organizer/);
+    expect(paths).toHaveLength(1);
+  });
+
+  test("finds the meeting by subject and date through the calendar", async () => {
+    mockGraph([
+      [/^\/v1.0\/me\/calendarView\?/, 200, { value: [{ subject: "Lunch" }, event(true)] }],
+      [/^\/v1.0\/me\/onlineMeetings\?/, 200, { value: [meeting] }],
+      [/\/transcripts$/, 200, { value: [{ id: "t1" }, { id: "t2" }] }],
+    ]);
+
+    const result = await graphExports.handleListMeetingTranscripts({ meetingSubject: "vendor", startDate: "2026-05-07" });
+
+    expect(JSON.parse(result.content[0].text).transcripts.map(t => t.id)).toEqual(["t1", "t2"]);
+    expect(paths[0]).toMatch(/\/me\/calendarView\?startDateTime=.+&endDateTime=.+&\$select=subject,start,organizer,isOrganizer,onlineMeeting/);
+    expect(paths[1]).toBe("/v1.0/me/onlineMeetings?$filter=joinWebUrl eq 'https://teams.microsoft.com/l/meetup-join/plain'");
+  });
+
+  test("reports a calendar meeting organized by someone else without querying it", async () => {
+    mockGraph([[/^\/v1.0\/me\/calendarView\?/, 200, { value: [event(false)] }]]);
+
+    const result = await graphExports.handleGetMeetingTranscript({ meetingSubject: "Vendor sync", startDate: "2026-05-07" });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/You are not the organizer of this meeting \(lee@vendor-team.example is\)/);
+    expect(result.content[0].text).toMatch(/ask them to share/);
+    expect(paths).toHaveLength(1);
+  });
+
+  test("distinguishes missing permission from a meeting without transcripts", async () => {
+    mockGraph([
+      [/^\/v1.0\/me\/onlineMeetings\?/, 200, { value: [meeting] }],
+      [/\/transcripts$/, 403, { error: { code: "Forbidden" } }],
+    ]);
+    const denied = await graphExports.handleGetMeetingTranscript({ meetingUrl: joinUrl });
+
+    mockGraph([
+      [/^\/v1.0\/me\/onlineMeetings\?/, 200, { value: [meeting] }],
+      [/\/transcripts$/, 404, { error: { code: "NotFound", message: "Forbidden (403) in the message is not a status" } }],
+    ]);
+    const missing = await graphExports.handleGetMeetingTranscript({ meetingUrl: joinUrl });
+
+    mockGraph([
+      [/^\/v1.0\/me\/onlineMeetings\?/, 200, { value: [meeting] }],
+      [/\/transcripts$/, 200, { value: [] }],
+    ]);
+    const empty = await graphExports.handleGetMeetingTranscript({ meetingUrl: joinUrl });
+
+    expect(denied.content[0].text).toMatch(/No permission to read the transcripts of meeting "Vendor sync"/);
+    expect(missing.content[0].text).toMatch(/Error getting transcripts for meeting "Vendor sync"/);
+    expect(empty.content[0].text).toMatch(/No transcripts found[\s\S]*transcription was not turned on/);
+  });
+
+  test("needs a join URL or a subject and date, before checking the Graph token", async () => {
+    mockGraph([]);
+    graphExports._resetGraphTokenCache();
+
+    for (const handler of ["handleGetMeetingTranscript", "handleListMeetingTranscripts", "handleGetMeetingAttendance", "handleGetMeetingRecording"]) {
+      const result = await graphExports[handler]({ meetingSubject: "Vendor sync" });
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toMatch(/meetingSubject and startDate/);
+    }
+    expect(paths).toEqual([]);
+  });
+});
+
+// ============================================================================
+// 30. MEETING ATTENDANCE AND RECORDINGS
+// ============================================================================
+
+describe("Meeting attendance and recordings", () => {
+  const crypto = require("crypto");
+  const future = new Date(Date.now() + 3600 * 1000).toISOString();
+  const meetingUrl = "https://teams.microsoft.com/l/meetup-join/planning";
+  const meeting = { id: "m1", subject: "Planning: Q3", startDateTime: "2026-05-07T09:00:00Z" };
+  const downloadDir = path.join("/tmp", "agent365-test-recordings");
+  const video = crypto.randomBytes(256 * 1024);
+  let paths;
+  let mediaRequests;
+
+  // routes: mockHttps routes for Graph; paths collects the decoded Graph paths.
+  // The recording content redirects to media.example.test, which serves `video`;
+  // the first `truncated` media responses stop halfway through.
+  function mockServices(routes, { truncated = 0 } = {}) {
+    paths = [];
+    mediaRequests = [];
+    mockHttps([
+      (request) => {
+        if (request.hostname !== "media.example.test") return undefined;
+        mediaRequests.push({ range: request.headers.Range, authorization: request.headers.Authorization });
+        const start = Number(request.headers.Range.match(/^bytes=(\d+)-$/)[1]);
+        if (start >= video.length) return [416, "", { "content-range": `bytes */${video.length}` }];
+        const body = video.subarray(start, mediaRequests.length <= truncated ? video.length / 2 : video.length);
+        return [206, body, { "content-length": String(video.length - start) }];
+      },
+      (request) => {
+        const requestPath = decodeURI(request.path);
+        paths.push(requestPath);
+        if (!/\/recordings\/[^/]+\/content$/.test(requestPath)) return undefined;
+        expect(request.headers.Authorization).toBe("Bearer test-graph-token");
+        return [302, "", { location: "https://media.example.test/rec.mp4?sig=1" }];
+      },
+      ...routes,
+    ]);
+  }
+
+  const meetingRoute = [/^\/v1.0\/me\/onlineMeetings\?/, 200, { value: [meeting] }];
+  const recordings = [
+    { id: "r-apr", createdDateTime: "2026-04-30T09:00:00Z", endDateTime: "2026-04-30T09:45:00Z", contentCorrelationId: "c-apr" },
+    { id: "r-may", createdDateTime: "2026-05-07T09:01:00Z", endDateTime: "2026-05-07T09:31:00Z", contentCorrelationId: "c-may" },
+  ];
+
+  beforeEach(() => {
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+    graphExports._setGraphTokenCache("test-graph-token", future);
+    grantOptionalGraphScopes();
+  });
+
+  afterEach(() => {
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+    graphExports._resetGraphTokenCache();
+    revokeOptionalGraphScopes();
+  });
+
+  test("returns the latest attendance report with per-attendee intervals", async () => {
+    mockServices([
+      meetingRoute,
+      [/\/attendanceReports\/a-may\?\$expand=attendanceRecords$/, 200, {
+        id: "a-may",
+        totalParticipantCount: 2,
+        attendanceRecords: [
+          { emailAddress: "bo@contoso.example", role: "Attendee", totalAttendanceInSeconds: 600, identity: { displayName: "Bo" },
+            attendanceIntervals: [
+              { joinDateTime: "2026-05-07T09:00:00Z", leaveDateTime: "2026-05-07T09:05:00Z", durationInSeconds: 300 },
+              { joinDateTime: "2026-05-07T09:20:00Z", leaveDateTime: "2026-05-07T09:25:00Z", durationInSeconds: 300 },
+            ] },
+        ],
+        "attendanceRecords@odata.nextLink": "https://graph.microsoft.com/v1.0/me/onlineMeetings/m1/attendanceReports/a-may/attendanceRecords?%24skiptoken=page2",
+      }],
+      [/\/attendanceReports\/a-may\/attendanceRecords\?%24skiptoken=page2$/, 200, { value: [
+        { emailAddress: "ana@contoso.example", role: "Organizer", totalAttendanceInSeconds: 1800, identity: { displayName: "Ana" },
+          attendanceIntervals: [{ joinDateTime: "2026-05-07T09:00:00Z", leaveDateTime: "2026-05-07T09:30:00Z", durationInSeconds: 1800 }] },
+      ] }],
+      [/\/attendanceReports$/, 200, { value: [
+        { id: "a-may", meetingStartDateTime: "2026-05-07T09:00:00Z", meetingEndDateTime: "2026-05-07T09:30:00Z" },
+        { id: "a-apr", meetingStartDateTime: "2026-04-30T09:00:00Z", meetingEndDateTime: "2026-04-30T09:45:00Z" },
+      ] }],
+    ]);
+
+    const result = await graphExports.handleGetMeetingAttendance({ meetingUrl });
+    const report = JSON.parse(result.content[0].text);
+
+    expect(mockAcquireTokenSilent).toHaveBeenCalledWith(expect.objectContaining({
+      scopes: [...graphExports.GRAPH_SCOPES, "OnlineMeetingArtifact.Read.All"],
+    }));
+    expect(paths.slice(1)).toEqual([
+      "/v1.0/me/onlineMeetings/m1/attendanceReports",
+      "/v1.0/me/onlineMeetings/m1/attendanceReports/a-may?$expand=attendanceRecords",
+      "/v1.0/me/onlineMeetings/m1/attendanceReports/a-may/attendanceRecords?%24skiptoken=page2",
+    ]);
+    expect(report.note).toMatch(/2 attendance reports/);
+    expect(report.reports).toHaveLength(1);
+    expect(report.reports[0]).toMatchObject({ id: "a-may", meetingStartDateTime: "2026-05-07T09:00:00Z", totalParticipantCount: 2 });
+    expect(report.reports[0].attendees.map(a => a.name)).toEqual(["Ana", "Bo"]);
+    expect(report.reports[0].attendees[1]).toMatchObject({ email: "bo@contoso.example", role: "Attendee", totalAttendance: "00:10:00" });
+    expect(report.reports[0].attendees[1].intervals).toEqual([
+      { joinDateTime: "2026-05-07T09:00:00Z", leaveDateTime: "2026-05-07T09:05:00Z", durationSeconds: 300 },
+      { joinDateTime: "2026-05-07T09:20:00Z", leaveDateTime: "2026-05-07T09:25:00Z", durationSeconds: 300 },
+    ]);
+  });
+
+  test("asks for the attendance scope when it has not been approved", async () => {
+    revokeOptionalGraphScopes();
+    mockServices([meetingRoute]);
+
+    const result = await graphExports.handleGetMeetingAttendance({ meetingUrl });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Call agent365_graph_auth with scopes: ["OnlineMeetingArtifact.Read.All"]');
+    expect(paths).toEqual(["/v1.0/me/onlineMeetings?$filter=joinWebUrl eq 'https://teams.microsoft.com/l/meetup-join/planning'"]);
+  });
+
+  test("reports attendance permission and selection errors", async () => {
+    mockServices([meetingRoute, [/\/attendanceReports$/, 403, { error: { code: "Forbidden" } }]]);
+    const denied = await graphExports.handleGetMeetingAttendance({ meetingUrl });
+    expect(denied.content[0].text).toMatch(/No permission to read the attendance reports of meeting "Planning: Q3"/);
+
+    mockServices([meetingRoute, [/\/attendanceReports$/, 200, { value: [{ id: "a-apr", meetingStartDateTime: "2026-04-30T09:00:00Z" }] }]]);
+    const missing = await graphExports.handleGetMeetingAttendance({ meetingUrl, occurrenceDate: "2026-05-14" });
+    expect(missing.isError).toBe(true);
+    expect(missing.content[0].text).toMatch(/Attendance reports exist for: 2026-04-30/);
+  });
+
+  test("lists recordings without downloading when no localPath is given", async () => {
+    mockServices([meetingRoute, [/\/recordings$/, 200, { value: recordings }]]);
+
+    const result = await graphExports.handleGetMeetingRecording({ meetingUrl });
+    const listing = JSON.parse(result.content[0].text);
+
+    expect(listing.count).toBe(2);
+    expect(listing.recordings[1]).toMatchObject({ id: "r-may", duration: "00:30:00", contentCorrelationId: "c-may" });
+    expect(mediaRequests).toEqual([]);
+  });
+
+  test("downloads the selected recording into a directory, resuming a cut-off stream", async () => {
+    mockServices([meetingRoute, [/\/recordings$/, 200, { value: recordings }]], { truncated: 1 });
+
+    const result = await graphExports.handleGetMeetingRecording({ meetingUrl, occurrenceDate: "2026-05-07", localPath: `${downloadDir}/` });
+    const report = JSON.parse(result.content[0].text);
+    const target = path.join(downloadDir, "Planning_ Q3 2026-05-07 0901.mp4");
+
+    expect(result.isError).toBeUndefined();
+    expect(paths).toContain("/v1.0/me/onlineMeetings/m1/recordings/r-may/content");
+    expect(mediaRequests).toEqual([
+      { range: "bytes=0-", authorization: undefined },
+      { range: `bytes=${video.length / 2}-`, authorization: undefined },
+    ]);
+    expect(report.recordings[0]).toMatchObject({ id: "r-may", localPath: target, size: video.length });
+    expect(report.recordings[0].sha256).toBe(crypto.createHash("sha256").update(video).digest("hex"));
+    expect(fs.readFileSync(target).equals(video)).toBe(true);
+    expect(fs.readdirSync(downloadDir)).toEqual([path.basename(target)]);
+  });
+
+  test("finishes a partial recording that was already complete", async () => {
+    mockServices([meetingRoute, [/\/recordings$/, 200, { value: recordings }]]);
+    const target = path.join(downloadDir, "Planning_ Q3 2026-05-07 0901.mp4");
+    fs.mkdirSync(downloadDir, { recursive: true });
+    fs.writeFileSync(`${target}.agent365-partial`, video);
+    fs.writeFileSync(`${target}.agent365-partial.json`, JSON.stringify({ id: "r-may" }));
+
+    const result = await graphExports.handleGetMeetingRecording({ meetingUrl, occurrenceDate: "2026-05-07", localPath: `${downloadDir}/` });
+    const report = JSON.parse(result.content[0].text);
+
+    expect(mediaRequests).toEqual([{ range: `bytes=${video.length}-`, authorization: undefined }]);
+    expect(report.recordings[0]).toMatchObject({ localPath: target, size: video.length, resumedAt: video.length });
+    expect(fs.readFileSync(target).equals(video)).toBe(true);
+    expect(fs.readdirSync(downloadDir)).toEqual([path.basename(target)]);
+  });
+
+  test("numbers recordings started in the same minute instead of overwriting one", async () => {
+    const sameMinute = [
+      { id: "r-1", createdDateTime: "2026-05-07T09:01:05Z", endDateTime: "2026-05-07T09:02:00Z" },
+      { id: "r-2", createdDateTime: "2026-05-07T09:01:40Z", endDateTime: "2026-05-07T09:31:00Z" },
+    ];
+    mockServices([meetingRoute, [/\/recordings$/, 200, { value: sameMinute }]]);
+
+    const result = await graphExports.handleGetMeetingRecording({ meetingUrl, select: "all", localPath: `${downloadDir}/` });
+    const report = JSON.parse(result.content[0].text);
+
+    expect(report.recordings.map(r => path.basename(r.localPath))).toEqual([
+      "Planning_ Q3 2026-05-07 0901.mp4",
+      "Planning_ Q3 2026-05-07 0901 (2).mp4",
+    ]);
+    expect(fs.readdirSync(downloadDir).sort()).toEqual(["Planning_ Q3 2026-05-07 0901 (2).mp4", "Planning_ Q3 2026-05-07 0901.mp4"]);
+  });
+
+  test("needs a directory for several recordings and refuses to overwrite", async () => {
+    mockServices([meetingRoute, [/\/recordings$/, 200, { value: recordings }]]);
+    const several = await graphExports.handleGetMeetingRecording({ meetingUrl, select: "all", localPath: path.join(downloadDir, "one.mp4") });
+    expect(several.content[0].text).toMatch(/2 recordings are selected; localPath must be a directory/);
+
+    fs.mkdirSync(downloadDir, { recursive: true });
+    fs.writeFileSync(path.join(downloadDir, "one.mp4"), "old");
+    const existing = await graphExports.handleGetMeetingRecording({ meetingUrl, localPath: path.join(downloadDir, "one.mp4") });
+    expect(existing.content[0].text).toMatch(/already exists/);
+    expect(mediaRequests).toEqual([]);
+  });
+});
+
+// ============================================================================
+// 31. BULK TRANSCRIPT EXPORT
+// ============================================================================
+
+describe("teams_exportTranscripts", () => {
+  const future = new Date(Date.now() + 3600 * 1000).toISOString();
+  const exportDir = path.join("/tmp", "agent365-test-transcript-export");
+  const standupUrl = "https://teams.microsoft.com/l/meetup-join/standup";
+  const retroUrl = "https://teams.microsoft.com/l/meetup-join/retro";
+  const vtt = (text) => `WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n<v Ana>${text}</v>\n`;
+  let paths;
+  let preferHeaders;
+
+  const standup = (day) => ({
+    subject: "Daily standup",
+    start: { dateTime: `2026-05-0${day}T09:00:00.0000000`, timeZone: "UTC" },
+    end: { dateTime: `2026-05-0${day}T09:30:00.0000000`, timeZone: "UTC" },
+    organizer: { emailAddress: { address: "ana@contoso.example" } },
+    onlineMeeting: { joinUrl: standupUrl },
+  });
+  // As Graph returns it: lower-case escapes, $ and , encoded
+  const nextPage = "/v1.0/me/calendarView?startDateTime=2026-05-04T00%3a00%3a00.000Z&endDateTime=2026-05-09T00%3a00%3a00.000Z&%24select=subject%2cstart%2cend%2corganizer%2cisOrganizer%2conlineMeeting&%24top=100&%24skip=100";
+  const routes = [
+    [/^\/v1.0\/me\/calendarView\?.*&%24skip=100$/, 200, { value: [
+      standup(7),
+      { subject: "Standup retro", start: { dateTime: "2026-05-06T15:00:00.0000000", timeZone: "UTC" }, end: { dateTime: "2026-05-06T16:00:00.0000000", timeZone: "UTC" }, isOrganizer: false, organizer: { emailAddress: { address: "lee@vendor-team.example" } }, onlineMeeting: { joinUrl: retroUrl } },
+    ] }],
+    [/^\/v1.0\/me\/calendarView\?/, 200, {
+      value: [standup(4), standup(5), { subject: "Standup lunch", start: { dateTime: "2026-05-05T12:00:00.0000000", timeZone: "UTC" } }],
+      "@odata.nextLink": `https://graph.microsoft.com${nextPage}`,
+    }],
+    [/^\/v1.0\/me\/onlineMeetings\?\$filter=joinWebUrl eq '.*standup'$/, 200, { value: [{ id: "m-standup", subject: "Daily standup" }] }],
+    [/^\/v1.0\/me\/onlineMeetings\?/, 200, { value: [] }],
+    [/\/transcripts\/t-mon\/content/, 200, vtt("Monday update")],
+    [/\/transcripts\/t-tue\/content/, 200, vtt("Tuesday update")],
+    [/\/transcripts\/t-tue-restart\/content/, 200, vtt("Tuesday again")],
+    [/\/transcripts$/, 200, { value: [
+      { id: "t-tue", createdDateTime: "2026-05-05T09:00:00Z", endDateTime: "2026-05-05T09:05:00Z" },
+      { id: "t-mon", createdDateTime: "2026-05-04T09:00:00Z", endDateTime: "2026-05-04T09:15:00Z" },
+      { id: "t-tue-restart", createdDateTime: "2026-05-05T09:06:00Z", endDateTime: "2026-05-05T09:15:00Z" },
+      { id: "t-last-week", createdDateTime: "2026-04-27T09:00:00Z" },
+    ] }],
+  ];
+
+  function mockGraph() {
+    paths = [];
+    preferHeaders = [];
+    mockHttps([(request) => {
+      paths.push(request.path);
+      if (request.headers.Prefer) preferHeaders.push(request.headers.Prefer);
+    }, ...routes]);
+  }
+
+  beforeEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+    graphExports._setGraphTokenCache("test-graph-token", future);
+    grantOptionalGraphScopes();
+    mockGraph();
+  });
+
+  afterEach(() => {
+    fs.rmSync(exportDir, { recursive: true, force: true });
+    graphExports._resetGraphTokenCache();
+    revokeOptionalGraphScopes();
+  });
+
+  test("writes one file per occurrence plus an index and returns only a summary", async () => {
+    const result = await graphExports.handleExportTranscripts({
+      startDate: "2026-05-04", endDate: "2026-05-08", subject: "standup", localPath: exportDir, format: "text",
+    });
+    const summary = JSON.parse(result.content[0].text);
+
+    expect(summary).toMatchObject({ occurrences: 4, exported: 2, alreadyExported: 0, withoutTranscript: 1 });
+    expect(summary.errors).toEqual([expect.objectContaining({ date: "2026-05-06", subject: "Standup retro" })]);
+    expect(summary.errors[0].error).toMatch(/You are not the organizer of this meeting \(lee@vendor-team.example is\)/);
+    expect(result.content[0].text).not.toMatch(/Monday update/);
+
+    expect(paths[0]).toMatch(/^\/v1.0\/me\/calendarView\?startDateTime=.+&endDateTime=.+&\$select=subject,start,end,organizer,isOrganizer,onlineMeeting&\$top=100$/);
+    expect(paths[1]).toBe(nextPage);
+    expect(preferHeaders).toEqual(['outlook.timezone="UTC"', 'outlook.timezone="UTC"']);
+    expect(paths.filter(p => p.endsWith("/transcripts"))).toHaveLength(1);
+    expect(paths.some(p => p.includes("retro"))).toBe(false);
+
+    expect(fs.readdirSync(exportDir).sort()).toEqual(["2026-05-04 Daily standup.txt", "2026-05-05 Daily standup.txt", "index.json"]);
+    expect(fs.readFileSync(path.join(exportDir, "2026-05-04 Daily standup.txt"), "utf8")).toBe("[00:00:01] Ana: Monday update");
+    expect(fs.readFileSync(path.join(exportDir, "2026-05-05 Daily standup.txt"), "utf8"))
+      .toMatch(/^--- Transcript 1 of 2 \(id: t-tue[\s\S]*Tuesday update\n\n--- Transcript 2 of 2 \(id: t-tue-restart[\s\S]*Tuesday again$/);
+
+    const index = JSON.parse(fs.readFileSync(summary.index, "utf8"));
+    expect(index).toMatchObject({ startDate: "2026-05-04", endDate: "2026-05-08", subject: "standup", format: "text" });
+    expect(index.occurrences.map(o => [o.date, o.status])).toEqual([
+      ["2026-05-04", "exported"],
+      ["2026-05-05", "exported"],
+      ["2026-05-06", "error"],
+      ["2026-05-07", "no transcript"],
+    ]);
+    expect(index.occurrences[1].transcriptIds).toEqual(["t-tue", "t-tue-restart"]);
+  });
+
+  test("matches transcripts to the occurrence running when they started, across midnight", async () => {
+    const lateUrl = "https://teams.microsoft.com/l/meetup-join/late";
+    const late = (start, end) => ({
+      subject: "Late release",
+      start: { dateTime: start, timeZone: "UTC" },
+      end: { dateTime: end, timeZone: "UTC" },
+      onlineMeeting: { joinUrl: lateUrl },
+    });
+    mockHttps([
+      [/\/calendarView\?/, 200, { value: [
+        late("2026-05-05T23:30:00.0000000", "2026-05-06T00:45:00.0000000"),
+        late("2026-05-06T23:30:00.0000000", "2026-05-07T00:45:00.0000000"),
+      ] }],
+      [/\/onlineMeetings\?/, 200, { value: [{ id: "m-late", subject: "Late release" }] }],
+      [/\/content/, 200, vtt("After midnight")],
+      [/\/transcripts$/, 200, { value: [{ id: "t-late", createdDateTime: "2026-05-07T00:10:00Z" }] }],
+    ]);
+
+    const result = await graphExports.handleExportTranscripts({ startDate: "2026-05-04", endDate: "2026-05-08", localPath: exportDir, format: "text" });
+
+    expect(JSON.parse(result.content[0].text)).toMatchObject({ occurrences: 2, exported: 1, withoutTranscript: 1 });
+    const index = JSON.parse(fs.readFileSync(path.join(exportDir, "index.json"), "utf8"));
+    expect(index.occurrences.map(o => o.status)).toEqual(["no transcript", "exported"]);
+    expect(index.occurrences[1]).toMatchObject({ transcriptIds: ["t-late"], file: expect.stringMatching(/ Late release\.txt$/) });
+  });
+
+  test("skips files that were already exported", async () => {
+    await graphExports.handleExportTranscripts({ startDate: "2026-05-04", endDate: "2026-05-08", subject: "daily", localPath: exportDir });
+    mockGraph();
+
+    const again = await graphExports.handleExportTranscripts({ startDate: "2026-05-04", endDate: "2026-05-08", subject: "daily", localPath: exportDir });
+
+    expect(JSON.parse(again.content[0].text)).toMatchObject({ exported: 0, alreadyExported: 2 });
+    expect(paths.some(p => p.includes("/content"))).toBe(false);
+    expect(fs.readdirSync(exportDir)).toContain("2026-05-04 Daily standup.vtt");
+  });
+
+  test("validates the range before calling Graph", async () => {
+    const reversed = await graphExports.handleExportTranscripts({ startDate: "2026-05-08", endDate: "2026-05-04", localPath: exportDir });
+    const tooLong = await graphExports.handleExportTranscripts({ startDate: "2026-01-01", endDate: "2026-03-01", localPath: exportDir });
+    const missing = await graphExports.handleExportTranscripts({ startDate: "2026-05-04", endDate: "2026-05-08" });
+
+    expect(reversed.content[0].text).toMatch(/must not be before startDate/);
+    expect(tooLong.content[0].text).toMatch(/spans 60 days; export at most 31/);
+    expect(missing.content[0].text).toMatch(/localPath are required/);
+    expect(paths).toEqual([]);
+
+    graphExports._resetGraphTokenCache();
+    revokeOptionalGraphScopes();
+    const unauthenticated = await graphExports.handleExportTranscripts({ startDate: "2026-05-08", endDate: "2026-05-04", localPath: exportDir });
+    expect(unauthenticated.content[0].text).toMatch(/must not be before startDate/);
+  });
+});
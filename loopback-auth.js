@@ -0,0 +1,145 @@
+/**
+ * Browser login for Agent 365 MCP (authorization code + PKCE)
+ *
+ * An alternative to device code login, which many tenants block via
+ * Conditional Access. A one-shot HTTP listener on 127.0.0.1 receives the
+ * redirect from Entra ID and the code is redeemed with acquireTokenByCode.
+ * Shared by index.js (startup and in-chat login) and cli.js (`auth --method browser`).
+ *
+ * The app registration needs `http://127.0.0.1` as a redirect URI under
+ * "Mobile and desktop applications"; Entra ID accepts any port for it. The
+ * redirect names the address the listener is bound to, so it arrives even
+ * where `localhost` resolves to ::1 first.
+ */
+const http = require("http");
+const crypto = require("crypto");
+const { execFile } = require("child_process");
+
+const LOGIN_TIMEOUT = 5 * 60 * 1000;
+
+function base64Url(buffer) {
+  return buffer.toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function generatePkceCodes() {
+  const verifier = base64Url(crypto.randomBytes(32));
+  const challenge = base64Url(crypto.createHash("sha256").update(verifier).digest());
+  return { verifier, challenge };
+}
+
+/**
+ * Whether a browser can be opened on this machine. SSH sessions and
+ * headless Linux boxes fall back to device code.
+ */
+function hasBrowser() {
+  if (process.platform === "darwin" || process.platform === "win32") {
+    return !process.env.SSH_CONNECTION;
+  }
+  return Boolean(process.env.DISPLAY || process.env.WAYLAND_DISPLAY);
+}
+
+/**
+ * Open a URL in the default browser. Resolves to false if the launcher failed.
+ */
+function launchBrowser(url) {
+  const [command, args] = process.platform === "darwin"
+    ? ["open", [url]]
+    : process.platform === "win32"
+      ? ["rundll32", ["url.dll,FileProtocolHandler", url]]
+      : ["xdg-open", [url]];
+
+  return new Promise((resolve) => {
+    execFile(command, args, { timeout: 10000 }, (err) => resolve(!err));
+  });
+}
+
+function sendPage(res, status, message) {
+  res.writeHead(status, { "Content-Type": "text/html; charset=utf-8", Connection: "close" });
+  res.end(`<!DOCTYPE html><html><head><title>Agent 365 MCP</title></head>` +
+    `<body style="font-family: sans-serif; margin: 3em"><h2>${message}</h2></body></html>`);
+}
+
+/**
+ * Start a loopback login: listen on an ephemeral 127.0.0.1 port and build
+ * the sign-in URL. Returns once the listener is up:
+ *   authUrl      - URL to open in the browser
+ *   tokenPromise - resolves with the MSAL token response after sign-in
+ *   cancel()     - stop waiting (e.g. the browser could not be opened)
+ */
+async function startLoopbackLogin(pca, scopes, { timeoutMs = LOGIN_TIMEOUT, loginHint } = {}) {
+  const { verifier, challenge } = generatePkceCodes();
+  const state = crypto.randomBytes(16).toString("hex");
+
+  let settle;
+  const codePromise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  const server = http.createServer((req, res) => {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    if (req.method !== "GET" || params.get("state") !== state) {
+      // Favicon requests, stale tabs from an earlier attempt, etc.
+      sendPage(res, 404, "Unknown sign-in request.");
+      return;
+    }
+    if (params.get("error")) {
+      sendPage(res, 400, "Sign-in failed. You can close this tab and check the terminal.");
+      settle.reject(new Error(params.get("error_description") || params.get("error")));
+      return;
+    }
+    if (!params.get("code")) {
+      sendPage(res, 400, "Sign-in response did not include an authorization code.");
+      return;
+    }
+    sendPage(res, 200, "Signed in to Microsoft 365. You can close this tab.");
+    settle.resolve(params.get("code"));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+
+  const redirectUri = `http://127.0.0.1:${server.address().port}`;
+  const timer = setTimeout(() => settle.reject(new Error("Browser sign-in timed out")), timeoutMs);
+  const close = () => {
+    clearTimeout(timer);
+    server.close();
+    server.closeAllConnections?.();
+  };
+
+  let authUrl;
+  try {
+    authUrl = await pca.getAuthCodeUrl({
+      scopes,
+      redirectUri,
+      codeChallenge: challenge,
+      codeChallengeMethod: "S256",
+      state,
+      prompt: "select_account",
+      ...(loginHint && { loginHint }),
+    });
+  } catch (e) {
+    close();
+    throw e;
+  }
+
+  const tokenPromise = codePromise
+    .then((code) => pca.acquireTokenByCode({ code, scopes, redirectUri, codeVerifier: verifier }))
+    .finally(close);
+  // Callers attach their own handlers; this only prevents an unhandled rejection on cancel
+  tokenPromise.catch(() => {});
+
+  return {
+    authUrl,
+    redirectUri,
+    tokenPromise,
+    cancel: () => settle.reject(new Error("Browser sign-in cancelled")),
+  };
+}
+
+module.exports = {
+  hasBrowser,
+  launchBrowser,
+  startLoopbackLogin,
+};
@@ -0,0 +1,331 @@
+/**
+ * Secret storage for Agent 365 MCP
+ *
+ * Access tokens and the MSAL cache (which holds refresh tokens) are written
+ * as AES-256-GCM encrypted files with mode 0600. Shared by index.js and
+ * cli.js so both read and write the same format.
+ *
+ * The encryption key comes from a key provider, selected by
+ * AGENT365_SECRET_STORE:
+ *   auto       - passphrase if AGENT365_SECRET_PASSPHRASE is set, else the
+ *                OS keychain when available, else the machine key file
+ *   keychain   - random key kept in the macOS Keychain (`security`) or the
+ *                libsecret keyring (`secret-tool`)
+ *   passphrase - key derived from AGENT365_SECRET_PASSPHRASE with scrypt
+ *   file       - random machine key in ~/.agent365-mcp/secret.key (0600)
+ *   plaintext  - no encryption (files are still 0600)
+ *
+ * Plaintext files written by earlier versions are read transparently and
+ * re-written in the current format on first access.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+
+const ENVELOPE_VERSION = 1;
+const KEYCHAIN_SERVICE = "agent365-mcp";
+const KEYCHAIN_ACCOUNT = "secret-key";
+const KEY_BYTES = 32;
+
+const keyCache = new Map();
+let keychainFailed = false;
+
+function getBaseDir() {
+  const home = process.env.HOME || process.env.USERPROFILE || "";
+  return path.join(home, ".agent365-mcp");
+}
+
+function getMachineKeyPath() {
+  return process.env.AGENT365_SECRET_KEY_PATH || path.join(getBaseDir(), "secret.key");
+}
+
+// ============================================================================
+// KEY PROVIDERS
+// ============================================================================
+
+function commandExists(command) {
+  return (process.env.PATH || "").split(path.delimiter).some((dir) => {
+    try {
+      return dir && fs.statSync(path.join(dir, command)).isFile();
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+function runCommand(command, args, input) {
+  return execFileSync(command, args, {
+    input,
+    encoding: "utf8",
+    timeout: 10000,
+    stdio: ["pipe", "pipe", "ignore"],
+  }).trim();
+}
+
+const keychainProvider = {
+  isAvailable() {
+    if (process.platform === "darwin") {
+      return commandExists("security");
+    }
+    if (process.platform === "linux") {
+      return Boolean(process.env.DBUS_SESSION_BUS_ADDRESS) && commandExists("secret-tool");
+    }
+    return false;
+  },
+
+  readKey() {
+    try {
+      const encoded = process.platform === "darwin"
+        ? runCommand("security", ["find-generic-password", "-s", KEYCHAIN_SERVICE, "-a", KEYCHAIN_ACCOUNT, "-w"])
+        : runCommand("secret-tool", ["lookup", "service", KEYCHAIN_SERVICE, "account", KEYCHAIN_ACCOUNT]);
+      const key = Buffer.from(encoded, "base64");
+      return key.length === KEY_BYTES ? key : null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  writeKey(key) {
+    const encoded = key.toString("base64");
+    if (process.platform === "darwin") {
+      // Interactive mode reads the command from stdin, keeping the key out of argv
+      runCommand("security", ["-i"], `add-generic-password -U -s ${KEYCHAIN_SERVICE} -a ${KEYCHAIN_ACCOUNT} -w ${encoded}\n`);
+    } else {
+      runCommand("secret-tool", ["store", "--label=Agent 365 MCP token encryption key", "service", KEYCHAIN_SERVICE, "account", KEYCHAIN_ACCOUNT], encoded);
+    }
+  },
+};
+
+const machineKeyProvider = {
+  readKey() {
+    try {
+      const key = Buffer.from(fs.readFileSync(getMachineKeyPath(), "utf8").trim(), "base64");
+      return key.length === KEY_BYTES ? key : null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  writeKey(key) {
+    const keyPath = getMachineKeyPath();
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true, mode: 0o700 });
+    // "wx" so two processes racing on first use cannot overwrite each other's key
+    fs.writeFileSync(keyPath, key.toString("base64"), { mode: 0o600, flag: "wx" });
+  },
+};
+
+const KEY_PROVIDERS = {
+  keychain: keychainProvider,
+  file: machineKeyProvider,
+};
+
+/**
+ * Get the key for a source, creating and storing a random one on first
+ * use when `create` is set. Passphrase keys are derived per file salt.
+ */
+function getKey(source, { salt, create = false } = {}) {
+  if (source === "passphrase") {
+    const passphrase = process.env.AGENT365_SECRET_PASSPHRASE;
+    if (!passphrase) {
+      throw new Error("AGENT365_SECRET_PASSPHRASE is not set");
+    }
+    const cacheKey = `passphrase:${crypto.createHash("sha256").update(passphrase).digest("base64")}:${salt.toString("base64")}`;
+    if (!keyCache.has(cacheKey)) {
+      keyCache.set(cacheKey, crypto.scryptSync(passphrase, salt, KEY_BYTES));
+    }
+    return keyCache.get(cacheKey);
+  }
+
+  const provider = KEY_PROVIDERS[source];
+  if (!provider) {
+    throw new Error(`Unknown secret store "${source}"`);
+  }
+  if (keyCache.has(source)) {
+    return keyCache.get(source);
+  }
+
+  let key = provider.readKey();
+  if (!key && create) {
+    try {
+      provider.writeKey(crypto.randomBytes(KEY_BYTES));
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+    // Re-read so a concurrent writer's key wins and a failed store is detected
+    key = provider.readKey();
+  }
+  if (!key) {
+    throw new Error(`No ${source === "keychain" ? "keychain" : "machine key file"} encryption key found`);
+  }
+
+  keyCache.set(source, key);
+  return key;
+}
+
+/**
+ * The key source new files are written with.
+ */
+function getSecretStoreMode() {
+  const mode = (process.env.AGENT365_SECRET_STORE || "auto").toLowerCase();
+  if (mode !== "auto") {
+    if (!["keychain", "passphrase", "file", "plaintext"].includes(mode)) {
+      throw new Error(`Invalid AGENT365_SECRET_STORE "${mode}" (use auto, keychain, passphrase, file or plaintext)`);
+    }
+    return mode;
+  }
+  if (process.env.AGENT365_SECRET_PASSPHRASE) {
+    return "passphrase";
+  }
+  if (!keychainFailed && keychainProvider.isAvailable()) {
+    return "keychain";
+  }
+  return "file";
+}
+
+// ============================================================================
+// ENCRYPTED FILES
+// ============================================================================
+
+function encrypt(text, source) {
+  const salt = source === "passphrase" ? crypto.randomBytes(16) : null;
+  const key = getKey(source, { salt, create: true });
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+
+  return {
+    agent365Secret: ENVELOPE_VERSION,
+    keySource: source,
+    ...(salt && { salt: salt.toString("base64") }),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decrypt(envelope) {
+  const salt = envelope.salt ? Buffer.from(envelope.salt, "base64") : null;
+  const key = getKey(envelope.keySource, { salt });
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+function parseEnvelope(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && parsed.agent365Secret === ENVELOPE_VERSION ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Write a secret atomically with mode 0600, encrypted unless the store is
+ * "plaintext". In auto mode a keychain that cannot be used (locked,
+ * headless session) falls back to the machine key file.
+ */
+function writeSecret(filePath, text) {
+  let source = getSecretStoreMode();
+  let payload;
+  if (source === "plaintext") {
+    payload = text;
+  } else {
+    try {
+      payload = JSON.stringify(encrypt(text, source));
+    } catch (e) {
+      if (source !== "keychain" || (process.env.AGENT365_SECRET_STORE || "auto").toLowerCase() !== "auto") {
+        throw e;
+      }
+      console.error(`Keychain unavailable (${e.message}), using the machine key file instead`);
+      keychainFailed = true;
+      source = "file";
+      payload = JSON.stringify(encrypt(text, source));
+    }
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, payload, { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Read a secret file, returning null when it is missing or cannot be
+ * decrypted. Plaintext files and files encrypted with a different key
+ * source are migrated to the current store.
+ */
+function readSecret(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (e) {
+    return null;
+  }
+
+  const envelope = parseEnvelope(raw);
+  let text = raw;
+  if (envelope) {
+    try {
+      text = decrypt(envelope);
+    } catch (e) {
+      console.error(`Could not decrypt ${filePath} (${e.message}). Re-authenticate to replace it.`);
+      return null;
+    }
+  }
+
+  const source = envelope ? envelope.keySource : "plaintext";
+  try {
+    if (source !== getSecretStoreMode()) {
+      writeSecret(filePath, text);
+    } else if (!envelope) {
+      fs.chmodSync(filePath, 0o600);
+    }
+  } catch (e) {
+    console.error(`Could not migrate ${filePath} to the secret store: ${e.message}`);
+  }
+  return text;
+}
+
+function readSecretJson(filePath) {
+  const text = readSecret(filePath);
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeSecretJson(filePath, data) {
+  writeSecret(filePath, JSON.stringify(data));
+}
+
+/**
+ * Human-readable description of where the encryption key is kept.
+ */
+function describeSecretStore() {
+  switch (getSecretStoreMode()) {
+    case "keychain":
+      return process.platform === "darwin" ? "macOS Keychain" : "libsecret keyring";
+    case "passphrase":
+      return "passphrase (AGENT365_SECRET_PASSPHRASE)";
+    case "file":
+      return `machine key file (${getMachineKeyPath()})`;
+    default:
+      return "plaintext (AGENT365_SECRET_STORE=plaintext)";
+  }
+}
+
+module.exports = {
+  readSecret,
+  writeSecret,
+  readSecretJson,
+  writeSecretJson,
+  getSecretStoreMode,
+  describeSecretStore,
+};
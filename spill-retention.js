@@ -0,0 +1,165 @@
+/**
+ * Retention for the large-response directory (AGENT365_LARGE_FILE_DIR)
+ *
+ * Each server process writes into its own `session-<start ms>-<pid>`
+ * subdirectory. Pruning deletes files past a maximum age, then the oldest
+ * files until the directory is under its size cap, and removes emptied
+ * session directories. Only files this proxy writes (`agent365-*.txt`,
+ * including ones from older versions at the top level) are touched.
+ * Shared by index.js (startup/periodic pruning) and cli.js (`cache prune`).
+ */
+const fs = require("fs");
+const path = require("path");
+
+const SESSION_DIR_PATTERN = /^session-\d+-\d+$/;
+const SPILL_FILE_PATTERN = /^agent365-.+\.txt$/;
+
+const DEFAULT_MAX_AGE_HOURS = 24;
+const DEFAULT_MAX_SIZE_MB = 500;
+
+function envLimit(value, defaultValue) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) || number < 0 ? defaultValue : number;
+}
+
+/**
+ * Retention limits from AGENT365_LARGE_FILE_MAX_AGE_HOURS and
+ * AGENT365_LARGE_FILE_MAX_SIZE_MB. Unset or invalid values get the defaults;
+ * 0 disables a limit. Returns { maxAgeHours, maxSizeMb }.
+ */
+function retentionFromEnv(env = process.env) {
+  return {
+    maxAgeHours: envLimit(env.AGENT365_LARGE_FILE_MAX_AGE_HOURS, DEFAULT_MAX_AGE_HOURS),
+    maxSizeMb: envLimit(env.AGENT365_LARGE_FILE_MAX_SIZE_MB, DEFAULT_MAX_SIZE_MB),
+  };
+}
+
+/**
+ * Create this process's session directory (mode 0700) and return its path.
+ */
+function createSessionDir(baseDir) {
+  const sessionDir = path.join(path.resolve(baseDir), `session-${Date.now()}-${process.pid}`);
+  fs.mkdirSync(sessionDir, { recursive: true, mode: 0o700 });
+  return sessionDir;
+}
+
+function statFiles(dir) {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return files;
+  }
+  for (const entry of entries) {
+    if (!entry.isFile() || !SPILL_FILE_PATTERN.test(entry.name)) continue;
+    try {
+      const stat = fs.statSync(path.join(dir, entry.name));
+      files.push({ path: path.join(dir, entry.name), size: stat.size, mtimeMs: stat.mtimeMs });
+    } catch (e) {
+      // Removed concurrently
+    }
+  }
+  return files;
+}
+
+/**
+ * List spill files (top level and session directories), oldest first.
+ */
+function listSpillFiles(baseDir) {
+  const dir = path.resolve(baseDir);
+  const files = statFiles(dir);
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return files;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory() && SESSION_DIR_PATTERN.test(entry.name)) {
+      files.push(...statFiles(path.join(dir, entry.name)));
+    }
+  }
+  return files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+}
+
+/**
+ * Apply the retention policy to a spill directory.
+ *   maxAgeMs - delete files older than this (0 = no age limit)
+ *   maxBytes - then delete oldest files until the total fits (0 = no limit)
+ *   keepDir  - session directory to keep even when empty (the current one)
+ *   dryRun   - report without deleting
+ * Returns { removedFiles, removedBytes, remainingFiles, remainingBytes }.
+ */
+function pruneSpillDir(baseDir, { maxAgeMs = 0, maxBytes = 0, keepDir = null, dryRun = false, now = Date.now() } = {}) {
+  const files = listSpillFiles(baseDir);
+  let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  const result = { removedFiles: 0, removedBytes: 0, remainingFiles: files.length, remainingBytes: totalBytes };
+
+  for (const file of files) {
+    const expired = maxAgeMs > 0 && now - file.mtimeMs > maxAgeMs;
+    const overSize = maxBytes > 0 && totalBytes > maxBytes;
+    if (!expired && !overSize) continue;
+
+    try {
+      if (!dryRun) fs.unlinkSync(file.path);
+      totalBytes -= file.size;
+      result.removedFiles++;
+      result.removedBytes += file.size;
+    } catch (e) {
+      // Ignore - retried on next prune
+    }
+  }
+  result.remainingFiles = files.length - result.removedFiles;
+  result.remainingBytes = totalBytes;
+
+  if (!dryRun) {
+    removeEmptySessionDirs(baseDir, keepDir);
+  }
+  return result;
+}
+
+function removeEmptySessionDirs(baseDir, keepDir) {
+  const dir = path.resolve(baseDir);
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return;
+  }
+  for (const entry of entries) {
+    const sessionDir = path.join(dir, entry.name);
+    if (!entry.isDirectory() || !SESSION_DIR_PATTERN.test(entry.name) || sessionDir === keepDir) continue;
+    try {
+      fs.rmdirSync(sessionDir); // Fails if not empty
+    } catch (e) {
+      // Still in use or holds other files
+    }
+  }
+}
+
+/**
+ * Delete a session directory's spill files and the directory itself.
+ */
+function removeSessionDir(sessionDir) {
+  for (const file of statFiles(sessionDir)) {
+    try {
+      fs.unlinkSync(file.path);
+    } catch (e) {
+      // Ignore
+    }
+  }
+  try {
+    fs.rmdirSync(sessionDir);
+  } catch (e) {
+    // Not empty or already gone
+  }
+}
+
+module.exports = {
+  createSessionDir,
+  listSpillFiles,
+  pruneSpillDir,
+  removeSessionDir,
+  retentionFromEnv,
+};
@@ -0,0 +1,189 @@
+/**
+ * WebVTT transcript parsing for Teams meeting transcripts
+ *
+ * Teams transcripts are WebVTT with one cue per utterance and the speaker
+ * in a voice tag (`<v Jane Doe>Hello</v>`). Cues are parsed into
+ * { start, end, speaker, text } (times in seconds from the start of the
+ * transcript), merged into speaker turns and rendered as plain text,
+ * Markdown or JSON, which is far shorter than the raw cues.
+ * Used by index.js (teams_getMeetingTranscript `format`).
+ */
+
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?([0-5]?\d):([0-5]\d)(?:[.,](\d{1,3}))?$/;
+const CUE_TIMING_PATTERN = /^(\S+)\s+-->\s+(\S+)/;
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&apos;": "'", "&nbsp;": " " };
+
+/**
+ * Parse "HH:MM:SS.mmm", "MM:SS.mmm" or "MM:SS" into seconds, or null.
+ */
+function parseTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(String(value || "").trim());
+  if (!match) return null;
+  const [, hours = "0", minutes, seconds, fraction = "0"] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, "0")) / 1000;
+}
+
+/**
+ * Format seconds as HH:MM:SS.
+ */
+function formatTimestamp(totalSeconds) {
+  const seconds = Math.floor(totalSeconds);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+}
+
+function cleanCueText(lines) {
+  let speaker = null;
+  const text = lines.join(" ").replace(/<v(?:\.[^\s>]*)?\s+([^>]*)>/g, (tag, name) => {
+    speaker = speaker || name.trim();
+    return "";
+  });
+  return {
+    speaker,
+    text: text
+      .replace(/<[^>]*>/g, "")
+      .replace(/&(?:amp|lt|gt|quot|apos|nbsp);/g, (entity) => ENTITIES[entity])
+      .replace(/\s+/g, " ")
+      .trim(),
+  };
+}
+
+/**
+ * Parse WebVTT text into cues, skipping the header, NOTE/STYLE blocks,
+ * cue identifiers and empty cues. Cues without a voice tag get speaker null.
+ */
+function parseVtt(vttText) {
+  const cues = [];
+  const blocks = String(vttText || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split("\n").filter(line => line.trim() !== "");
+    const timingIndex = lines.findIndex(line => line.includes("-->"));
+    if (timingIndex === -1) continue; // Header, NOTE, STYLE or REGION block
+
+    const timing = CUE_TIMING_PATTERN.exec(lines[timingIndex].trim());
+    const start = timing && parseTimestamp(timing[1]);
+    const end = timing && parseTimestamp(timing[2]);
+    if (start === null || end === null) continue;
+
+    const { speaker, text } = cleanCueText(lines.slice(timingIndex + 1));
+    if (text) {
+      cues.push({ start, end, speaker, text });
+    }
+  }
+  return cues;
+}
+
+/**
+ * Keep cues that overlap the window [from, to] (seconds; either may be null).
+ */
+function filterCues(cues, { from = null, to = null } = {}) {
+  return cues.filter(cue => (from === null || cue.end > from) && (to === null || cue.start < to));
+}
+
+/**
+ * Merge consecutive cues by the same speaker into turns.
+ */
+function mergeTurns(cues) {
+  const turns = [];
+  for (const cue of cues) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === cue.speaker) {
+      last.end = Math.max(last.end, cue.end);
+      last.text = `${last.text} ${cue.text}`;
+    } else {
+      turns.push({ ...cue });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Talk time, turns and words per speaker, most talk time first.
+ * `share` is the percentage of all talk time.
+ */
+function speakerStats(cues) {
+  const bySpeaker = new Map();
+  for (const turn of mergeTurns(cues)) {
+    const key = turn.speaker || "Unknown";
+    const stats = bySpeaker.get(key) || { speaker: key, talkSeconds: 0, turns: 0, words: 0 };
+    stats.turns++;
+    bySpeaker.set(key, stats);
+  }
+  for (const cue of cues) {
+    const stats = bySpeaker.get(cue.speaker || "Unknown");
+    stats.talkSeconds += Math.max(0, cue.end - cue.start);
+    stats.words += cue.text.split(" ").length;
+  }
+
+  const total = [...bySpeaker.values()].reduce((sum, stats) => sum + stats.talkSeconds, 0);
+  return [...bySpeaker.values()]
+    .map(stats => ({
+      ...stats,
+      talkSeconds: Math.round(stats.talkSeconds),
+      talkTime: formatTimestamp(stats.talkSeconds),
+      share: total > 0 ? Math.round((stats.talkSeconds / total) * 1000) / 10 : 0,
+    }))
+    .sort((a, b) => b.talkSeconds - a.talkSeconds);
+}
+
+function renderText(turns) {
+  return turns
+    .map(turn => `[${formatTimestamp(turn.start)}] ${turn.speaker || "Unknown"}: ${turn.text}`)
+    .join("\n");
+}
+
+function renderMarkdown(turns, stats) {
+  const speakerRows = stats.map(s => `| ${s.speaker} | ${s.talkTime} | ${s.share}% | ${s.turns} |`);
+  const turnBlocks = turns.map(turn =>
+    `**${turn.speaker || "Unknown"}** (${formatTimestamp(turn.start)}–${formatTimestamp(turn.end)})\n${turn.text}`);
+  return [
+    "### Speakers",
+    "",
+    "| Speaker | Talk time | Share | Turns |",
+    "|---------|-----------|-------|-------|",
+    ...speakerRows,
+    "",
+    "### Transcript",
+    "",
+    turnBlocks.join("\n\n"),
+  ].join("\n");
+}
+
+/**
+ * Parse a VTT transcript and render it as "text", "markdown" or "json".
+ * "json" returns an object ({ speakers, turns }); the others a string.
+ */
+function renderTranscript(vttText, format, window = {}) {
+  const cues = filterCues(parseVtt(vttText), window);
+  const turns = mergeTurns(cues);
+  const stats = speakerStats(cues);
+
+  if (format === "json") {
+    return {
+      speakers: stats,
+      turns: turns.map(turn => ({
+        speaker: turn.speaker,
+        start: formatTimestamp(turn.start),
+        end: formatTimestamp(turn.end),
+        startSeconds: turn.start,
+        endSeconds: turn.end,
+        text: turn.text,
+      })),
+    };
+  }
+  if (turns.length === 0) {
+    return "(No speech in this transcript or time window.)";
+  }
+  return format === "markdown" ? renderMarkdown(turns, stats) : renderText(turns);
+}
+
+module.exports = {
+  parseTimestamp,
+  formatTimestamp,
+  parseVtt,
+  filterCues,
+  mergeTurns,
+  speakerStats,
+  renderTranscript,
+};